@@ -0,0 +1,205 @@
+const app = require('../server');
+
+const flightData = [
+  {
+    date: '2025-06-10',
+    type: 'FLIGHT',
+    reportTime: '06:00',
+    offDutyTime: '20:30',
+    commandersDiscretion: { hours: 1.5, reason: 'ATC delay at CDG', restReduction: 1.5 },
+    flights: [
+      { flightNumber: 'OS411', departure: 'VIE', arrival: 'CDG', departureTime: '07:00', arrivalTime: '09:00' },
+      { flightNumber: 'OS412', departure: 'CDG', arrival: 'VIE', departureTime: '17:45', arrivalTime: '20:00' }
+    ]
+  },
+  {
+    date: '2025-06-11',
+    type: 'FLIGHT',
+    reportTime: '07:30',
+    offDutyTime: '12:00',
+    flights: [
+      { flightNumber: 'OS125', departure: 'VIE', arrival: 'FRA', departureTime: '08:30', arrivalTime: '10:00' },
+      { flightNumber: 'OS126', departure: 'FRA', arrival: 'VIE', departureTime: '10:30', arrivalTime: '11:45' }
+    ]
+  }
+];
+
+let server;
+let baseUrl;
+
+beforeAll(done => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  server = app.listen(0, () => {
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    done();
+  });
+});
+
+afterAll(done => {
+  console.log.mockRestore();
+  server.close(done);
+});
+
+describe('POST /api/commanders-discretion-report', () => {
+  /**
+   * Post a report request to the endpoint
+   * @param {Object} body - Request body
+   * @returns {Promise<Response>} - Fetch response
+   */
+  function post(body) {
+    return fetch(`${baseUrl}/api/commanders-discretion-report`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+  }
+
+  test('returns the reports with their text and a summary', async () => {
+    const response = await post({ flightData, options: { homeBase: 'VIE' }, operator: 'ACME Air', commander: 'Capt. A. Example' });
+    const body = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(body).toMatchObject({
+      success: true,
+      summary: { totalReports: 1, authorityReports: 1 },
+      message: "Generated 1 commander's discretion reports"
+    });
+    expect(body.reports[0]).toMatchObject({
+      operator: 'ACME Air',
+      commander: 'Capt. A. Example',
+      fdp: { actual: '14:30', increase: '01:30' },
+      authorityReportDue: '2025-07-08'
+    });
+    expect(body.text).toMatch(/^COMMANDER'S DISCRETION REPORT \(ORO\.FTL\.205\(f\)\)\nOperator: ACME Air\n/);
+  });
+
+  test('returns plain text on request', async () => {
+    const response = await post({ flightData, options: { homeBase: 'VIE' }, format: 'text' });
+
+    expect(response.headers.get('content-type')).toMatch(/^text\/plain/);
+    expect(await response.text()).toContain('Copy to competent authority: required by 2025-07-08');
+  });
+
+  test('rejects invalid flight data', async () => {
+    const response = await post({ flightData: 'none' });
+
+    expect(response.status).toBe(400);
+    expect(await response.json()).toMatchObject({ error: 'Invalid flight data' });
+  });
+
+  test('rejects an unknown rule set', async () => {
+    const response = await post({ flightData, options: { ruleSet: 'unknown' } });
+
+    expect(response.status).toBe(400);
+  });
+});
+
+describe('POST /api/check-compliance', () => {
+  /**
+   * Post a compliance check request to the endpoint
+   * @param {Object} body - Request body
+   * @param {string} query - Query string, if any
+   * @returns {Promise<Response>} - Fetch response
+   */
+  function post(body, query = '') {
+    return fetch(`${baseUrl}/api/check-compliance${query}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+  }
+
+  test('applies every rule without a selection', async () => {
+    const { complianceResults, summary } = await (await post({ flightData, options: { homeBase: 'VIE' } })).json();
+
+    expect(complianceResults.map(day => [day.status, day.issues.map(issue => issue.type)])).toEqual([
+      ['WARNING', ['COMMANDERS_DISCRETION_USED']],
+      ['ILLEGAL', ['REST_INSUFFICIENT']]
+    ]);
+    expect(summary).toEqual({ totalDays: 2, legalDays: 0, warningDays: 1, illegalDays: 1 });
+  });
+
+  test('follows the rule selection next to the options', async () => {
+    const { complianceResults } = await (await post({
+      flightData,
+      options: { homeBase: 'VIE' },
+      rules: { exclude: ['COMMANDERS_DISCRETION_USED'], severityOverrides: { rest: 'MEDIUM' } }
+    })).json();
+
+    expect(complianceResults.map(day => [day.status, day.issues.map(issue => issue.severity)])).toEqual([
+      ['LEGAL', []],
+      ['WARNING', ['MEDIUM']]
+    ]);
+  });
+
+  test('returns calculation traces with explain=true', async () => {
+    const plain = await (await post({ flightData, options: { homeBase: 'VIE' } })).json();
+    expect(plain.complianceResults[1].issues[0].trace).toBeUndefined();
+
+    for (const [body, query] of [[{ explain: true }, ''], [{}, '?explain=true']]) {
+      const { complianceResults } = await (await post({ flightData, options: { homeBase: 'VIE' }, ...body }, query)).json();
+      expect(complianceResults[1].issues[0].trace).toMatchObject({
+        rule: 'REST_INSUFFICIENT',
+        stage: 'rest',
+        inputs: { date: '2025-06-11', homeBase: 'VIE' },
+        calculation: { operator: '<' }
+      });
+    }
+  });
+
+  test('rejects an operator scheme whose max FDP bands leave a gap', async () => {
+    const operatorScheme = {
+      name: 'Gap',
+      limits: { maxFDP: { bands: [{ from: '06:00', to: '13:29', limits: [13, 12.5, 12, 11.5, 11, 10.5, 10, 9.5, 9] }] } }
+    };
+    const response = await post({ flightData, options: { homeBase: 'VIE', operatorScheme } });
+
+    expect(response.status).toBe(400);
+    expect(await response.json()).toEqual({
+      error: 'Invalid operator scheme',
+      details: ['limits.maxFDP.bands: no band covers 13:30-05:59']
+    });
+  });
+
+  test('rejects an operation the rule set does not cover', async () => {
+    const response = await post({ flightData, options: { homeBase: 'VIE', operation: 'air-taxi' } });
+
+    expect(response.status).toBe(400);
+    expect(await response.json()).toEqual({
+      error: 'Invalid operation',
+      details: ['EASA ORO.FTL covers operations: cat']
+    });
+  });
+
+  test('rejects an invalid rule selection', async () => {
+    const response = await post({ flightData, rules: { include: ['NO_SUCH_RULE'] } });
+
+    expect(response.status).toBe(400);
+    expect(await response.json()).toEqual({
+      error: 'Invalid rule selection',
+      details: ['rules.include: unknown rule or category NO_SUCH_RULE']
+    });
+  });
+});
+
+describe('GET /api/rule-sets', () => {
+  test('lists the EASA, UK CAA and FAA rule sets', async () => {
+    const response = await fetch(`${baseUrl}/api/rule-sets`);
+    const { ruleSets } = await response.json();
+
+    expect(ruleSets.map(ruleSet => [ruleSet.id, ruleSet.authority, ruleSet.extends])).toEqual([
+      ['easa', 'competent authority', null],
+      ['uk-caa', 'UK CAA', 'easa'],
+      ['faa-part117', 'FAA', null]
+    ]);
+  });
+});
+
+describe('GET /api/rules', () => {
+  test('lists the ORO.FTL rules with UK references for the UK CAA', async () => {
+    const response = await fetch(`${baseUrl}/api/rules?ruleSet=uk-caa`);
+    const { rules } = await response.json();
+
+    expect(rules.find(rule => rule.id === 'COMMANDERS_DISCRETION_USED').regulation).toBe('UK ORO.FTL.205(f)(4)');
+  });
+});
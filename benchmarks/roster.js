@@ -0,0 +1,37 @@
+// Time the compliance check of a two-year roster of daily duties.
+// Usage: npm run benchmark [-- <runs>]
+const path = require('path');
+const { checkEASACompliance } = require('../utils/easaChecker');
+
+const FIXTURE = path.join(__dirname, 'fixtures', 'roster-2-years.json');
+
+/**
+ * Check the fixture roster a number of times and report the timings
+ * @param {number} runs - Number of timed runs
+ * @returns {Object} - Duties checked and run times in milliseconds
+ */
+function runBenchmark(runs = 3) {
+  const roster = require(FIXTURE);
+  const times = [];
+
+  for (let run = 0; run < runs; run++) {
+    // The checker sorts its input, so every run gets a fresh copy
+    const flightData = JSON.parse(JSON.stringify(roster));
+    const start = process.hrtime.bigint();
+    checkEASACompliance(flightData, 'all', 'en', { homeBase: 'VIE' });
+    times.push(Number(process.hrtime.bigint() - start) / 1e6);
+  }
+
+  return { duties: roster.length, times };
+}
+
+if (require.main === module) {
+  const runs = parseInt(process.argv[2], 10) || 3;
+  const { duties, times } = runBenchmark(runs);
+  const best = Math.min(...times);
+
+  console.log(`Checked ${duties} duties ${runs} times`);
+  console.log(`Best: ${best.toFixed(0)} ms, mean: ${(times.reduce((sum, time) => sum + time, 0) / runs).toFixed(0)} ms`);
+}
+
+module.exports = { runBenchmark };
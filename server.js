@@ -5,11 +5,15 @@ const compression = require('compression');
 const path = require('path');
 
 // Import our custom modules
-const { checkEASACompliance } = require('./utils/easaChecker');
+const { checkEASACompliance, TRANSLATIONS } = require('./utils/easaChecker');
+const { getRuleSet, getOperations, listRuleSets, isRuleSetSupported, DEFAULT_RULE_SET } = require('./utils/ruleSets');
+const { validateOperatorScheme, resolveRuleSet, loadTenantScheme } = require('./utils/operatorScheme');
+const { listRules, validateRuleSelection, getRuleCategories } = require('./utils/complianceRules');
 const { validateFlightData } = require('./utils/validator');
 const { parseRosterText, ROSTER_FORMAT_EXAMPLE } = require('./utils/rosterParser');
 const { parseRosterBusterCalendar, ROSTER_BUSTER_FORMAT_EXAMPLE } = require('./utils/rosterBusterParser');
 const { parseFlightData, getAvailableFlights, calculateStandbyStats, FLIGHT_DATA_FORMAT_EXAMPLE } = require('./utils/flightDataParser');
+const { generateDiscretionReports, formatDiscretionReport } = require('./utils/discretionReport');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -48,7 +52,7 @@ if (process.env.NODE_ENV === 'production') {
 // API Routes
 app.post('/api/check-compliance', async (req, res) => {
   try {
-    const { flightData, dateScope, language = 'en' } = req.body;
+    const { flightData, dateScope, language = 'en', options = {}, rules, explain } = req.body;
 
     console.log('Received flight data for compliance check:', {
       flights: flightData?.length || 0,
@@ -65,12 +69,28 @@ app.post('/api/check-compliance', async (req, res) => {
       });
     }
 
-    // Check EASA compliance
-    const complianceResults = checkEASACompliance(flightData, dateScope, language);
+    // The rule selection may come with the options or next to them; calculation
+    // traces are requested with explain=true in the body or the query string
+    const requestOptions = rules !== undefined ? { ...options, rules } : { ...options };
+    if (explain === true || explain === 'true' || req.query.explain === 'true') {
+      requestOptions.explain = true;
+    }
+    const resolved = resolveRequestOptions(req, requestOptions);
+    if (resolved.error) {
+      return res.status(400).json({
+        error: resolved.error,
+        details: resolved.details
+      });
+    }
+
+    // Check compliance against the selected rule set
+    const complianceResults = checkEASACompliance(flightData, dateScope, language, resolved.options);
+    const { operatorScheme = null } = resolveRuleSet(resolved.options);
 
     res.json({
       success: true,
       complianceResults: complianceResults,
+      operatorScheme,
       summary: {
         totalDays: complianceResults.length,
         legalDays: complianceResults.filter(day => day.status === 'LEGAL').length,
@@ -88,31 +108,117 @@ app.post('/api/check-compliance', async (req, res) => {
   }
 });
 
-// Get EASA FTL limits for reference
+// Generate commander's discretion reports (ORO.FTL.205(f))
+app.post('/api/commanders-discretion-report', async (req, res) => {
+  try {
+    const { flightData, language = 'en', options = {}, operator, commander, format = 'json' } = req.body;
+
+    console.log('Received commander\'s discretion report request:', {
+      flights: flightData?.length || 0,
+      format
+    });
+
+    // Validate input data
+    const validation = validateFlightData(flightData);
+    if (!validation.isValid) {
+      return res.status(400).json({ 
+        error: 'Invalid flight data',
+        details: validation.errors 
+      });
+    }
+
+    const resolved = resolveRequestOptions(req, options);
+    if (resolved.error) {
+      return res.status(400).json({
+        error: resolved.error,
+        details: resolved.details
+      });
+    }
+
+    const reports = generateDiscretionReports(flightData, language, resolved.options, { operator, commander });
+    const text = reports.map(formatDiscretionReport).join('\n\n');
+
+    if (format === 'text') {
+      return res.type('text/plain').send(text);
+    }
+
+    res.json({
+      success: true,
+      reports,
+      text,
+      summary: {
+        totalReports: reports.length,
+        authorityReports: reports.filter(report => report.authorityReportRequired).length
+      },
+      message: `Generated ${reports.length} commander's discretion reports`
+    });
+
+  } catch (error) {
+    console.error('Error generating discretion reports:', error);
+    res.status(500).json({ 
+      error: 'Failed to generate discretion reports',
+      details: error.message 
+    });
+  }
+});
+
+// Get FTL limits of a rule set for reference
 app.get('/api/ftl-limits', (req, res) => {
-  const { language = 'en' } = req.query;
-  
+  const { language = 'en', ruleSet: ruleSetId = DEFAULT_RULE_SET } = req.query;
+
+  if (!isRuleSetSupported(ruleSetId)) {
+    return res.status(400).json({
+      error: 'Unknown rule set',
+      details: [`Rule set must be one of: ${listRuleSets().map(ruleSet => ruleSet.id).join(', ')}`]
+    });
+  }
+
+  const ruleSet = getRuleSet(ruleSetId);
   const limits = {
-    maxFDP: {
-      '1sector': { start0600: 13, start1800: 11, start0200: 10 },
-      '2sectors': { start0600: 12.5, start1800: 10.5, start0200: 9.5 },
-      '3sectors': { start0600: 12, start1800: 10, start0200: 9 },
-      '4sectors': { start0600: 11.5, start1800: 9.5, start0200: 8.5 },
-      '5sectors': { start0600: 11, start1800: 9, start0200: 8 },
-      '6+sectors': { start0600: 10.5, start1800: 8.5, start0200: 7.5 }
-    },
-    minRest: {
-      standard: 10, // hours
-      extended: 12  // hours after extended FDP
-    },
-    maxFlightTime: {
-      daily: 8,    // hours
-      weekly: 60,  // hours
-      monthly: 190 // hours
-    }
+    maxFDP: ruleSet.limits.maxFDP,
+    minRest: ruleSet.limits.minRest,
+    maxFlightTime: ruleSet.limits.maxFlightTime,
+    maxDutyTime: ruleSet.limits.maxDutyTime
   };
 
-  res.json({ limits, language });
+  res.json({ ruleSet: ruleSet.id, limits, language });
+});
+
+// List the supported regulatory rule sets
+app.get('/api/rule-sets', (req, res) => {
+  res.json({ ruleSets: listRuleSets() });
+});
+
+// List the compliance rules a check can include, exclude or re-grade
+app.get('/api/rules', (req, res) => {
+  const { language = 'en', ruleSet: ruleSetId = DEFAULT_RULE_SET } = req.query;
+
+  if (!isRuleSetSupported(ruleSetId)) {
+    return res.status(400).json({
+      error: 'Unknown rule set',
+      details: [`Rule set must be one of: ${listRuleSets().map(ruleSet => ruleSet.id).join(', ')}`]
+    });
+  }
+
+  const ruleSet = getRuleSet(ruleSetId);
+  const t = TRANSLATIONS[language] || TRANSLATIONS.en;
+  res.json({ ruleSet: ruleSet.id, categories: getRuleCategories(ruleSet), rules: listRules(t, ruleSet), language });
+});
+
+// Validate an operator scheme and list the CS limits it overrides
+app.post('/api/operator-scheme/validate', (req, res) => {
+  const { scheme, ruleSet, operation } = req.body;
+  const validation = validateOperatorScheme(scheme, ruleSet, operation);
+
+  if (!validation.isValid) {
+    return res.status(400).json({
+      error: 'Invalid operator scheme',
+      details: validation.errors
+    });
+  }
+
+  const { operatorScheme } = resolveRuleSet({ ruleSet, operation, operatorScheme: scheme });
+  res.json({ success: true, operatorScheme });
 });
 
 // Parse roster text endpoint
@@ -190,6 +296,82 @@ app.post('/api/parse-roster', async (req, res) => {
   }
 });
 
+/**
+ * Resolve the rule set, operation, rule selection, traces, fatigue model and operator scheme of a compliance request
+ * A scheme sent with the request wins over the tenant's approved scheme, which is
+ * selected with the X-Tenant-Id header or options.tenant.
+ * @param {Object} req - Express request
+ * @param {Object} options - Operator options from the request body
+ * @returns {Object} - Options with the operator scheme, or error and details
+ */
+function resolveRequestOptions(req, options) {
+  if (options.ruleSet && !isRuleSetSupported(options.ruleSet)) {
+    return {
+      error: 'Unknown rule set',
+      details: [`Rule set must be one of: ${listRuleSets().map(ruleSet => ruleSet.id).join(', ')}`]
+    };
+  }
+
+  if (options.crewCategory) {
+    const ruleSet = getRuleSet(options.ruleSet);
+    if (!ruleSet.crewCategories.includes(options.crewCategory)) {
+      return {
+        error: 'Invalid crew category',
+        details: [`${ruleSet.name} covers crew categories: ${ruleSet.crewCategories.join(', ')}`]
+      };
+    }
+  }
+
+  if (options.operation) {
+    const ruleSet = getRuleSet(options.ruleSet);
+    if (!getOperations(ruleSet).includes(options.operation)) {
+      return {
+        error: 'Invalid operation',
+        details: [`${ruleSet.name} covers operations: ${getOperations(ruleSet).join(', ')}`]
+      };
+    }
+  }
+
+  if (options.rules !== undefined) {
+    const validation = validateRuleSelection(options.rules, getRuleSet(options.ruleSet));
+    if (!validation.isValid) {
+      return { error: 'Invalid rule selection', details: validation.errors };
+    }
+  }
+
+  if (options.fatigueModel) {
+    const ruleSet = getRuleSet(options.ruleSet);
+    if (ruleSet.checkRoster) {
+      return {
+        error: 'Fatigue model not supported',
+        details: [`${ruleSet.name} runs its own checks; the fatigue model applies to ORO.FTL rule sets`]
+      };
+    }
+  }
+
+  const tenant = req.get('X-Tenant-Id') || options.tenant;
+  let operatorScheme = options.operatorScheme;
+
+  if (!operatorScheme && tenant) {
+    try {
+      operatorScheme = loadTenantScheme(tenant);
+    } catch (error) {
+      return { error: 'Invalid operator scheme', details: [error.message] };
+    }
+  }
+
+  if (!operatorScheme) {
+    return { options };
+  }
+
+  const validation = validateOperatorScheme(operatorScheme, options.ruleSet, options.operation);
+  if (!validation.isValid) {
+    return { error: 'Invalid operator scheme', details: validation.errors };
+  }
+
+  return { options: { ...options, operatorScheme } };
+}
+
 /**
  * Detect if the roster text is in Roster Buster calendar format
  * @param {string} rosterText - The roster text to analyze
@@ -356,8 +538,12 @@ app.use((error, req, res, next) => {
   res.status(500).json({ error: 'Internal server error' });
 });
 
-app.listen(PORT, () => {
-  console.log(`🚀 EASA FTL Checker server running on port ${PORT}`);
-  console.log(`📊 Health check: http://localhost:${PORT}/api/health`);
-  console.log(`✈️  Manual flight entry mode - No OCR required`);
-}); 
\ No newline at end of file
+if (require.main === module) {
+  app.listen(PORT, () => {
+    console.log(`🚀 EASA FTL Checker server running on port ${PORT}`);
+    console.log(`📊 Health check: http://localhost:${PORT}/api/health`);
+    console.log(`✈️  Manual flight entry mode - No OCR required`);
+  });
+}
+
+module.exports = app; 
\ No newline at end of file
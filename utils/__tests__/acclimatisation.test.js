@@ -0,0 +1,107 @@
+const { getAcclimatisationState, trackAcclimatisation } = require('../acclimatisation');
+
+/**
+ * Create a one-sector duty given as UTC instants
+ * @param {string} departure - Departure airport
+ * @param {string} arrival - Arrival airport
+ * @param {string} reportAt - Report instant
+ * @returns {Object} - Flight duty
+ */
+function sector(departure, arrival, reportAt) {
+  return {
+    type: 'FLIGHT',
+    reportAt,
+    flights: [{ departure, arrival, departureAt: reportAt, arrivalAt: reportAt }]
+  };
+}
+
+describe('getAcclimatisationState', () => {
+  test('looks up the ORO.FTL.105 table by time difference and elapsed time', () => {
+    expect(getAcclimatisationState(3, 10)).toBe('B');
+    expect(getAcclimatisationState(3, 48)).toBe('D');
+    expect(getAcclimatisationState(6, 47.9)).toBe('B');
+    expect(getAcclimatisationState(6, 48)).toBe('X');
+    expect(getAcclimatisationState(6, 72)).toBe('D');
+    expect(getAcclimatisationState(9, 95.9)).toBe('X');
+    expect(getAcclimatisationState(9, 96)).toBe('D');
+    expect(getAcclimatisationState(12, 119.9)).toBe('X');
+    expect(getAcclimatisationState(12, 120)).toBe('D');
+  });
+
+  test('takes time differences of 4 hours into the second row', () => {
+    expect(getAcclimatisationState(4, 48)).toBe('X');
+  });
+});
+
+describe('trackAcclimatisation', () => {
+  // VIE-JFK, then duties out of New York 2, 3 and 5 days after reporting in Vienna
+  const roster = [
+    sector('VIE', 'JFK', '2025-06-01T08:00:00Z'),
+    sector('JFK', 'BOS', '2025-06-02T14:00:00Z'),
+    sector('JFK', 'BOS', '2025-06-03T14:00:00Z'),
+    sector('JFK', 'BOS', '2025-06-04T14:00:00Z')
+  ];
+
+  test('starts acclimatised to the first departure', () => {
+    const states = trackAcclimatisation(roster);
+
+    expect(states.get(roster[0])).toMatchObject({
+      state: 'B',
+      acclimatisedTimezone: 'Europe/Vienna',
+      timeDifference: 0,
+      elapsedHours: 0,
+      referenceTimezone: 'Europe/Vienna',
+      referenceTime: '10:00'
+    });
+  });
+
+  test('keeps the reference time of the home time zone while in state B', () => {
+    expect(trackAcclimatisation(roster).get(roster[1])).toMatchObject({
+      state: 'B',
+      acclimatisedTimezone: 'Europe/Vienna',
+      departureTimezone: 'America/New_York',
+      timeDifference: 6,
+      elapsedHours: 30,
+      referenceTime: '16:00'
+    });
+  });
+
+  test('has no reference time zone in an unknown state', () => {
+    expect(trackAcclimatisation(roster).get(roster[2])).toMatchObject({
+      state: 'X',
+      elapsedHours: 54,
+      referenceTimezone: null
+    });
+  });
+
+  test('acclimatises to the departure time zone on state D', () => {
+    const states = trackAcclimatisation(roster);
+
+    expect(states.get(roster[3])).toMatchObject({
+      state: 'D',
+      acclimatisedTimezone: 'America/New_York',
+      referenceTimezone: 'America/New_York',
+      referenceTime: '10:00'
+    });
+  });
+
+  test('restarts the elapsed time when reporting in the time zone of acclimatisation', () => {
+    const back = [
+      sector('VIE', 'JFK', '2025-06-01T08:00:00Z'),
+      sector('JFK', 'VIE', '2025-06-02T22:00:00Z'),
+      sector('VIE', 'JFK', '2025-06-05T08:00:00Z'),
+      sector('JFK', 'BOS', '2025-06-06T14:00:00Z')
+    ];
+    const states = trackAcclimatisation(back);
+
+    expect(states.get(back[2])).toMatchObject({ state: 'B', elapsedHours: 0 });
+    expect(states.get(back[3])).toMatchObject({ state: 'B', elapsedHours: 30 });
+  });
+
+  test('skips duties without a known departure airport', () => {
+    const standby = { type: 'STANDBY', date: '2025-06-02', reportTime: '06:00' };
+    const states = trackAcclimatisation([roster[0], standby]);
+
+    expect(states.has(standby)).toBe(false);
+  });
+});
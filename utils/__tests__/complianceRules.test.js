@@ -0,0 +1,187 @@
+const {
+  DEFAULT_RULE_SELECTION,
+  getRule,
+  getRuleCategories,
+  listRules,
+  validateRuleSelection,
+  resolveRuleSelection,
+  applyRules
+} = require('../complianceRules');
+const { getRuleSet } = require('../ruleSets');
+const { resolveRuleSet } = require('../operatorScheme');
+const { TRANSLATIONS } = require('../easaChecker');
+
+const t = TRANSLATIONS.en;
+
+/**
+ * Create an empty day result
+ * @returns {Object} - Day result as the checker starts it
+ */
+function createResult() {
+  return { status: t.LEGAL, issues: [], calculations: {} };
+}
+
+/**
+ * Get the facts of the rest stage for a rest against its minimum
+ * @param {number} rest - Rest in hours
+ * @param {number} minRest - Minimum rest in hours
+ * @returns {Object} - Rest stage facts
+ */
+function restFacts(rest, minRest) {
+  return {
+    rest,
+    restRequirement: { minRest, restIncrease: 0, precedingDutyPeriod: 8, atHomeBase: true, discretionMinRest: null, travelTime: 0 },
+    reducedRest: null,
+    ftlLimits: getRuleSet('easa').limits
+  };
+}
+
+describe('validateRuleSelection', () => {
+  test('accepts no selection', () => {
+    expect(validateRuleSelection(undefined)).toEqual({ isValid: true, errors: [] });
+  });
+
+  test('reports unknown rules, categories, options and severities', () => {
+    const validation = validateRuleSelection({
+      include: ['fdp', 'NO_SUCH_RULE'],
+      exclude: 'rest',
+      severityOverrides: { REST_INSUFFICIENT: 'CRITICAL', nowhere: 'LOW' },
+      only: []
+    });
+
+    expect(validation.isValid).toBe(false);
+    expect(validation.errors).toEqual([
+      'rules.only: unknown option',
+      'rules.include: unknown rule or category NO_SUCH_RULE',
+      'rules.exclude must be an array of rule ids or categories',
+      'rules.severityOverrides.REST_INSUFFICIENT must be one of: HIGH, MEDIUM, LOW',
+      'rules.severityOverrides: unknown rule or category nowhere'
+    ]);
+  });
+
+  test('checks selectors against the rules of the rule set', () => {
+    const faa = getRuleSet('faa-part117');
+
+    expect(validateRuleSelection({ include: ['RESERVE_AVAILABILITY_EXCEEDED'] }, faa).isValid).toBe(true);
+    expect(validateRuleSelection({ include: ['RESERVE_AVAILABILITY_EXCEEDED'] }).errors)
+      .toEqual(['rules.include: unknown rule or category RESERVE_AVAILABILITY_EXCEEDED']);
+    expect(validateRuleSelection({ exclude: ['timeZone'] }, faa).errors)
+      .toEqual(['rules.exclude: unknown rule or category timeZone']);
+  });
+});
+
+describe('resolveRuleSelection', () => {
+  test('throws on an unknown rule id', () => {
+    expect(() => resolveRuleSelection({ exclude: ['NO_SUCH_RULE'] }))
+      .toThrow('Invalid rule selection: rules.exclude: unknown rule or category NO_SUCH_RULE');
+  });
+
+  test('enables every rule at its default severity without a selection', () => {
+    expect(DEFAULT_RULE_SELECTION.enabled.has('FDP_EXCEEDED')).toBe(true);
+    expect(DEFAULT_RULE_SELECTION.enabled.has('FDP_CLOSE_TO_LIMIT')).toBe(true);
+    expect(DEFAULT_RULE_SELECTION.severities.get('DELAYED_REPORTING_NOTIFIED_LATE')).toBe('MEDIUM');
+  });
+
+  test('lets exclude win over include', () => {
+    const selection = resolveRuleSelection({ include: ['fdp', 'rest'], exclude: ['FDP_CLOSE_TO_LIMIT', 'SLEEP_OPPORTUNITY_INSUFFICIENT'] });
+
+    expect(selection.enabled.has('FDP_EXCEEDED')).toBe(true);
+    expect(selection.enabled.has('REST_INSUFFICIENT')).toBe(true);
+    expect(selection.enabled.has('SLEEP_OPPORTUNITY_INSUFFICIENT')).toBe(false);
+    expect(selection.enabled.has('FDP_CLOSE_TO_LIMIT')).toBe(false);
+    expect(selection.enabled.has('WEEKLY_DUTY_TIME_EXCEEDED')).toBe(false);
+  });
+
+  test('lets a rule override win over its category override', () => {
+    const selection = resolveRuleSelection({
+      severityOverrides: { rest: 'LOW', REST_INSUFFICIENT: 'MEDIUM' }
+    });
+
+    expect(selection.severities.get('REST_INSUFFICIENT')).toBe('MEDIUM');
+    expect(selection.severities.get('SLEEP_OPPORTUNITY_INSUFFICIENT')).toBe('LOW');
+    expect(selection.severities.get('FDP_EXCEEDED')).toBe('HIGH');
+  });
+
+  test('resolves the rules of the rule set', () => {
+    const faa = getRuleSet('faa-part117');
+    const selection = resolveRuleSelection({ exclude: ['cumulative'] }, faa);
+
+    expect(selection.rules).toBe(faa.rules);
+    expect(selection.enabled.has('FREE_FROM_DUTY_INSUFFICIENT')).toBe(true);
+    expect(selection.enabled.has('FDP_168_HOURS_EXCEEDED')).toBe(false);
+    expect(selection.enabled.has('STANDBY_DURATION_EXCEEDED')).toBe(false);
+  });
+});
+
+describe('applyRules', () => {
+  test('makes a day ILLEGAL for a HIGH issue', () => {
+    const result = createResult();
+    applyRules(result, 'rest', restFacts(10, 12), t);
+
+    expect(result.status).toBe(t.ILLEGAL);
+    expect(result.issues.map(issue => [issue.type, issue.severity])).toEqual([['REST_INSUFFICIENT', 'HIGH']]);
+    expect(result.issues[0].trace).toBeUndefined();
+  });
+
+  test('follows severity overrides', () => {
+    const warning = createResult();
+    applyRules(warning, 'rest', restFacts(10, 12), t, resolveRuleSelection({ severityOverrides: { rest: 'MEDIUM' } }));
+    expect(warning.status).toBe(t.WARNING);
+    expect(warning.issues[0].severity).toBe('MEDIUM');
+
+    const low = createResult();
+    applyRules(low, 'rest', restFacts(10, 12), t, resolveRuleSelection({ severityOverrides: { REST_INSUFFICIENT: 'LOW' } }));
+    expect(low.status).toBe(t.LEGAL);
+    expect(low.issues[0].severity).toBe('LOW');
+  });
+
+  test('skips excluded rules and rules of other stages', () => {
+    const excluded = createResult();
+    applyRules(excluded, 'rest', restFacts(10, 12), t, resolveRuleSelection({ exclude: ['REST_INSUFFICIENT'] }));
+    expect(excluded).toEqual(createResult());
+
+    const otherStage = createResult();
+    applyRules(otherStage, 'fatigue', restFacts(10, 12), t, resolveRuleSelection({ include: ['REST_INSUFFICIENT'] }));
+    expect(otherStage.issues).toEqual([]);
+  });
+
+  test('traces the calculation with explain', () => {
+    const result = createResult();
+    applyRules(result, 'rest', restFacts(10, 12), t, { ...DEFAULT_RULE_SELECTION, explain: true });
+
+    expect(result.issues[0].trace).toEqual({
+      rule: 'REST_INSUFFICIENT',
+      stage: 'rest',
+      inputs: null,
+      lookup: null,
+      window: null,
+      calculation: expect.objectContaining({ actual: 10, operator: '<', limit: 12, expression: '10:00 < 12:00' })
+    });
+  });
+
+  test('records the source of the limits of an operator scheme, also without issues', () => {
+    const ruleSet = resolveRuleSet({
+      operatorScheme: { name: 'Longer rest', limits: { minRest: { homeBase: 13 } } }
+    });
+    const result = createResult();
+    applyRules(result, 'rest', restFacts(14, 13), t, { ...DEFAULT_RULE_SELECTION, operatorScheme: ruleSet.operatorScheme });
+
+    expect(result.issues).toEqual([]);
+    expect(result.calculations.limitSources.REST_INSUFFICIENT)
+      .toEqual({ limitSource: 'operator', operatorLimits: ['minRest.homeBase'] });
+  });
+});
+
+describe('listRules', () => {
+  test('lists the rules and categories of a rule set', () => {
+    const faa = getRuleSet('faa-part117');
+    const rules = listRules(t, faa);
+
+    expect(rules.map(rule => rule.id)).toContain('RESERVE_COMBINED_DUTY_EXCEEDED');
+    expect(rules.map(rule => rule.id)).not.toContain('SPLIT_DUTY_NOT_APPLICABLE');
+    expect(rules.every(rule => rule.regulation.startsWith('14 CFR 117'))).toBe(true);
+    expect(Object.keys(getRuleCategories(faa)).sort())
+      .toEqual([...new Set(faa.rules.map(rule => rule.category))].sort());
+    expect(getRule('FDP_CLOSE_TO_LIMIT', faa).regulatory).toBe(false);
+  });
+});
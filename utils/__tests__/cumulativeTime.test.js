@@ -0,0 +1,104 @@
+const moment = require('moment-timezone');
+const { createCumulativeIndex, sumWindow } = require('../cumulativeTime');
+const { calculateCumulativeFlightTime } = require('../easaChecker');
+const { normalizeDuty, getFlightInstants } = require('../dutyTimes');
+const fixture = require('../../benchmarks/fixtures/roster-2-years.json');
+
+/**
+ * Create a window of whole UTC days
+ * @param {string} start - First day (YYYY-MM-DD)
+ * @param {string} end - Day after the last day (YYYY-MM-DD)
+ * @returns {Object} - Window with start and end moments at 00:00 UTC
+ */
+function days(start, end) {
+  return { start: moment.utc(start), end: moment.utc(end) };
+}
+
+describe('createCumulativeIndex', () => {
+  test('splits a period at midnight UTC', () => {
+    const index = createCumulativeIndex([
+      { start: moment.utc('2025-03-01T22:00:00Z'), end: moment.utc('2025-03-02T02:30:00Z'), weight: 1 }
+    ]);
+
+    expect(sumWindow(index, days('2025-03-01', '2025-03-02'))).toBe(2);
+    expect(sumWindow(index, days('2025-03-02', '2025-03-03'))).toBe(2.5);
+    expect(sumWindow(index, days('2025-03-01', '2025-03-03'))).toBe(4.5);
+  });
+
+  test('splits a period given in local time at midnight UTC', () => {
+    // 23:00-03:00 in Vienna (UTC+1) is 22:00-02:00 UTC
+    const index = createCumulativeIndex([
+      { start: moment.tz('2025-03-01 23:00', 'Europe/Vienna'), end: moment.tz('2025-03-02 03:00', 'Europe/Vienna'), weight: 1 }
+    ]);
+
+    expect(sumWindow(index, days('2025-03-01', '2025-03-02'))).toBe(2);
+    expect(sumWindow(index, days('2025-03-02', '2025-03-03'))).toBe(2);
+  });
+
+  test('weights periods', () => {
+    const index = createCumulativeIndex([
+      { start: moment.utc('2025-03-01T08:00:00Z'), end: moment.utc('2025-03-01T12:00:00Z'), weight: 1 },
+      { start: moment.utc('2025-03-03T08:00:00Z'), end: moment.utc('2025-03-03T12:00:00Z'), weight: 0.5 }
+    ]);
+
+    expect(sumWindow(index, days('2025-03-01', '2025-03-04'))).toBe(6);
+  });
+
+  test('returns an empty index without periods', () => {
+    const index = createCumulativeIndex([]);
+
+    expect(index).toEqual({ firstDay: 0, prefix: [0] });
+    expect(sumWindow(index, days('2025-03-01', '2025-03-29'))).toBe(0);
+  });
+});
+
+describe('sumWindow', () => {
+  const index = createCumulativeIndex([
+    { start: moment.utc('2025-03-01T08:00:00Z'), end: moment.utc('2025-03-01T10:00:00Z'), weight: 1 },
+    { start: moment.utc('2025-03-05T08:00:00Z'), end: moment.utc('2025-03-05T11:00:00Z'), weight: 1 },
+    { start: moment.utc('2025-03-08T08:00:00Z'), end: moment.utc('2025-03-08T12:00:00Z'), weight: 1 }
+  ]);
+
+  test('includes the first day and excludes the day the window ends', () => {
+    expect(sumWindow(index, days('2025-03-05', '2025-03-08'))).toBe(3);
+    expect(sumWindow(index, days('2025-03-05', '2025-03-09'))).toBe(7);
+    expect(sumWindow(index, days('2025-03-06', '2025-03-08'))).toBe(0);
+  });
+
+  test('clamps windows reaching beyond the indexed days', () => {
+    expect(sumWindow(index, days('2025-02-01', '2025-03-02'))).toBe(2);
+    expect(sumWindow(index, days('2025-03-02', '2025-04-01'))).toBe(7);
+    expect(sumWindow(index, days('2025-02-01', '2025-04-01'))).toBe(9);
+    expect(sumWindow(index, days('2025-01-01', '2025-02-01'))).toBe(0);
+    expect(sumWindow(index, days('2025-04-01', '2025-05-01'))).toBe(0);
+  });
+});
+
+describe('cumulative flight time of a roster', () => {
+  const roster = fixture.map(duty => normalizeDuty(duty, 'Europe/Vienna'));
+
+  /**
+   * Sum the sector blocks overlapping a window directly
+   * @param {Object} window - Window with start and end moments
+   * @returns {number} - Flight time in hours within the window
+   */
+  function directSum(window) {
+    return roster
+      .filter(duty => duty.type === 'FLIGHT')
+      .flatMap(duty => getFlightInstants(duty))
+      .filter(({ flight }) => !flight.positioning)
+      .reduce((total, { departure, arrival }) => {
+        const start = moment.max(departure, window.start);
+        const end = moment.min(arrival, window.end);
+        return end.isAfter(start) ? total + end.diff(start, 'hours', true) : total;
+      }, 0);
+  }
+
+  test('matches a direct sum of the sectors in 28-day windows across the two years', () => {
+    ['2023-01-28', '2023-07-15', '2024-02-29', '2024-12-31'].forEach(date => {
+      const window = days(moment.utc(date).subtract(27, 'days').format('YYYY-MM-DD'), moment.utc(date).add(1, 'day').format('YYYY-MM-DD'));
+
+      expect(calculateCumulativeFlightTime(roster, date, 28, 'days')).toBeCloseTo(directSum(window), 6);
+    });
+  });
+});
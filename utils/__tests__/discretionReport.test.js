@@ -0,0 +1,98 @@
+const { generateDiscretionReports, formatDiscretionReport } = require('../discretionReport');
+
+// A 14:30 FDP increased by 1:30 at the commander's discretion, followed by a rest reduced by 1:30
+const roster = [
+  {
+    date: '2025-06-10',
+    type: 'FLIGHT',
+    reportTime: '06:00',
+    offDutyTime: '20:30',
+    commandersDiscretion: { hours: 1.5, reason: 'ATC delay at CDG', restReduction: 1.5, commander: 'Capt. A. Example' },
+    flights: [
+      { flightNumber: 'OS411', departure: 'VIE', arrival: 'CDG', departureTime: '07:00', arrivalTime: '09:00' },
+      { flightNumber: 'OS412', departure: 'CDG', arrival: 'VIE', departureTime: '17:45', arrivalTime: '20:00' }
+    ]
+  },
+  {
+    date: '2025-06-11',
+    type: 'FLIGHT',
+    reportTime: '07:30',
+    offDutyTime: '12:00',
+    flights: [
+      { flightNumber: 'OS125', departure: 'VIE', arrival: 'FRA', departureTime: '08:30', arrivalTime: '10:00' },
+      { flightNumber: 'OS126', departure: 'FRA', arrival: 'VIE', departureTime: '10:30', arrivalTime: '11:45' }
+    ]
+  }
+];
+
+describe('generateDiscretionReports', () => {
+  test('reports the FDP increase and the reduced rest that follows it', () => {
+    const [report, ...others] = generateDiscretionReports(roster, 'en', { homeBase: 'VIE' }, { operator: 'ACME Air' });
+
+    expect(others).toEqual([]);
+    expect(report).toMatchObject({
+      regulation: 'ORO.FTL.205(f)',
+      authority: 'competent authority',
+      operator: 'ACME Air',
+      commander: 'Capt. A. Example',
+      date: '2025-06-10',
+      reportTime: '06:00',
+      offDutyTime: '20:30',
+      fdp: { actual: '14:30', maxBasic: '13:00', increase: '01:30', maxIncrease: '02:00' },
+      rest: { actual: '11:00', minRest: '14:30', reduction: '01:30', minRestAfterReduction: '13:00' },
+      reason: 'ATC delay at CDG',
+      status: 'WARNING',
+      authorityReportRequired: true,
+      authorityReportDue: '2025-07-08'
+    });
+    expect(report.issues.map(issue => [issue.type, issue.regulation])).toEqual([
+      ['COMMANDERS_DISCRETION_USED', 'ORO.FTL.205(f)(4)'],
+      ['REST_INSUFFICIENT', 'ORO.FTL.205(f)(1)(iii)']
+    ]);
+  });
+
+  test('sends increases of up to 1 hour to the operator only', () => {
+    const small = JSON.parse(JSON.stringify(roster));
+    small[0].offDutyTime = '19:30';
+    small[0].flights[1] = { ...small[0].flights[1], departureTime: '16:45', arrivalTime: '19:00' };
+    small[0].commandersDiscretion = { hours: 0.5, reason: 'Late passengers' };
+    const [report] = generateDiscretionReports(small, 'en', { homeBase: 'VIE' }, { commander: 'Capt. B. Example' });
+
+    expect(report).toMatchObject({
+      commander: 'Capt. B. Example',
+      fdp: { increase: '00:30' },
+      rest: null,
+      authorityReportRequired: false,
+      authorityReportDue: 'N/A'
+    });
+  });
+
+  test('reports nothing for a roster without discretion', () => {
+    expect(generateDiscretionReports(roster.slice(1), 'en', { homeBase: 'VIE' })).toEqual([]);
+  });
+});
+
+describe('formatDiscretionReport', () => {
+  test('prints the report with the copy to the authority', () => {
+    const [report] = generateDiscretionReports(roster, 'en', { homeBase: 'VIE' }, { operator: 'ACME Air' });
+
+    expect(formatDiscretionReport(report).split('\n')).toEqual([
+      "COMMANDER'S DISCRETION REPORT (ORO.FTL.205(f))",
+      'Operator: ACME Air',
+      'Commander: Capt. A. Example',
+      'Date: 2025-06-10',
+      'Flights: OS411 VIE-CDG 07:00-09:00, OS412 CDG-VIE 17:45-20:00',
+      'Reporting time: 06:00',
+      'Off-duty time: 20:30',
+      'Augmented crew: No',
+      'FDP: 14:30 (max basic 13:00, increased by 01:30, limit 02:00)',
+      'Rest after FDP: 11:00 (min 14:30, reduced by 01:30, reduced min 13:00)',
+      'Reason: ATC delay at CDG',
+      'Compliance status: WARNING',
+      'Copy to competent authority: required by 2025-07-08',
+      'Issues:',
+      "- FDP increased at commander's discretion - report required: 14:30 > 13:00 (+01:30) (ORO.FTL.205(f)(4))",
+      '- Rest period insufficient: 11:00 < 13:00 (ORO.FTL.205(f)(1)(iii))'
+    ]);
+  });
+});
@@ -0,0 +1,157 @@
+const {
+  normalizeDuty,
+  getFlightInstants,
+  getOffDutyInstant,
+  calculateFDP,
+  calculateFlightTime
+} = require('../dutyTimes');
+const { calculateRest } = require('../easaChecker');
+
+// VIE-JFK with local times: 10:00 in Vienna is 08:00Z, 12:30 in New York 16:30Z
+const westbound = {
+  date: '2025-06-01',
+  type: 'FLIGHT',
+  reportTime: '08:30',
+  offDutyTime: '13:00',
+  flights: [{ flightNumber: 'OS87', departure: 'VIE', arrival: 'JFK', departureTime: '10:00', arrivalTime: '12:30' }]
+};
+
+// JFK-VIE overnight: 18:00 in New York is 22:00Z, 08:00 in Vienna the next day 06:00Z
+const eastbound = {
+  date: '2025-06-03',
+  type: 'FLIGHT',
+  reportTime: '17:00',
+  offDutyTime: '08:30',
+  flights: [{ flightNumber: 'OS88', departure: 'JFK', arrival: 'VIE', departureTime: '18:00', arrivalTime: '08:00' }]
+};
+
+describe('getFlightInstants', () => {
+  test('reads departures and arrivals on the clocks of their airports', () => {
+    const [{ departure, arrival }] = getFlightInstants(westbound);
+
+    expect(departure.toISOString()).toBe('2025-06-01T08:00:00.000Z');
+    expect(arrival.toISOString()).toBe('2025-06-01T16:30:00.000Z');
+  });
+
+  test('puts an arrival earlier on the arrival clock on the next day', () => {
+    const [{ departure, arrival }] = getFlightInstants(eastbound);
+
+    expect(departure.toISOString()).toBe('2025-06-03T22:00:00.000Z');
+    expect(arrival.toISOString()).toBe('2025-06-04T06:00:00.000Z');
+  });
+
+  test('takes given arrival zones over the airport', () => {
+    const flight = { ...westbound.flights[0], arrival: 'XXX', arrivalZone: 'America/New_York' };
+    const [{ arrival }] = getFlightInstants({ ...westbound, flights: [flight] });
+
+    expect(arrival.toISOString()).toBe('2025-06-01T16:30:00.000Z');
+  });
+});
+
+describe('getOffDutyInstant', () => {
+  test('reads the off-duty time where the last flight arrives', () => {
+    expect(getOffDutyInstant(westbound).toISOString()).toBe('2025-06-01T17:00:00.000Z');
+    expect(getOffDutyInstant(eastbound).toISOString()).toBe('2025-06-04T06:30:00.000Z');
+  });
+});
+
+describe('calculateFlightTime', () => {
+  test('measures block times between the instants of each sector', () => {
+    expect(calculateFlightTime(westbound)).toBe(8.5);
+    expect(calculateFlightTime(eastbound)).toBe(8);
+    expect(calculateFlightTime(normalizeDuty(westbound))).toBe(8.5);
+  });
+
+  test('does not count positioning', () => {
+    const flights = [{ ...westbound.flights[0], positioning: true }];
+
+    expect(calculateFlightTime({ ...westbound, flights })).toBe(0);
+    expect(calculateFlightTime({ date: '2025-06-01', type: 'ADMIN' })).toBe(0);
+  });
+});
+
+describe('calculateFDP', () => {
+  test('runs from the report to the off-duty instant across time zones', () => {
+    expect(calculateFDP(westbound)).toBe(10.5);
+    expect(calculateFDP(eastbound)).toBe(9.5);
+  });
+});
+
+describe('normalizeDuty', () => {
+  test('builds the instants of a duty given in local times', () => {
+    const normalized = normalizeDuty(westbound);
+
+    expect(normalized).toMatchObject({
+      date: '2025-06-01',
+      reportTime: '08:30',
+      offDutyTime: '13:00',
+      reportZone: 'Europe/Vienna',
+      reportAt: '2025-06-01T06:30:00.000Z',
+      offDutyAt: '2025-06-01T17:00:00.000Z'
+    });
+    expect(normalized.flights[0]).toMatchObject({
+      departureTime: '10:00',
+      arrivalTime: '12:30',
+      departureZone: 'Europe/Vienna',
+      arrivalZone: 'America/New_York',
+      departureAt: '2025-06-01T08:00:00.000Z',
+      arrivalAt: '2025-06-01T16:30:00.000Z'
+    });
+  });
+
+  test('derives the local times of instants on the clocks they happen on', () => {
+    const normalized = normalizeDuty({
+      type: 'FLIGHT',
+      reportAt: '2025-06-01T06:30:00Z',
+      offDutyAt: '2025-06-01T17:00:00Z',
+      flights: [{ departure: 'VIE', arrival: 'JFK', departureAt: '2025-06-01T08:00:00Z', arrivalAt: '2025-06-01T16:30:00Z' }]
+    });
+
+    expect(normalized).toMatchObject({ date: '2025-06-01', reportTime: '08:30', offDutyTime: '13:00' });
+    expect(normalized.flights[0]).toMatchObject({ departureTime: '10:00', arrivalTime: '12:30' });
+  });
+
+  test('returns the same duty when normalised again', () => {
+    const normalized = normalizeDuty(eastbound);
+
+    expect(normalizeDuty(normalized)).toEqual(normalized);
+  });
+
+  test('reads duties without an airport on the home base clock', () => {
+    const standby = { date: '2025-06-01', type: 'STANDBY', reportTime: '06:00', offDutyTime: '14:00' };
+
+    expect(normalizeDuty(standby)).toBe(standby);
+    expect(normalizeDuty(standby, 'Europe/Vienna')).toMatchObject({
+      reportZone: 'Europe/Vienna',
+      reportAt: '2025-06-01T04:00:00.000Z',
+      offDutyAt: '2025-06-01T12:00:00.000Z'
+    });
+  });
+
+  test('builds no instants from times it cannot read', () => {
+    expect(normalizeDuty({ ...westbound, date: 'June 1st' })).toEqual({ ...westbound, date: 'June 1st' });
+
+    const unreadable = { ...westbound, reportTime: '8.30' };
+    expect(normalizeDuty(unreadable)).toBe(unreadable);
+  });
+});
+
+describe('calculateRest', () => {
+  test('measures the rest between instants after crossing time zones', () => {
+    const vienna = {
+      date: '2025-06-05',
+      type: 'FLIGHT',
+      reportTime: '07:00',
+      offDutyTime: '10:00',
+      flights: [{ departure: 'VIE', arrival: 'FRA', departureTime: '08:00', arrivalTime: '09:30' }]
+    };
+
+    expect(calculateRest(normalizeDuty(eastbound), normalizeDuty(vienna))).toBe(22.5);
+  });
+
+  test('does not move a duty reported before the previous off duty to the next day', () => {
+    const early = { date: '2025-06-04', type: 'ADMIN', reportTime: '08:00', offDutyTime: '12:00', reportZone: 'Europe/Vienna' };
+
+    expect(calculateRest(normalizeDuty(eastbound), normalizeDuty(early))).toBe(-0.5);
+  });
+});
@@ -0,0 +1,1183 @@
+const moment = require('moment-timezone');
+const { checkEASACompliance, getMaxFDP } = require('../easaChecker');
+
+/**
+ * Check a roster against the EASA rule set
+ * @param {Array} roster - Duty periods
+ * @param {Object} options - Operator options
+ * @returns {Array} - Compliance results
+ */
+function check(roster, options = {}) {
+  return checkEASACompliance(JSON.parse(JSON.stringify(roster)), 'all', 'en', { homeBase: 'VIE', ...options });
+}
+
+describe('getMaxFDP', () => {
+  test('looks up Table 2 by reference time and sectors', () => {
+    expect(getMaxFDP('06:00', 2)).toMatchObject({
+      hours: 13,
+      table: 'ORO.FTL.205(b)(1) Table 2',
+      row: '06:00-13:29',
+      column: '1-2',
+      unknownAcclimatisation: false
+    });
+    expect(getMaxFDP('13:29', 1).hours).toBe(13);
+    expect(getMaxFDP('13:30', 1).hours).toBe(12.75);
+    expect(getMaxFDP('05:20', 4)).toMatchObject({ hours: 11.25, row: '05:15-05:29', column: '4' });
+  });
+
+  test('wraps the 17:00-04:59 band across midnight', () => {
+    expect(getMaxFDP('17:00', 3)).toMatchObject({ hours: 10.5, row: '17:00-04:59' });
+    expect(getMaxFDP('02:00', 3)).toMatchObject({ hours: 10.5, row: '17:00-04:59' });
+    expect(getMaxFDP('04:59', 1).hours).toBe(11);
+    expect(getMaxFDP('05:00', 1).hours).toBe(12);
+  });
+
+  test('uses the last column from 10 sectors', () => {
+    expect(getMaxFDP('10:00', 10)).toMatchObject({ hours: 9, column: '10' });
+    expect(getMaxFDP('10:00', 12)).toMatchObject({ hours: 9, column: '10' });
+  });
+
+  test('uses Table 3 in an unknown state of acclimatisation, or Table 4 with FRM', () => {
+    expect(getMaxFDP('10:00', 3, { acclimatisationState: 'X' })).toMatchObject({
+      hours: 10.5,
+      table: 'ORO.FTL.205(b)(2) Table 3',
+      row: 'N/A',
+      column: '3',
+      unknownAcclimatisation: true
+    });
+    expect(getMaxFDP('10:00', 3, { acclimatisationState: 'X', frmApproved: true })).toMatchObject({
+      hours: 11.5,
+      table: 'ORO.FTL.205(b)(3) Table 4',
+      column: '3'
+    });
+    expect(getMaxFDP('10:00', 9, { acclimatisationState: 'X' })).toMatchObject({ hours: 9, column: '8' });
+  });
+
+  test('uses Table 2 for acclimatisation states B and D', () => {
+    expect(getMaxFDP('06:00', 2, { acclimatisationState: 'D' }).hours).toBe(13);
+  });
+
+  test('extends the FDP by in-flight rest for an augmented crew', () => {
+    expect(getMaxFDP('10:00', 2, { augmentedCrew: { pilots: 3, restFacilityClass: 2 } })).toMatchObject({
+      hours: 15,
+      table: 'CS FTL.1.205(c)',
+      row: 'Class 2',
+      column: '3 pilots'
+    });
+    expect(getMaxFDP('10:00', 2, { augmentedCrew: { pilots: 4, restFacilityClass: 1 }, longestSector: 10 }))
+      .toMatchObject({ hours: 18, longSectorIncrease: 1 });
+    expect(getMaxFDP('10:00', 3, { augmentedCrew: { pilots: 4, restFacilityClass: 1 }, longestSector: 10 }))
+      .toMatchObject({ hours: 17, longSectorIncrease: 0 });
+  });
+
+  test('limits cabin crew on an augmented operation by their in-flight rest', () => {
+    const options = { crewCategory: 'cabin', longestSector: 10 };
+
+    expect(getMaxFDP('10:00', 2, { ...options, augmentedCrew: { pilots: 3, restFacilityClass: 2 } }).hours).toBe(16);
+    expect(getMaxFDP('10:00', 2, { ...options, augmentedCrew: { pilots: 4, restFacilityClass: 1, inFlightRest: 2.5 } }))
+      .toMatchObject({ hours: 16, table: 'CS FTL.1.205(c) cabin crew', row: 'Up to 16:00', column: 'Class 1' });
+    expect(getMaxFDP('10:00', 2, { ...options, augmentedCrew: { pilots: 4, restFacilityClass: 1, inFlightRest: 1 } }).hours)
+      .toBe(14.5);
+  });
+});
+
+describe('acclimatisation', () => {
+  // VIE-JFK, then a JFK-BOS-JFK shuttle reported 30 hours later at 10:00 New York time
+  const roster = [
+    {
+      type: 'FLIGHT',
+      reportAt: '2025-06-01T08:00:00Z',
+      offDutyAt: '2025-06-01T17:30:00Z',
+      flights: [{ departure: 'VIE', arrival: 'JFK', departureAt: '2025-06-01T09:00:00Z', arrivalAt: '2025-06-01T17:00:00Z' }]
+    },
+    {
+      type: 'FLIGHT',
+      reportAt: '2025-06-02T14:00:00Z',
+      offDutyAt: '2025-06-02T18:00:00Z',
+      flights: [
+        { departure: 'JFK', arrival: 'BOS', departureAt: '2025-06-02T15:00:00Z', arrivalAt: '2025-06-02T16:30:00Z' },
+        { departure: 'BOS', arrival: 'JFK', departureAt: '2025-06-02T16:50:00Z', arrivalAt: '2025-06-02T17:45:00Z' }
+      ]
+    }
+  ];
+
+  test('looks up the max FDP at the reference time of the time zone of acclimatisation', () => {
+    const { calculations } = check(roster)[1];
+
+    expect(calculations.acclimatisation).toEqual({
+      state: 'B',
+      referenceTimezone: 'Europe/Vienna',
+      referenceTime: '16:00',
+      timeDifference: '06:00',
+      elapsedSinceReference: '30:00'
+    });
+    expect(calculations.maxFDPTable).toEqual({ table: 'ORO.FTL.205(b)(1) Table 2', row: '16:00-16:29', column: '1-2' });
+    expect(calculations.maxFDP).toBe('11:30');
+  });
+
+  test('applies Table 3 in an unknown state of acclimatisation', () => {
+    const unknown = JSON.parse(JSON.stringify(roster));
+    unknown[1].reportAt = '2025-06-03T14:00:00Z';
+    unknown[1].offDutyAt = '2025-06-03T18:00:00Z';
+    unknown[1].flights.forEach(flight => {
+      flight.departureAt = flight.departureAt.replace('06-02', '06-03');
+      flight.arrivalAt = flight.arrivalAt.replace('06-02', '06-03');
+    });
+    const { calculations } = check(unknown)[1];
+
+    expect(calculations.acclimatisation.state).toBe('X');
+    expect(calculations.unknownAcclimatisationTableApplied).toBe(true);
+    expect(calculations.maxFDPTable).toEqual({ table: 'ORO.FTL.205(b)(2) Table 3', row: 'N/A', column: '1-2' });
+    expect(calculations.maxFDP).toBe('11:00');
+  });
+});
+
+describe('split duty', () => {
+  /**
+   * Create a four-sector duty out of Vienna with a ground break after the second sector
+   * @param {Object} splitDuty - Split duty break
+   * @returns {Object} - Flight duty
+   */
+  function splitDutyDay(splitDuty) {
+    return {
+      date: '2025-06-10',
+      type: 'FLIGHT',
+      reportTime: '06:00',
+      offDutyTime: '19:30',
+      flights: [
+        { flightNumber: 'OS121', departure: 'VIE', arrival: 'FRA', departureTime: '07:00', arrivalTime: '08:30' },
+        { flightNumber: 'OS122', departure: 'FRA', arrival: 'VIE', departureTime: '09:15', arrivalTime: '10:30' },
+        { flightNumber: 'OS123', departure: 'VIE', arrival: 'CDG', departureTime: '16:00', arrivalTime: '18:00' },
+        { flightNumber: 'OS124', departure: 'CDG', arrival: 'VIE', departureTime: '18:30', arrivalTime: '19:10' }
+      ],
+      splitDuty
+    };
+  }
+
+  test('increases the max FDP by half the break after the post/pre-flight allowance', () => {
+    const [result] = check([splitDutyDay({ breakStart: '10:45', breakEnd: '15:15' })]);
+
+    expect(result.calculations.splitDuty).toEqual({
+      break: '10:45-15:15',
+      breakDuration: '04:30',
+      postPreFlightAllowance: '00:30',
+      netBreak: '04:00',
+      accommodation: false,
+      encroachesWOCL: false,
+      extension: '02:00',
+      applied: true
+    });
+    expect(result.calculations.fdp).toBe('13:30');
+    expect(result.calculations.maxFDP).toBe('14:00');
+    expect(result.issues).toEqual([]);
+  });
+
+  test('does not extend the FDP for a break shorter than 3 hours', () => {
+    const [result] = check([splitDutyDay({ breakStart: '10:45', breakEnd: '13:15' })]);
+
+    expect(result.calculations.splitDuty).toMatchObject({ netBreak: '02:00', extension: '00:00', applied: false });
+    expect(result.calculations.maxFDP).toBe('12:00');
+    expect(result.issues.map(issue => issue.type)).toEqual(['SPLIT_DUTY_NOT_APPLICABLE', 'FDP_EXCEEDED']);
+    expect(result.issues[0].message).toBe('Split duty extension not applicable: Break 02:00 < 03:00 minimum');
+  });
+
+  test('requires accommodation for a break encroaching the WOCL', () => {
+    const night = splitDutyDay({ breakStart: '00:30', breakEnd: '04:30' });
+    night.reportTime = '19:00';
+    night.offDutyTime = '07:40';
+    night.flights = [
+      { flightNumber: 'OS121', departure: 'VIE', arrival: 'FRA', departureTime: '20:00', arrivalTime: '21:30' },
+      { flightNumber: 'OS122', departure: 'FRA', arrival: 'VIE', departureTime: '22:15', arrivalTime: '23:45' },
+      { flightNumber: 'OS123', departure: 'VIE', arrival: 'CDG', departureTime: '05:00', arrivalTime: '07:00' }
+    ];
+
+    const [withoutAccommodation] = check([night]);
+    expect(withoutAccommodation.calculations.splitDuty).toMatchObject({ encroachesWOCL: true, applied: false });
+    expect(withoutAccommodation.issues[0]).toMatchObject({
+      type: 'SPLIT_DUTY_NOT_APPLICABLE',
+      message: 'Split duty extension not applicable: Break encroaches the WOCL without accommodation'
+    });
+
+    night.splitDuty.accommodation = true;
+    const [withAccommodation] = check([night]);
+    expect(withAccommodation.calculations.splitDuty).toMatchObject({ netBreak: '03:30', extension: '01:45', applied: true });
+  });
+
+  test('takes the post/pre-flight allowance from an operator scheme', () => {
+    const operatorScheme = { name: 'Longer turnaround', limits: { splitDuty: { postPreFlightAllowance: 1.5 } } };
+    const [result] = check([splitDutyDay({ breakStart: '10:45', breakEnd: '15:15' })], { operatorScheme });
+
+    expect(result.calculations.splitDuty).toMatchObject({ postPreFlightAllowance: '01:30', netBreak: '03:00', extension: '01:30' });
+    expect(result.calculations.maxFDP).toBe('13:30');
+    expect(result.calculations.limitSources.SPLIT_DUTY_NOT_APPLICABLE)
+      .toEqual({ limitSource: 'operator', operatorLimits: ['splitDuty.postPreFlightAllowance'] });
+    expect(result.calculations.limitSources.FDP_EXCEEDED)
+      .toEqual({ limitSource: 'operator', operatorLimits: ['splitDuty.postPreFlightAllowance'] });
+  });
+
+  test('reports a break the operator allowance leaves too short against the operator limit', () => {
+    const operatorScheme = { name: 'Longer turnaround', limits: { splitDuty: { postPreFlightAllowance: 2 } } };
+    const [result] = check([splitDutyDay({ breakStart: '10:45', breakEnd: '15:15' })], { operatorScheme });
+
+    expect(result.calculations.splitDuty).toMatchObject({ netBreak: '02:30', applied: false });
+    expect(result.issues[0]).toMatchObject({
+      type: 'SPLIT_DUTY_NOT_APPLICABLE',
+      limitSource: 'operator',
+      operatorLimits: ['splitDuty.postPreFlightAllowance']
+    });
+  });
+});
+
+describe('augmented crew', () => {
+  const augmented = {
+    type: 'FLIGHT',
+    reportAt: '2025-06-01T08:00:00Z',
+    offDutyAt: '2025-06-01T22:30:00Z',
+    augmentedCrew: { pilots: 3, restFacilityClass: 1 },
+    flights: [{ flightNumber: 'OS87', departure: 'VIE', arrival: 'JFK', departureAt: '2025-06-01T09:00:00Z', arrivalAt: '2025-06-01T18:30:00Z' }]
+  };
+
+  test('uses the in-flight rest table and adds the long sector increase', () => {
+    const [result] = check([augmented]);
+
+    expect(result.calculations.maxFDPTable).toEqual({ table: 'CS FTL.1.205(c)', row: 'Class 1', column: '3 pilots' });
+    expect(result.calculations.maxFDP).toBe('17:00');
+    expect(result.calculations.augmentedCrew).toEqual({
+      pilots: 3,
+      restFacilityClass: 1,
+      inFlightRest: 'N/A',
+      minInFlightRest: '01:30',
+      longSectorIncrease: '01:00'
+    });
+    expect(result.issues).toEqual([]);
+  });
+
+  test('requires 90 minutes of consecutive in-flight rest', () => {
+    const [result] = check([{ ...augmented, augmentedCrew: { ...augmented.augmentedCrew, inFlightRest: 1 } }]);
+
+    expect(result.status).toBe('ILLEGAL');
+    expect(result.issues.map(issue => [issue.type, issue.message]))
+      .toEqual([['IN_FLIGHT_REST_INSUFFICIENT', 'In-flight rest insufficient: 01:00 < 01:30']]);
+  });
+});
+
+describe('standby', () => {
+  // VIE-FRA-VIE flown after a call out of standby
+  const flights = [
+    { flightNumber: 'OS125', departure: 'VIE', arrival: 'FRA', departureTime: '15:00', arrivalTime: '16:30' },
+    { flightNumber: 'OS126', departure: 'FRA', arrival: 'VIE', departureTime: '17:15', arrivalTime: '18:45' }
+  ];
+
+  test('limits standby other than airport standby to 16 hours and credits 25% as duty', () => {
+    const [result] = check([{ date: '2025-06-10', type: 'STANDBY', reportTime: '06:00', offDutyTime: '23:00' }]);
+
+    expect(result.calculations).toMatchObject({ standbyType: 'home', standbyPeriod: '17:00', standbyDutyCredit: '04:15' });
+    expect(result.issues.map(issue => [issue.type, issue.message]))
+      .toEqual([['STANDBY_DURATION_EXCEEDED', 'Standby exceeds maximum duration: 17:00 > 16:00']]);
+  });
+
+  test('reduces the max FDP by standby beyond 6 hours, not counting time before 07:00', () => {
+    const [result] = check([{ date: '2025-06-10', type: 'STANDBY', reportTime: '06:00', callTime: '14:00', offDutyTime: '19:15', flights }]);
+
+    expect(result.calculations).toMatchObject({
+      standbyPeriod: '08:00',
+      standbyReductionThreshold: '06:00',
+      standbyFDPReduction: '01:00',
+      maxFDP: '11:30',
+      fdp: '05:15',
+      standbyPlusFDP: '13:15'
+    });
+    expect(result.issues).toEqual([]);
+  });
+
+  test('does not count a standby starting at night until the night ends', () => {
+    const [result] = check([{
+      date: '2025-06-10',
+      type: 'STANDBY',
+      reportTime: '23:00',
+      callTime: '09:00',
+      offDutyTime: '14:15',
+      flights: [
+        { flightNumber: 'OS125', departure: 'VIE', arrival: 'FRA', departureTime: '10:00', arrivalTime: '11:30' },
+        { flightNumber: 'OS126', departure: 'FRA', arrival: 'VIE', departureTime: '12:15', arrivalTime: '13:45' }
+      ]
+    }]);
+
+    expect(result.calculations).toMatchObject({ standbyPeriod: '10:00', standbyFDPReduction: '00:00', maxFDP: '13:00' });
+  });
+
+  test('warns when standby and FDP exceed 18 hours awake', () => {
+    const [result] = check([{
+      date: '2025-06-10',
+      type: 'STANDBY',
+      reportTime: '04:00',
+      callTime: '16:00',
+      offDutyTime: '23:30',
+      flights: [
+        { flightNumber: 'OS125', departure: 'VIE', arrival: 'FRA', departureTime: '17:00', arrivalTime: '18:30' },
+        { flightNumber: 'OS126', departure: 'FRA', arrival: 'VIE', departureTime: '21:15', arrivalTime: '23:00' }
+      ]
+    }]);
+
+    expect(result.status).toBe('WARNING');
+    expect(result.issues.map(issue => [issue.type, issue.message]))
+      .toEqual([['STANDBY_AWAKE_TIME_EXCEEDED', 'Standby and FDP exceed awake time limit: 19:30 > 18:00']]);
+  });
+
+  test('counts airport standby in full and reduces the max FDP beyond 4 hours', () => {
+    const [result] = check([{ date: '2025-06-10', type: 'STANDBY', standbyType: 'airport', reportTime: '06:00', callTime: '14:00', offDutyTime: '19:15', flights }]);
+
+    expect(result.calculations).toMatchObject({
+      standbyType: 'airport',
+      standbyDutyCredit: '08:00',
+      standbyReductionThreshold: '04:00',
+      standbyFDPReduction: '04:00',
+      maxFDP: '08:30'
+    });
+    expect(result.issues).toEqual([]);
+  });
+
+  test('limits airport standby and FDP to 16 hours', () => {
+    const [result] = check([{ date: '2025-06-10', type: 'STANDBY', standbyType: 'airport', reportTime: '03:00', callTime: '14:00', offDutyTime: '19:15', flights }]);
+
+    expect(result.status).toBe('ILLEGAL');
+    expect(result.issues.map(issue => [issue.type, issue.message]))
+      .toEqual([['STANDBY_COMBINED_DUTY_EXCEEDED', 'Airport standby and FDP exceed combined limit: 16:15 > 16:00']]);
+  });
+});
+
+describe('reserve', () => {
+  /**
+   * Create a reserve day with a VIE-FRA-VIE assignment reporting at 10:00
+   * @param {Object} notification - notificationTime and notificationDate
+   * @returns {Object} - Reserve duty
+   */
+  function assignedReserve(notification) {
+    return {
+      date: '2025-06-10',
+      type: 'RESERVE',
+      reserveStartTime: '06:00',
+      reserveEndTime: '18:00',
+      reportTime: '10:00',
+      offDutyTime: '14:15',
+      flights: [
+        { flightNumber: 'OS125', departure: 'VIE', arrival: 'FRA', departureTime: '11:00', arrivalTime: '12:30' },
+        { flightNumber: 'OS126', departure: 'FRA', arrival: 'VIE', departureTime: '13:00', arrivalTime: '14:00' }
+      ],
+      ...notification
+    };
+  }
+
+  test('does not count reserve time without an assignment as duty', () => {
+    const [result] = check([{ date: '2025-06-10', type: 'RESERVE', reserveStartTime: '06:00', reserveEndTime: '18:00' }]);
+
+    expect(result.status).toBe('LEGAL');
+    expect(result.calculations).toMatchObject({
+      reservePeriod: '06:00-18:00',
+      reserveDuration: '12:00',
+      reserveAssigned: false,
+      protectedSleep: '22:00-06:00'
+    });
+    expect(result.calculations.cumulativeLimits.dutyTime7Days.total).toBe('00:00');
+  });
+
+  test('accepts an assignment notified 10 hours ahead outside the protected sleep', () => {
+    const [result] = check([assignedReserve({ notificationTime: '20:00', notificationDate: '2025-06-09' })]);
+
+    expect(result.calculations).toMatchObject({ reserveAssigned: true, notificationLeadTime: '14:00', fdp: '04:15' });
+    expect(result.issues).toEqual([]);
+  });
+
+  test('judges a call the evening before against the night leading into the reserve day', () => {
+    const [result] = check([assignedReserve({ notificationTime: '23:00', notificationDate: '2025-06-09' })], { explain: true });
+
+    expect(result.calculations.notificationLeadTime).toBe('11:00');
+    expect(result.issues.map(issue => [issue.type, issue.message])).toEqual([
+      ['RESERVE_SLEEP_INTERRUPTED', 'Protected sleep opportunity interrupted: Notification 2025-06-09 23:00 (22:00-06:00)']
+    ]);
+    expect(result.issues[0].trace.calculation.actual).toBe('Notification 2025-06-09 23:00');
+  });
+
+  test('does not judge a call on an earlier day by its time of day', () => {
+    const [result] = check([assignedReserve({ notificationTime: '23:00', notificationDate: '2025-06-08' })]);
+
+    expect(result.calculations.notificationLeadTime).toBe('35:00');
+    expect(result.issues).toEqual([]);
+  });
+
+  test('requires 10 hours of notice', () => {
+    const [result] = check([assignedReserve({ notificationTime: '05:30' })]);
+
+    expect(result.status).toBe('ILLEGAL');
+    expect(result.issues.map(issue => [issue.type, issue.message])).toEqual([
+      ['RESERVE_NOTIFICATION_INSUFFICIENT', 'Reserve assignment notified too late: 04:30 < 10:00'],
+      ['RESERVE_SLEEP_INTERRUPTED', 'Protected sleep opportunity interrupted: Notification 2025-06-10 05:30 (22:00-06:00)']
+    ]);
+  });
+
+  test('warns about reporting after the reserve period', () => {
+    const late = assignedReserve({ notificationTime: '07:00' });
+    late.reportTime = '19:00';
+    late.offDutyTime = '23:15';
+    late.flights = [
+      { flightNumber: 'OS125', departure: 'VIE', arrival: 'FRA', departureTime: '20:00', arrivalTime: '21:30' },
+      { flightNumber: 'OS126', departure: 'FRA', arrival: 'VIE', departureTime: '22:00', arrivalTime: '23:00' }
+    ];
+    const [result] = check([late]);
+
+    expect(result.status).toBe('WARNING');
+    expect(result.issues.map(issue => issue.type)).toEqual(['RESERVE_ASSIGNMENT_OUTSIDE_PERIOD']);
+  });
+});
+
+describe('positioning', () => {
+  // Positioning VIE-FRA, FRA-MUC-FRA as crew, positioning FRA-VIE
+  const duty = {
+    date: '2025-06-10',
+    type: 'FLIGHT',
+    reportTime: '06:00',
+    offDutyTime: '16:30',
+    flights: [
+      { flightNumber: 'OS101', departure: 'VIE', arrival: 'FRA', departureTime: '07:00', arrivalTime: '08:30', positioning: true },
+      { flightNumber: 'LH1', departure: 'FRA', arrival: 'MUC', departureTime: '09:30', arrivalTime: '10:30' },
+      { flightNumber: 'LH2', departure: 'MUC', arrival: 'FRA', departureTime: '11:30', arrivalTime: '12:30' },
+      { flightNumber: 'OS102', departure: 'FRA', arrival: 'VIE', departureTime: '14:30', arrivalTime: '16:00', positioning: true }
+    ]
+  };
+
+  test('counts positioning as duty but not as sectors or flight time', () => {
+    const [result] = check([duty]);
+
+    expect(result.calculations).toMatchObject({
+      sectors: 2,
+      flightTime: '02:00',
+      positioning: { flights: 2, dutyPeriod: '10:30' }
+    });
+    expect(result.calculations.cumulativeLimits.dutyTime7Days.total).toBe('10:30');
+    expect(result.calculations.cumulativeLimits.flightTime28Days.total).toBe('02:00');
+  });
+
+  test('ends the FDP on-blocks of the last sector', () => {
+    const [result] = check([duty]);
+
+    expect(result.calculations.fdp).toBe('06:30');
+    expect(result.calculations.maxFDP).toBe('13:00');
+  });
+
+  test('does not make a positioning-only duty an FDP', () => {
+    const [result] = check([{ ...duty, offDutyTime: '08:45', flights: duty.flights.slice(0, 1) }]);
+
+    expect(result.calculations).toMatchObject({ fdp: '00:00', sectors: 0, flightTime: '00:00' });
+    expect(result.calculations.cumulativeLimits.dutyTime7Days.total).toBe('02:45');
+  });
+});
+
+describe('recurrent extended recovery rest', () => {
+  /**
+   * Create a VIE-FRA-VIE day duty from 08:00 to 12:15
+   * @param {string} date - Duty date
+   * @returns {Object} - Flight duty
+   */
+  function dayDuty(date) {
+    return {
+      date,
+      type: 'FLIGHT',
+      reportTime: '08:00',
+      offDutyTime: '12:15',
+      flights: [
+        { flightNumber: 'OS125', departure: 'VIE', arrival: 'FRA', departureTime: '09:00', arrivalTime: '10:30' },
+        { flightNumber: 'OS126', departure: 'FRA', arrival: 'VIE', departureTime: '11:00', arrivalTime: '12:00' }
+      ]
+    };
+  }
+
+  const dates = ['2025-06-02', '2025-06-03', '2025-06-04', '2025-06-05', '2025-06-06', '2025-06-07', '2025-06-08', '2025-06-09'];
+
+  test('requires a recovery rest within 168 hours', () => {
+    const results = check(dates.map(dayDuty));
+
+    expect(results[6].issues).toEqual([]);
+    expect(results[7].calculations.recoveryRest).toMatchObject({ lastRecoveryRest: 'N/A', sinceLastRecoveryRest: '180:15' });
+    expect(results[7].issues.map(issue => [issue.type, issue.message])).toEqual([[
+      'RECOVERY_REST_INTERVAL_EXCEEDED',
+      'No recovery rest of 36 hours including 2 local nights within 168 hours: 2025-06-02 00:00 - 2025-06-09 12:15 (180:15 > 168:00)'
+    ]]);
+  });
+
+  test('restarts the interval after 36 hours including 2 local nights', () => {
+    const results = check(dates.filter(date => date !== '2025-06-06' && date !== '2025-06-07').map(dayDuty));
+
+    expect(results[5].calculations.recoveryRest).toMatchObject({
+      lastRecoveryRest: '2025-06-05 12:15 - 2025-06-08 08:00',
+      sinceLastRecoveryRest: '28:15',
+      nextRecoveryRestDue: '2025-06-15 08:00'
+    });
+    expect(results[5].issues).toEqual([]);
+  });
+});
+
+describe('minimum rest', () => {
+  // VIE-FRA in the afternoon, resting in Frankfurt
+  const outbound = {
+    date: '2025-06-10',
+    type: 'FLIGHT',
+    reportTime: '14:00',
+    offDutyTime: '17:00',
+    flights: [{ flightNumber: 'OS125', departure: 'VIE', arrival: 'FRA', departureTime: '15:00', arrivalTime: '16:30' }]
+  };
+
+  /**
+   * Create the FRA-VIE return the next morning
+   * @param {string} reportTime - Report time in Frankfurt
+   * @returns {Object} - Flight duty reported 1 hour before departure and off duty 2 hours after
+   */
+  function inbound(reportTime) {
+    const at = hours => moment(reportTime, 'HH:mm').add(hours, 'hours').format('HH:mm');
+    return {
+      date: '2025-06-11',
+      type: 'FLIGHT',
+      reportTime,
+      offDutyTime: at(2),
+      flights: [{ flightNumber: 'OS126', departure: 'FRA', arrival: 'VIE', departureTime: at(1), arrivalTime: at(1.5) }]
+    };
+  }
+
+  /**
+   * Get the rest issues of a result
+   * @param {Object} result - Day result
+   * @returns {Array} - Type and message of each rest issue
+   */
+  function restIssues(result) {
+    return result.issues
+      .filter(issue => ['REST_INSUFFICIENT', 'SLEEP_OPPORTUNITY_INSUFFICIENT'].includes(issue.type))
+      .map(issue => [issue.type, issue.message]);
+  }
+
+  test('requires 10 hours away from base', () => {
+    const [, legal] = check([outbound, inbound('03:00')]);
+    expect(legal.calculations).toMatchObject({
+      rest: '10:00',
+      minRest: '10:00',
+      restLocation: { airport: 'FRA', homeBase: false, precedingDutyPeriod: '03:00' }
+    });
+    expect(restIssues(legal)).toEqual([]);
+
+    const [, short] = check([outbound, inbound('02:00')]);
+    expect(restIssues(short)).toEqual([['REST_INSUFFICIENT', 'Rest period insufficient: 09:00 < 10:00']]);
+  });
+
+  test('requires an 8-hour sleep opportunity away from base after travelling', () => {
+    const [, result] = check([{ ...outbound, travelTime: 1.5 }, inbound('03:00')]);
+
+    expect(restIssues(result)).toEqual([
+      ['SLEEP_OPPORTUNITY_INSUFFICIENT', 'Sleep opportunity away from base insufficient: 07:30 < 08:00']
+    ]);
+  });
+
+  test('requires 12 hours, or the preceding duty period, at home base', () => {
+    const home = {
+      date: '2025-06-10',
+      type: 'FLIGHT',
+      reportTime: '07:00',
+      offDutyTime: '20:00',
+      flights: [
+        { flightNumber: 'OS125', departure: 'VIE', arrival: 'FRA', departureTime: '08:00', arrivalTime: '09:30' },
+        { flightNumber: 'OS126', departure: 'FRA', arrival: 'VIE', departureTime: '18:00', arrivalTime: '19:30' }
+      ]
+    };
+    const next = {
+      date: '2025-06-11',
+      type: 'FLIGHT',
+      reportTime: '08:30',
+      offDutyTime: '12:45',
+      flights: [
+        { flightNumber: 'OS127', departure: 'VIE', arrival: 'FRA', departureTime: '09:30', arrivalTime: '11:00' },
+        { flightNumber: 'OS128', departure: 'FRA', arrival: 'VIE', departureTime: '11:30', arrivalTime: '12:30' }
+      ]
+    };
+    const [, result] = check([home, next]);
+
+    expect(result.calculations).toMatchObject({
+      rest: '12:30',
+      minRest: '13:00',
+      restLocation: { airport: 'VIE', homeBase: true, precedingDutyPeriod: '13:00' }
+    });
+    expect(restIssues(result)).toEqual([['REST_INSUFFICIENT', 'Rest period insufficient: 12:30 < 13:00']]);
+  });
+});
+
+describe('reduced rest', () => {
+  /**
+   * Create an 8-hour VIE-FRA-VIE duty
+   * @param {string} date - Duty date
+   * @param {string} reportTime - Report time in Vienna
+   * @returns {Object} - Flight duty
+   */
+  function eightHourDuty(date, reportTime) {
+    const at = hours => moment(reportTime, 'HH:mm').add(hours, 'hours').format('HH:mm');
+    return {
+      date,
+      type: 'FLIGHT',
+      reportTime,
+      offDutyTime: at(8),
+      flights: [
+        { flightNumber: 'OS125', departure: 'VIE', arrival: 'FRA', departureTime: at(1), arrivalTime: at(2.5) },
+        { flightNumber: 'OS126', departure: 'FRA', arrival: 'VIE', departureTime: at(6), arrivalTime: at(7.5) }
+      ]
+    };
+  }
+
+  // Reduced rests of 11 hours at home base, each followed by a compensating rest of 13 hours
+  const roster = [
+    eightHourDuty('2025-06-02', '12:00'),
+    eightHourDuty('2025-06-03', '07:00'),
+    eightHourDuty('2025-06-04', '04:00'),
+    eightHourDuty('2025-06-04', '23:00'),
+    eightHourDuty('2025-06-05', '20:00'),
+    eightHourDuty('2025-06-06', '15:00')
+  ];
+
+  test('does not reduce rest without an approved scheme', () => {
+    const [, result] = check(roster.slice(0, 2));
+
+    expect(result.issues.map(issue => issue.type)).toEqual(['REST_INSUFFICIENT']);
+  });
+
+  test('deducts the reduction from the following FDP', () => {
+    const [, result] = check(roster.slice(0, 2), { reducedRest: true });
+
+    expect(result.calculations).toMatchObject({
+      rest: '11:00',
+      maxFDP: '12:00',
+      reducedRest: { reducedRestBefore: '11:00', fdpReduction: '01:00', restIncrease: '00:00', reducedRestsSinceRecoveryRest: 1 }
+    });
+    expect(result.issues).toEqual([]);
+  });
+
+  test('adds the reduction to the following rest', () => {
+    const results = check(roster.slice(0, 3), { reducedRest: true });
+
+    expect(results[2].calculations).toMatchObject({ rest: '13:00', minRest: '13:00', reducedRest: { restIncrease: '01:00' } });
+    expect(results[2].issues.map(issue => issue.type)).not.toContain('REST_INSUFFICIENT');
+
+    const shorter = check([...roster.slice(0, 2), eightHourDuty('2025-06-04', '02:00')], { reducedRest: true });
+    expect(shorter[2].issues.map(issue => [issue.type, issue.message]))
+      .toContainEqual(['REST_INSUFFICIENT', 'Rest period insufficient: 11:00 < 13:00']);
+  });
+
+  test('allows no more than 2 reduced rests between recovery rests', () => {
+    const results = check(roster, { reducedRest: true });
+
+    expect(results[3].calculations.reducedRest.reducedRestsSinceRecoveryRest).toBe(2);
+    expect(results[5].issues.map(issue => [issue.type, issue.message]))
+      .toEqual([['REDUCED_REST_LIMIT_EXCEEDED', 'Too many reduced rests between recovery rests: 3 > 2']]);
+  });
+});
+
+describe('disruptive schedules', () => {
+  /**
+   * Create a 5-hour VIE-FRA-VIE duty
+   * @param {string} date - Duty date
+   * @param {string} reportTime - Report time in Vienna
+   * @returns {Object} - Flight duty
+   */
+  function fiveHourDuty(date, reportTime) {
+    const at = hours => moment(reportTime, 'HH:mm').add(hours, 'hours').format('HH:mm');
+    return {
+      date,
+      type: 'FLIGHT',
+      reportTime,
+      offDutyTime: at(5),
+      flights: [
+        { flightNumber: 'OS125', departure: 'VIE', arrival: 'FRA', departureTime: at(1), arrivalTime: at(2.5) },
+        { flightNumber: 'OS126', departure: 'FRA', arrival: 'VIE', departureTime: at(3), arrivalTime: at(4.5) }
+      ]
+    };
+  }
+
+  test('classifies early starts, late finishes and night duties for an early type operator', () => {
+    const results = check([
+      fiveHourDuty('2025-06-02', '05:30'),
+      fiveHourDuty('2025-06-03', '19:00'),
+      fiveHourDuty('2025-06-05', '23:00')
+    ]);
+
+    expect(results.map(result => result.disruptiveSchedule)).toEqual([
+      { operatorType: 'early', earlyStart: true, lateFinish: false, nightDuty: false },
+      { operatorType: 'early', earlyStart: false, lateFinish: true, nightDuty: false },
+      { operatorType: 'early', earlyStart: false, lateFinish: false, nightDuty: true }
+    ]);
+  });
+
+  test('extends early starts to 06:59 for a late type operator', () => {
+    const [early] = check([fiveHourDuty('2025-06-03', '06:30')]);
+    const [late] = check([fiveHourDuty('2025-06-03', '06:30')], { operatorType: 'late' });
+
+    expect(early.disruptiveSchedule.earlyStart).toBe(false);
+    expect(late.disruptiveSchedule).toMatchObject({ operatorType: 'late', earlyStart: true });
+  });
+
+  test('requires a local night between a late finish and an early start', () => {
+    const [, result] = check([fiveHourDuty('2025-06-03', '19:00'), fiveHourDuty('2025-06-04', '05:30')]);
+
+    expect(result.issues.map(issue => [issue.type, issue.message])).toContainEqual([
+      'DISRUPTIVE_TRANSITION_REST_INSUFFICIENT',
+      'Rest between late finish or night duty and early start lacks a local night: 2025-06-04 00:00 - 2025-06-04 05:30'
+    ]);
+
+    const [, rested] = check([fiveHourDuty('2025-06-03', '19:00'), fiveHourDuty('2025-06-05', '05:30')]);
+    expect(rested.issues).toEqual([]);
+  });
+
+  test('allows no more than 3 consecutive night duties', () => {
+    const results = check(['2025-06-02', '2025-06-03', '2025-06-04', '2025-06-05'].map(date => fiveHourDuty(date, '23:00')));
+    const nightIssues = result => result.issues.filter(issue => issue.type === 'CONSECUTIVE_NIGHT_DUTIES_EXCEEDED');
+
+    expect(nightIssues(results[2])).toEqual([]);
+    expect(nightIssues(results[3]).map(issue => issue.message)).toEqual(['Too many consecutive night duties: 4 > 3']);
+  });
+});
+
+describe('FDP extensions', () => {
+  /**
+   * Create a VIE-FRA shuttle duty with its sectors spread over the FDP
+   * @param {string} date - Duty date
+   * @param {string} reportTime - Report time in Vienna
+   * @param {number} length - Duty length in hours
+   * @param {number} sectors - Number of one-hour sectors
+   * @returns {Object} - Flight duty
+   */
+  function shuttle(date, reportTime, length, sectors) {
+    const at = hours => moment(reportTime, 'HH:mm').add(hours, 'hours').format('HH:mm');
+    const spacing = (length - 1.5) / sectors;
+    return {
+      date,
+      type: 'FLIGHT',
+      reportTime,
+      offDutyTime: at(length),
+      flights: Array.from({ length: sectors }, (_, i) => ({
+        flightNumber: `OS${130 + i}`,
+        departure: i % 2 ? 'FRA' : 'VIE',
+        arrival: i % 2 ? 'VIE' : 'FRA',
+        departureTime: at(1 + i * spacing),
+        arrivalTime: at(2 + i * spacing)
+      }))
+    };
+  }
+
+  const extensionIssues = result => result.issues
+    .filter(issue => issue.type.startsWith('EXTENSION_'))
+    .map(issue => [issue.type, issue.message]);
+
+  test('counts extensions over a rolling 168 hours', () => {
+    const results = check(['2025-06-02', '2025-06-04', '2025-06-06', '2025-06-12'].map(date => shuttle(date, '07:00', 12.5, 4)));
+
+    expect(results.map(result => result.calculations.extensionsInLast168h)).toEqual([1, 2, 3, 2]);
+    expect(results[0].issues.map(issue => [issue.type, issue.message]))
+      .toEqual([['FDP_EXTENSION_REQUIRED', 'Extension would be required: 12:30 > 12:00 (extension allowed)']]);
+    expect(extensionIssues(results[1])).toEqual([]);
+    expect(extensionIssues(results[2])).toEqual([['EXTENSION_LIMIT_EXCEEDED', 'More than 2 FDP extensions in 168 hours: 3 > 2']]);
+    expect(extensionIssues(results[3])).toEqual([]);
+  });
+
+  test('shows the running count and the limit in the extension conditions', () => {
+    const dates = ['2025-06-02', '2025-06-04', '2025-06-06'];
+    const results = check(dates.map(date => shuttle(date, '07:00', 12.5, 4)));
+
+    expect(results[1].calculations.extensionDetails).toMatchObject({ extensionCount: 2, maxExtensions: 2 });
+    expect(results[1].calculations.extensionDetails.conditions)
+      .toContain('Maximum 2 extensions in any rolling 168 hours; 2 in the 168 hours to this FDP');
+
+    const scheme = { name: 'Three extensions', limits: { extensions: { maxPerWeek: 3 } } };
+    const [, , third] = check(dates.map(date => shuttle(date, '07:00', 12.5, 4)), { operatorScheme: scheme });
+    expect(third.calculations.extensionDetails.conditions)
+      .toContain('Maximum 3 extensions in any rolling 168 hours; 3 in the 168 hours to this FDP');
+    expect(extensionIssues(third)).toEqual([]);
+  });
+
+  test('does not allow an extension for FDPs starting between 19:00 and 05:14', () => {
+    const [result] = check([shuttle('2025-06-02', '05:00', 11.5, 4)]);
+
+    expect(extensionIssues(result))
+      .toEqual([['EXTENSION_START_TIME_EXCLUDED', 'FDP extension not allowed for this start time: 05:00 (19:00-05:14)']]);
+  });
+
+  test('limits the sectors of an extended FDP by its WOCL encroachment', () => {
+    const [result] = check([shuttle('2025-06-02', '17:00', 10.5, 5)]);
+
+    expect(result.calculations.extensionsInLast168h).toBe(1);
+    expect(extensionIssues(result))
+      .toEqual([['EXTENSION_SECTORS_EXCEEDED', 'Too many sectors for an extended FDP: 5 > 4 (WOCL 01:30)']]);
+  });
+});
+
+describe('delayed reporting', () => {
+  // A morning VIE-FRA-VIE the day before leaves the delayed duty with a long rest
+  const previous = {
+    date: '2025-06-09',
+    type: 'FLIGHT',
+    reportTime: '06:00',
+    offDutyTime: '10:00',
+    flights: [
+      { flightNumber: 'OS121', departure: 'VIE', arrival: 'FRA', departureTime: '07:00', arrivalTime: '08:30' },
+      { flightNumber: 'OS122', departure: 'FRA', arrival: 'VIE', departureTime: '08:45', arrivalTime: '09:45' }
+    ]
+  };
+
+  /**
+   * Create a VIE-FRA duty whose reporting was delayed
+   * @param {string} originalReportTime - Original report time in Vienna
+   * @param {string} reportTime - Delayed report time in Vienna
+   * @param {string} notificationTime - Time the crew member was notified of the delay
+   * @returns {Object} - Flight duty departing 1 hour after the delayed report and off duty 3 hours after it
+   */
+  function delayed(originalReportTime, reportTime, notificationTime) {
+    const at = hours => moment(reportTime, 'HH:mm').add(hours, 'hours').format('HH:mm');
+    return {
+      date: '2025-06-10',
+      type: 'FLIGHT',
+      reportTime,
+      offDutyTime: at(3),
+      delayedReporting: { originalReportTime, notificationTime },
+      flights: [{ flightNumber: 'OS125', departure: 'VIE', arrival: 'FRA', departureTime: at(1), arrivalTime: at(2.5) }]
+    };
+  }
+
+  test('keeps the max FDP of the original reporting time for delays under 4 hours', () => {
+    const [, result] = check([previous, delayed('13:00', '16:00', '10:00')]);
+
+    expect(result.calculations).toMatchObject({
+      fdp: '03:00',
+      maxFDP: '13:00',
+      rest: '27:00',
+      delayedReporting: { delay: '03:00', notifiedInTime: true, maxFDPBasis: 'original', countsAsRest: false }
+    });
+  });
+
+  test('uses the more limiting reporting time for delays of 4 hours or more', () => {
+    const [, later] = check([previous, delayed('13:00', '17:00', '10:00')]);
+    expect(later.calculations).toMatchObject({
+      maxFDP: '11:00',
+      maxFDPTable: { row: '17:00-04:59' },
+      delayedReporting: { delay: '04:00', maxFDPBasis: 'moreLimiting' }
+    });
+
+    const [, earlier] = check([previous, delayed('05:00', '09:00', '04:00')]);
+    expect(earlier.calculations).toMatchObject({
+      maxFDP: '12:00',
+      maxFDPTable: { row: '05:00-05:14' },
+      delayedReporting: { delay: '04:00', maxFDPBasis: 'moreLimiting' }
+    });
+  });
+
+  test('counts a delay of 10 hours or more notified in advance as rest', () => {
+    const [, rest] = check([previous, delayed('06:00', '16:00', '05:00')]);
+    expect(rest.calculations).toMatchObject({
+      rest: '30:00',
+      delayedReporting: { delay: '10:00', countsAsRest: true }
+    });
+
+    const [, duty] = check([previous, delayed('06:00', '15:00', '05:00')]);
+    expect(duty.calculations).toMatchObject({
+      rest: '20:00',
+      delayedReporting: { delay: '09:00', countsAsRest: false }
+    });
+  });
+
+  test('counts the FDP from the original reporting time when the delay was notified late', () => {
+    const [, result] = check([previous, delayed('13:00', '16:00', '13:30')]);
+
+    expect(result.calculations).toMatchObject({
+      fdp: '06:00',
+      maxFDP: '13:00',
+      delayedReporting: { notification: '2025-06-10 13:30', notifiedInTime: false, countsAsRest: false }
+    });
+    expect(result.status).toBe('WARNING');
+    expect(result.issues.map(issue => [issue.type, issue.regulation, issue.message])).toEqual([
+      ['DELAYED_REPORTING_NOTIFIED_LATE', 'CS FTL.1.205(d)', 'Delay notified after the original reporting time: 2025-06-10 13:30 (13:00)']
+    ]);
+  });
+});
+
+describe('cumulative limits', () => {
+  /**
+   * Create a VIE-FRA-VIE duty with two 1:30 sectors
+   * @param {string} date - Duty date
+   * @param {string} reportTime - Report time in Vienna
+   * @param {number} length - Duty length in hours
+   * @returns {Object} - Flight duty
+   */
+  function rotation(date, reportTime, length) {
+    const at = hours => moment(reportTime, 'HH:mm').add(hours, 'hours').format('HH:mm');
+    return {
+      date,
+      type: 'FLIGHT',
+      reportTime,
+      offDutyTime: at(length),
+      flights: [
+        { flightNumber: 'OS125', departure: 'VIE', arrival: 'FRA', departureTime: at(1), arrivalTime: at(2.5) },
+        { flightNumber: 'OS126', departure: 'FRA', arrival: 'VIE', departureTime: at(length - 2), arrivalTime: at(length - 0.5) }
+      ]
+    };
+  }
+
+  const cumulativeIssues = result => result.issues
+    .filter(issue => issue.regulation.startsWith('ORO.FTL.210'))
+    .map(issue => [issue.type, issue.regulation, issue.message]);
+
+  test('limits duty time to 60 hours in any 7 consecutive days', () => {
+    const dates = ['2025-06-02', '2025-06-03', '2025-06-04', '2025-06-05', '2025-06-06', '2025-06-07', '2025-06-10'];
+    const results = check(dates.map(date => rotation(date, '07:00', 11)));
+
+    expect(results.map(result => result.calculations.cumulativeLimits.dutyTime7Days.total))
+      .toEqual(['11:00', '22:00', '33:00', '44:00', '55:00', '66:00', '55:00']);
+    expect(results[4].calculations.cumulativeLimits.dutyTime7Days).toEqual({ total: '55:00', limit: '60:00', headroom: '05:00' });
+    expect(cumulativeIssues(results[4])).toEqual([]);
+    expect(cumulativeIssues(results[5]))
+      .toEqual([['WEEKLY_DUTY_TIME_EXCEEDED', 'ORO.FTL.210(a)(1)', 'Weekly duty time limit exceeded: 66:00 > 60h']]);
+    expect(cumulativeIssues(results[6])).toEqual([]);
+  });
+
+  test('reports the headroom of every window on days off', () => {
+    const [, dayOff] = check([rotation('2025-06-02', '07:00', 11), { date: '2025-06-03', type: 'DAYOFF' }]);
+
+    expect(dayOff.calculations.cumulativeLimits).toEqual({
+      flightTime28Days: { total: '03:00', limit: '100:00', headroom: '97:00' },
+      flightTimeCalendarYear: { total: '03:00', limit: '900:00', headroom: '897:00' },
+      flightTime12Months: { total: '03:00', limit: '1000:00', headroom: '997:00' },
+      dutyTime7Days: { total: '11:00', limit: '60:00', headroom: '49:00' },
+      dutyTime14Days: { total: '11:00', limit: '110:00', headroom: '99:00' },
+      dutyTime28Days: { total: '11:00', limit: '190:00', headroom: '179:00' }
+    });
+  });
+
+  test('measures the windows from 00:00 UTC', () => {
+    // 00:30-04:30 in Vienna (UTC+2) starts at 22:30 UTC on the day before
+    const [dayOff, duty] = check([{ date: '2025-06-09', type: 'DAYOFF' }, rotation('2025-06-10', '00:30', 4)]);
+
+    expect(dayOff.calculations.cumulativeLimits).toMatchObject({
+      dutyTime7Days: { total: '01:30' },
+      flightTime28Days: { total: '00:30' }
+    });
+    expect(duty.calculations.cumulativeLimits).toMatchObject({
+      dutyTime7Days: { total: '04:00' },
+      flightTime28Days: { total: '03:00' }
+    });
+  });
+
+  test('restarts the flight time of the calendar year on 1 January', () => {
+    const [, newYear] = check([rotation('2025-12-31', '07:00', 11), rotation('2026-01-01', '09:00', 11)]);
+
+    expect(newYear.calculations.cumulativeLimits).toMatchObject({
+      flightTime28Days: { total: '06:00' },
+      flightTimeCalendarYear: { total: '03:00' },
+      flightTime12Months: { total: '06:00' }
+    });
+  });
+});
+
+describe('time zone crossing rest', () => {
+  // VIE-JFK-VIE rotation landing at 03:00Z, then a VIE report at 10:00Z the next day
+  const roster = [
+    {
+      type: 'FLIGHT',
+      reportAt: '2025-06-01T08:00:00Z',
+      offDutyAt: '2025-06-01T17:30:00Z',
+      flights: [{ flightNumber: 'OS87', departure: 'VIE', arrival: 'JFK', departureAt: '2025-06-01T09:00:00Z', arrivalAt: '2025-06-01T17:00:00Z' }]
+    },
+    {
+      type: 'FLIGHT',
+      reportAt: '2025-06-02T17:00:00Z',
+      offDutyAt: '2025-06-03T03:30:00Z',
+      flights: [{ flightNumber: 'OS88', departure: 'JFK', arrival: 'VIE', departureAt: '2025-06-02T18:00:00Z', arrivalAt: '2025-06-03T03:00:00Z' }]
+    },
+    {
+      type: 'FLIGHT',
+      reportAt: '2025-06-04T10:00:00Z',
+      offDutyAt: '2025-06-04T15:00:00Z',
+      flights: [
+        { flightNumber: 'OS1', departure: 'VIE', arrival: 'LHR', departureAt: '2025-06-04T11:00:00Z', arrivalAt: '2025-06-04T13:15:00Z' },
+        { flightNumber: 'OS2', departure: 'LHR', arrival: 'VIE', departureAt: '2025-06-04T13:45:00Z', arrivalAt: '2025-06-04T14:45:00Z' }
+      ]
+    }
+  ];
+
+  test('counts the local nights at home base after the rotation', () => {
+    const results = check(roster);
+    const afterRotation = results[2];
+
+    expect(afterRotation.date).toBe('2025-06-04');
+    expect(afterRotation.calculations.timeZoneRest).toMatchObject({
+      location: 'homeBase',
+      timeDifference: '06:00',
+      requiredLocalNights: 2,
+      actualLocalNights: 1
+    });
+    expect(afterRotation.issues.map(issue => issue.type)).toEqual(['TIME_ZONE_LOCAL_NIGHTS_INSUFFICIENT']);
+  });
+
+  test('does not take the rest after the rotation for a recovery rest', () => {
+    const results = check(roster);
+
+    expect(results[1].calculations.rest).toBe('23:30');
+    expect(results[2].calculations.recoveryRest).toMatchObject({
+      lastRecoveryRest: 'N/A',
+      sinceLastRecoveryRest: '89:00'
+    });
+  });
+
+  test('passes the rotation after 2 local nights at home base', () => {
+    const later = { type: 'ADMIN', reportAt: '2025-06-05T10:00:00Z', offDutyAt: '2025-06-05T15:00:00Z' };
+    const [, , result] = check([roster[0], roster[1], later]);
+
+    expect(result.calculations.timeZoneRest).toMatchObject({ requiredLocalNights: 2, actualLocalNights: 2 });
+    expect(result.issues.map(issue => issue.type)).not.toContain('TIME_ZONE_LOCAL_NIGHTS_INSUFFICIENT');
+  });
+});
+
+describe('cabin crew', () => {
+  /**
+   * Create a VIE-FRA-VIE duty reported by the cabin crew at 05:30
+   * @param {string} flightCrewReportTime - Report time of the flight crew
+   * @returns {Object} - Flight duty
+   */
+  function cabinDuty(flightCrewReportTime) {
+    return {
+      date: '2025-06-10',
+      type: 'FLIGHT',
+      reportTime: '05:30',
+      flightCrewReportTime,
+      offDutyTime: '17:00',
+      flights: [
+        { flightNumber: 'OS121', departure: 'VIE', arrival: 'FRA', departureTime: '07:00', arrivalTime: '08:30' },
+        { flightNumber: 'OS122', departure: 'FRA', arrival: 'VIE', departureTime: '15:30', arrivalTime: '16:45' }
+      ]
+    };
+  }
+
+  test('looks up the max FDP at the flight crew reporting time and extends it by the difference', () => {
+    const [result] = check([cabinDuty('06:30')], { crewCategory: 'cabin' });
+
+    expect(result.calculations).toMatchObject({
+      crewCategory: 'cabin',
+      fdp: '11:30',
+      maxFDP: '14:00',
+      maxFDPTable: { row: '06:00-13:29' },
+      cabinCrewReporting: { flightCrewReportTime: '06:30', difference: '01:00', extension: '01:00' }
+    });
+    expect(result.issues).toEqual([]);
+  });
+
+  test('does not allow cabin crew to report more than 1 hour before the flight crew', () => {
+    const [result] = check([cabinDuty('07:00')], { crewCategory: 'cabin' });
+
+    expect(result.calculations.cabinCrewReporting).toMatchObject({ difference: '01:30', extension: '01:00' });
+    expect(result.issues.map(issue => [issue.type, issue.message])).toEqual([
+      ['CABIN_CREW_REPORTING_DIFFERENCE_EXCEEDED', 'Cabin crew report more than 1 hour before the flight crew: 01:30 > 01:00']
+    ]);
+  });
+
+  test('reports a flight crew reporting time more than 12 hours after the cabin crew\'s', () => {
+    const lateDeparture = {
+      ...cabinDuty('18:00'),
+      offDutyTime: '22:45',
+      flights: [
+        { flightNumber: 'OS121', departure: 'VIE', arrival: 'FRA', departureTime: '19:00', arrivalTime: '20:30' },
+        { flightNumber: 'OS122', departure: 'FRA', arrival: 'VIE', departureTime: '21:00', arrivalTime: '22:15' }
+      ]
+    };
+    const [result] = check([lateDeparture], { crewCategory: 'cabin' });
+
+    expect(result.calculations.cabinCrewReporting).toMatchObject({ flightCrewReportTime: '18:00', difference: '12:30', extension: '01:00' });
+    expect(result.issues.find(issue => issue.type === 'CABIN_CREW_REPORTING_DIFFERENCE_EXCEEDED').message)
+      .toBe('Cabin crew report more than 1 hour before the flight crew: 12:30 > 01:00');
+  });
+
+  test('checks flight crew from their own reporting time', () => {
+    const [result] = check([cabinDuty('06:30')]);
+
+    expect(result.calculations).toMatchObject({ crewCategory: 'flight', maxFDP: '12:30', maxFDPTable: { row: '05:30-05:44' } });
+    expect(result.calculations.cabinCrewReporting).toBeUndefined();
+  });
+
+  test('lets the crew category of a duty win over the options', () => {
+    const [result] = check([{ ...cabinDuty('06:30'), crewCategory: 'flight' }], { crewCategory: 'cabin' });
+
+    expect(result.calculations.crewCategory).toBe('flight');
+  });
+
+  test('rejects cabin crew under a rule set for flight crew only', () => {
+    expect(() => check([cabinDuty('06:30')], { ruleSet: 'faa-part117', crewCategory: 'cabin' }))
+      .toThrow('FAA 14 CFR Part 117 does not cover cabin crew');
+  });
+});
+
+describe('calculation traces', () => {
+  /**
+   * Create a two-sector VIE-FRA-VIE duty reported at 07:00
+   * @param {string} date - Duty date in YYYY-MM-DD format
+   * @param {string} offDutyTime - Off duty time in HH:mm format, half an hour after landing
+   * @returns {Object} - Flight duty
+   */
+  function rotation(date, offDutyTime) {
+    const landing = moment(offDutyTime, 'HH:mm').subtract(30, 'minutes').format('HH:mm');
+    return {
+      date,
+      type: 'FLIGHT',
+      reportTime: '07:00',
+      offDutyTime,
+      flights: [
+        { flightNumber: 'OS125', departure: 'VIE', arrival: 'FRA', departureTime: '08:00', arrivalTime: '09:30' },
+        { flightNumber: 'OS126', departure: 'FRA', arrival: 'VIE', departureTime: '16:00', arrivalTime: landing }
+      ]
+    };
+  }
+
+  test('adds no trace without explain', () => {
+    const [result] = check([rotation('2025-06-10', '21:30')]);
+
+    expect(result.issues.map(issue => issue.type)).toEqual(['FDP_EXCEEDED']);
+    expect(result.issues[0].trace).toBeUndefined();
+  });
+
+  test('traces the inputs, the Table 2 cell and the arithmetic of an extended FDP', () => {
+    const [result] = check([rotation('2025-06-10', '21:30')], { explain: true });
+
+    expect(result.issues[0].trace).toMatchObject({
+      rule: 'FDP_EXCEEDED',
+      stage: 'fdp',
+      inputs: {
+        date: '2025-06-10',
+        startTime: '07:00',
+        timezone: 'Europe/Vienna',
+        referenceTime: '07:00',
+        sectors: 2,
+        acclimatisation: { state: 'B', referenceTimezone: 'Europe/Vienna', timeDifference: '00:00' }
+      },
+      lookup: { table: 'ORO.FTL.205(b)(1) Table 2', row: '06:00-13:29', column: '1-2', value: 13 },
+      window: null,
+      calculation: {
+        actual: 14.5,
+        operator: '>',
+        limit: 14,
+        limitTerms: { table: 13, extension: 1 },
+        expression: '14:30 > 14:00 (13:00 + 01:00)'
+      }
+    });
+  });
+
+  test('traces the window of cumulative limits', () => {
+    const dates = ['2025-06-02', '2025-06-03', '2025-06-04', '2025-06-05', '2025-06-06', '2025-06-07'];
+    const results = check(dates.map(date => rotation(date, '18:00')), { explain: true });
+    const issue = results[5].issues.find(candidate => candidate.type === 'WEEKLY_DUTY_TIME_EXCEEDED');
+
+    expect(issue.trace.lookup).toBeNull();
+    expect(issue.trace.window).toEqual({
+      key: 'dutyTime7Days',
+      start: '2025-06-01 00:00',
+      end: '2025-06-08 00:00',
+      timezone: 'UTC'
+    });
+    expect(issue.trace.calculation.expression).toBe('66:00 > 60:00');
+  });
+});
@@ -0,0 +1,174 @@
+const { checkEASACompliance } = require('../easaChecker');
+
+/**
+ * Check a roster against FAA Part 117
+ * @param {Array} roster - Duty periods
+ * @param {Object} options - Operator options
+ * @returns {Array} - Compliance results
+ */
+function checkFAA(roster, options = {}) {
+  return checkEASACompliance(JSON.parse(JSON.stringify(roster)), 'all', 'en', { ruleSet: 'faa-part117', ...options });
+}
+
+/**
+ * Create a two-segment JFK-BOS-JFK duty reported at 06:00 New York time
+ * @param {string} returnTime - Departure of the return segment in HH:mm format, an hour before off duty
+ * @param {string} offDutyTime - Arrival of the return segment and off duty time in HH:mm format
+ * @param {number} extension - Hours of FDP extension recorded, or 0 for none
+ * @returns {Object} - Flight duty
+ */
+function shuttleDuty(returnTime, offDutyTime, extension = 0) {
+  return {
+    date: '2025-06-01',
+    type: 'FLIGHT',
+    reportTime: '06:00',
+    offDutyTime,
+    flights: [
+      { departure: 'JFK', arrival: 'BOS', departureTime: '07:00', arrivalTime: '08:30' },
+      { departure: 'BOS', arrival: 'JFK', departureTime: returnTime, arrivalTime: offDutyTime }
+    ],
+    ...(extension ? { commandersDiscretion: { hours: extension, reason: 'Weather' } } : {})
+  };
+}
+
+describe('FAA Part 117 max FDP', () => {
+  // JFK-LHR, LHR-JFK two days later and an augmented JFK-NRT
+  const roster = [
+    {
+      type: 'FLIGHT',
+      reportAt: '2025-06-01T22:00:00Z',
+      offDutyAt: '2025-06-02T06:30:00Z',
+      flights: [{ departure: 'JFK', arrival: 'LHR', departureAt: '2025-06-01T23:00:00Z', arrivalAt: '2025-06-02T06:00:00Z' }]
+    },
+    {
+      type: 'FLIGHT',
+      reportAt: '2025-06-03T09:00:00Z',
+      offDutyAt: '2025-06-03T18:30:00Z',
+      flights: [{ departure: 'LHR', arrival: 'JFK', departureAt: '2025-06-03T10:00:00Z', arrivalAt: '2025-06-03T18:00:00Z' }]
+    },
+    {
+      type: 'FLIGHT',
+      reportAt: '2025-06-05T12:00:00Z',
+      offDutyAt: '2025-06-06T03:30:00Z',
+      augmentedCrew: { pilots: 4, restFacilityClass: 1 },
+      flights: [{ departure: 'JFK', arrival: 'NRT', departureAt: '2025-06-05T13:00:00Z', arrivalAt: '2025-06-06T03:00:00Z' }]
+    }
+  ];
+
+  test('looks up Table B by start in acclimated time and segments', () => {
+    const [outbound] = checkFAA(roster);
+
+    expect(outbound.calculations.maxFDP).toBe('12:00');
+    expect(outbound.calculations.maxFDPTable).toEqual({ table: '14 CFR 117 Table B', row: '17:00-21:59', column: '1' });
+    expect(outbound.calculations.maxFlightTime).toBe('09:00');
+  });
+
+  test('deducts 30 minutes from Table B when not acclimated', () => {
+    const inbound = checkFAA(roster)[1];
+
+    // 10:00 in London is 05:00 in New York, where the crew member is still acclimated
+    expect(inbound.calculations.acclimation).toEqual({
+      acclimated: false,
+      timezone: 'America/New_York',
+      referenceTime: '05:00',
+      reduction: '00:30'
+    });
+    expect(inbound.calculations.maxFDP).toBe('11:30');
+    expect(inbound.calculations.maxFDPTable).toEqual({ table: '14 CFR 117 Table B', row: '05:00-05:59', column: '1' });
+    expect(inbound.status).toBe('LEGAL');
+  });
+
+  test('looks up Table C for augmented operations', () => {
+    const augmented = checkFAA(roster)[2];
+
+    expect(augmented.calculations.maxFDP).toBe('19:00');
+    expect(augmented.calculations.maxFDPTable).toEqual({ table: '14 CFR 117 Table C', row: '07:00-12:59', column: 'Class 1, 4 pilots' });
+    expect(augmented.calculations.maxFlightTime).toBe('17:00');
+    expect(augmented.issues).toEqual([]);
+  });
+
+  test('uses the column for 7 or more segments', () => {
+    const flights = Array.from({ length: 8 }, (flight, index) => ({
+      departure: index % 2 === 0 ? 'JFK' : 'BOS',
+      arrival: index % 2 === 0 ? 'BOS' : 'JFK',
+      departureTime: `${String(6 + index).padStart(2, '0')}:10`,
+      arrivalTime: `${String(6 + index).padStart(2, '0')}:50`
+    }));
+
+    const [result] = checkFAA([{ date: '2025-06-01', type: 'FLIGHT', reportTime: '06:00', offDutyTime: '14:20', flights }]);
+    expect(result.calculations.maxFDPTable).toEqual({ table: '14 CFR 117 Table B', row: '06:00-06:59', column: '7+' });
+    expect(result.calculations.maxFDP).toBe('10:30');
+  });
+});
+
+describe('FAA Part 117 rule selection', () => {
+  test('reports an extension as a warning by default', () => {
+    const [result] = checkFAA([shuttleDuty('18:30', '19:30', 1)]);
+
+    expect(result.status).toBe('WARNING');
+    expect(result.issues.map(issue => [issue.type, issue.severity])).toEqual([['FDP_EXTENSION_USED', 'MEDIUM']]);
+  });
+
+  test('follows severity overrides and exclusions', () => {
+    const [overridden] = checkFAA([shuttleDuty('18:30', '19:30', 1)], { rules: { severityOverrides: { fdp: 'HIGH' } } });
+    expect(overridden.status).toBe('ILLEGAL');
+    expect(overridden.issues[0].severity).toBe('HIGH');
+
+    const [excluded] = checkFAA([shuttleDuty('18:30', '19:30', 1)], { rules: { exclude: ['FDP_EXTENSION_USED'] } });
+    expect(excluded.status).toBe('LEGAL');
+    expect(excluded.issues).toEqual([]);
+  });
+
+  test('rejects rules of the ORO.FTL rule set', () => {
+    expect(() => checkFAA([shuttleDuty('11:00', '12:00')], { rules: { include: ['standby'] } }))
+      .toThrow('Invalid rule selection: rules.include: unknown rule or category standby');
+  });
+
+  test('still rejects the fatigue model', () => {
+    expect(() => checkFAA([shuttleDuty('11:00', '12:00')], { fatigueModel: true }))
+      .toThrow('FAA 14 CFR Part 117 does not support the fatigue model');
+  });
+});
+
+describe('FAA Part 117 calculation traces', () => {
+  test('traces the Table B lookup and the extension', () => {
+    const [result] = checkFAA([shuttleDuty('20:30', '21:30', 1.5)], { explain: true });
+    const [issue] = result.issues;
+
+    expect(issue.type).toBe('FDP_EXCEEDED');
+    expect(issue.trace).toMatchObject({
+      rule: 'FDP_EXCEEDED',
+      stage: 'fdp',
+      inputs: {
+        date: '2025-06-01',
+        type: 'FLIGHT',
+        startTime: '06:00',
+        timezone: 'America/New_York',
+        referenceTime: '06:00',
+        referenceTimezone: 'America/New_York',
+        sectors: 2,
+        acclimation: { acclimated: true, timezone: 'America/New_York' }
+      },
+      lookup: { table: '14 CFR 117 Table B', row: '06:00-06:59', column: '2', value: 13 },
+      window: null,
+      calculation: { actual: 15.5, operator: '>', limit: 14.5, expression: '15:30 > 14:30 (13:00 + 01:30)' }
+    });
+  });
+
+  test('traces the window of cumulative limits', () => {
+    const roster = Array.from({ length: 6 }, (duty, index) => ({
+      ...shuttleDuty('16:00', '17:00'),
+      date: `2025-06-0${index + 1}`
+    }));
+    const results = checkFAA(roster, { explain: true });
+    const issue = results[5].issues.find(candidate => candidate.type === 'FDP_168_HOURS_EXCEEDED');
+
+    expect(issue.trace.window).toEqual({
+      key: 'fdp168Hours',
+      start: '2025-05-30 21:00',
+      end: '2025-06-06 21:00',
+      timezone: 'UTC'
+    });
+    expect(issue.trace.calculation.expression).toBe('66:00 > 60:00');
+  });
+});
@@ -0,0 +1,212 @@
+const moment = require('moment-timezone');
+const {
+  ALERTNESS_RISK_BANDS,
+  buildSleepPeriods,
+  createAlertnessModel,
+  getAlertness,
+  getAlertnessRiskBand
+} = require('../fatigueModel');
+const { normalizeDuty } = require('../dutyTimes');
+const { checkEASACompliance } = require('../easaChecker');
+
+// VIE-FRA-VIE reported at 07:00 after a night at home
+const dayDuty = {
+  date: '2025-06-10',
+  type: 'FLIGHT',
+  reportTime: '07:00',
+  offDutyTime: '14:30',
+  flights: [
+    { flightNumber: 'OS125', departure: 'VIE', arrival: 'FRA', departureTime: '08:00', arrivalTime: '09:30' },
+    { flightNumber: 'OS126', departure: 'FRA', arrival: 'VIE', departureTime: '12:30', arrivalTime: '14:00' }
+  ]
+};
+
+// VIE-ATH-VIE reported at 23:00, through the window of circadian low
+const nightDuty = {
+  date: '2025-06-12',
+  type: 'FLIGHT',
+  reportTime: '23:00',
+  offDutyTime: '05:30',
+  flights: [
+    { flightNumber: 'OS801', departure: 'VIE', arrival: 'ATH', departureTime: '00:00', arrivalTime: '03:00' },
+    { flightNumber: 'OS802', departure: 'ATH', arrival: 'VIE', departureTime: '04:00', arrivalTime: '05:00' }
+  ]
+};
+
+/**
+ * Simulate the sleep of a Vienna based crew member
+ * @param {Array} roster - Duty periods sorted by date
+ * @returns {Array} - Sleep periods as ISO UTC ranges
+ */
+function sleepOf(roster) {
+  const { sleep } = buildSleepPeriods(roster.map(duty => normalizeDuty(duty, 'Europe/Vienna')), 'VIE');
+  return sleep.map(period => `${period.start.toISOString()}/${period.end.toISOString()}`);
+}
+
+/**
+ * Check a roster with the fatigue model
+ * @param {Array} roster - Duty periods
+ * @returns {Array} - Compliance results
+ */
+function check(roster) {
+  return checkEASACompliance(JSON.parse(JSON.stringify(roster)), 'all', 'en', { homeBase: 'VIE', fatigueModel: true });
+}
+
+describe('buildSleepPeriods', () => {
+  test('sleeps at local night at home base, up to the preparation for a duty', () => {
+    expect(sleepOf([dayDuty])).toEqual([
+      '2025-06-07T21:00:00.000Z/2025-06-08T05:00:00.000Z',
+      '2025-06-08T21:00:00.000Z/2025-06-09T05:00:00.000Z',
+      '2025-06-09T21:00:00.000Z/2025-06-10T04:00:00.000Z'
+    ]);
+  });
+
+  test('skips the night spent on duty and sleeps after its wind-down', () => {
+    const nextDay = { ...dayDuty, date: '2025-06-14' };
+
+    expect(sleepOf([dayDuty, nightDuty, nextDay]).slice(3)).toEqual([
+      '2025-06-10T21:00:00.000Z/2025-06-11T05:00:00.000Z',
+      '2025-06-11T21:00:00.000Z/2025-06-12T05:00:00.000Z',
+      '2025-06-13T04:30:00.000Z/2025-06-13T10:30:00.000Z',
+      '2025-06-13T21:00:00.000Z/2025-06-14T04:00:00.000Z'
+    ]);
+  });
+
+  test('sleeps at local night where the crew member rests', () => {
+    const outbound = {
+      date: '2025-06-10',
+      type: 'FLIGHT',
+      reportTime: '08:30',
+      offDutyTime: '13:00',
+      flights: [{ departure: 'VIE', arrival: 'JFK', departureTime: '10:00', arrivalTime: '12:30' }]
+    };
+    const inbound = {
+      date: '2025-06-11',
+      type: 'FLIGHT',
+      reportTime: '17:00',
+      offDutyTime: '08:30',
+      flights: [{ departure: 'JFK', arrival: 'VIE', departureTime: '18:00', arrivalTime: '08:00' }]
+    };
+
+    // 23:00-07:00 in New York
+    expect(sleepOf([outbound, inbound]).pop()).toBe('2025-06-11T03:00:00.000Z/2025-06-11T11:00:00.000Z');
+  });
+});
+
+describe('getAlertness', () => {
+  const model = createAlertnessModel({
+    start: moment.utc('2025-06-01T00:00:00Z'),
+    sleep: [{ start: moment.utc('2025-06-01T16:00:00Z'), end: moment.utc('2025-06-02T00:00:00Z') }]
+  });
+
+  test('lets S fall while awake and recover during sleep', () => {
+    const beforeSleep = getAlertness(model, moment.utc('2025-06-01T12:00:00Z'), 'UTC');
+
+    expect(beforeSleep.s).toBeCloseTo(2.4 + (12 - 2.4) * Math.exp(-0.0353 * 12), 10);
+    expect(beforeSleep.w).toBe(0);
+    expect(model.wakes[0].s).toBeCloseTo(13.99, 2);
+  });
+
+  test('predicts nothing while asleep', () => {
+    expect(getAlertness(model, moment.utc('2025-06-01T20:00:00Z'), 'UTC')).toBeNull();
+  });
+
+  test('adds the sleep inertia on waking and lets it wear off', () => {
+    const waking = getAlertness(model, moment.utc('2025-06-02T00:00:00Z'), 'UTC');
+    const hourLater = getAlertness(model, moment.utc('2025-06-02T01:00:00Z'), 'UTC');
+
+    expect(waking.w).toBe(-5.72);
+    expect(waking.alertness).toBeCloseTo(7.5, 2);
+    expect(hourLater.w).toBeCloseTo(-5.72 * Math.exp(-1.51), 10);
+    expect(hourLater.alertness).toBeCloseTo(10.97, 2);
+  });
+
+  test('peaks C at 16:48 on the body clock', () => {
+    const instant = moment.utc('2025-06-02T14:48:00Z');
+
+    expect(getAlertness(model, instant, 'Europe/Vienna').c).toBeCloseTo(2.5, 10);
+    expect(getAlertness(model, instant, 'America/New_York').c).toBeCloseTo(2.5 * Math.cos(2 * Math.PI * -6 / 24), 10);
+  });
+});
+
+describe('getAlertnessRiskBand', () => {
+  test('classifies alertness at the band boundaries', () => {
+    expect(ALERTNESS_RISK_BANDS.map(band => band.below)).toEqual([6, 8, Infinity]);
+    expect(getAlertnessRiskBand(1)).toBe('high');
+    expect(getAlertnessRiskBand(5.99)).toBe('high');
+    expect(getAlertnessRiskBand(6)).toBe('moderate');
+    expect(getAlertnessRiskBand(7.99)).toBe('moderate');
+    expect(getAlertnessRiskBand(8)).toBe('low');
+    expect(getAlertnessRiskBand(16)).toBe('low');
+  });
+});
+
+describe('fatigue model in the compliance check', () => {
+  const hourly = alertness => alertness.curve
+    .filter(point => point.time.endsWith(':00'))
+    .map(point => [point.time.slice(11), point.alertness]);
+
+  test('predicts a rising curve for a rested day duty', () => {
+    const [day] = check([dayDuty, nightDuty]);
+    const { alertness } = day.calculations;
+
+    expect(alertness).toMatchObject({
+      bodyClockTimezone: 'Europe/Vienna',
+      sleepInPrevious24Hours: 7,
+      awakeAtStart: 1,
+      minimum: { time: '2025-06-10 07:00', alertness: 10.17 },
+      riskBand: 'low'
+    });
+    expect(alertness.curve).toHaveLength(31);
+    expect(hourly(alertness)).toEqual([
+      ['07:00', 10.17], ['08:00', 11.2], ['09:00', 11.58], ['10:00', 11.88],
+      ['11:00', 12.2], ['12:00', 12.5], ['13:00', 12.77], ['14:00', 12.95]
+    ]);
+    expect(day.issues).toEqual([]);
+  });
+
+  test('predicts a falling curve through the window of circadian low', () => {
+    const [, night] = check([dayDuty, nightDuty]);
+    const { alertness } = night.calculations;
+
+    expect(alertness).toMatchObject({
+      sleepInPrevious24Hours: 8,
+      awakeAtStart: 16,
+      minimum: { time: '2025-06-13 05:30', alertness: 5.21 },
+      riskBand: 'high'
+    });
+    expect(hourly(alertness)).toEqual([
+      ['23:00', 8.89], ['00:00', 8.02], ['01:00', 7.21], ['02:00', 6.5],
+      ['03:00', 5.92], ['04:00', 5.51], ['05:00', 5.26]
+    ]);
+  });
+
+  test('takes the minimum at top of descent, 20 minutes before on-blocks on the duty clock', () => {
+    const [day, night] = check([dayDuty, nightDuty]);
+
+    expect(day.calculations.alertness.sectors.map(sector => [sector.flightNumber, sector.topOfDescent, sector.alertness]))
+      .toEqual([['OS125', '2025-06-10 09:10', 11.63], ['OS126', '2025-06-10 13:40', 12.9]]);
+    // 03:00 in Athens is 02:00 in Vienna
+    expect(night.calculations.alertness.sectors.map(sector => [sector.flightNumber, sector.topOfDescent, sector.alertness]))
+      .toEqual([['OS801', '2025-06-13 01:40', 6.72], ['OS802', '2025-06-13 04:40', 5.32]]);
+    expect(night.calculations.alertness.minimumTopOfDescent).toMatchObject({ flightNumber: 'OS802', alertness: 5.32 });
+  });
+
+  test('skips positioning sectors at top of descent', () => {
+    const positioning = {
+      ...nightDuty,
+      flights: [{ ...nightDuty.flights[0], positioning: true }, nightDuty.flights[1]]
+    };
+    const [, night] = check([dayDuty, positioning]);
+
+    expect(night.calculations.alertness.sectors.map(sector => sector.flightNumber)).toEqual(['OS802']);
+  });
+
+  test('raises LOW_PREDICTED_ALERTNESS for the high band only', () => {
+    const [day, night] = check([dayDuty, nightDuty]);
+    const lowAlertness = result => result.issues.filter(issue => issue.type === 'LOW_PREDICTED_ALERTNESS');
+
+    expect(lowAlertness(day)).toEqual([]);
+    expect(lowAlertness(night).map(issue => issue.severity)).toEqual(['MEDIUM']);
+  });
+});
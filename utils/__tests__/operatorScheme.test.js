@@ -0,0 +1,236 @@
+const { validateOperatorScheme, getSchemeOverrides, resolveRuleSet } = require('../operatorScheme');
+const { getRuleSet } = require('../ruleSets');
+const { checkEASACompliance, getMaxFDP } = require('../easaChecker');
+
+// Table 2 with only its 06:00-13:29 row, leaving the rest of the day uncovered
+const partialTable = {
+  bands: [{ from: '06:00', to: '13:29', limits: [13, 12.5, 12, 11.5, 11, 10.5, 10, 9.5, 9] }]
+};
+
+describe('validateOperatorScheme', () => {
+  test('accepts a scheme overriding known limits', () => {
+    const validation = validateOperatorScheme({
+      name: 'Example scheme',
+      operatorType: 'late',
+      reducedRest: true,
+      limits: { minRest: { homeBase: 13 }, wocl: { start: '02:00' } }
+    });
+
+    expect(validation).toEqual({ isValid: true, errors: [] });
+  });
+
+  test('rejects a scheme that is not an object', () => {
+    expect(validateOperatorScheme(null)).toEqual({ isValid: false, errors: ['Operator scheme must be an object'] });
+    expect(validateOperatorScheme([]).isValid).toBe(false);
+  });
+
+  test('reports every invalid field and limit', () => {
+    const validation = validateOperatorScheme({
+      operatorType: 'night',
+      frmApproved: 'yes',
+      limits: {
+        minRest: { homeBase: -1, atSea: 10 },
+        wocl: { start: '25:00' },
+        maxFDP: { bands: 'none' }
+      }
+    });
+
+    expect(validation.isValid).toBe(false);
+    expect(validation.errors).toEqual([
+      'Operator scheme name is required',
+      'Operator type must be early or late',
+      'frmApproved must be true or false',
+      'limits.minRest.homeBase: must be a non-negative number of hours or a count',
+      'limits.minRest.atSea: unknown limit',
+      'limits.wocl.start: must be a time in HH:MM format',
+      'limits.maxFDP.bands: must be a non-empty array'
+    ]);
+  });
+
+  test('requires a value for each sector column of the FDP tables', () => {
+    const validation = validateOperatorScheme({
+      name: 'Short table',
+      limits: { maxFDPUnknownAcclimatisation: { limits: [11, 10.5] } }
+    });
+
+    expect(validation.errors).toEqual([
+      'limits.maxFDPUnknownAcclimatisation.limits: must have 7 values, one per sector column'
+    ]);
+  });
+
+  test('requires the max FDP bands to cover the day once', () => {
+    expect(validateOperatorScheme({ name: 'Gap', limits: { maxFDP: partialTable } })).toEqual({
+      isValid: false,
+      errors: ['limits.maxFDP.bands: no band covers 13:30-05:59']
+    });
+
+    const overlapping = {
+      bands: [
+        { ...partialTable.bands[0], to: '14:00' },
+        { ...partialTable.bands[0], from: '14:00', to: '05:59' }
+      ]
+    };
+    expect(validateOperatorScheme({ name: 'Overlap', limits: { maxFDP: overlapping } }).errors)
+      .toEqual(['limits.maxFDP.bands: bands overlap at 14:00-14:00']);
+  });
+
+  test('requires complete rows in replaced tables', () => {
+    const validation = validateOperatorScheme({
+      name: 'Incomplete rows',
+      limits: {
+        maxFDP: { bands: [{ from: '00:00', to: '23:59' }] },
+        cabinCrew: {
+          inFlightRest: { rows: [{ maxFDP: 15, minRest: { 1: 2, 2: 2, 3: 2 } }, { maxFDP: 14.5, minRest: { 1: 1.5, 2: 1.5 } }] }
+        }
+      }
+    });
+
+    expect(validation.errors).toEqual([
+      'limits.maxFDP.bands[0].limits: is required',
+      'limits.cabinCrew.inFlightRest.rows[1].minRest.3: is required'
+    ]);
+  });
+
+  test('requires the cabin crew in-flight rest rows in order of extended FDP', () => {
+    const validation = validateOperatorScheme({
+      name: 'Unordered rows',
+      limits: {
+        cabinCrew: {
+          inFlightRest: { rows: [{ maxFDP: 15, minRest: { 1: 2, 2: 2, 3: 2 } }, { maxFDP: 14.5, minRest: { 1: 1.5, 2: 1.5, 3: 1.5 } }] }
+        }
+      }
+    });
+
+    expect(validation.errors).toEqual([
+      'limits.cabinCrew.inFlightRest.rows[1].maxFDP: rows must be in ascending order of extended FDP'
+    ]);
+  });
+
+  test('rejects unknown rule sets and rule sets without schemes', () => {
+    expect(validateOperatorScheme({ name: 'Scheme', limits: {} }, 'icao').errors).toEqual(['Unknown rule set: icao']);
+    expect(validateOperatorScheme({ name: 'Scheme', limits: {} }, 'faa-part117').errors)
+      .toEqual(['Operator schemes apply to ORO.FTL rule sets, not faa-part117']);
+  });
+});
+
+describe('getSchemeOverrides', () => {
+  test('lists only the limits a scheme changes', () => {
+    const limits = getRuleSet('easa').limits;
+
+    expect(getSchemeOverrides(limits, { minRest: { homeBase: 13, awayFromBase: 10 } })).toEqual([
+      { path: 'minRest.homeBase', cs: 12, operator: 13 }
+    ]);
+  });
+});
+
+describe('resolveRuleSet', () => {
+  test('applies the scheme limits and describes the scheme', () => {
+    const ruleSet = resolveRuleSet({
+      operatorScheme: { id: 'example', name: 'Example scheme', limits: { minRest: { homeBase: 13 } } }
+    });
+
+    expect(ruleSet.id).toBe('easa');
+    expect(ruleSet.limits.minRest).toMatchObject({ homeBase: 13, awayFromBase: 10 });
+    expect(getRuleSet('easa').limits.minRest.homeBase).toBe(12);
+    expect(ruleSet.operatorScheme).toEqual({
+      id: 'example',
+      name: 'Example scheme',
+      operator: null,
+      approval: null,
+      overrides: [{ path: 'minRest.homeBase', cs: 12, operator: 13 }]
+    });
+  });
+
+  test('applies a scheme to the UK CAA rule set', () => {
+    const ruleSet = resolveRuleSet({
+      ruleSet: 'uk-caa',
+      operatorScheme: { name: 'Example scheme', limits: { minRest: { homeBase: 13 } } }
+    });
+
+    expect(ruleSet.id).toBe('uk-caa');
+    expect(ruleSet.limits.minRest.homeBase).toBe(13);
+    expect(ruleSet.limits.maxFDP.table).toBe('UK ORO.FTL.205(b)(1) Table 2');
+  });
+
+  test('validates a scheme against the limits of the operation', () => {
+    const operatorScheme = { name: 'Air taxi scheme', limits: { commandersDiscretion: { maxIncrease: 2 } } };
+    const ruleSet = resolveRuleSet({ ruleSet: 'uk-caa', operation: 'air-taxi', operatorScheme });
+
+    expect(ruleSet.limits.maxFDP.table).toBe('CAP 371 Table A');
+    expect(ruleSet.operatorScheme.overrides).toEqual([{ path: 'commandersDiscretion.maxIncrease', cs: 3, operator: 2 }]);
+    expect(validateOperatorScheme(operatorScheme, 'easa', 'air-taxi').errors)
+      .toEqual(['EASA ORO.FTL does not cover air-taxi operations']);
+  });
+
+  test('throws on an invalid scheme', () => {
+    expect(() => resolveRuleSet({ operatorScheme: { limits: {} } }))
+      .toThrow('Invalid operator scheme: Operator scheme name is required');
+  });
+
+  test('throws on a scheme whose max FDP bands leave a gap', () => {
+    expect(() => resolveRuleSet({ operatorScheme: { name: 'Gap', limits: { maxFDP: partialTable } } }))
+      .toThrow('Invalid operator scheme: limits.maxFDP.bands: no band covers 13:30-05:59');
+  });
+});
+
+describe('checkEASACompliance with an operator scheme', () => {
+  // A VIE-FRA-VIE morning rotation followed by a night VIE-FRA 12:30 later
+  const roster = [
+    {
+      date: '2025-06-10',
+      type: 'FLIGHT',
+      reportTime: '06:00',
+      offDutyTime: '10:00',
+      flights: [
+        { flightNumber: 'OS121', departure: 'VIE', arrival: 'FRA', departureTime: '07:00', arrivalTime: '08:30' },
+        { flightNumber: 'OS122', departure: 'FRA', arrival: 'VIE', departureTime: '08:45', arrivalTime: '09:45' }
+      ]
+    },
+    {
+      date: '2025-06-10',
+      type: 'FLIGHT',
+      reportTime: '22:30',
+      offDutyTime: '23:55',
+      flights: [{ flightNumber: 'OS125', departure: 'VIE', arrival: 'FRA', departureTime: '23:00', arrivalTime: '23:50' }]
+    }
+  ];
+
+  /**
+   * Check the roster with an optional scheme raising the minimum rest at home base
+   * @param {Object} options - Operator options
+   * @returns {Object} - Result of the second duty
+   */
+  function checkSecondDuty(options) {
+    return checkEASACompliance(JSON.parse(JSON.stringify(roster)), 'all', 'en', { homeBase: 'VIE', ...options })[1];
+  }
+
+  test('checks the rest against the CS minimum without a scheme', () => {
+    const result = checkSecondDuty({});
+
+    expect(result.calculations).toMatchObject({ rest: '12:30', minRest: '12:00' });
+    expect(result.issues.map(issue => issue.type)).not.toContain('REST_INSUFFICIENT');
+  });
+
+  test('reports the operator limit an issue was checked against', () => {
+    const result = checkSecondDuty({ operatorScheme: { name: 'Example scheme', limits: { minRest: { homeBase: 13 } } } });
+    const issue = result.issues.find(candidate => candidate.type === 'REST_INSUFFICIENT');
+
+    expect(result.calculations.minRest).toBe('13:00');
+    expect(issue).toMatchObject({
+      message: 'Rest period insufficient: 12:30 < 13:00',
+      limitSource: 'operator',
+      operatorLimits: ['minRest.homeBase']
+    });
+    expect(result.calculations.limitSources.FDP_EXCEEDED).toEqual({ limitSource: 'CS', operatorLimits: [] });
+  });
+});
+
+describe('getMaxFDP with a partial table', () => {
+  test('names the table and the reference time it has no band for', () => {
+    const ftlLimits = { ...getRuleSet('easa').limits, maxFDP: { ...getRuleSet('easa').limits.maxFDP, ...partialTable } };
+
+    expect(getMaxFDP('07:00', 2, { ftlLimits }).hours).toBe(13);
+    expect(() => getMaxFDP('20:00', 2, { ftlLimits }))
+      .toThrow('ORO.FTL.205(b)(1) Table 2 has no band for the reference time 20:00');
+  });
+});
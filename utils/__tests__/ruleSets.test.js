@@ -0,0 +1,165 @@
+const { getRuleSet, listRuleSets, isRuleSetSupported, mergeLimits } = require('../ruleSets');
+const { checkEASACompliance } = require('../easaChecker');
+const { generateDiscretionReports } = require('../discretionReport');
+
+describe('mergeLimits', () => {
+  test('merges objects key by key and replaces arrays and values', () => {
+    expect(mergeLimits(
+      { minRest: { homeBase: 12, awayFromBase: 10 }, bands: [1, 2] },
+      { minRest: { awayFromBase: 11 }, bands: [3] }
+    )).toEqual({ minRest: { homeBase: 12, awayFromBase: 11 }, bands: [3] });
+  });
+});
+
+describe('getRuleSet', () => {
+  test('rejects unknown rule sets', () => {
+    expect(isRuleSetSupported('icao')).toBe(false);
+    expect(() => getRuleSet('icao')).toThrow('Unknown rule set: icao');
+  });
+
+  test('lists the rule sets with the one they extend', () => {
+    expect(listRuleSets().map(ruleSet => [ruleSet.id, ruleSet.authority, ruleSet.extends, ruleSet.default])).toEqual([
+      ['easa', 'competent authority', null, true],
+      ['uk-caa', 'UK CAA', 'easa', false],
+      ['faa-part117', 'FAA', null, false]
+    ]);
+  });
+
+  test('merges the UK deviations into the EASA limits', () => {
+    const easa = getRuleSet('easa');
+    const ukCaa = getRuleSet('uk-caa');
+
+    expect(ukCaa.limits.maxFDP.table).toBe('UK ORO.FTL.205(b)(1) Table 2');
+    expect(ukCaa.limits.maxFDP.bands).toEqual(easa.limits.maxFDP.bands);
+    expect(ukCaa.limits.cabinCrew.inFlightRest.table).toBe('UK CS FTL.1.205(c) cabin crew');
+    expect(ukCaa.limits.cabinCrew.maxReportingDifference).toBe(easa.limits.cabinCrew.maxReportingDifference);
+    expect(ukCaa.limits.minRest).toEqual(easa.limits.minRest);
+  });
+
+  test('lists the operations each rule set covers', () => {
+    expect(listRuleSets().map(ruleSet => [ruleSet.id, ruleSet.operations])).toEqual([
+      ['easa', ['cat']],
+      ['uk-caa', ['cat', 'air-taxi', 'single-pilot']],
+      ['faa-part117', ['cat']]
+    ]);
+  });
+
+  test('rejects operations a rule set does not cover', () => {
+    expect(() => getRuleSet('easa', 'air-taxi')).toThrow('EASA ORO.FTL does not cover air-taxi operations');
+    expect(() => getRuleSet('uk-caa', 'balloon')).toThrow('UK CAA ORO.FTL does not cover balloon operations');
+  });
+
+  test('merges the CAP 371 limits of UK air taxi and single-pilot operations', () => {
+    const ukCaa = getRuleSet('uk-caa');
+    const airTaxi = getRuleSet('uk-caa', 'air-taxi');
+    const singlePilot = getRuleSet('uk-caa', 'single-pilot');
+
+    expect(airTaxi.limits.maxFDP).toMatchObject({ table: 'CAP 371 Table A', firstColumnSectors: 1 });
+    expect(singlePilot.limits.maxFDP).toMatchObject({ table: 'CAP 371 Table B', firstColumnSectors: 4 });
+    expect(singlePilot.limits.maxFDPUnknownAcclimatisation.limits).toEqual(singlePilot.limits.maxFDP.bands[4].limits);
+    expect(airTaxi.limits.extensions.maxExtension).toBe(0);
+    expect(airTaxi.limits.commandersDiscretion.maxIncrease).toBe(3);
+    expect(airTaxi.limits.minRest).toEqual(ukCaa.limits.minRest);
+    expect(airTaxi.formatReference('ORO.FTL.205(f)(4)')).toBe('CAP 371');
+    expect(airTaxi.formatReference('ORO.FTL.235(a)(1)')).toBe('UK ORO.FTL.235(a)(1)');
+  });
+
+  test('cites ORO.FTL and CS FTL.1 references as UK law does', () => {
+    const { formatReference } = getRuleSet('uk-caa');
+
+    expect(formatReference('ORO.FTL.205(f)(4)')).toBe('UK ORO.FTL.205(f)(4)');
+    expect(formatReference('CS FTL.1.235(b)')).toBe('UK CS FTL.1.235(b)');
+    expect(formatReference('Regulation')).toBe('Regulation');
+  });
+});
+
+describe('UK CAA rule set', () => {
+  // LHR-CDG-LHR increased by 1:30 at the commander's discretion
+  const roster = [
+    {
+      date: '2025-06-10',
+      type: 'FLIGHT',
+      reportTime: '06:00',
+      offDutyTime: '20:30',
+      commandersDiscretion: { hours: 1.5, reason: 'ATC delay at CDG' },
+      flights: [
+        { flightNumber: 'BA304', departure: 'LHR', arrival: 'CDG', departureTime: '07:00', arrivalTime: '09:00' },
+        { flightNumber: 'BA309', departure: 'CDG', arrival: 'LHR', departureTime: '17:45', arrivalTime: '20:00' }
+      ]
+    }
+  ];
+
+  test('runs the EASA checks with UK references', () => {
+    const [easa] = checkEASACompliance(JSON.parse(JSON.stringify(roster)), 'all', 'en', { ruleSet: 'easa' });
+    const [ukCaa] = checkEASACompliance(JSON.parse(JSON.stringify(roster)), 'all', 'en', { ruleSet: 'uk-caa' });
+
+    expect(ukCaa.status).toBe(easa.status);
+    expect(ukCaa.calculations.maxFDP).toBe(easa.calculations.maxFDP);
+    expect(ukCaa.calculations.maxFDPTable).toEqual({ table: 'UK ORO.FTL.205(b)(1) Table 2', row: '06:00-13:29', column: '1-2' });
+    expect(ukCaa.issues.map(issue => [issue.type, issue.regulation]))
+      .toEqual([['COMMANDERS_DISCRETION_USED', 'UK ORO.FTL.205(f)(4)']]);
+    expect(ukCaa.regulations.map(regulation => regulation.reference)).toContain('UK ORO.FTL.205(f)');
+  });
+
+  describe('CAP 371 operations', () => {
+    // LHR-EDI-LHR reported at 08:30 for a 13:15 FDP
+    const shuttle = [
+      {
+        date: '2025-06-10',
+        type: 'FLIGHT',
+        reportTime: '08:30',
+        offDutyTime: '21:45',
+        flights: [
+          { flightNumber: 'BA1434', departure: 'LHR', arrival: 'EDI', departureTime: '09:30', arrivalTime: '11:00' },
+          { flightNumber: 'BA1445', departure: 'EDI', arrival: 'LHR', departureTime: '20:00', arrivalTime: '21:15' }
+        ]
+      }
+    ];
+    const check = options => checkEASACompliance(JSON.parse(JSON.stringify(shuttle)), 'all', 'en', { ruleSet: 'uk-caa', ...options })[0];
+
+    test('needs an ORO.FTL.205(d) extension for commercial air transport, as under EASA', () => {
+      const [easa] = checkEASACompliance(JSON.parse(JSON.stringify(shuttle)), 'all', 'en', { ruleSet: 'easa' });
+      const ukCaa = check({});
+
+      expect(easa.issues.map(issue => issue.type)).toEqual(['FDP_EXTENSION_REQUIRED']);
+      expect(ukCaa.issues.map(issue => [issue.type, issue.regulation])).toEqual([['FDP_EXTENSION_REQUIRED', 'UK ORO.FTL.205(d)']]);
+    });
+
+    test('allows the FDP for an air taxi crew of two pilots by Table A', () => {
+      const airTaxi = check({ operation: 'air-taxi' });
+
+      expect(airTaxi.calculations.maxFDP).toBe('13:15');
+      expect(airTaxi.calculations.maxFDPTable).toEqual({ table: 'CAP 371 Table A', row: '08:00-12:59', column: '2' });
+      expect(airTaxi.calculations.extensionDetails).toMatchObject({
+        allowed: false,
+        violation: 'No planned FDP extension under this rule set'
+      });
+      expect(airTaxi.issues.map(issue => [issue.type, issue.regulation])).toEqual([['FDP_CLOSE_TO_LIMIT', 'CAP 371']]);
+    });
+
+    test('exceeds the single-pilot FDP of Table B', () => {
+      const singlePilot = check({ operation: 'single-pilot' });
+
+      expect(singlePilot.status).toBe('ILLEGAL');
+      expect(singlePilot.calculations.maxFDPTable).toEqual({ table: 'CAP 371 Table B', row: '08:00-12:59', column: '1-4' });
+      expect(singlePilot.issues.map(issue => [issue.type, issue.message, issue.regulation]))
+        .toEqual([['FDP_EXCEEDED', 'FDP exceeds maximum allowed: 13:15 > 11:00', 'CAP 371']]);
+    });
+
+    test('rejects operations outside the rule set', () => {
+      expect(() => checkEASACompliance(JSON.parse(JSON.stringify(shuttle)), 'all', 'en', { ruleSet: 'easa', operation: 'air-taxi' }))
+        .toThrow('EASA ORO.FTL does not cover air-taxi operations');
+    });
+  });
+
+  test('sends commander\'s discretion reports to the UK CAA', () => {
+    const [report] = generateDiscretionReports(JSON.parse(JSON.stringify(roster)), 'en', { ruleSet: 'uk-caa' });
+
+    expect(report).toMatchObject({
+      regulation: 'UK ORO.FTL.205(f)',
+      authority: 'UK CAA',
+      authorityReportRequired: true,
+      authorityReportDue: '2025-07-08'
+    });
+  });
+});
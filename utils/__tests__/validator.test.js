@@ -0,0 +1,38 @@
+const { validateDutyPeriod } = require('../validator');
+
+// Cabin crew reporting at 05:30 for a VIE-FRA departing at 07:00
+const cabinDuty = {
+  date: '2025-06-10',
+  type: 'FLIGHT',
+  crewCategory: 'cabin',
+  reportTime: '05:30',
+  offDutyTime: '09:00',
+  flights: [{ flightNumber: 'OS121', departure: 'VIE', arrival: 'FRA', departureTime: '07:00', arrivalTime: '08:30' }]
+};
+
+describe('validateDutyPeriod', () => {
+  test('accepts a flight crew reporting time between the cabin crew report and the first departure', () => {
+    expect(validateDutyPeriod({ ...cabinDuty, flightCrewReportTime: '06:30' }, 0)).toEqual([]);
+  });
+
+  test('rejects a flight crew reporting time before the cabin crew\'s', () => {
+    expect(validateDutyPeriod({ ...cabinDuty, flightCrewReportTime: '05:00' }, 0))
+      .toEqual(['Duty 1: Flight crew must report after the cabin crew and before the first departure']);
+  });
+
+  test('rejects a flight crew reporting time after the first departure', () => {
+    expect(validateDutyPeriod({ ...cabinDuty, flightCrewReportTime: '07:30' }, 0))
+      .toEqual(['Duty 1: Flight crew must report after the cabin crew and before the first departure']);
+  });
+
+  test('reads the flight crew reporting time past midnight on the next day', () => {
+    const overnight = {
+      ...cabinDuty,
+      reportTime: '23:30',
+      offDutyTime: '03:00',
+      flights: [{ flightNumber: 'OS121', departure: 'VIE', arrival: 'FRA', departureTime: '00:45', arrivalTime: '02:15' }]
+    };
+
+    expect(validateDutyPeriod({ ...overnight, flightCrewReportTime: '00:15' }, 0)).toEqual([]);
+  });
+});
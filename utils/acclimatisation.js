@@ -0,0 +1,98 @@
+const { getDepartureAirport, getKnownTimezone, getReportInstant, getTimeDifference } = require('./dutyTimes');
+
+/**
+ * State of acclimatisation (ORO.FTL.105(1))
+ * Rows are the time difference between reference times, columns the time elapsed
+ * since reporting at the reference point:
+ * 'B' - acclimatised to the local time of the departure (reference) time zone
+ * 'D' - acclimatised to the local time where the crew member starts the next duty
+ * 'X' - in an unknown state of acclimatisation
+ */
+const ACCLIMATISATION_TABLE = {
+  elapsedColumns: ['<48', '48-71:59', '72-95:59', '96-119:59', '>=120'],
+  elapsedBounds: [48, 72, 96, 120],
+  rows: [
+    { timeDifference: '<4', below: 4, states: ['B', 'D', 'D', 'D', 'D'] },
+    { timeDifference: '<=6', upTo: 6, states: ['B', 'X', 'D', 'D', 'D'] },
+    { timeDifference: '<=9', upTo: 9, states: ['B', 'X', 'X', 'D', 'D'] },
+    { timeDifference: '<=12', upTo: 12, states: ['B', 'X', 'X', 'X', 'D'] }
+  ]
+};
+
+/**
+ * Look up the state of acclimatisation in the ORO.FTL.105 table
+ * @param {number} timeDifference - Time difference between reference times in hours
+ * @param {number} elapsedHours - Time elapsed since reporting at reference time in hours
+ * @returns {string} - 'B', 'D' or 'X'
+ */
+function getAcclimatisationState(timeDifference, elapsedHours) {
+  const row = ACCLIMATISATION_TABLE.rows.find(r =>
+    r.below !== undefined ? timeDifference < r.below : timeDifference <= r.upTo
+  ) || ACCLIMATISATION_TABLE.rows[ACCLIMATISATION_TABLE.rows.length - 1];
+
+  let column = ACCLIMATISATION_TABLE.elapsedBounds.findIndex(bound => elapsedHours < bound);
+  if (column === -1) column = ACCLIMATISATION_TABLE.elapsedBounds.length;
+
+  return row.states[column];
+}
+
+/**
+ * Track the state of acclimatisation across a roster
+ * The crew member starts acclimatised to the time zone of the first departure. Every
+ * duty that departs from that time zone restarts the elapsed time; once the table
+ * yields 'D' the crew member becomes acclimatised to the new departure time zone.
+ * @param {Array} sortedData - Duty periods sorted by date
+ * @returns {Map} - Acclimatisation details keyed by duty object
+ */
+function trackAcclimatisation(sortedData) {
+  const states = new Map();
+  let acclimatisedTimezone = null;
+  let referenceReport = null;
+
+  sortedData.forEach(duty => {
+    const departureTimezone = getKnownTimezone(getDepartureAirport(duty));
+    const report = getReportInstant(duty);
+    if (!departureTimezone || !report) return;
+
+    if (!acclimatisedTimezone) {
+      acclimatisedTimezone = departureTimezone;
+      referenceReport = report;
+    }
+
+    const timeDifference = getTimeDifference(acclimatisedTimezone, departureTimezone, report);
+    if (timeDifference === 0) {
+      // Reporting in the time zone of acclimatisation starts a new reference period
+      referenceReport = report;
+    }
+
+    const elapsedHours = report.diff(referenceReport, 'hours', true);
+    const state = getAcclimatisationState(timeDifference, elapsedHours);
+
+    if (state === 'D') {
+      acclimatisedTimezone = departureTimezone;
+      referenceReport = report;
+    }
+
+    // 'B' uses the time zone the crew member is still acclimatised to, 'D' the
+    // departure time zone; 'X' has no reference time zone
+    const referenceTimezone = state === 'X' ? null : acclimatisedTimezone;
+
+    states.set(duty, {
+      state,
+      acclimatisedTimezone,
+      departureTimezone,
+      timeDifference,
+      elapsedHours,
+      referenceTimezone,
+      referenceTime: referenceTimezone ? report.clone().tz(referenceTimezone).format('HH:mm') : report.format('HH:mm')
+    });
+  });
+
+  return states;
+}
+
+module.exports = {
+  ACCLIMATISATION_TABLE,
+  getAcclimatisationState,
+  trackAcclimatisation
+};
@@ -0,0 +1,1286 @@
+const {
+  toMinutesOfDay,
+  isWithinBand,
+  formatDuration,
+  formatDateTime
+} = require('./dutyTimes');
+const { ALERTNESS_RISK_BANDS } = require('./fatigueModel');
+
+const SEVERITIES = ['HIGH', 'MEDIUM', 'LOW'];
+
+// Categories a rule selection can name instead of single rules
+const RULE_CATEGORIES = {
+  fdp: 'Flight duty period limits, extensions by in-flight rest, split duty, cabin crew reporting and discretion',
+  standby: 'Standby duration and standby combined with an assigned FDP',
+  reserve: 'Reserve notification and protected sleep',
+  extension: 'Conditions for planned FDP extensions',
+  flightTime: 'Daily flight time',
+  rest: 'Minimum rest, reduced rest and sleep opportunity',
+  timeZone: 'Additional rest after crossing time zones',
+  cumulative: 'Cumulative flight and duty time',
+  recovery: 'Recurrent extended recovery rest',
+  disruptive: 'Disruptive schedules and night duties',
+  fatigue: 'Fatigue heuristics beyond the regulatory limits'
+};
+
+const EXTENSION_FATIGUE_RISK = 'Extended FDPs outside the permitted conditions increase fatigue risk';
+
+/**
+ * Sum a value given as named terms
+ * @param {number|Object} value - Value, or named terms adding up to it
+ * @returns {number} - Value
+ */
+function sumTerms(value) {
+  if (value === null || typeof value !== 'object') return value;
+
+  return Object.values(value).reduce((sum, term) => sum + term, 0);
+}
+
+/**
+ * Write a value given as named terms as an expression
+ * @param {Object} terms - Named terms adding up to the value
+ * @param {Function} format - Formatter of a single term
+ * @returns {string|null} - Expression such as 13:00 + 01:30 - 00:30, or null for a single term
+ */
+function formatTerms(terms, format) {
+  // Terms that do not change the value are left out, except for the first
+  const values = Object.values(terms).filter((term, index) => index === 0 || term !== 0);
+  if (values.length < 2) return null;
+
+  return values
+    .map((term, index) => (index === 0 ? format(term) : `${term < 0 ? '-' : '+'} ${format(Math.abs(term))}`))
+    .join(' ');
+}
+
+/**
+ * Describe the comparison that raised an issue, for its trace
+ * @param {number|string|Object} actual - Checked value, or named terms adding up to it
+ * @param {string} operator - Comparison that holds for the issue ('>', '>=', '<', 'within' or 'overlaps')
+ * @param {number|string|Object} limit - Limit, or named terms adding up to it
+ * @param {string} unit - 'hours' (default), 'count', 'time' or 'alertness'
+ * @returns {Object} - Values, terms and the expression as evaluated
+ */
+function compare(actual, operator, limit, unit = 'hours') {
+  const format = unit === 'hours'
+    ? value => (value < 0 ? `-${formatDuration(-value)}` : formatDuration(value))
+    : value => (value === null ? 'N/A' : String(value));
+  const actualValue = sumTerms(actual);
+  const limitValue = sumTerms(limit);
+  const sides = [[actual, actualValue], [limit, limitValue]].map(([value, total]) => {
+    const terms = value !== null && typeof value === 'object' ? formatTerms(value, format) : null;
+    return terms ? `${format(total)} (${terms})` : format(total);
+  });
+
+  return {
+    actual: actualValue,
+    operator,
+    limit: limitValue,
+    unit,
+    actualTerms: actual !== null && typeof actual === 'object' ? actual : null,
+    limitTerms: limit !== null && typeof limit === 'object' ? limit : null,
+    expression: `${sides[0]} ${operator} ${sides[1]}`
+  };
+}
+
+/**
+ * Get the limit of an FDP rule as named terms
+ * @param {Object} facts - Facts of the fdp stage
+ * @param {Object} extra - Further terms such as an extension or discretion
+ * @returns {Object} - Max FDP terms in hours
+ */
+function maxFDPTerms(facts, extra = {}) {
+  return { ...(facts.maxFDPTerms || { maxFDP: facts.maxFDP }), ...extra };
+}
+
+/**
+ * Get the minimum rest of a rest requirement as named terms
+ * @param {Object} restRequirement - Rest requirement from getRestRequirement
+ * @returns {Object} - Minimum rest terms in hours
+ */
+function minRestTerms(restRequirement) {
+  const { minRest, restIncrease, precedingDutyPeriod, atHomeBase } = restRequirement;
+
+  // The minimum rest is the preceding duty period or the minimum at the rest location, whichever is longer
+  if (precedingDutyPeriod + restIncrease === minRest) {
+    return { precedingDutyPeriod, restIncrease };
+  }
+  return { [atHomeBase ? 'homeBaseMinimum' : 'awayFromBaseMinimum']: minRest - restIncrease, restIncrease };
+}
+
+/**
+ * Define a cumulative limit rule (ORO.FTL.210, 14 CFR 117.23)
+ * @param {Object} definition - Rule fields with the window key and the facts flag that raises it
+ * @returns {Object} - Rule evaluating the window total against its limit
+ */
+function cumulativeLimitRule(definition) {
+  const { key, raisedBy, messageKey, ...rule } = definition;
+
+  return {
+    ...rule,
+    category: 'cumulative',
+    stage: 'cumulative',
+    severity: 'HIGH',
+    messageKeys: [messageKey],
+    evaluate: (facts, t) => {
+      const window = facts.windows[key];
+      if (!window || !facts[raisedBy] || window.total <= window.limit) return null;
+
+      return {
+        message: `${t[messageKey]}: ${formatDuration(window.total)} > ${window.limit}h`,
+        window: { key, start: formatDateTime(window.start), end: formatDateTime(window.end), timezone: 'UTC' },
+        calculation: compare(window.total, '>', window.limit)
+      };
+    }
+  };
+}
+
+// Registered rules in the order their issues are reported. Each rule runs at a stage
+// of the check with the facts gathered there; evaluate returns the message of the
+// issue (and a regulation or texts differing from the rule's) or null. The finding
+// also describes the calculation behind it, and the table lookup or window where
+// the limit came from one, for the issue's trace.
+const RULES = [
+  {
+    id: 'STANDBY_DURATION_EXCEEDED',
+    category: 'standby',
+    stage: 'standby',
+    regulation: 'CS FTL.1.225(b)',
+    severity: 'HIGH',
+    messageKeys: ['standbyDurationExceeded'],
+    limits: ['standby'],
+    fatigueRisk: 'Long standby periods extend the time crew members stay awake before a possible FDP',
+    recommendation: 'Limit standby other than airport standby to 16 hours',
+    evaluate: ({ standbyPeriod, standbyLimits }, t) => {
+      if (!standbyLimits.maxDuration || standbyPeriod <= standbyLimits.maxDuration) return null;
+
+      return {
+        message: `${t.standbyDurationExceeded}: ${formatDuration(standbyPeriod)} > ${formatDuration(standbyLimits.maxDuration)}`,
+        calculation: compare(standbyPeriod, '>', standbyLimits.maxDuration)
+      };
+    }
+  },
+  {
+    id: 'CABIN_CREW_REPORTING_DIFFERENCE_EXCEEDED',
+    category: 'fdp',
+    stage: 'flightDuty',
+    regulation: 'ORO.FTL.205(c)',
+    severity: 'HIGH',
+    messageKeys: ['cabinCrewReportingDifferenceExceeded'],
+    limits: ['cabinCrew'],
+    fatigueRisk: 'Cabin crew FDP starts well before the flight crew FDP the limit is based on',
+    recommendation: 'Report cabin crew no more than 1 hour before the flight crew',
+    evaluate: ({ cabinReporting, ftlLimits }, t) => {
+      const maxDifference = ftlLimits.cabinCrew.maxReportingDifference;
+      if (!cabinReporting || cabinReporting.difference <= maxDifference) return null;
+
+      return {
+        message: `${t.cabinCrewReportingDifferenceExceeded}: ${formatDuration(cabinReporting.difference)} > ${formatDuration(maxDifference)}`,
+        calculation: compare(cabinReporting.difference, '>', maxDifference)
+      };
+    }
+  },
+  {
+    id: 'DELAYED_REPORTING_NOTIFIED_LATE',
+    category: 'fdp',
+    stage: 'flightDuty',
+    regulation: 'CS FTL.1.205(d)',
+    severity: 'MEDIUM',
+    messageKeys: ['delayedReportingNotifiedLate'],
+    limits: ['delayedReporting'],
+    fatigueRisk: 'Crew member left the place of rest before the delay was known',
+    recommendation: 'Notify delays before the original reporting time; the FDP counts from the original reporting time',
+    evaluate: ({ delayedReporting }, t) => {
+      if (!delayedReporting || delayedReporting.notifiedInTime) return null;
+
+      const notification = delayedReporting.notification ? formatDateTime(delayedReporting.notification) : 'N/A';
+      return {
+        message: `${t.delayedReportingNotifiedLate}: ${notification} (${delayedReporting.originalReportTime})`,
+        calculation: compare(notification, '>=', delayedReporting.originalReportTime, 'time')
+      };
+    }
+  },
+  {
+    id: 'AUGMENTED_SECTORS_EXCEEDED',
+    category: 'fdp',
+    stage: 'flightDuty',
+    regulation: 'CS FTL.1.205(c)',
+    severity: 'HIGH',
+    messageKeys: ['augmentedSectorsExceeded'],
+    limits: ['augmentedCrew'],
+    fatigueRisk: 'In-flight rest cannot compensate for the workload of additional sectors',
+    recommendation: 'Limit the augmented FDP to 3 sectors or plan without in-flight rest extension',
+    evaluate: ({ augmentedCrew, sectors, ftlLimits }, t) => {
+      if (!augmentedCrew || sectors <= ftlLimits.augmentedCrew.maxSectors) return null;
+
+      return {
+        message: `${t.augmentedSectorsExceeded}: ${sectors} > ${ftlLimits.augmentedCrew.maxSectors}`,
+        calculation: compare(sectors, '>', ftlLimits.augmentedCrew.maxSectors, 'count')
+      };
+    }
+  },
+  {
+    id: 'IN_FLIGHT_REST_INSUFFICIENT',
+    category: 'fdp',
+    stage: 'flightDuty',
+    regulation: 'CS FTL.1.205(c)',
+    severity: 'HIGH',
+    messageKeys: ['inFlightRestInsufficient'],
+    limits: ['augmentedCrew', 'cabinCrew'],
+    fatigueRisk: 'Short in-flight rest does not provide the recovery the extended FDP relies on',
+    recommendation: 'Plan at least 90 consecutive minutes of in-flight rest for each crew member',
+    evaluate: ({ augmentedCrew, minInFlightRest, crewCategory }, t) => {
+      if (!augmentedCrew || augmentedCrew.inFlightRest === undefined || minInFlightRest === null ||
+          augmentedCrew.inFlightRest >= minInFlightRest) {
+        return null;
+      }
+
+      return {
+        message: `${t.inFlightRestInsufficient}: ${formatDuration(augmentedCrew.inFlightRest)} < ${formatDuration(minInFlightRest)}`,
+        calculation: compare(augmentedCrew.inFlightRest, '<', minInFlightRest),
+        recommendation: crewCategory === 'cabin'
+          ? `Plan at least ${formatDuration(minInFlightRest)} of in-flight rest for each cabin crew member for this FDP`
+          : undefined
+      };
+    }
+  },
+  {
+    id: 'SPLIT_DUTY_NOT_APPLICABLE',
+    category: 'fdp',
+    stage: 'flightDuty',
+    regulation: 'CS FTL.1.220',
+    severity: 'MEDIUM',
+    messageKeys: ['splitDutyNotApplicable'],
+    limits: ['splitDuty'],
+    fatigueRisk: 'Break does not provide the recovery required to extend the FDP',
+    recommendation: 'Plan a longer break on the ground or reduce the FDP',
+    evaluate: ({ splitDutyInfo, ftlLimits }, t) => {
+      if (!splitDutyInfo || splitDutyInfo.eligible) return null;
+
+      // A break combined with in-flight rest is not applicable whatever its length
+      const limits = ftlLimits.splitDuty;
+      let calculation = null;
+      if (splitDutyInfo.netBreak < limits.minimumBreak) {
+        calculation = compare(splitDutyInfo.netBreak, '<', limits.minimumBreak);
+      } else if (splitDutyInfo.accommodationRequired && !splitDutyInfo.accommodation) {
+        calculation = splitDutyInfo.encroachesWOCL
+          ? compare(`${splitDutyInfo.breakStart}-${splitDutyInfo.breakEnd}`, 'overlaps', `${ftlLimits.wocl.start}-${ftlLimits.wocl.end}`, 'time')
+          : compare(splitDutyInfo.netBreak, '>=', limits.accommodationThreshold);
+      }
+
+      return {
+        message: `${t.splitDutyNotApplicable}: ${splitDutyInfo.reason}`,
+        calculation,
+        recommendation: splitDutyInfo.accommodationRequired && !splitDutyInfo.accommodation
+          ? 'Provide suitable accommodation for the break'
+          : undefined
+      };
+    }
+  },
+  {
+    id: 'COMMANDERS_DISCRETION_EXCEEDED',
+    category: 'fdp',
+    stage: 'fdp',
+    regulation: 'ORO.FTL.205(f)(1)(i)',
+    severity: 'HIGH',
+    messageKeys: ['commandersDiscretionExceeded'],
+    limits: ['commandersDiscretion'],
+    fatigueRisk: 'FDP increased beyond what the commander may accept in unforeseen circumstances',
+    recommendation: 'Limit the increase to 2 hours, or 3 hours with augmented flight crew',
+    evaluate: ({ discretion }, t) => {
+      if (!discretion || discretion.increase <= 0 || discretion.recorded <= discretion.maxIncrease) return null;
+
+      return {
+        message: `${t.commandersDiscretionExceeded}: ${formatDuration(discretion.recorded)} > ${formatDuration(discretion.maxIncrease)}`,
+        calculation: compare(discretion.recorded, '>', discretion.maxIncrease)
+      };
+    }
+  },
+  {
+    id: 'FDP_EXCEEDED',
+    category: 'fdp',
+    stage: 'fdp',
+    regulation: 'ORO.FTL.205(d)',
+    severity: 'HIGH',
+    messageKeys: ['fdpExceeded', 'extensionExceeded'],
+    limits: ['maxFDP', 'maxFDPUnknownAcclimatisation', 'maxFDPUnknownAcclimatisationFRM', 'augmentedCrew', 'cabinCrew', 'splitDuty', 'extensions', 'standby', 'delayedReporting', 'commandersDiscretion'],
+    fatigueRisk: 'High risk of pilot fatigue due to excessive duty period beyond extension limits',
+    recommendation: 'Reduce FDP or provide adequate in-flight rest',
+    evaluate: (facts, t) => {
+      const { fdp, maxFDP, maxExtension, discretion, standbyReduction } = facts;
+
+      // An FDP beyond the basic limit is covered by the commander's discretion when one was recorded
+      if (discretion && discretion.increase > 0) {
+        if (fdp <= maxFDP + discretion.allowedIncrease) return null;
+
+        return {
+          message: `${t.fdpExceeded}: ${formatDuration(fdp)} > ${formatDuration(maxFDP + discretion.allowedIncrease)}`,
+          calculation: compare(fdp, '>', maxFDPTerms(facts, { commandersDiscretion: discretion.allowedIncrease })),
+          regulation: 'ORO.FTL.205(f)(1)(i)',
+          fatigueRisk: "High risk of pilot fatigue due to excessive duty period beyond the commander's discretion",
+          recommendation: 'Record the actual increase or reduce the FDP'
+        };
+      }
+
+      if (fdp <= maxFDP + maxExtension) return null;
+
+      return {
+        message: `${maxExtension > 0 ? t.extensionExceeded : t.fdpExceeded}: ${formatDuration(fdp)} > ${formatDuration(maxFDP + maxExtension)}`,
+        calculation: compare(fdp, '>', maxFDPTerms(facts, { extension: maxExtension })),
+        regulation: standbyReduction > 0 ? 'CS FTL.1.225' : undefined
+      };
+    }
+  },
+  {
+    id: 'COMMANDERS_DISCRETION_USED',
+    category: 'fdp',
+    stage: 'fdp',
+    regulation: 'ORO.FTL.205(f)(4)',
+    severity: 'MEDIUM',
+    messageKeys: ['commandersDiscretionUsed'],
+    limits: ['commandersDiscretion'],
+    fatigueRisk: 'FDP increased beyond the basic limit in unforeseen circumstances',
+    recommendation: 'Submit the discretion report to the operator',
+    evaluate: (facts, t) => {
+      const { fdp, maxFDP, discretion, ftlLimits } = facts;
+      if (!discretion || discretion.increase <= 0 || fdp > maxFDP + discretion.allowedIncrease) return null;
+
+      return {
+        message: `${t.commandersDiscretionUsed}: ${formatDuration(fdp)} > ${formatDuration(maxFDP)} (+${formatDuration(discretion.increase)})`,
+        calculation: compare(fdp, '>', maxFDPTerms(facts)),
+        recommendation: discretion.increase > ftlLimits.commandersDiscretion.authorityReportThreshold
+          ? 'Submit the discretion report to the operator and a copy to the competent authority within 28 days'
+          : undefined
+      };
+    }
+  },
+  {
+    id: 'FDP_EXTENSION_REQUIRED',
+    category: 'fdp',
+    stage: 'fdp',
+    regulation: 'ORO.FTL.205(d)',
+    severity: 'MEDIUM',
+    messageKeys: ['extensionUsed'],
+    limits: ['maxFDP', 'maxFDPUnknownAcclimatisation', 'maxFDPUnknownAcclimatisationFRM', 'extensions'],
+    fatigueRisk: 'Extension required - increased fatigue risk',
+    recommendation: 'Ensure proper notification and crew agreement for extension',
+    evaluate: (facts, t) => {
+      const { fdp, maxFDP, maxExtension, discretion } = facts;
+      if ((discretion && discretion.increase > 0) || fdp <= maxFDP || fdp > maxFDP + maxExtension) return null;
+
+      return {
+        message: `${t.extensionUsed}: ${formatDuration(fdp)} > ${formatDuration(maxFDP)} (${t.extensionAllowed.toLowerCase()})`,
+        calculation: compare(fdp, '>', maxFDPTerms(facts))
+      };
+    }
+  },
+  {
+    id: 'FDP_CLOSE_TO_LIMIT',
+    category: 'fatigue',
+    stage: 'fdp',
+    regulation: 'ORO.FTL.205',
+    severity: 'MEDIUM',
+    regulatory: false,
+    messageKeys: ['closeToLimit'],
+    limits: ['maxFDP', 'maxFDPUnknownAcclimatisation', 'maxFDPUnknownAcclimatisationFRM', 'augmentedCrew', 'cabinCrew', 'splitDuty', 'delayedReporting'],
+    fatigueRisk: 'Increased fatigue risk when approaching FDP limits',
+    recommendation: 'Monitor crew alertness and consider fatigue mitigation',
+    evaluate: (facts, t) => {
+      const { fdp, maxFDP, discretion, standby } = facts;
+      if (standby || (discretion && discretion.increase > 0) || fdp > maxFDP || fdp <= maxFDP - 0.5) return null;
+
+      return {
+        message: `${t.closeToLimit}: ${formatDuration(fdp)} (max: ${formatDuration(maxFDP)})`,
+        calculation: compare(fdp, '>', maxFDPTerms(facts, { margin: -0.5 }))
+      };
+    }
+  },
+  {
+    id: 'STANDBY_COMBINED_DUTY_EXCEEDED',
+    category: 'standby',
+    stage: 'standbyFdp',
+    regulation: 'CS FTL.1.225(a)',
+    severity: 'HIGH',
+    messageKeys: ['standbyCombinedDutyExceeded'],
+    limits: ['standby'],
+    fatigueRisk: 'Airport standby followed by a long FDP keeps crew on duty for too long',
+    recommendation: 'Release the crew member earlier from airport standby or shorten the FDP',
+    evaluate: ({ standbyPeriod, standbyLimits, fdp }, t) => {
+      const combined = standbyPeriod + fdp;
+      if (!standbyLimits.maxCombinedWithFDP || combined <= standbyLimits.maxCombinedWithFDP) return null;
+
+      return {
+        message: `${t.standbyCombinedDutyExceeded}: ${formatDuration(combined)} > ${formatDuration(standbyLimits.maxCombinedWithFDP)}`,
+        calculation: compare({ standby: standbyPeriod, fdp }, '>', standbyLimits.maxCombinedWithFDP)
+      };
+    }
+  },
+  {
+    id: 'STANDBY_AWAKE_TIME_EXCEEDED',
+    category: 'standby',
+    stage: 'standbyFdp',
+    regulation: 'CS FTL.1.225(b)',
+    severity: 'MEDIUM',
+    messageKeys: ['standbyAwakeTimeExceeded'],
+    limits: ['standby'],
+    fatigueRisk: 'Standby and FDP combined may exceed 18 hours awake time',
+    recommendation: 'Review standby procedures to protect sleep before a possible call-out',
+    evaluate: ({ standbyPeriod, standbyLimits, fdp }, t) => {
+      const combined = standbyPeriod + fdp;
+      if (!standbyLimits.maxAwakeTime || combined <= standbyLimits.maxAwakeTime) return null;
+
+      return {
+        message: `${t.standbyAwakeTimeExceeded}: ${formatDuration(combined)} > ${formatDuration(standbyLimits.maxAwakeTime)}`,
+        calculation: compare({ standby: standbyPeriod, fdp }, '>', standbyLimits.maxAwakeTime)
+      };
+    }
+  },
+  {
+    id: 'FLIGHT_TIME_EXCEEDED',
+    category: 'flightTime',
+    stage: 'flightTime',
+    regulation: 'ORO.FTL.210',
+    severity: 'HIGH',
+    messageKeys: ['flightTimeExceeded'],
+    limits: ['maxFlightTime'],
+    fatigueRisk: 'Excessive flight time increases workload and fatigue',
+    recommendation: 'Reduce flight time or split into multiple duty periods',
+    evaluate: ({ flightTime, augmentedCrew, ftlLimits }, t) => {
+      // Augmented crew share the flight time through in-flight rest
+      if (augmentedCrew || flightTime <= ftlLimits.maxFlightTime.daily) return null;
+
+      return {
+        message: `${t.flightTimeExceeded}: ${formatDuration(flightTime)} > ${ftlLimits.maxFlightTime.daily}h`,
+        calculation: compare(flightTime, '>', ftlLimits.maxFlightTime.daily)
+      };
+    }
+  },
+  {
+    id: 'COMMANDERS_DISCRETION_REST_REDUCED',
+    category: 'rest',
+    stage: 'rest',
+    regulation: 'ORO.FTL.205(f)(1)(iii)',
+    severity: 'MEDIUM',
+    messageKeys: ['discretionRestReduced'],
+    limits: ['commandersDiscretion'],
+    fatigueRisk: 'Reduced rest after an FDP increased in unforeseen circumstances',
+    recommendation: 'Submit the discretion report and monitor crew alertness on the next duty',
+    evaluate: ({ rest, restRequirement }, t) => {
+      const { minRest, discretionMinRest } = restRequirement;
+      if (discretionMinRest === null || rest >= minRest || rest < discretionMinRest) return null;
+
+      return {
+        message: `${t.discretionRestReduced}: ${formatDuration(rest)} < ${formatDuration(minRest)} (min ${formatDuration(discretionMinRest)})`,
+        calculation: compare(rest, '<', minRestTerms(restRequirement))
+      };
+    }
+  },
+  {
+    id: 'REST_INSUFFICIENT',
+    category: 'rest',
+    stage: 'rest',
+    regulation: 'ORO.FTL.235(a)',
+    severity: 'HIGH',
+    messageKeys: ['restInsufficient'],
+    limits: ['minRest', 'reducedRest'],
+    fatigueRisk: 'Insufficient rest increases fatigue accumulation',
+    recommendation: 'Provide rest at least as long as the preceding duty period and the minimum for the rest location',
+    evaluate: ({ rest, restRequirement, reducedRest }, t) => {
+      const { minRest, discretionMinRest } = restRequirement;
+      if (rest >= minRest) return null;
+
+      // Rest reduced at the commander's discretion is reported rather than a violation
+      if (discretionMinRest !== null) {
+        if (rest >= discretionMinRest) return null;
+
+        return {
+          message: `${t.restInsufficient}: ${formatDuration(rest)} < ${formatDuration(discretionMinRest)}`,
+          calculation: compare(rest, '<', discretionMinRest),
+          regulation: 'ORO.FTL.205(f)(1)(iii)',
+          recommendation: "Rest reduced at the commander's discretion can never be less than 10 hours"
+        };
+      }
+
+      // A reduced rest under an approved scheme replaces the minimum rest requirement
+      if (reducedRest && reducedRest.reducedRestBefore) return null;
+
+      return {
+        message: `${t.restInsufficient}: ${formatDuration(rest)} < ${formatDuration(minRest)}`,
+        calculation: compare(rest, '<', minRestTerms(restRequirement)),
+        regulation: restRequirement.restIncrease > 0
+          ? 'CS FTL.1.235(c)'
+          : (restRequirement.atHomeBase ? 'ORO.FTL.235(a)' : 'ORO.FTL.235(b)')
+      };
+    }
+  },
+  {
+    id: 'REDUCED_REST_LIMIT_EXCEEDED',
+    category: 'rest',
+    stage: 'rest',
+    regulation: 'CS FTL.1.235(c)',
+    severity: 'HIGH',
+    messageKeys: ['reducedRestLimitExceeded'],
+    limits: ['reducedRest'],
+    fatigueRisk: 'Repeated reduced rest accumulates sleep debt',
+    recommendation: 'Provide the full minimum rest or a recovery rest before another reduced rest',
+    evaluate: ({ reducedRest, ftlLimits }, t) => {
+      const maxReducedRests = ftlLimits.reducedRest.maxBetweenRecoveryRests;
+      if (!reducedRest || !reducedRest.reducedRestBefore || reducedRest.reducedRestsSinceRecoveryRest <= maxReducedRests) {
+        return null;
+      }
+
+      return {
+        message: `${t.reducedRestLimitExceeded}: ${reducedRest.reducedRestsSinceRecoveryRest} > ${maxReducedRests}`,
+        calculation: compare(reducedRest.reducedRestsSinceRecoveryRest, '>', maxReducedRests, 'count')
+      };
+    }
+  },
+  {
+    id: 'SLEEP_OPPORTUNITY_INSUFFICIENT',
+    category: 'rest',
+    stage: 'rest',
+    regulation: 'ORO.FTL.235(b)',
+    severity: 'HIGH',
+    messageKeys: ['sleepOpportunityInsufficient'],
+    limits: ['minRest'],
+    fatigueRisk: 'Travelling to accommodation leaves too little time to sleep',
+    recommendation: 'Extend the rest period or provide accommodation closer to the aerodrome',
+    evaluate: ({ rest, restRequirement, reducedRest, ftlLimits }, t) => {
+      // Sleep opportunity within a reduced rest is defined by the operator's approved scheme
+      if (restRequirement.atHomeBase || (reducedRest && reducedRest.reducedRestBefore)) return null;
+
+      const sleepOpportunity = rest - restRequirement.travelTime - ftlLimits.minRest.physiologicalNeeds;
+      if (sleepOpportunity >= ftlLimits.minRest.sleepOpportunity) return null;
+
+      return {
+        message: `${t.sleepOpportunityInsufficient}: ${formatDuration(Math.max(0, sleepOpportunity))} < ${formatDuration(ftlLimits.minRest.sleepOpportunity)}`,
+        calculation: compare({
+          rest,
+          travelTime: -restRequirement.travelTime,
+          physiologicalNeeds: -ftlLimits.minRest.physiologicalNeeds
+        }, '<', ftlLimits.minRest.sleepOpportunity)
+      };
+    }
+  },
+  {
+    id: 'RESERVE_NOTIFICATION_INSUFFICIENT',
+    category: 'reserve',
+    stage: 'reserve',
+    regulation: 'CS FTL.1.230',
+    severity: 'HIGH',
+    messageKeys: ['reserveNotificationInsufficient'],
+    limits: ['reserve'],
+    fatigueRisk: 'Short notice prevents the crew member from planning adequate sleep before the FDP',
+    recommendation: 'Notify reserve assignments at least 10 hours before reporting',
+    evaluate: ({ leadTime, ftlLimits }, t) => {
+      if (leadTime !== null && leadTime >= ftlLimits.reserve.minNotification) return null;
+
+      return {
+        message: `${t.reserveNotificationInsufficient}: ${leadTime !== null ? formatDuration(Math.max(0, leadTime)) : 'N/A'} < ${formatDuration(ftlLimits.reserve.minNotification)}`,
+        calculation: compare(leadTime !== null ? Math.max(0, leadTime) : null, '<', ftlLimits.reserve.minNotification)
+      };
+    }
+  },
+  {
+    id: 'RESERVE_SLEEP_INTERRUPTED',
+    category: 'reserve',
+    stage: 'reserve',
+    regulation: 'CS FTL.1.230',
+    severity: 'HIGH',
+    messageKeys: ['reserveSleepInterrupted'],
+    limits: ['reserve'],
+    fatigueRisk: 'Contact during the protected sleep opportunity disrupts recovery',
+    recommendation: 'Do not contact reserve crew during the protected 8-hour sleep opportunity',
+    evaluate: ({ contacts, protectedSleep }, t) => {
+      const { timezone, periods } = protectedSleep;
+      const interrupted = contacts.filter(contact =>
+        periods.some(period => !contact.at.isBefore(period.start) && contact.at.isBefore(period.end)));
+      if (interrupted.length === 0) return null;
+
+      const toLocal = instant => formatDateTime(instant.clone().tz(timezone));
+      const contactTimes = interrupted.map(contact => `${contact.label} ${toLocal(contact.at)}`).join(', ');
+      const protectedPeriods = periods.map(period => `${toLocal(period.start)}-${toLocal(period.end)}`).join(', ');
+      return {
+        message: `${t.reserveSleepInterrupted}: ${contactTimes} (${protectedSleep.start}-${protectedSleep.end})`,
+        calculation: compare(contactTimes, 'within', protectedPeriods, 'time')
+      };
+    }
+  },
+  {
+    id: 'RESERVE_ASSIGNMENT_OUTSIDE_PERIOD',
+    category: 'reserve',
+    stage: 'reserve',
+    regulation: 'ORO.FTL.230',
+    severity: 'MEDIUM',
+    messageKeys: ['reserveAssignmentOutsidePeriod'],
+    limits: ['reserve'],
+    fatigueRisk: 'Assignments outside the reserve period are not covered by reserve planning',
+    recommendation: 'Roster the FDP as a planned duty or adjust the reserve period',
+    evaluate: ({ duty, reservePeriod, reportAfterReserveStart }, t) => {
+      if (!duty.reserveStartTime || !duty.reserveEndTime || reportAfterReserveStart <= reservePeriod) return null;
+
+      return {
+        message: `${t.reserveAssignmentOutsidePeriod}: ${duty.reportTime} (${duty.reserveStartTime}-${duty.reserveEndTime})`,
+        calculation: compare(reportAfterReserveStart, '>', reservePeriod)
+      };
+    }
+  },
+  {
+    id: 'EXTENSION_LIMIT_EXCEEDED',
+    category: 'extension',
+    stage: 'extension',
+    regulation: 'ORO.FTL.205(d)(1)',
+    severity: 'HIGH',
+    messageKeys: ['extensionLimitExceeded'],
+    limits: ['extensions'],
+    fatigueRisk: EXTENSION_FATIGUE_RISK,
+    recommendation: 'Plan the FDP within the basic limit or move it outside the 168-hour window',
+    evaluate: ({ extensionCount, ftlLimits }, t) => {
+      const { maxPerWeek } = ftlLimits.extensions;
+      if (extensionCount <= maxPerWeek) return null;
+
+      return {
+        message: `${t.extensionLimitExceeded}: ${extensionCount} > ${maxPerWeek}`,
+        calculation: compare(extensionCount, '>', maxPerWeek, 'count')
+      };
+    }
+  },
+  {
+    id: 'EXTENSION_START_TIME_EXCLUDED',
+    category: 'extension',
+    stage: 'extension',
+    regulation: 'CS FTL.1.205(b)(1)',
+    severity: 'HIGH',
+    messageKeys: ['extensionStartTimeExcluded'],
+    limits: ['extensions'],
+    fatigueRisk: EXTENSION_FATIGUE_RISK,
+    recommendation: 'Plan the FDP within the basic limit',
+    evaluate: ({ referenceTime, ftlLimits }, t) => {
+      const { excludedStartTimes } = ftlLimits.extensions;
+      if (!isWithinBand(toMinutesOfDay(referenceTime), excludedStartTimes.start, excludedStartTimes.end)) return null;
+
+      return {
+        message: `${t.extensionStartTimeExcluded}: ${referenceTime} (${excludedStartTimes.start}-${excludedStartTimes.end})`,
+        calculation: compare(referenceTime, 'within', `${excludedStartTimes.start}-${excludedStartTimes.end}`, 'time')
+      };
+    }
+  },
+  {
+    id: 'EXTENSION_SECTORS_EXCEEDED',
+    category: 'extension',
+    stage: 'extension',
+    regulation: 'ORO.FTL.205(d)(1)',
+    severity: 'HIGH',
+    messageKeys: ['extensionSectorsExceeded'],
+    limits: ['extensions', 'wocl'],
+    fatigueRisk: EXTENSION_FATIGUE_RISK,
+    recommendation: 'Reduce the number of sectors or plan the FDP within the basic limit',
+    evaluate: ({ sectors, woclEncroachment, ftlLimits }, t) => {
+      const { sectorLimits } = ftlLimits.extensions;
+      const row = sectorLimits.findIndex(limit => woclEncroachment <= limit.maxEncroachment);
+      const sectorLimit = sectorLimits[row];
+      if (sectors <= sectorLimit.maxSectors) return null;
+
+      return {
+        message: `${t.extensionSectorsExceeded}: ${sectors} > ${sectorLimit.maxSectors} (WOCL ${formatDuration(woclEncroachment)})`,
+        lookup: {
+          table: 'ORO.FTL.205(d)(1)',
+          row: Number.isFinite(sectorLimit.maxEncroachment)
+            ? `WOCL encroachment <= ${formatDuration(sectorLimit.maxEncroachment)}`
+            : `WOCL encroachment > ${formatDuration(sectorLimits[row - 1].maxEncroachment)}`,
+          column: 'maxSectors',
+          value: sectorLimit.maxSectors,
+          woclEncroachment
+        },
+        calculation: compare(sectors, '>', sectorLimit.maxSectors, 'count')
+      };
+    }
+  },
+  {
+    id: 'EXTENSION_REST_NOT_INCREASED',
+    category: 'extension',
+    stage: 'extension',
+    regulation: 'ORO.FTL.205(d)(2)',
+    severity: 'HIGH',
+    messageKeys: ['extensionRestNotIncreased'],
+    limits: ['extensions', 'minRest'],
+    fatigueRisk: EXTENSION_FATIGUE_RISK,
+    recommendation: 'Increase the pre- and post-flight rest by 2 hours, or the post-flight rest by 4 hours',
+    evaluate: ({ restBefore, minRestBefore, restAfter, minRestAfter, ftlLimits }, t) => {
+      // Rest that cannot be determined (after a day off or at the roster edges) is not checked
+      if (restAfter === null) return null;
+
+      const { restIncrease } = ftlLimits.extensions;
+      const preIncreased = restBefore === null || restBefore >= minRestBefore + restIncrease.preAndPost;
+      const postIncreased = restAfter >= minRestAfter + restIncrease.preAndPost;
+      const postOnlyIncreased = restAfter >= minRestAfter + restIncrease.postOnly;
+      if ((preIncreased && postIncreased) || postOnlyIncreased) return null;
+
+      // Neither the post-flight rest alone nor the pre- and post-flight rests were increased enough
+      const calculation = preIncreased
+        ? compare(restAfter, '<', { minRest: minRestAfter, restIncrease: restIncrease.preAndPost })
+        : compare(restBefore, '<', { minRest: minRestBefore, restIncrease: restIncrease.preAndPost });
+      return {
+        message: `${t.extensionRestNotIncreased}: ${restBefore !== null ? formatDuration(restBefore) : 'N/A'} / ${formatDuration(restAfter)}`,
+        calculation: {
+          ...calculation,
+          alternative: compare(restAfter, '<', { minRest: minRestAfter, restIncrease: restIncrease.postOnly })
+        }
+      };
+    }
+  },
+  {
+    id: 'TIME_ZONE_REST_INSUFFICIENT',
+    category: 'timeZone',
+    stage: 'timeZone',
+    regulation: 'CS FTL.1.235(b)(3)(ii)',
+    severity: 'HIGH',
+    messageKeys: ['timeZoneRestInsufficient'],
+    limits: ['timeZoneRest'],
+    fatigueRisk: 'Rest out of phase with the body clock after crossing time zones gives less sleep',
+    recommendation: 'Provide at least 14 hours of rest, or the preceding duty period if longer',
+    evaluate: ({ timeZoneRest }, t) => {
+      if (timeZoneRest.type !== 'awayFromBase' || timeZoneRest.rest === null || timeZoneRest.rest >= timeZoneRest.minRest) {
+        return null;
+      }
+
+      return {
+        message: `${t.timeZoneRestInsufficient}: ${formatDuration(timeZoneRest.rest)} < ${formatDuration(timeZoneRest.minRest)}`,
+        calculation: compare(timeZoneRest.rest, '<', timeZoneRest.minRest)
+      };
+    }
+  },
+  {
+    id: 'TIME_ZONE_LOCAL_NIGHTS_INSUFFICIENT',
+    category: 'timeZone',
+    stage: 'timeZone',
+    regulation: 'CS FTL.1.235(b)(3)(i)',
+    severity: 'HIGH',
+    messageKeys: ['timeZoneLocalNightsInsufficient'],
+    limits: ['timeZoneRest'],
+    fatigueRisk: 'Too few local nights at home base to readjust the body clock after crossing time zones',
+    recommendation: 'Provide the local nights at home base required for the time difference and time away',
+    evaluate: ({ timeZoneRest }, t) => {
+      if (timeZoneRest.type === 'awayFromBase' || timeZoneRest.actualLocalNights >= timeZoneRest.requiredLocalNights) {
+        return null;
+      }
+
+      return {
+        message: `${t.timeZoneLocalNightsInsufficient}: ${timeZoneRest.actualLocalNights} < ${timeZoneRest.requiredLocalNights}`,
+        lookup: timeZoneRest.localNightsLookup,
+        calculation: compare(timeZoneRest.actualLocalNights, '<', timeZoneRest.requiredLocalNights, 'count'),
+        regulation: timeZoneRest.alternating ? 'CS FTL.1.235(b)(4)' : undefined,
+        recommendation: timeZoneRest.alternating
+          ? 'Provide at least 3 local nights at home base between eastward and westward rotations'
+          : undefined
+      };
+    }
+  },
+  cumulativeLimitRule({
+    id: 'FLIGHT_TIME_28_DAYS_EXCEEDED',
+    key: 'flightTime28Days',
+    raisedBy: 'hasFlightTime',
+    messageKey: 'flightTime28DaysExceeded',
+    regulation: 'ORO.FTL.210(b)(1)',
+    limits: ['maxFlightTime'],
+    fatigueRisk: 'Excessive flight time over 28 days increases cumulative fatigue',
+    recommendation: 'Reduce flight time in the coming days'
+  }),
+  cumulativeLimitRule({
+    id: 'YEARLY_FLIGHT_TIME_EXCEEDED',
+    key: 'flightTimeCalendarYear',
+    raisedBy: 'hasFlightTime',
+    messageKey: 'yearlyFlightTimeExceeded',
+    regulation: 'ORO.FTL.210(b)(2)',
+    limits: ['maxFlightTime'],
+    fatigueRisk: 'Annual flight time limit exceeded',
+    recommendation: 'Immediate action required to comply with calendar year limits'
+  }),
+  cumulativeLimitRule({
+    id: 'FLIGHT_TIME_12_MONTHS_EXCEEDED',
+    key: 'flightTime12Months',
+    raisedBy: 'hasFlightTime',
+    messageKey: 'flightTime12MonthsExceeded',
+    regulation: 'ORO.FTL.210(b)(3)',
+    limits: ['maxFlightTime'],
+    fatigueRisk: 'Flight time over 12 consecutive months exceeds regulatory limits',
+    recommendation: 'Redistribute flight time across the coming months'
+  }),
+  cumulativeLimitRule({
+    id: 'WEEKLY_DUTY_TIME_EXCEEDED',
+    key: 'dutyTime7Days',
+    raisedBy: 'onDuty',
+    messageKey: 'weeklyDutyTimeExceeded',
+    regulation: 'ORO.FTL.210(a)(1)',
+    limits: ['maxDutyTime', 'standby', 'reserve'],
+    fatigueRisk: 'Excessive weekly duty time increases fatigue accumulation',
+    recommendation: 'Reduce duty periods or provide additional days off'
+  }),
+  cumulativeLimitRule({
+    id: 'FORTNIGHTLY_DUTY_TIME_EXCEEDED',
+    key: 'dutyTime14Days',
+    raisedBy: 'onDuty',
+    messageKey: 'fortnightlyDutyTimeExceeded',
+    regulation: 'ORO.FTL.210(a)(2)',
+    limits: ['maxDutyTime', 'standby', 'reserve'],
+    fatigueRisk: 'Excessive fortnightly duty time violates regulatory limits',
+    recommendation: 'Immediate schedule adjustment required'
+  }),
+  cumulativeLimitRule({
+    id: 'DUTY_TIME_28_DAYS_EXCEEDED',
+    key: 'dutyTime28Days',
+    raisedBy: 'onDuty',
+    messageKey: 'dutyTime28DaysExceeded',
+    regulation: 'ORO.FTL.210(a)(3)',
+    limits: ['maxDutyTime', 'standby', 'reserve'],
+    fatigueRisk: 'Duty time over 28 days exceeds regulatory limits',
+    recommendation: 'Spread duty periods as evenly as practicable over the 28 days'
+  }),
+  {
+    id: 'HIGH_SECTOR_FATIGUE_RISK',
+    category: 'fatigue',
+    stage: 'fatigue',
+    regulation: 'ORO.FTL.205',
+    severity: 'MEDIUM',
+    regulatory: false,
+    messageKeys: ['highSectorFatigueRisk'],
+    limits: ['fatigueRisk'],
+    fatigueRisk: 'High sector count increases workload and fatigue',
+    recommendation: 'Monitor crew alertness and consider additional rest',
+    evaluate: ({ highSectorCount, sectors, ftlLimits }, t) => {
+      if (!highSectorCount) return null;
+
+      return {
+        message: `${t.highSectorFatigueRisk}: ${sectors} sectors`,
+        calculation: compare(sectors, '>=', ftlLimits.fatigueRisk.highSectorCount, 'count')
+      };
+    }
+  },
+  {
+    id: 'NIGHT_DUTY_FATIGUE_RISK',
+    category: 'fatigue',
+    stage: 'fatigue',
+    regulation: 'ORO.FTL.105',
+    severity: 'MEDIUM',
+    regulatory: false,
+    messageKeys: ['nightDutyFatigueRisk'],
+    limits: ['wocl'],
+    fatigueRisk: 'Night duties disrupt circadian rhythms and increase fatigue',
+    recommendation: 'Ensure adequate rest before and after night duties',
+    evaluate: ({ disruptive, ftlLimits }, t) => {
+      if (!disruptive || !disruptive.nightDuty) return null;
+
+      const { nightDuty } = ftlLimits.disruptiveSchedule;
+      return {
+        message: `${t.nightDutyFatigueRisk}: ${disruptive.start}-${disruptive.end}`,
+        calculation: compare(`${disruptive.start}-${disruptive.end}`, 'overlaps', `${nightDuty.start}-${nightDuty.end}`, 'time')
+      };
+    }
+  },
+  {
+    id: 'HIGH_FATIGUE_RISK',
+    category: 'fatigue',
+    stage: 'fatigue',
+    regulation: 'ORO.FTL.120',
+    severity: 'MEDIUM',
+    regulatory: false,
+    messageKeys: ['highFatigueRisk'],
+    limits: ['fatigueRisk'],
+    fatigueRisk: 'Multiple fatigue risk factors detected',
+    recommendation: 'Consider fatigue risk management measures',
+    evaluate: ({ fatigueScore, fatigueScoreTerms }, t) => {
+      if (fatigueScore < 3) return null;
+
+      return {
+        message: `${t.highFatigueRisk}: Score ${fatigueScore}/5`,
+        calculation: compare(fatigueScoreTerms || fatigueScore, '>=', 3, 'count')
+      };
+    }
+  },
+  {
+    id: 'LOW_PREDICTED_ALERTNESS',
+    category: 'fatigue',
+    stage: 'fatigue',
+    regulation: 'ORO.FTL.120',
+    severity: 'MEDIUM',
+    regulatory: false,
+    messageKeys: ['lowPredictedAlertness'],
+    limits: [],
+    fatigueRisk: 'Predicted alertness is in the high risk band of the fatigue model',
+    recommendation: 'Review the sleep opportunity before the duty or plan controlled rest',
+    evaluate: ({ alertness }, t) => {
+      if (!alertness || alertness.riskBand !== 'high') return null;
+
+      // Top of descent of the least alert sector, or the least alert point of the duty
+      const lowest = alertness.minimumTopOfDescent || alertness.minimum;
+      const where = alertness.minimumTopOfDescent
+        ? `${lowest.flightNumber || 'sector'} top of descent ${lowest.topOfDescent}`
+        : lowest.time;
+      const threshold = ALERTNESS_RISK_BANDS.find(band => band.band === 'high').below;
+
+      return {
+        message: `${t.lowPredictedAlertness}: ${lowest.alertness} at ${where}`,
+        calculation: compare(lowest.alertness, '<', threshold, 'alertness')
+      };
+    }
+  },
+  {
+    id: 'RECOVERY_REST_INTERVAL_EXCEEDED',
+    category: 'recovery',
+    stage: 'recovery',
+    regulation: 'ORO.FTL.235(d)',
+    severity: 'HIGH',
+    messageKeys: ['recoveryRestIntervalExceeded'],
+    limits: ['recoveryRest'],
+    fatigueRisk: 'Cumulative fatigue builds up without a recurrent recovery rest',
+    recommendation: 'Plan a recovery rest of at least 36 hours including 2 local nights',
+    evaluate: ({ reference, dutyEnd, nextRestDue, sinceLastRest, timezone, ftlLimits }, t) => {
+      if (!dutyEnd.isAfter(nextRestDue)) return null;
+
+      return {
+        message: `${t.recoveryRestIntervalExceeded}: ${formatDateTime(reference)} - ${formatDateTime(dutyEnd)} (${formatDuration(sinceLastRest)} > ${formatDuration(ftlLimits.recoveryRest.maxInterval)})`,
+        window: { start: formatDateTime(reference), end: formatDateTime(dutyEnd), timezone },
+        calculation: compare(sinceLastRest, '>', ftlLimits.recoveryRest.maxInterval),
+        recommendation: `Plan a recovery rest of at least 36 hours including 2 local nights starting by ${formatDateTime(nextRestDue)}`
+      };
+    }
+  },
+  {
+    id: 'EXTENDED_RECOVERY_REST_INSUFFICIENT',
+    category: 'recovery',
+    stage: 'recovery',
+    regulation: 'ORO.FTL.235(d)',
+    severity: 'HIGH',
+    messageKeys: ['extendedRecoveryRestInsufficient'],
+    limits: ['recoveryRest'],
+    fatigueRisk: 'Longer recovery periods are needed to recover from cumulative fatigue',
+    recommendation: 'Extend two recovery rests per month to include 2 local days',
+    evaluate: ({ monthChecked, month, extendedRests, timezone, ftlLimits }, t) => {
+      // The monthly requirement is checked once, on the last duty of a fully rostered month
+      if (!monthChecked || extendedRests >= ftlLimits.recoveryRest.extendedPerMonth) return null;
+
+      return {
+        message: `${t.extendedRecoveryRestInsufficient}: ${extendedRests} < ${ftlLimits.recoveryRest.extendedPerMonth} (${month})`,
+        window: { month, timezone },
+        calculation: compare(extendedRests, '<', ftlLimits.recoveryRest.extendedPerMonth, 'count')
+      };
+    }
+  },
+  {
+    id: 'DISRUPTIVE_TRANSITION_REST_INSUFFICIENT',
+    category: 'disruptive',
+    stage: 'disruptive',
+    regulation: 'CS FTL.1.235(a)(1)',
+    severity: 'HIGH',
+    messageKeys: ['disruptiveTransitionRestInsufficient'],
+    limits: ['disruptiveSchedule'],
+    fatigueRisk: 'Switching from late to early duties without a night of sleep causes acute sleep loss',
+    recommendation: 'Plan a rest period that includes a local night (22:00-08:00) before the early start',
+    evaluate: ({ transitionRest, ftlLimits }, t) => {
+      if (!transitionRest || transitionRest.localNights >= ftlLimits.disruptiveSchedule.transitionLocalNights) return null;
+
+      return {
+        message: `${t.disruptiveTransitionRestInsufficient}: ${formatDateTime(transitionRest.start)} - ${formatDateTime(transitionRest.end)}`,
+        window: {
+          start: formatDateTime(transitionRest.start),
+          end: formatDateTime(transitionRest.end),
+          timezone: transitionRest.timezone
+        },
+        calculation: compare(transitionRest.localNights, '<', ftlLimits.disruptiveSchedule.transitionLocalNights, 'count')
+      };
+    }
+  },
+  {
+    id: 'CONSECUTIVE_NIGHT_DUTIES_EXCEEDED',
+    category: 'disruptive',
+    stage: 'disruptive',
+    regulation: 'CS FTL.1.205(a)',
+    severity: 'HIGH',
+    messageKeys: ['consecutiveNightDutiesExceeded'],
+    limits: ['disruptiveSchedule', 'wocl'],
+    fatigueRisk: 'Successive night duties accumulate circadian disruption',
+    recommendation: 'Break the sequence of night duties with a rest including local nights',
+    evaluate: ({ consecutiveNightDuties, ftlLimits }, t) => {
+      const { maxConsecutiveNightDuties } = ftlLimits.disruptiveSchedule;
+      if (!consecutiveNightDuties || consecutiveNightDuties <= maxConsecutiveNightDuties) return null;
+
+      return {
+        message: `${t.consecutiveNightDutiesExceeded}: ${consecutiveNightDuties} > ${maxConsecutiveNightDuties}`,
+        calculation: compare(consecutiveNightDuties, '>', maxConsecutiveNightDuties, 'count')
+      };
+    }
+  },
+  {
+    id: 'DISRUPTIVE_RECOVERY_REST_INSUFFICIENT',
+    category: 'disruptive',
+    stage: 'disruptive',
+    regulation: 'CS FTL.1.235(a)(2)',
+    severity: 'HIGH',
+    messageKeys: ['disruptiveRecoveryRestInsufficient'],
+    limits: ['disruptiveSchedule', 'recoveryRest'],
+    fatigueRisk: 'Several disruptive duties need a longer recovery',
+    recommendation: 'Extend the recovery rest to 60 hours',
+    evaluate: ({ recoveryRest, ftlLimits }, t) => {
+      const limits = ftlLimits.disruptiveSchedule;
+      if (!recoveryRest || recoveryRest.disruptiveDuties < limits.extendedRecoveryRestAfter ||
+          recoveryRest.duration >= limits.extendedRecoveryRest) {
+        return null;
+      }
+
+      return {
+        message: `${t.disruptiveRecoveryRestInsufficient}: ${recoveryRest.disruptiveDuties} disruptive duties, ${formatDuration(recoveryRest.duration)} < ${formatDuration(limits.extendedRecoveryRest)}`,
+        calculation: compare(recoveryRest.duration, '<', limits.extendedRecoveryRest)
+      };
+    }
+  }
+];
+
+/**
+ * Get the rules registered for a rule set
+ * Rule sets that check rosters themselves register their own rules; the others are
+ * checked against the ORO.FTL rules.
+ * @param {Object} ruleSet - Rule set from getRuleSet, or null for the ORO.FTL rules
+ * @returns {Array} - Registered rules in the order their issues are reported
+ */
+function getRules(ruleSet = null) {
+  return ruleSet && ruleSet.rules ? ruleSet.rules : RULES;
+}
+
+/**
+ * Get the categories a rule selection can name for a rule set
+ * @param {Object} ruleSet - Rule set from getRuleSet, or null for the ORO.FTL rules
+ * @returns {Object} - Category descriptions by name
+ */
+function getRuleCategories(ruleSet = null) {
+  return ruleSet && ruleSet.ruleCategories ? ruleSet.ruleCategories : RULE_CATEGORIES;
+}
+
+/**
+ * Get a registered rule
+ * @param {string} id - Rule id (the type of the issues it raises)
+ * @param {Object} ruleSet - Rule set from getRuleSet, or null for the ORO.FTL rules
+ * @returns {Object|null} - Rule or null if none is registered
+ */
+function getRule(id, ruleSet = null) {
+  return getRules(ruleSet).find(rule => rule.id === id) || null;
+}
+
+/**
+ * Check if a rule matches a rule id or category of a selection
+ * @param {Object} rule - Registered rule
+ * @param {Array} selectors - Rule ids and categories
+ * @returns {boolean} - True if the rule is selected
+ */
+function matchesRule(rule, selectors) {
+  return selectors.includes(rule.id) || selectors.includes(rule.category);
+}
+
+/**
+ * Validate a rule selection
+ * @param {Object} selection - Selection with include, exclude and severityOverrides
+ * @param {Object} ruleSet - Rule set from getRuleSet, or null for the ORO.FTL rules
+ * @returns {Object} - Validation result with isValid flag and errors array
+ */
+function validateRuleSelection(selection, ruleSet = null) {
+  if (selection === undefined || selection === null) {
+    return { isValid: true, errors: [] };
+  }
+
+  if (typeof selection !== 'object' || Array.isArray(selection)) {
+    return { isValid: false, errors: ['Rules must be an object with include, exclude and severityOverrides'] };
+  }
+
+  const errors = [];
+  const rules = getRules(ruleSet);
+  const categories = getRuleCategories(ruleSet);
+  const isKnown = selector => rules.some(rule => rule.id === selector) ||
+    Object.prototype.hasOwnProperty.call(categories, selector);
+
+  Object.keys(selection).forEach(key => {
+    if (!['include', 'exclude', 'severityOverrides'].includes(key)) {
+      errors.push(`rules.${key}: unknown option`);
+    }
+  });
+
+  ['include', 'exclude'].forEach(key => {
+    const selectors = selection[key];
+    if (selectors === undefined) return;
+
+    if (!Array.isArray(selectors)) {
+      errors.push(`rules.${key} must be an array of rule ids or categories`);
+      return;
+    }
+
+    selectors.filter(selector => !isKnown(selector)).forEach(selector => {
+      errors.push(`rules.${key}: unknown rule or category ${selector}`);
+    });
+  });
+
+  const overrides = selection.severityOverrides;
+  if (overrides !== undefined) {
+    if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+      errors.push('rules.severityOverrides must map rule ids or categories to a severity');
+    } else {
+      Object.keys(overrides).forEach(selector => {
+        if (!isKnown(selector)) {
+          errors.push(`rules.severityOverrides: unknown rule or category ${selector}`);
+        } else if (!SEVERITIES.includes(overrides[selector])) {
+          errors.push(`rules.severityOverrides.${selector} must be one of: ${SEVERITIES.join(', ')}`);
+        }
+      });
+    }
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Resolve a rule selection for a compliance check
+ * Rules are enabled unless include lists neither the rule nor its category, or
+ * exclude lists either. A severity override of the rule wins over one of its category.
+ * @param {Object} selection - Selection with include, exclude and severityOverrides
+ * @param {Object} ruleSet - Rule set from getRuleSet, or null for the ORO.FTL rules
+ * @returns {Object} - Selection with the rules of the rule set and the enabled state
+ *   and severity of every rule by id
+ */
+function resolveRuleSelection(selection, ruleSet = null) {
+  const validation = validateRuleSelection(selection, ruleSet);
+  if (!validation.isValid) {
+    throw new Error(`Invalid rule selection: ${validation.errors.join('; ')}`);
+  }
+
+  const { include = null, exclude = [], severityOverrides = {} } = selection || {};
+  const enabled = new Set();
+  const severities = new Map();
+  const rules = getRules(ruleSet);
+
+  rules.forEach(rule => {
+    if ((!include || matchesRule(rule, include)) && !matchesRule(rule, exclude)) {
+      enabled.add(rule.id);
+    }
+    severities.set(rule.id, severityOverrides[rule.id] || severityOverrides[rule.category] || rule.severity);
+  });
+
+  return { rules, enabled, severities };
+}
+
+const DEFAULT_RULE_SELECTION = resolveRuleSelection();
+
+/**
+ * Evaluate the enabled rules of a check stage and add their issues to a day result
+ * HIGH issues make the day ILLEGAL, MEDIUM issues a WARNING; LOW issues leave the
+ * status as it is. With explain set on the selection, every issue carries a trace
+ * of the calculation behind it; the checker adds the inputs of the day. With an
+ * operator scheme on the selection, the day records the source of the limits of every
+ * rule it was checked against, and each issue carries the source of its rule's limits.
+ * @param {Object} result - Day result object to modify
+ * @param {string} stage - Check stage the facts were gathered for
+ * @param {Object} facts - Facts the rules of the stage evaluate; lookup describes the
+ *   table cell the stage's limits come from, if any
+ * @param {Object} t - Translations object
+ * @param {Object} ruleSelection - Selection from resolveRuleSelection
+ */
+function applyRules(result, stage, facts, t, ruleSelection = DEFAULT_RULE_SELECTION) {
+  ruleSelection.rules.forEach(rule => {
+    if (rule.stage !== stage || !ruleSelection.enabled.has(rule.id)) return;
+
+    const limitSource = ruleSelection.operatorScheme ? getLimitSource(rule, ruleSelection.operatorScheme) : null;
+    if (limitSource) {
+      result.calculations.limitSources = result.calculations.limitSources || {};
+      result.calculations.limitSources[rule.id] = limitSource;
+    }
+
+    const finding = rule.evaluate(facts, t);
+    if (!finding) return;
+
+    const severity = ruleSelection.severities.get(rule.id);
+    if (severity === 'HIGH') {
+      result.status = t.ILLEGAL;
+    } else if (severity === 'MEDIUM' && result.status === t.LEGAL) {
+      result.status = t.WARNING;
+    }
+
+    const issue = {
+      type: rule.id,
+      message: finding.message,
+      regulation: finding.regulation || rule.regulation,
+      severity,
+      fatigueRisk: finding.fatigueRisk || rule.fatigueRisk,
+      recommendation: finding.recommendation || rule.recommendation
+    };
+
+    if (ruleSelection.explain) {
+      issue.trace = {
+        rule: rule.id,
+        stage,
+        inputs: null,
+        lookup: finding.lookup || facts.lookup || null,
+        window: finding.window || null,
+        calculation: finding.calculation || null
+      };
+    }
+
+    if (limitSource) {
+      Object.assign(issue, limitSource);
+    }
+
+    result.issues.push(issue);
+  });
+}
+
+/**
+ * Get the source of the limits a rule is checked against
+ * @param {Object} rule - Registered rule
+ * @param {Object} operatorScheme - Scheme description from resolveRuleSet
+ * @returns {Object} - limitSource ('CS' or 'operator') and operatorLimits, the paths of
+ *   the operator values among the rule's limits
+ */
+function getLimitSource(rule, operatorScheme) {
+  const limitKeys = rule.limits || [];
+  const operatorLimits = operatorScheme.overrides
+    .map(override => override.path)
+    .filter(overridePath => limitKeys.includes(overridePath.split('.')[0]));
+
+  return {
+    limitSource: operatorLimits.length > 0 ? 'operator' : 'CS',
+    operatorLimits
+  };
+}
+
+/**
+ * List the registered rules
+ * @param {Object} t - Translations object
+ * @param {Object} ruleSet - Rule set from getRuleSet, whose rules are listed with its
+ *   references; null lists the ORO.FTL rules
+ * @returns {Array} - Rule summaries
+ */
+function listRules(t, ruleSet = null) {
+  const formatReference = ruleSet && ruleSet.formatReference ? ruleSet.formatReference : reference => reference;
+
+  return getRules(ruleSet).map(rule => ({
+    id: rule.id,
+    title: t[rule.messageKeys[0]],
+    category: rule.category,
+    regulation: formatReference(rule.regulation),
+    severity: rule.severity,
+    regulatory: rule.regulatory !== false,
+    messageKeys: rule.messageKeys
+  }));
+}
+
+module.exports = {
+  SEVERITIES,
+  RULE_CATEGORIES,
+  DEFAULT_RULE_SELECTION,
+  compare,
+  cumulativeLimitRule,
+  getRules,
+  getRuleCategories,
+  getRule,
+  listRules,
+  validateRuleSelection,
+  resolveRuleSelection,
+  applyRules
+};
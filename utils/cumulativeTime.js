@@ -0,0 +1,64 @@
+const moment = require('moment');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Build a prefix-sum index of weighted periods by UTC day (ORO.FTL.210)
+ * Periods are split at 00:00 UTC, so a duty or sector crossing midnight counts on
+ * each day with the part flown or worked on that day. Cumulative windows start and
+ * end at 00:00 UTC, so the total of any window is the difference of two prefix sums.
+ * @param {Array} periods - Periods as { start, end, weight } with moments
+ * @returns {Object} - Index with the first UTC day number and prefix sums in weighted milliseconds
+ */
+function createCumulativeIndex(periods) {
+  const days = new Map();
+
+  periods.forEach(period => {
+    let start = period.start.valueOf();
+    const end = period.end.valueOf();
+
+    while (start < end) {
+      const day = Math.floor(start / DAY_MS);
+      const partEnd = Math.min(end, (day + 1) * DAY_MS);
+      days.set(day, (days.get(day) || 0) + (partEnd - start) * period.weight);
+      start = partEnd;
+    }
+  });
+
+  if (days.size === 0) {
+    return { firstDay: 0, prefix: [0] };
+  }
+
+  const dayNumbers = [...days.keys()];
+  const firstDay = Math.min(...dayNumbers);
+  const lastDay = Math.max(...dayNumbers);
+  const prefix = [0];
+
+  for (let day = firstDay; day <= lastDay; day++) {
+    prefix.push(prefix[prefix.length - 1] + (days.get(day) || 0));
+  }
+
+  return { firstDay, prefix };
+}
+
+/**
+ * Sum the weighted periods of an index within a window
+ * @param {Object} index - Index from createCumulativeIndex
+ * @param {Object} window - Window with start and end moments at 00:00 UTC
+ * @returns {number} - Hours within the window
+ */
+function sumWindow(index, window) {
+  const { firstDay, prefix } = index;
+  const position = instant => {
+    const day = Math.floor(moment(instant).valueOf() / DAY_MS);
+    return Math.min(Math.max(day - firstDay, 0), prefix.length - 1);
+  };
+
+  return (prefix[position(window.end)] - prefix[position(window.start)]) / HOUR_MS;
+}
+
+module.exports = {
+  createCumulativeIndex,
+  sumWindow
+};
@@ -0,0 +1,133 @@
+const moment = require('moment');
+const { checkEASACompliance } = require('./easaChecker');
+const { getDutyStartTime, normalizeDuty } = require('./dutyTimes');
+const { resolveRuleSet } = require('./operatorScheme');
+
+/**
+ * Build the commander's discretion reports for a roster (ORO.FTL.205(f)(4), (5))
+ * Every FDP increased or rest reduced at the commander's discretion is reported to the
+ * operator; increases or reductions of more than 1 hour are also sent to the competent
+ * authority within 28 days. Other rule sets report their equivalent FDP extensions
+ * with their own reference, authority and deadline.
+ * @param {Array} flightData - Duty periods
+ * @param {string} language - Language for messages (en/ru/lv)
+ * @param {Object} options - Operator options passed to checkEASACompliance, including ruleSet and operatorScheme
+ * @param {Object} reportInfo - Report header details
+ * @param {string} reportInfo.operator - Operator name
+ * @param {string} reportInfo.commander - Commander name, unless recorded on the duty
+ * @returns {Array} - Discretion reports in roster order
+ */
+function generateDiscretionReports(flightData, language = 'en', options = {}, reportInfo = {}) {
+  const ruleSet = resolveRuleSet(options);
+  const limits = ruleSet.limits.commandersDiscretion;
+  const regulation = ruleSet.formatReference(ruleSet.references.commandersDiscretion);
+  const sortedData = flightData.map(duty => normalizeDuty(duty)).sort((a, b) => moment(a.date).diff(moment(b.date)));
+  const results = checkEASACompliance(sortedData, 'all', language, options);
+  const reports = [];
+
+  sortedData.forEach((duty, index) => {
+    const result = results[index];
+    const discretion = result.calculations.commandersDiscretion;
+    if (!discretion || !discretion.reportRequired) return;
+
+    // The reduced rest is checked on the following duty
+    const nextResult = results[index + 1] || null;
+    const discretionIssues = [result, discretion.restReduction !== '00:00' ? nextResult : null]
+      .filter(Boolean)
+      .flatMap(dayResult => dayResult.issues)
+      .filter(issue => issue.regulation.startsWith(regulation));
+
+    reports.push({
+      regulation,
+      authority: ruleSet.authority,
+      operator: reportInfo.operator || 'N/A',
+      commander: discretion.commander !== 'N/A' ? discretion.commander : reportInfo.commander || 'N/A',
+      date: duty.date,
+      flights: (duty.flights || []).map(flight => ({
+        flightNumber: flight.flightNumber,
+        departure: flight.departure,
+        arrival: flight.arrival,
+        departureTime: flight.departureTime,
+        arrivalTime: flight.arrivalTime,
+        positioning: Boolean(flight.positioning)
+      })),
+      reportTime: getDutyStartTime(duty) || 'N/A',
+      offDutyTime: duty.offDutyTime || 'N/A',
+      augmentedCrew: Boolean(duty.augmentedCrew),
+      fdp: {
+        actual: result.calculations.fdp,
+        maxBasic: result.calculations.maxFDP,
+        increase: discretion.fdpIncrease,
+        maxIncrease: discretion.maxIncrease
+      },
+      rest: discretion.restReduction !== '00:00' ? {
+        actual: nextResult ? nextResult.calculations.rest : 'N/A',
+        minRest: nextResult ? nextResult.calculations.minRest : 'N/A',
+        reduction: discretion.restReduction,
+        minRestAfterReduction: nextResult && nextResult.calculations.discretionMinRest
+          ? nextResult.calculations.discretionMinRest
+          : 'N/A'
+      } : null,
+      reason: discretion.reason,
+      status: result.status,
+      issues: discretionIssues.map(issue => ({
+        type: issue.type,
+        message: issue.message,
+        regulation: issue.regulation
+      })),
+      authorityReportRequired: discretion.authorityReportRequired,
+      authorityReportDue: discretion.authorityReportRequired
+        ? moment(duty.date).add(limits.authorityReportDays, 'days').format('YYYY-MM-DD')
+        : 'N/A'
+    });
+  });
+
+  return reports;
+}
+
+/**
+ * Format a commander's discretion report as printable text
+ * @param {Object} report - Report from generateDiscretionReports
+ * @returns {string} - Printable report
+ */
+function formatDiscretionReport(report) {
+  const flights = report.flights.length > 0
+    ? report.flights.map(flight =>
+      `${flight.positioning ? 'DH ' : ''}${flight.flightNumber} ${flight.departure}-${flight.arrival} ${flight.departureTime}-${flight.arrivalTime}`
+    ).join(', ')
+    : 'N/A';
+
+  const lines = [
+    `COMMANDER'S DISCRETION REPORT (${report.regulation})`,
+    `Operator: ${report.operator}`,
+    `Commander: ${report.commander}`,
+    `Date: ${report.date}`,
+    `Flights: ${flights}`,
+    `Reporting time: ${report.reportTime}`,
+    `Off-duty time: ${report.offDutyTime}`,
+    `Augmented crew: ${report.augmentedCrew ? 'Yes' : 'No'}`,
+    `FDP: ${report.fdp.actual} (max basic ${report.fdp.maxBasic}, increased by ${report.fdp.increase}, limit ${report.fdp.maxIncrease})`
+  ];
+
+  if (report.rest) {
+    lines.push(`Rest after FDP: ${report.rest.actual} (min ${report.rest.minRest}, reduced by ${report.rest.reduction}, reduced min ${report.rest.minRestAfterReduction})`);
+  }
+
+  lines.push(`Reason: ${report.reason}`);
+  lines.push(`Compliance status: ${report.status}`);
+  lines.push(report.authorityReportRequired
+    ? `Copy to ${report.authority}: required by ${report.authorityReportDue}`
+    : `Copy to ${report.authority}: not required`);
+
+  if (report.issues.length > 0) {
+    lines.push('Issues:');
+    report.issues.forEach(issue => lines.push(`- ${issue.message} (${issue.regulation})`));
+  }
+
+  return lines.join('\n');
+}
+
+module.exports = {
+  generateDiscretionReports,
+  formatDiscretionReport
+};
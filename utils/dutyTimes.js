@@ -0,0 +1,623 @@
+const moment = require('moment-timezone');
+const { getAirportTimezone, isAirportSupported } = require('./airportTimezones');
+
+/**
+ * Get the airport where a duty starts (departure of the first flight)
+ * @param {Object} duty - Duty period object
+ * @returns {string|null} - IATA airport code or null if unknown
+ */
+function getDepartureAirport(duty) {
+  if (!duty.flights || duty.flights.length === 0) return null;
+  return duty.flights[0].departure || null;
+}
+
+/**
+ * Get the airport where a duty ends (arrival of the last flight)
+ * @param {Object} duty - Duty period object
+ * @returns {string|null} - IATA airport code or null if unknown
+ */
+function getArrivalAirport(duty) {
+  if (!duty.flights || duty.flights.length === 0) return null;
+  return duty.flights[duty.flights.length - 1].arrival || null;
+}
+
+/**
+ * Check if a duty carries absolute instants rather than local HH:mm times only
+ * @param {Object} duty - Duty period object
+ * @returns {boolean} - True if the duty or one of its flights has UTC instants
+ */
+function hasInstants(duty) {
+  return Boolean(duty.reportAt || duty.offDutyAt ||
+    (duty.flights || []).some(flight => flight.departureAt || flight.arrivalAt));
+}
+
+/**
+ * Get the timezone of a duty's clock
+ * Local HH:mm times of a duty are read in the report zone, which defaults to the
+ * departure airport's timezone, or UTC when the airport is not known.
+ * @param {Object} duty - Duty period object
+ * @returns {string} - Timezone identifier
+ */
+function getDutyTimezone(duty) {
+  return getOwnTimezone(duty) || 'UTC';
+}
+
+/**
+ * Get the timezone a duty names itself (report zone or departure airport)
+ * @param {Object} duty - Duty period object
+ * @returns {string|null} - Timezone identifier or null for duties without an airport
+ */
+function getOwnTimezone(duty) {
+  const firstFlight = duty.flights && duty.flights[0];
+  return duty.reportZone ||
+    (firstFlight && firstFlight.departureZone) ||
+    getKnownTimezone(getDepartureAirport(duty)) ||
+    null;
+}
+
+/**
+ * Normalise a duty to carry both the instant and the HH:mm representation
+ * Duties with instants (reportAt, offDutyAt, departureAt, arrivalAt as ISO 8601 UTC
+ * timestamps) get their date and HH:mm fields derived, so time-of-day rules keep
+ * working: report times on the duty's clock, departures and arrivals on the clock of
+ * their airport and the off-duty time on the clock of the last arrival. HH:mm duties
+ * get their instants built from the date, the times and those timezones. Duties
+ * without an airport, such as standby at home, are read on the home base clock when
+ * given and keep their HH:mm times only otherwise.
+ * @param {Object} duty - Duty period object
+ * @param {string} baseTimezone - Timezone of the home base or null if unknown
+ * @returns {Object} - Duty with date, HH:mm fields and instants
+ */
+function normalizeDuty(duty, baseTimezone = null) {
+  if (baseTimezone && !getOwnTimezone(duty)) {
+    return normalizeDuty({ ...duty, reportZone: baseTimezone });
+  }
+  if (!hasInstants(duty)) {
+    return getOwnTimezone(duty) ? withInstants(duty) : duty;
+  }
+
+  const timezone = getDutyTimezone(duty);
+  const toLocal = (instant, zone = timezone) => moment.utc(instant).tz(zone);
+  const normalized = { ...duty, reportZone: timezone };
+
+  if (duty.flights) {
+    normalized.flights = duty.flights.map(flight => {
+      const departureZone = getFlightTimezone(duty, flight, 'departure');
+      const arrivalZone = getFlightTimezone(duty, flight, 'arrival');
+
+      return {
+        ...flight,
+        departureZone,
+        arrivalZone,
+        departureTime: flight.departureAt ? toLocal(flight.departureAt, departureZone).format('HH:mm') : flight.departureTime,
+        arrivalTime: flight.arrivalAt ? toLocal(flight.arrivalAt, arrivalZone).format('HH:mm') : flight.arrivalTime
+      };
+    });
+  }
+
+  if (duty.reportAt) {
+    normalized.date = toLocal(duty.reportAt).format('YYYY-MM-DD');
+    normalized.reportTime = toLocal(duty.reportAt).format('HH:mm');
+  }
+  if (duty.offDutyAt) {
+    normalized.offDutyTime = toLocal(duty.offDutyAt, getEndTimezone(normalized)).format('HH:mm');
+  }
+
+  if (!normalized.date && normalized.flights && normalized.flights[0].departureAt) {
+    normalized.date = toLocal(normalized.flights[0].departureAt).format('YYYY-MM-DD');
+  }
+
+  return normalized;
+}
+
+/**
+ * Build the UTC instants of a duty given in local HH:mm times
+ * Duties with a date or time that cannot be read keep their HH:mm times only.
+ * @param {Object} duty - Duty period object with HH:mm times and a known timezone
+ * @returns {Object} - Duty with reportAt, offDutyAt and flight instants as ISO 8601 UTC timestamps
+ */
+function withInstants(duty) {
+  const flights = duty.flights || [];
+  const times = [duty.reportTime, duty.offDutyTime, ...flights.flatMap(flight => [flight.departureTime, flight.arrivalTime])];
+  const readable = moment(duty.date, 'YYYY-MM-DD', true).isValid() &&
+    times.every(time => !time || isLocalTime(time));
+  if (!readable) return duty;
+
+  const normalized = { ...duty, reportZone: getDutyTimezone(duty) };
+  if (duty.reportTime) normalized.reportAt = getReportAt(duty).toISOString();
+  if (duty.offDutyTime) normalized.offDutyAt = getOffDutyInstant(duty).toISOString();
+
+  if (duty.flights) {
+    normalized.flights = getFlightInstants(duty).map(({ flight, departure, arrival }) => ({
+      ...flight,
+      departureZone: getFlightTimezone(duty, flight, 'departure'),
+      arrivalZone: getFlightTimezone(duty, flight, 'arrival'),
+      ...(flight.departureTime && flight.arrivalTime
+        ? { departureAt: departure.toISOString(), arrivalAt: arrival.toISOString() }
+        : {})
+    }));
+  }
+
+  return normalized;
+}
+
+/**
+ * Check if a value is a local time in HH:mm format
+ * @param {string} time - Time to check
+ * @returns {boolean} - True for valid HH:mm times
+ */
+function isLocalTime(time) {
+  return typeof time === 'string' && /^([01]\d|2[0-3]):[0-5]\d$/.test(time);
+}
+
+/**
+ * Get the timezone of the departure or arrival clock of a flight
+ * @param {Object} duty - Duty period object
+ * @param {Object} flight - Flight of the duty
+ * @param {string} end - 'departure' or 'arrival'
+ * @returns {string} - Timezone of the airport, or of the duty's clock if it is not known
+ */
+function getFlightTimezone(duty, flight, end) {
+  return flight[`${end}Zone`] || getKnownTimezone(flight[end]) || getDutyTimezone(duty);
+}
+
+/**
+ * Get the timezone of the clock a duty ends on
+ * Off-duty times are local to the airport where the last flight arrives.
+ * @param {Object} duty - Duty period object
+ * @returns {string} - Timezone identifier
+ */
+function getEndTimezone(duty) {
+  const lastFlight = duty.flights && duty.flights[duty.flights.length - 1];
+  return lastFlight ? getFlightTimezone(duty, lastFlight, 'arrival') : getDutyTimezone(duty);
+}
+
+/**
+ * Get the timezone of a known airport
+ * @param {string} airportCode - IATA airport code
+ * @returns {string|null} - Timezone identifier or null if the airport is not supported
+ */
+function getKnownTimezone(airportCode) {
+  return isAirportSupported(airportCode) ? getAirportTimezone(airportCode) : null;
+}
+
+/**
+ * Get the local time at which a duty starts (report time, or call time for called standby)
+ * A delay notified after the original reporting time does not move the start of the duty.
+ * @param {Object} duty - Duty period object
+ * @returns {string|null} - Start time in HH:mm format
+ */
+function getDutyStartTime(duty) {
+  if (duty.type === 'STANDBY' && duty.callTime) return duty.callTime;
+
+  const delayedReporting = getDelayedReporting(duty);
+  if (delayedReporting && !delayedReporting.notifiedInTime) return delayedReporting.originalReportTime;
+
+  return duty.reportTime || null;
+}
+
+/**
+ * Get the delayed reporting of a duty (CS FTL.1.205(d))
+ * The duty's reportTime is the delayed reporting time; delayedReporting records the
+ * original reporting time and when the crew member was notified of the delay.
+ * @param {Object} duty - Duty period object
+ * @returns {Object|null} - Original and delayed reporting times and instants, notification
+ *   instant, delay in hours and whether the crew member was notified before the original
+ *   reporting time, or null if the reporting was not delayed
+ */
+function getDelayedReporting(duty) {
+  const delayed = duty.delayedReporting;
+  if (!delayed || !delayed.originalReportTime || !duty.reportTime) return null;
+
+  const delayedReport = getReportAt(duty);
+  const originalReport = getLocalInstant(duty, delayed.originalReportTime);
+
+  // A delay never moves the report earlier; the original time may be on the day before
+  if (originalReport.isAfter(delayedReport)) {
+    originalReport.subtract(1, 'day');
+  }
+
+  const notification = delayed.notificationTime
+    ? getNotificationInstant(duty, delayed.notificationTime, delayed.notificationDate)
+    : null;
+
+  return {
+    originalReportTime: delayed.originalReportTime,
+    delayedReportTime: duty.reportTime,
+    originalReport,
+    delayedReport,
+    notification,
+    delay: delayedReport.diff(originalReport, 'hours', true),
+    notifiedInTime: Boolean(notification && notification.isBefore(originalReport))
+  };
+}
+
+/**
+ * Create a timezone-aware moment from a local date and time
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {string} time - Local time in HH:mm format
+ * @param {string} timezone - Timezone identifier
+ * @returns {moment} - Moment in the given timezone
+ */
+function toInstant(date, time, timezone) {
+  return moment.tz(`${date} ${time}`, 'YYYY-MM-DD HH:mm', timezone);
+}
+
+/**
+ * Get the UTC instant of a local time on the date of a duty
+ * @param {Object} duty - Duty period object
+ * @param {string} time - Local time in HH:mm format on the duty's clock
+ * @param {moment} after - Instant the time follows; earlier times fall on the next day
+ * @returns {moment} - UTC moment
+ */
+function getLocalInstant(duty, time, after = null) {
+  const instant = toInstant(duty.date, time, getDutyTimezone(duty)).utc();
+
+  // Handle times after midnight
+  if (after && instant.isBefore(after)) {
+    instant.add(1, 'day');
+  }
+
+  return instant;
+}
+
+/**
+ * Get the UTC instant of a local time in a timezone at its first occurrence after an instant
+ * Without an instant the time is read on the date of the duty.
+ * @param {Object} duty - Duty period object
+ * @param {string} time - Local time in HH:mm format
+ * @param {string} timezone - Timezone the time is read in
+ * @param {moment} after - Instant the time follows
+ * @returns {moment} - UTC moment
+ */
+function getZonedInstant(duty, time, timezone, after = null) {
+  const date = after ? after.clone().tz(timezone).format('YYYY-MM-DD') : duty.date;
+  const instant = toInstant(date, time, timezone).utc();
+
+  if (after && instant.isBefore(after)) {
+    instant.add(1, 'day');
+  }
+
+  return instant;
+}
+
+/**
+ * Get the instant at which a crew member reports for a duty
+ * A local report time follows the start of the reserve it is assigned from, or the
+ * original reporting time it was delayed from.
+ * @param {Object} duty - Duty period object
+ * @returns {moment|null} - UTC moment or null without a report time
+ */
+function getReportAt(duty) {
+  if (duty.reportAt) return moment.utc(duty.reportAt);
+  if (!duty.reportTime) return null;
+
+  let after = null;
+  if (duty.reserveStartTime) {
+    after = getLocalInstant(duty, duty.reserveStartTime);
+  } else if (duty.delayedReporting && duty.delayedReporting.originalReportTime) {
+    after = getLocalInstant(duty, duty.delayedReporting.originalReportTime);
+  }
+
+  return getLocalInstant(duty, duty.reportTime, after);
+}
+
+/**
+ * Get the instant at which a duty starts (see getDutyStartTime)
+ * @param {Object} duty - Duty period object
+ * @returns {moment|null} - UTC moment or null without a start time
+ */
+function getDutyStartInstant(duty) {
+  if (duty.type === 'STANDBY' && duty.callTime) {
+    return getLocalInstant(duty, duty.callTime, getStandbyStartInstant(duty));
+  }
+
+  const delayedReporting = getDelayedReporting(duty);
+  if (delayedReporting && !delayedReporting.notifiedInTime) return delayedReporting.originalReport;
+
+  return getReportAt(duty);
+}
+
+/**
+ * Get the instant at which a duty ends
+ * @param {Object} duty - Duty period object
+ * @returns {moment|null} - UTC moment or null without an off-duty time
+ */
+function getOffDutyInstant(duty) {
+  if (duty.offDutyAt) return moment.utc(duty.offDutyAt);
+  if (!duty.offDutyTime) return null;
+
+  // Uncalled standby ends after its start, any other duty after the duty starts,
+  // on the clock of the airport where it ends
+  const start = duty.type === 'STANDBY' && !duty.callTime
+    ? getStandbyStartInstant(duty)
+    : getDutyStartInstant(duty);
+  return getZonedInstant(duty, duty.offDutyTime, getEndTimezone(duty), start);
+}
+
+/**
+ * Get the instant at which a standby starts
+ * Parsed standby duties carry the standby window as report/off-duty times.
+ * @param {Object} duty - Standby duty period object
+ * @returns {moment|null} - UTC moment or null without a start time
+ */
+function getStandbyStartInstant(duty) {
+  if (duty.standbyStartTime) return getLocalInstant(duty, duty.standbyStartTime);
+  return getReportAt(duty);
+}
+
+/**
+ * Get the instant at which a standby ends (the call, or off duty when not called)
+ * @param {Object} duty - Standby duty period object
+ * @returns {moment|null} - UTC moment or null without an end time
+ */
+function getStandbyEndInstant(duty) {
+  return duty.callTime ? getDutyStartInstant(duty) : getOffDutyInstant(duty);
+}
+
+/**
+ * Get the reserve period of a reserve day as instants
+ * @param {Object} duty - Reserve duty period object
+ * @returns {Object|null} - { start, end } UTC moments or null without a reserve period
+ */
+function getReservePeriod(duty) {
+  if (!duty.reserveStartTime || !duty.reserveEndTime) return null;
+
+  const start = getLocalInstant(duty, duty.reserveStartTime);
+
+  // An assignment given as an instant reports during the reserve, which may have
+  // started the day before
+  if (duty.reportAt && start.isAfter(moment.utc(duty.reportAt))) {
+    start.subtract(1, 'day');
+  }
+
+  return { start, end: getLocalInstant(duty, duty.reserveEndTime, start) };
+}
+
+/**
+ * Get the instant at which a crew member was notified, on the duty's clock
+ * @param {Object} duty - Duty period object
+ * @param {string} time - Notification time in HH:mm format
+ * @param {string} date - Notification date in YYYY-MM-DD format (defaults to the duty date)
+ * @returns {moment} - Moment in the duty's timezone
+ */
+function getNotificationInstant(duty, time, date = null) {
+  return toInstant(date || duty.date, time, getDutyTimezone(duty));
+}
+
+/**
+ * Get the break of a split duty as instants
+ * The break starts after the duty starts and ends after it starts.
+ * @param {Object} duty - Flight duty with a splitDuty break
+ * @returns {Object|null} - { start, end } UTC moments or null without a break
+ */
+function getSplitDutyBreak(duty) {
+  if (!duty.splitDuty || !duty.splitDuty.breakStart || !duty.splitDuty.breakEnd) return null;
+
+  const start = getLocalInstant(duty, duty.splitDuty.breakStart, getDutyStartInstant(duty));
+  return { start, end: getLocalInstant(duty, duty.splitDuty.breakEnd, start) };
+}
+
+/**
+ * Get the instant at which the flight crew report for a cabin crew member's duty
+ * @param {Object} duty - Flight duty with flightCrewReportTime
+ * @returns {moment|null} - UTC moment, after the cabin crew's start, or null if unknown
+ */
+function getFlightCrewReportInstant(duty) {
+  const start = getDutyStartInstant(duty);
+  if (!duty.flightCrewReportTime || !start) return null;
+
+  return getLocalInstant(duty, duty.flightCrewReportTime, start);
+}
+
+/**
+ * Get the off-blocks and on-blocks instants of the flights of a duty
+ * Flights without instants are read on the clocks of their airports, each departing
+ * after the previous one and arriving after its departure.
+ * @param {Object} duty - Duty period object
+ * @returns {Array} - { flight, departure, arrival } with UTC moments, in duty order
+ */
+function getFlightInstants(duty) {
+  if (!duty.flights) return [];
+
+  let previous = getDutyStartInstant(duty);
+
+  return duty.flights.map(flight => {
+    const departure = flight.departureAt
+      ? moment.utc(flight.departureAt)
+      : getZonedInstant(duty, flight.departureTime, getFlightTimezone(duty, flight, 'departure'), previous);
+    const arrival = flight.arrivalAt
+      ? moment.utc(flight.arrivalAt)
+      : getZonedInstant(duty, flight.arrivalTime, getFlightTimezone(duty, flight, 'arrival'), departure);
+    previous = departure;
+
+    return { flight, departure, arrival };
+  });
+}
+
+/**
+ * Get the reporting instant of a duty in the timezone of its departure airport
+ * @param {Object} duty - Duty period object
+ * @returns {moment|null} - Reporting instant or null if it cannot be determined
+ */
+function getReportInstant(duty) {
+  const start = getDutyStartInstant(duty);
+  const timezone = duty.reportZone || getKnownTimezone(getDepartureAirport(duty));
+  if (!start || !timezone) return null;
+
+  return start.tz(timezone);
+}
+
+/**
+ * Get the time difference in hours between two timezones at a given instant
+ * @param {string} fromTimezone - First timezone identifier
+ * @param {string} toTimezone - Second timezone identifier
+ * @param {moment} instant - Instant at which offsets are compared
+ * @returns {number} - Absolute time difference in hours (0-12)
+ */
+function getTimeDifference(fromTimezone, toTimezone, instant) {
+  const fromOffset = instant.clone().tz(fromTimezone).utcOffset();
+  const toOffset = instant.clone().tz(toTimezone).utcOffset();
+  const difference = Math.abs(fromOffset - toOffset) / 60;
+
+  // Time differences are measured the short way round the globe
+  return difference > 12 ? 24 - difference : difference;
+}
+
+/**
+ * Calculate Flight Duty Period (FDP) in hours
+ * Positioning before the first sector counts as FDP; positioning after the last
+ * sector does not, so the FDP then ends on-blocks of the last sector (ORO.FTL.215).
+ * @param {Object} duty - Duty period object
+ * @returns {number} - FDP in hours
+ */
+function calculateFDP(duty) {
+  const sectors = getSectors(duty.flights);
+  if (duty.flights && duty.flights.length > 0 && sectors.length === 0) {
+    // A duty consisting only of positioning is duty, but not an FDP
+    return 0;
+  }
+
+  const lastFlight = duty.flights && duty.flights[duty.flights.length - 1];
+  const end = lastFlight && lastFlight.positioning
+    ? getFlightInstants(duty).filter(({ flight }) => !flight.positioning).pop().arrival
+    : getOffDutyInstant(duty);
+
+  return getDuration(getDutyStartInstant(duty), end);
+}
+
+/**
+ * Calculate the duty period in hours, including positioning after the FDP
+ * @param {Object} duty - Duty period object
+ * @returns {number} - Duty period in hours
+ */
+function calculateDutyPeriod(duty) {
+  return getDuration(getDutyStartInstant(duty), getOffDutyInstant(duty));
+}
+
+/**
+ * Calculate the time between two instants
+ * @param {moment|null} start - Start instant
+ * @param {moment|null} end - End instant
+ * @returns {number} - Duration in hours, or 0 if either is missing
+ */
+function getDuration(start, end) {
+  if (!start || !end) return 0;
+  return end.diff(start, 'hours', true);
+}
+
+/**
+ * Get the flights of a duty that count as sectors (excluding positioning)
+ * @param {Array} flights - Array of flights
+ * @returns {Array} - Flights operated as crew
+ */
+function getSectors(flights) {
+  if (!flights) return [];
+  return flights.filter(flight => !flight.positioning);
+}
+
+/**
+ * Count the sectors of a duty (positioning is not a sector)
+ * @param {Array} flights - Array of flights
+ * @returns {number} - Number of sectors
+ */
+function getSectorCount(flights) {
+  return getSectors(flights).length;
+}
+
+/**
+ * Calculate total flight time in hours
+ * Positioning flights are not flight time (ORO.FTL.210). Block times run from the
+ * departure to the arrival instant of each sector (see getFlightInstants).
+ * @param {Object} duty - Duty period object
+ * @returns {number} - Total flight time in hours
+ */
+function calculateFlightTime(duty) {
+  return getFlightInstants(duty)
+    .filter(({ flight }) => !flight.positioning)
+    .reduce((total, { departure, arrival }) => total + getDuration(departure, arrival), 0);
+}
+
+/**
+ * Convert HH:mm time to minutes since midnight
+ * @param {string} time - Time in HH:mm format
+ * @returns {number} - Minutes since midnight
+ */
+function toMinutesOfDay(time) {
+  const [hours, minutes] = time.split(':').map(part => parseInt(part, 10));
+  return hours * 60 + minutes;
+}
+
+/**
+ * Check if a time falls within an inclusive HH:mm band (bands may wrap past midnight)
+ * @param {number} minutes - Time in minutes since midnight
+ * @param {string} from - Band start in HH:mm format
+ * @param {string} to - Band end in HH:mm format
+ * @returns {boolean} - True if the time is within the band
+ */
+function isWithinBand(minutes, from, to) {
+  const fromMinutes = toMinutesOfDay(from);
+  const toMinutes = toMinutesOfDay(to);
+
+  if (fromMinutes <= toMinutes) {
+    return minutes >= fromMinutes && minutes <= toMinutes;
+  }
+  return minutes >= fromMinutes || minutes <= toMinutes;
+}
+
+/**
+ * Format duration in hours to HH:MM format
+ * @param {number} hours - Duration in hours
+ * @returns {string} - Formatted duration
+ */
+function formatDuration(hours) {
+  if (hours === null || hours === undefined) return 'N/A';
+
+  const h = Math.floor(hours);
+  const m = Math.round((hours - h) * 60);
+
+  return `${h.toString().padStart(2, '0')}:${m.toString().padStart(2, '0')}`;
+}
+
+/**
+ * Format a moment as local date and time
+ * @param {moment} value - Moment to format
+ * @returns {string} - Date and time in YYYY-MM-DD HH:mm format
+ */
+function formatDateTime(value) {
+  return value.format('YYYY-MM-DD HH:mm');
+}
+
+module.exports = {
+  getDepartureAirport,
+  getArrivalAirport,
+  getKnownTimezone,
+  hasInstants,
+  getDutyTimezone,
+  normalizeDuty,
+  getDutyStartTime,
+  getDelayedReporting,
+  toInstant,
+  getLocalInstant,
+  getReportAt,
+  getDutyStartInstant,
+  getOffDutyInstant,
+  getStandbyStartInstant,
+  getStandbyEndInstant,
+  getReservePeriod,
+  getNotificationInstant,
+  getSplitDutyBreak,
+  getFlightCrewReportInstant,
+  getFlightInstants,
+  getReportInstant,
+  getTimeDifference,
+  calculateFDP,
+  calculateDutyPeriod,
+  getSectors,
+  getSectorCount,
+  calculateFlightTime,
+  toMinutesOfDay,
+  isWithinBand,
+  formatDuration,
+  formatDateTime
+};
@@ -1,85 +1,40 @@
 const moment = require('moment');
-
-// EASA FTL Limits based on ORO.FTL.205
-const EASA_LIMITS = {
-  // Maximum FDP based on start time and number of sectors (ORO.FTL.205)
-  maxFDP: {
-    1: { // 1 sector
-      '06:00-17:59': 13.0,
-      '18:00-21:59': 12.0,
-      '22:00-04:59': 11.0,
-      '05:00-05:59': 12.0
-    },
-    2: { // 2 sectors
-      '06:00-17:59': 12.5,
-      '18:00-21:59': 11.5,
-      '22:00-04:59': 10.5,
-      '05:00-05:59': 11.5
-    },
-    3: { // 3 sectors
-      '06:00-17:59': 12.0,
-      '18:00-21:59': 11.0,
-      '22:00-04:59': 10.0,
-      '05:00-05:59': 11.0
-    },
-    4: { // 4 sectors
-      '06:00-17:59': 11.5,
-      '18:00-21:59': 10.5,
-      '22:00-04:59': 9.5,
-      '05:00-05:59': 10.5
-    },
-    5: { // 5 sectors
-      '06:00-17:59': 11.0,
-      '18:00-21:59': 10.0,
-      '22:00-04:59': 9.0,
-      '05:00-05:59': 10.0
-    },
-    6: { // 6+ sectors
-      '06:00-17:59': 10.5,
-      '18:00-21:59': 9.5,
-      '22:00-04:59': 8.5,
-      '05:00-05:59': 9.5
-    }
-  },
-  
-  // Minimum rest periods (ORO.FTL.235)
-  minRest: {
-    standard: 10, // hours
-    extended: 12, // hours after extended FDP
-    beforeEarlyStart: 10 // hours before early start (05:00-05:59)
-  },
-  
-  // Maximum flight time limits (ORO.FTL.210)
-  maxFlightTime: {
-    daily: 8,     // hours per day
-    weekly: 60,   // hours per 7 consecutive days
-    monthly: 190, // hours per calendar month
-    yearly: 1000  // hours per calendar year
-  },
-  
-  // Maximum duty time limits (ORO.FTL.190)
-  maxDutyTime: {
-    weekly: 60,   // hours per 7 consecutive days
-    fortnightly: 110, // hours per 14 consecutive days
-  },
-  
-  // Fatigue risk factors
-  fatigueRisk: {
-    highSectorCount: 6,     // 6+ sectors considered high fatigue risk
-    nightDutyStart: 22,     // Night duty starts at 22:00
-    nightDutyEnd: 6,        // Night duty ends at 06:00
-    earlyStart: 6,          // Early start before 06:00
-    lateFinish: 2,          // Late finish after 02:00
-    maxConsecutiveDuties: 4, // Maximum consecutive duty days
-  },
-  
-  // FDP extensions (ORO.FTL.205(d))
-  extensions: {
-    maxPerWeek: 2,        // Maximum 2 extensions per 7 consecutive days
-    maxExtension: 1,      // Maximum 1 hour extension
-    requiresNotification: true
-  }
-};
+const { trackAcclimatisation } = require('./acclimatisation');
+const { trackAlertness } = require('./fatigueModel');
+const {
+  getArrivalAirport,
+  getDepartureAirport,
+  getDutyStartTime,
+  getDelayedReporting,
+  getKnownTimezone,
+  getDutyTimezone,
+  normalizeDuty,
+  getReportAt,
+  getDutyStartInstant,
+  getOffDutyInstant,
+  getStandbyStartInstant,
+  getStandbyEndInstant,
+  getReservePeriod,
+  getNotificationInstant,
+  toInstant,
+  getSplitDutyBreak,
+  getFlightCrewReportInstant,
+  getFlightInstants,
+  getReportInstant,
+  getTimeDifference,
+  calculateFDP,
+  calculateDutyPeriod,
+  getSectorCount,
+  calculateFlightTime,
+  toMinutesOfDay,
+  isWithinBand,
+  formatDuration,
+  formatDateTime
+} = require('./dutyTimes');
+const { createCumulativeIndex, sumWindow } = require('./cumulativeTime');
+const { resolveRuleSet, applySchemeOptions } = require('./operatorScheme');
+const { resolveRuleSelection, applyRules, DEFAULT_RULE_SELECTION } = require('./complianceRules');
+const { limits: EASA_LIMITS } = require('./ruleSets/easa');
 
 // Translations
 const TRANSLATIONS = {
@@ -89,6 +44,10 @@ const TRANSLATIONS = {
     ILLEGAL: 'ILLEGAL',
     fdpExceeded: 'FDP exceeds maximum allowed',
     restInsufficient: 'Rest period insufficient',
+    sleepOpportunityInsufficient: 'Sleep opportunity away from base insufficient',
+    timeZoneRestInsufficient: 'Rest after an FDP crossing time zones insufficient',
+    timeZoneLocalNightsInsufficient: 'Too few local nights at home base after time zone crossing',
+    reducedRestLimitExceeded: 'Too many reduced rests between recovery rests',
     flightTimeExceeded: 'Flight time exceeds daily limit',
     closeToLimit: 'Close to FDP limit',
     regulation: 'Regulation',
@@ -99,18 +58,50 @@ const TRANSLATIONS = {
     extensionNotAllowed: 'Extension Not Allowed',
     extensionAvailable: 'Up to 1h extension available',
     extensionUsed: 'Extension would be required',
+    extensionLimitExceeded: 'More than 2 FDP extensions in 168 hours',
+    extensionStartTimeExcluded: 'FDP extension not allowed for this start time',
+    extensionSectorsExceeded: 'Too many sectors for an extended FDP',
+    extensionRestNotIncreased: 'Rest around extended FDP not increased',
     extensionExceeded: 'Extension limit exceeded',
     maxExtensionsReached: 'Max extensions per week reached',
     // Advanced compliance messages
-    weeklyFlightTimeExceeded: 'Weekly flight time limit exceeded',
-    monthlyFlightTimeExceeded: 'Monthly flight time limit exceeded',
-    yearlyFlightTimeExceeded: 'Yearly flight time limit exceeded',
+    flightTime28DaysExceeded: '28-day flight time limit exceeded',
+    yearlyFlightTimeExceeded: 'Calendar year flight time limit exceeded',
+    flightTime12MonthsExceeded: '12-month flight time limit exceeded',
     weeklyDutyTimeExceeded: 'Weekly duty time limit exceeded',
     fortnightlyDutyTimeExceeded: 'Fortnightly duty time limit exceeded',
+    dutyTime28DaysExceeded: '28-day duty time limit exceeded',
     highFatigueRisk: 'High fatigue risk detected',
-    consecutiveDutiesExceeded: 'Too many consecutive duty days',
+    lowPredictedAlertness: 'Low predicted alertness',
+    recoveryRestIntervalExceeded: 'No recovery rest of 36 hours including 2 local nights within 168 hours',
+    extendedRecoveryRestInsufficient: 'Too few recovery rests extended to 2 local days this month',
     nightDutyFatigueRisk: 'Night duty fatigue risk',
-    highSectorFatigueRisk: 'High sector count fatigue risk'
+    disruptiveTransitionRestInsufficient: 'Rest between late finish or night duty and early start lacks a local night',
+    consecutiveNightDutiesExceeded: 'Too many consecutive night duties',
+    disruptiveRecoveryRestInsufficient: 'Recovery rest after disruptive duties must be extended',
+    highSectorFatigueRisk: 'High sector count fatigue risk',
+    splitDutyNotApplicable: 'Split duty extension not applicable',
+    augmentedSectorsExceeded: 'Too many sectors for augmented crew FDP',
+    inFlightRestInsufficient: 'In-flight rest insufficient',
+    standbyDurationExceeded: 'Standby exceeds maximum duration',
+    standbyCombinedDutyExceeded: 'Airport standby and FDP exceed combined limit',
+    standbyAwakeTimeExceeded: 'Standby and FDP exceed awake time limit',
+    reserveNotificationInsufficient: 'Reserve assignment notified too late',
+    reserveSleepInterrupted: 'Protected sleep opportunity interrupted',
+    reserveAssignmentOutsidePeriod: 'Reserve assignment outside reserve period',
+    delayedReportingNotifiedLate: 'Delay notified after the original reporting time',
+    commandersDiscretionUsed: "FDP increased at commander's discretion - report required",
+    commandersDiscretionExceeded: "Commander's discretion exceeds maximum increase",
+    discretionRestReduced: "Rest reduced at commander's discretion - report required",
+    fdpExtensionUsed: 'FDP extended in unforeseen operational circumstances - report required',
+    fdpExtensionRepeated: 'FDP extension over 30 minutes repeated without 30 hours free from duty',
+    reserveCombinedDutyExceeded: 'Reserve availability period and FDP exceed combined limit',
+    freeFromDutyInsufficient: 'No 30 consecutive hours free from duty in the past 168 hours',
+    fdp168HoursExceeded: '168-hour FDP limit exceeded',
+    fdp672HoursExceeded: '672-hour FDP limit exceeded',
+    flightTime672HoursExceeded: '672-hour flight time limit exceeded',
+    flightTime365DaysExceeded: '365-day flight time limit exceeded',
+    cabinCrewReportingDifferenceExceeded: 'Cabin crew report more than 1 hour before the flight crew'
   },
   ru: {
     LEGAL: 'ЗАКОННО',
@@ -118,6 +109,10 @@ const TRANSLATIONS = {
     ILLEGAL: 'НЕЗАКОННО',
     fdpExceeded: 'FDP превышает максимально допустимое',
     restInsufficient: 'Период отдыха недостаточен',
+    sleepOpportunityInsufficient: 'Недостаточная возможность сна вне базы',
+    timeZoneRestInsufficient: 'Недостаточный отдых после FDP со сменой часовых поясов',
+    timeZoneLocalNightsInsufficient: 'Недостаточно местных ночей на базе после смены часовых поясов',
+    reducedRestLimitExceeded: 'Слишком много сокращённых отдыхов между восстановительными отдыхами',
     flightTimeExceeded: 'Время полета превышает дневной лимит',
     closeToLimit: 'Близко к лимиту FDP',
     regulation: 'Регламент',
@@ -128,18 +123,50 @@ const TRANSLATIONS = {
     extensionNotAllowed: 'Продление не разрешено',
     extensionAvailable: 'Доступно продление до 1ч',
     extensionUsed: 'Потребуется продление',
+    extensionLimitExceeded: 'Более 2 продлений FDP за 168 часов',
+    extensionStartTimeExcluded: 'Продление FDP не допускается для этого времени начала',
+    extensionSectorsExceeded: 'Слишком много секторов для продлённого FDP',
+    extensionRestNotIncreased: 'Отдых вокруг продлённого FDP не увеличен',
     extensionExceeded: 'Превышен лимит продления',
     maxExtensionsReached: 'Достигнут макс продлений в неделю',
     // Advanced compliance messages
-    weeklyFlightTimeExceeded: 'Превышен недельный лимит налета',
-    monthlyFlightTimeExceeded: 'Превышен месячный лимит налета',
-    yearlyFlightTimeExceeded: 'Превышен годовой лимит налета',
+    flightTime28DaysExceeded: 'Превышен 28-дневный лимит налета',
+    yearlyFlightTimeExceeded: 'Превышен лимит налета за календарный год',
+    flightTime12MonthsExceeded: 'Превышен 12-месячный лимит налета',
     weeklyDutyTimeExceeded: 'Превышен недельный лимит смен',
     fortnightlyDutyTimeExceeded: 'Превышен двухнедельный лимит смен',
+    dutyTime28DaysExceeded: 'Превышен 28-дневный лимит смен',
     highFatigueRisk: 'Обнаружен высокий риск усталости',
-    consecutiveDutiesExceeded: 'Слишком много последовательных смен',
+    lowPredictedAlertness: 'Низкая прогнозируемая бодрость',
+    recoveryRestIntervalExceeded: 'Нет восстановительного отдыха 36 часов с 2 местными ночами в течение 168 часов',
+    extendedRecoveryRestInsufficient: 'Слишком мало восстановительных отдыхов продолжительностью 2 местных дня в этом месяце',
     nightDutyFatigueRisk: 'Риск усталости при ночной смене',
-    highSectorFatigueRisk: 'Риск усталости при большом количестве секторов'
+    disruptiveTransitionRestInsufficient: 'Отдых между поздним окончанием или ночной сменой и ранним началом не включает местную ночь',
+    consecutiveNightDutiesExceeded: 'Слишком много ночных смен подряд',
+    disruptiveRecoveryRestInsufficient: 'Восстановительный отдых после нарушающих режим смен должен быть продлён',
+    highSectorFatigueRisk: 'Риск усталости при большом количестве секторов',
+    splitDutyNotApplicable: 'Продление разделённой смены неприменимо',
+    augmentedSectorsExceeded: 'Слишком много секторов для FDP усиленного экипажа',
+    inFlightRestInsufficient: 'Недостаточный отдых в полёте',
+    standbyDurationExceeded: 'Резерв превышает максимальную продолжительность',
+    standbyCombinedDutyExceeded: 'Резерв в аэропорту и FDP превышают общий лимит',
+    standbyAwakeTimeExceeded: 'Резерв и FDP превышают лимит времени бодрствования',
+    reserveNotificationInsufficient: 'Назначение из резерва сообщено слишком поздно',
+    reserveSleepInterrupted: 'Нарушена защищённая возможность сна',
+    reserveAssignmentOutsidePeriod: 'Назначение вне периода резерва',
+    delayedReportingNotifiedLate: 'Задержка сообщена после исходного времени явки',
+    commandersDiscretionUsed: 'FDP увеличен по решению командира ВС - требуется отчёт',
+    commandersDiscretionExceeded: 'Увеличение по решению командира ВС превышает максимум',
+    discretionRestReduced: 'Отдых сокращён по решению командира ВС - требуется отчёт',
+    fdpExtensionUsed: 'FDP продлён в непредвиденных обстоятельствах - требуется отчёт',
+    fdpExtensionRepeated: 'Повторное продление FDP более 30 минут без 30 часов свободных от работы',
+    reserveCombinedDutyExceeded: 'Резерв и FDP превышают общий лимит',
+    freeFromDutyInsufficient: 'Нет 30 часов подряд, свободных от работы, за последние 168 часов',
+    fdp168HoursExceeded: 'Превышен лимит FDP за 168 часов',
+    fdp672HoursExceeded: 'Превышен лимит FDP за 672 часа',
+    flightTime672HoursExceeded: 'Превышен лимит полётного времени за 672 часа',
+    flightTime365DaysExceeded: 'Превышен лимит полётного времени за 365 дней',
+    cabinCrewReportingDifferenceExceeded: 'Бортпроводники прибывают более чем на 1 час раньше лётного экипажа'
   },
   lv: {
     LEGAL: 'LIKUMĪGI',
@@ -147,6 +174,10 @@ const TRANSLATIONS = {
     ILLEGAL: 'NELIKUMĪGI',
     fdpExceeded: 'FDP pārsniedz maksimāli atļauto',
     restInsufficient: 'Atpūtas periods nepietiekams',
+    sleepOpportunityInsufficient: 'Nepietiekama miega iespēja ārpus bāzes',
+    timeZoneRestInsufficient: 'Nepietiekama atpūta pēc FDP ar laika joslu maiņu',
+    timeZoneLocalNightsInsufficient: 'Par maz vietējo nakšu bāzē pēc laika joslu maiņas',
+    reducedRestLimitExceeded: 'Pārāk daudz saīsinātu atpūtu starp atjaunojošām atpūtām',
     flightTimeExceeded: 'Lidojuma laiks pārsniedz dienas limitu',
     closeToLimit: 'Tuvu FDP limitam',
     regulation: 'Regulējums',
@@ -157,61 +188,257 @@ const TRANSLATIONS = {
     extensionNotAllowed: 'Pagarinājums nav atļauts',
     extensionAvailable: 'Pieejams līdz 1h pagarinājums',
     extensionUsed: 'Būtu nepieciešams pagarinājums',
+    extensionLimitExceeded: 'Vairāk nekā 2 FDP pagarinājumi 168 stundās',
+    extensionStartTimeExcluded: 'FDP pagarinājums nav atļauts šim sākuma laikam',
+    extensionSectorsExceeded: 'Pārāk daudz sektoru pagarinātam FDP',
+    extensionRestNotIncreased: 'Atpūta ap pagarināto FDP nav palielināta',
     extensionExceeded: 'Pagarinājuma limits pārsniegts',
     maxExtensionsReached: 'Sasniegts maks pagarinājumu nedēļā',
     // Advanced compliance messages
-    weeklyFlightTimeExceeded: 'Pārsniegts nedēļas lidojuma laika limits',
-    monthlyFlightTimeExceeded: 'Pārsniegts mēneša lidojuma laika limits',
-    yearlyFlightTimeExceeded: 'Pārsniegts gada lidojuma laika limits',
+    flightTime28DaysExceeded: 'Pārsniegts 28 dienu lidojuma laika limits',
+    yearlyFlightTimeExceeded: 'Pārsniegts kalendārā gada lidojuma laika limits',
+    flightTime12MonthsExceeded: 'Pārsniegts 12 mēnešu lidojuma laika limits',
     weeklyDutyTimeExceeded: 'Pārsniegts nedēļas dienesta laika limits',
     fortnightlyDutyTimeExceeded: 'Pārsniegts divu nedēļu dienesta laika limits',
+    dutyTime28DaysExceeded: 'Pārsniegts 28 dienu dienesta laika limits',
     highFatigueRisk: 'Konstatēts augsts noguruma risks',
-    consecutiveDutiesExceeded: 'Pārāk daudz secīgu dienesta dienu',
+    lowPredictedAlertness: 'Zema prognozētā modrība',
+    recoveryRestIntervalExceeded: 'Nav 36 stundu atjaunojošās atpūtas ar 2 vietējām naktīm 168 stundu laikā',
+    extendedRecoveryRestInsufficient: 'Šomēnes par maz atjaunojošo atpūtu ar 2 vietējām dienām',
     nightDutyFatigueRisk: 'Nakts dienesta noguruma risks',
-    highSectorFatigueRisk: 'Augsta sektoru skaita noguruma risks'
+    disruptiveTransitionRestInsufficient: 'Atpūta starp vēlu beigšanu vai nakts dienestu un agru sākumu neietver vietējo nakti',
+    consecutiveNightDutiesExceeded: 'Pārāk daudz secīgu nakts dienestu',
+    disruptiveRecoveryRestInsufficient: 'Atjaunojošā atpūta pēc traucējošiem dienestiem jāpagarina',
+    highSectorFatigueRisk: 'Augsta sektoru skaita noguruma risks',
+    splitDutyNotApplicable: 'Dalītā dienesta pagarinājums nav piemērojams',
+    augmentedSectorsExceeded: 'Pārāk daudz sektoru papildinātas apkalpes FDP',
+    inFlightRestInsufficient: 'Nepietiekama atpūta lidojuma laikā',
+    standbyDurationExceeded: 'Gaidīšanas režīms pārsniedz maksimālo ilgumu',
+    standbyCombinedDutyExceeded: 'Gaidīšana lidostā un FDP pārsniedz kopējo limitu',
+    standbyAwakeTimeExceeded: 'Gaidīšana un FDP pārsniedz nomoda laika limitu',
+    reserveNotificationInsufficient: 'Rezerves norīkojums paziņots par vēlu',
+    reserveSleepInterrupted: 'Aizsargātā miega iespēja pārtraukta',
+    reserveAssignmentOutsidePeriod: 'Rezerves norīkojums ārpus rezerves perioda',
+    delayedReportingNotifiedLate: 'Par kavējumu paziņots pēc sākotnējā ierašanās laika',
+    commandersDiscretionUsed: 'FDP palielināts pēc komandiera lēmuma - nepieciešams ziņojums',
+    commandersDiscretionExceeded: 'Komandiera lēmuma palielinājums pārsniedz maksimumu',
+    discretionRestReduced: 'Atpūta samazināta pēc komandiera lēmuma - nepieciešams ziņojums',
+    fdpExtensionUsed: 'FDP pagarināts neparedzētos apstākļos - nepieciešams ziņojums',
+    fdpExtensionRepeated: 'FDP pagarinājums virs 30 minūtēm atkārtots bez 30 brīvām stundām',
+    reserveCombinedDutyExceeded: 'Rezerve un FDP pārsniedz kopējo limitu',
+    freeFromDutyInsufficient: 'Pēdējās 168 stundās nav 30 secīgu no pienākumiem brīvu stundu',
+    fdp168HoursExceeded: 'Pārsniegts 168 stundu FDP limits',
+    fdp672HoursExceeded: 'Pārsniegts 672 stundu FDP limits',
+    flightTime672HoursExceeded: 'Pārsniegts 672 stundu lidojuma laika limits',
+    flightTime365DaysExceeded: 'Pārsniegts 365 dienu lidojuma laika limits',
+    cabinCrewReportingDifferenceExceeded: 'Salona apkalpe ierodas vairāk nekā 1 stundu pirms lidojuma apkalpes'
   }
 };
 
 /**
- * Check EASA FTL compliance for flight data
+ * Check FTL compliance for flight data against a rule set (EASA by default)
  * @param {Array} flightData - Array of duty periods
  * @param {string} dateScope - Date scope filter
  * @param {string} language - Language for messages (en/ru/lv)
+ * @param {Object} options - Operator options
+ * @param {boolean} options.frmApproved - Operator has an approved FRM (ORO.FTL.205(b)(3) table applies)
+ * @param {string} options.homeBase - Crew member's home base (IATA code); defaults to the first departure airport
+ * @param {boolean} options.reducedRest - Operator has an approved reduced rest scheme (CS FTL.1.235(c))
+ * @param {string} options.operatorType - 'early' (default) or 'late' type operator for disruptive schedules
+ * @param {string} options.ruleSet - Rule set id: 'easa' (default), 'uk-caa' or 'faa-part117'
+ * @param {string} options.operation - 'cat' (default), or an operation the rule set lists, e.g. 'air-taxi'
+ * @param {Object} options.operatorScheme - Approved operator scheme overriding the CS limits
+ * @param {string} options.crewCategory - 'flight' (default) or 'cabin' crew; a duty's crewCategory wins
+ * @param {Object} options.rules - Rule selection with include, exclude and severityOverrides
+ * @param {boolean} options.explain - Add a trace of the inputs, lookups and arithmetic to every issue
+ * @param {boolean} options.fatigueModel - Predict alertness per duty with the Three-Process Model
  * @returns {Array} - Compliance results for each day
  */
-function checkEASACompliance(flightData, dateScope = 'all', language = 'en') {
+function checkEASACompliance(flightData, dateScope = 'all', language = 'en', requestOptions = {}) {
   const t = TRANSLATIONS[language] || TRANSLATIONS.en;
+  const ruleSet = resolveRuleSet(requestOptions);
+  const options = applySchemeOptions(requestOptions);
+  const ftlLimits = ruleSet.limits;
   const results = [];
   
-  // Sort flight data by date
-  const sortedData = flightData.sort((a, b) => moment(a.date).diff(moment(b.date)));
+  if (options.crewCategory && !ruleSet.crewCategories.includes(options.crewCategory)) {
+    throw new Error(`${ruleSet.name} does not cover ${options.crewCategory} crew`);
+  }
+  
+  if (options.fatigueModel && ruleSet.checkRoster) {
+    throw new Error(`${ruleSet.name} does not support the fatigue model`);
+  }
+  const ruleSelection = {
+    ...resolveRuleSelection(options.rules, ruleSet),
+    explain: options.explain === true,
+    operatorScheme: ruleSet.operatorScheme || null
+  };
   
-  // Filter by date scope if needed
-  const filteredData = filterByDateScope(sortedData, dateScope);
+  // Sort flight data by date; duties given as instants get their HH:mm fields derived
+  // and duties without an airport are read on the home base clock
+  const byDate = (a, b) => moment(a.date).diff(moment(b.date));
+  const homeBase = getHomeBase(flightData.map(duty => normalizeDuty(duty)).sort(byDate), options);
+  const baseTimezone = getKnownTimezone(homeBase);
+  const sortedData = flightData.map(duty => normalizeDuty(duty, baseTimezone)).sort(byDate);
+  
+  // Filter by date scope if needed; duties outside the scope still count for
+  // rest and extension bookkeeping
+  const inScope = new Set(filterByDateScope(sortedData, dateScope));
+  
+  // Rule sets with their own rules check the whole roster themselves
+  if (ruleSet.checkRoster) {
+    const rosterResults = ruleSet.checkRoster(sortedData, t, { homeBase, ftlLimits, options, ruleSelection });
+    return formatRegulations(rosterResults.filter((dayResult, i) => inScope.has(sortedData[i])), ruleSet);
+  }
   
-  for (let i = 0; i < filteredData.length; i++) {
-    const duty = filteredData[i];
-    const previousDuty = i > 0 ? filteredData[i - 1] : null;
+  // Acclimatisation depends on the whole roster history, not just the filtered scope
+  const acclimatisation = trackAcclimatisation(sortedData);
+  const reducedRest = options.reducedRest ? trackReducedRest(sortedData, homeBase, ftlLimits) : new Map();
+  const timeZoneRest = trackTimeZoneRest(sortedData, homeBase, ftlLimits);
+  const disruptiveSchedule = new Map(sortedData.map(duty => [
+    duty,
+    classifyDisruptiveSchedule(duty, acclimatisation.get(duty) || null, options.operatorType, ftlLimits)
+  ]));
+  const cumulativeTime = buildCumulativeTime(sortedData, ftlLimits);
+  const recoveryRests = sortedData.length > 0 ? getRecoveryRests(sortedData, ftlLimits, homeBase) : null;
+  const alertness = options.fatigueModel ? trackAlertness(sortedData, acclimatisation, homeBase) : null;
+  const extensionLog = [];
+  
+  for (let i = 0; i < sortedData.length; i++) {
+    const duty = sortedData[i];
+    const previousDuty = i > 0 ? sortedData[i - 1] : null;
+    
+    const dayResult = checkDayCompliance(duty, previousDuty, t, {
+      acclimatisation: acclimatisation.get(duty) || null,
+      homeBase,
+      reducedRest: reducedRest.get(duty) || null,
+      ftlLimits,
+      options,
+      ruleSelection
+    });
+    
+    // Track FDP extensions across the roster
+    addExtensionChecks(dayResult, duty, sortedData, i, t, {
+      acclimatisation: acclimatisation.get(duty) || null,
+      homeBase,
+      ftlLimits,
+      extensionLog,
+      ruleSelection
+    });
+    
+    if (!inScope.has(duty)) continue;
     
-    const dayResult = checkDayCompliance(duty, previousDuty, t);
+    // Add additional rest checks after time zone crossings
+    addTimeZoneRestChecks(dayResult, timeZoneRest.get(duty) || null, t, ruleSelection);
     
     // Add advanced compliance checks
-    addAdvancedComplianceChecks(dayResult, duty, sortedData, i, t);
+    addAdvancedComplianceChecks(dayResult, duty, sortedData, i, t, {
+      disruptiveSchedule,
+      homeBase,
+      ftlLimits,
+      cumulativeTime,
+      recoveryRests,
+      alertness,
+      ruleSelection
+    });
+    
+    if (ruleSelection.explain) {
+      addTraceInputs(dayResult, getTraceInputs(duty, acclimatisation.get(duty) || null, homeBase, options));
+    }
     
     results.push(dayResult);
   }
   
+  return formatRegulations(results, ruleSet);
+}
+
+/**
+ * Rewrite regulation references in the style of a rule set
+ * @param {Array} results - Compliance results
+ * @param {Object} ruleSet - Rule set from getRuleSet
+ * @returns {Array} - Compliance results with formatted references
+ */
+function formatRegulations(results, ruleSet) {
+  results.forEach(result => {
+    result.issues.forEach(issue => {
+      issue.regulation = ruleSet.formatReference(issue.regulation);
+    });
+    result.regulations.forEach(regulation => {
+      regulation.reference = ruleSet.formatReference(regulation.reference);
+    });
+  });
+  
   return results;
 }
 
+/**
+ * Get the inputs of a day's checks for issue traces
+ * @param {Object} duty - Duty period
+ * @param {Object} acclimatisation - Acclimatisation state (ORO.FTL.105) or null if unknown
+ * @param {string} homeBase - Crew member's home base (IATA code) or null if unknown
+ * @param {Object} options - Operator options passed to checkEASACompliance
+ * @returns {Object} - Report, reference time and zone, sectors, acclimatisation and crew category
+ */
+function getTraceInputs(duty, acclimatisation, homeBase, options = {}) {
+  const startTime = getDutyStartTime(duty);
+  
+  return {
+    date: duty.date,
+    type: duty.type,
+    startTime,
+    timezone: getDutyTimezone(duty),
+    referenceTime: acclimatisation ? acclimatisation.referenceTime : startTime,
+    referenceTimezone: acclimatisation ? acclimatisation.referenceTimezone : null,
+    sectors: getSectorCount(duty.flights),
+    acclimatisation: formatAcclimatisation(acclimatisation),
+    crewCategory: getCrewCategory(duty, options),
+    homeBase,
+    operatorType: options.operatorType === 'late' ? 'late' : 'early',
+    frmApproved: Boolean(options.frmApproved)
+  };
+}
+
+/**
+ * Add the inputs of a day's checks to the traces of its issues
+ * @param {Object} result - Day result object to modify
+ * @param {Object} inputs - Inputs from getTraceInputs
+ */
+function addTraceInputs(result, inputs) {
+  result.issues.forEach(issue => {
+    if (issue.trace) {
+      issue.trace.inputs = inputs;
+    }
+  });
+}
+
 /**
  * Check compliance for a single day
  * @param {Object} duty - Current duty period
  * @param {Object} previousDuty - Previous duty period
  * @param {Object} t - Translations object
+ * @param {Object} context - Roster-derived context for the duty
+ * @param {Object} context.acclimatisation - Acclimatisation state (ORO.FTL.105) or null if unknown
+ * @param {string} context.homeBase - Crew member's home base (IATA code) or null if unknown
+ * @param {Object} context.reducedRest - Reduced rest state from trackReducedRest or null without a scheme
+ * @param {Object} context.ftlLimits - Limits of the rule set
+ * @param {Object} context.options - Operator options passed to checkEASACompliance
+ * @param {Object} context.ruleSelection - Rule selection from resolveRuleSelection
  * @returns {Object} - Compliance result for the day
  */
-function checkDayCompliance(duty, previousDuty, t) {
+function checkDayCompliance(duty, previousDuty, t, context = {}) {
+  const acclimatisation = context.acclimatisation || null;
+  const homeBase = context.homeBase || null;
+  const reducedRest = context.reducedRest || null;
+  const restIncrease = reducedRest ? reducedRest.restIncrease : 0;
+  const options = context.options || {};
+  const ftlLimits = context.ftlLimits || EASA_LIMITS;
+  const ruleSelection = context.ruleSelection || DEFAULT_RULE_SELECTION;
+  const maxFDPOptions = {
+    acclimatisationState: acclimatisation ? acclimatisation.state : null,
+    frmApproved: Boolean(options.frmApproved),
+    ftlLimits
+  };
+  
   const result = {
     date: duty.date,
     type: duty.type,
@@ -225,7 +452,7 @@ function checkDayCompliance(duty, previousDuty, t) {
     result.calculations = {
       fdp: '00:00',
       maxFDP: 'N/A',
-      rest: previousDuty ? calculateRest(previousDuty, duty) : 'N/A',
+      rest: previousDuty ? calculateRest(previousDuty, duty, ftlLimits) : 'N/A',
       minRest: 'N/A',
       flightTime: '00:00',
       extensionAllowed: 'N/A'
@@ -233,84 +460,88 @@ function checkDayCompliance(duty, previousDuty, t) {
     return result;
   }
 
+  if (duty.type === 'RESERVE') {
+    return checkReserveCompliance(duty, previousDuty, t, context);
+  }
+
   if (duty.type === 'STANDBY') {
     // Calculate standby period
+    const standbyType = getStandbyType(duty);
     const standbyPeriod = calculateStandbyPeriod(duty);
-    const rest = previousDuty ? calculateRest(previousDuty, duty) : null;
-    const minRest = getMinRest(previousDuty, duty);
+    const rest = previousDuty ? calculateRest(previousDuty, duty, ftlLimits) : null;
+    const restRequirement = getRestRequirement(previousDuty, duty, homeBase, restIncrease, ftlLimits);
+    const minRest = restRequirement ? restRequirement.minRest : null;
+    const called = Boolean(duty.callTime);
+    const sectors = getSectorCount(duty.flights);
+    const augmentedCrew = duty.augmentedCrew || null;
+    const referenceTime = acclimatisation ? acclimatisation.referenceTime : duty.callTime;
+    const maxFDPLookup = called ? getMaxFDP(referenceTime, sectors, {
+      ...maxFDPOptions,
+      augmentedCrew,
+      longestSector: getLongestSector(duty)
+    }) : null;
+    
+    // Standby time beyond the threshold reduces the max FDP once called (CS FTL.1.225)
+    const standbyInfo = calculateStandbyFDPReduction(duty, standbyType, standbyPeriod, ftlLimits);
+    const fdp = called ? calculateFDP(duty) : 0;
+    const maxFDP = maxFDPLookup ? Math.max(0, maxFDPLookup.hours - standbyInfo.reduction) : null;
+    const maxExtension = augmentedCrew ? 0 : ftlLimits.extensions.maxExtension;
     
     result.calculations = {
-      fdp: duty.callTime ? formatDuration(calculateFDP(duty)) : '00:00',
-      maxFDP: duty.callTime ? formatDuration(getMaxFDP(duty.callTime, duty.flights ? duty.flights.length : 0)) : 'N/A',
+      fdp: called ? formatDuration(fdp) : '00:00',
+      maxFDP: maxFDPLookup ? formatDuration(maxFDP) : 'N/A',
+      maxFDPTable: maxFDPLookup ? { table: maxFDPLookup.table, row: maxFDPLookup.row, column: maxFDPLookup.column } : 'N/A',
+      unknownAcclimatisationTableApplied: maxFDPLookup ? maxFDPLookup.unknownAcclimatisation : false,
       rest: rest ? formatDuration(rest) : 'N/A',
       minRest: minRest ? formatDuration(minRest) : 'N/A',
-      flightTime: duty.flights ? formatDuration(calculateFlightTime(duty.flights)) : '00:00',
-      sectors: duty.flights ? duty.flights.length : 0,
-      maxDutyEndTime: duty.callTime ? calculateMaxDutyEndTime(duty.callTime, getMaxFDP(duty.callTime, duty.flights ? duty.flights.length : 0)) : 'N/A',
-      extensionAllowed: duty.callTime ? checkExtensionAllowance(calculateFDP(duty), getMaxFDP(duty.callTime, duty.flights ? duty.flights.length : 0), t).status : 'N/A',
-      standbyPeriod: formatDuration(standbyPeriod)
+      restLocation: formatRestLocation(restRequirement),
+      flightTime: formatDuration(calculateFlightTime(duty)),
+      sectors: sectors,
+      maxDutyEndTime: maxFDPLookup ? calculateMaxDutyEndTime(getDutyStartInstant(duty), maxFDP, getDutyTimezone(duty)) : 'N/A',
+      extensionAllowed: maxFDPLookup ? checkExtensionAllowance(fdp, maxFDP, t, maxExtension, ftlLimits).status : 'N/A',
+      standbyType: standbyType,
+      standbyPeriod: formatDuration(standbyPeriod),
+      standbyDutyCredit: formatDuration(standbyPeriod * ftlLimits.standby[standbyType].dutyCredit),
+      standbyFDPReduction: called ? formatDuration(standbyInfo.reduction) : 'N/A',
+      standbyReductionThreshold: formatDuration(standbyInfo.threshold),
+      standbyPlusFDP: called ? formatDuration(standbyPeriod + fdp) : 'N/A',
+      acclimatisation: formatAcclimatisation(acclimatisation)
     };
+    
+    // Other standby is limited to 16 hours
+    const standbyLimits = ftlLimits.standby[standbyType];
+    applyRules(result, 'standby', { standbyPeriod, standbyLimits }, t, ruleSelection);
 
     // If called for duty, check flight compliance
-    if (duty.callTime && duty.flights && duty.flights.length > 0) {
-      const fdp = calculateFDP(duty);
-      const sectors = duty.flights.length;
-      const maxFDP = getMaxFDP(duty.callTime, sectors);
-      const flightTime = calculateFlightTime(duty.flights);
-      const extensionInfo = checkExtensionAllowance(fdp, maxFDP, t);
+    if (called && duty.flights && duty.flights.length > 0) {
+      const flightTime = calculateFlightTime(duty);
+      const extensionInfo = checkExtensionAllowance(fdp, maxFDP, t, maxExtension, ftlLimits);
+      const discretion = getCommandersDiscretion(duty, fdp, maxFDP, ftlLimits);
       
       // Update calculations with flight duty info
       result.calculations.extensionDetails = extensionInfo.details;
-      
-      // Check FDP compliance (same as flight duty)
-      if (fdp > maxFDP + EASA_LIMITS.extensions.maxExtension) {
-        result.status = t.ILLEGAL;
-        result.issues.push({
-          type: 'FDP_EXCEEDED',
-          message: `${t.extensionExceeded}: ${formatDuration(fdp)} > ${formatDuration(maxFDP + EASA_LIMITS.extensions.maxExtension)}`,
-          regulation: 'ORO.FTL.205(d)',
-          severity: 'HIGH',
-          fatigueRisk: 'High risk of pilot fatigue due to excessive duty period beyond extension limits',
-          recommendation: 'Reduce FDP or provide adequate in-flight rest'
-        });
-      } else if (fdp > maxFDP) {
-        result.status = t.WARNING;
-        result.issues.push({
-          type: 'FDP_EXTENSION_REQUIRED',
-          message: `${t.extensionUsed}: ${formatDuration(fdp)} > ${formatDuration(maxFDP)} (${t.extensionAllowed.toLowerCase()})`,
-          regulation: 'ORO.FTL.205(d)',
-          severity: 'MEDIUM',
-          fatigueRisk: 'Extension required - increased fatigue risk',
-          recommendation: 'Ensure proper notification and crew agreement for extension'
-        });
+      if (discretion) {
+        result.calculations.commandersDiscretion = formatCommandersDiscretion(discretion, ftlLimits);
       }
       
-      // Check flight time compliance
-      if (flightTime > EASA_LIMITS.maxFlightTime.daily) {
-        result.status = t.ILLEGAL;
-        result.issues.push({
-          type: 'FLIGHT_TIME_EXCEEDED',
-          message: `${t.flightTimeExceeded}: ${formatDuration(flightTime)} > ${EASA_LIMITS.maxFlightTime.daily}h`,
-          regulation: 'ORO.FTL.210',
-          severity: 'HIGH',
-          fatigueRisk: 'Excessive flight time increases workload and fatigue',
-          recommendation: 'Reduce flight time or split into multiple duty periods'
-        });
-      }
+      // Check FDP compliance (same as flight duty), then standby combined with the FDP
+      applyRules(result, 'fdp', {
+        fdp,
+        maxFDP,
+        maxExtension,
+        discretion,
+        standbyReduction: standbyInfo.reduction,
+        standby: true,
+        maxFDPTerms: { ...getMaxFDPTerms(maxFDPLookup), standbyReduction: -standbyInfo.reduction },
+        lookup: describeMaxFDPLookup(maxFDPLookup),
+        ftlLimits
+      }, t, ruleSelection);
+      applyRules(result, 'standbyFdp', { standbyPeriod, standbyLimits, fdp }, t, ruleSelection);
+      applyRules(result, 'flightTime', { flightTime, augmentedCrew, ftlLimits }, t, ruleSelection);
     }
 
     // Check rest compliance
-    if (rest !== null && minRest !== null && rest < minRest) {
-      result.status = t.ILLEGAL;
-      result.issues.push({
-        type: 'REST_INSUFFICIENT',
-        message: `${t.restInsufficient}: ${formatDuration(rest)} < ${formatDuration(minRest)}`,
-        regulation: 'ORO.FTL.235',
-        severity: 'HIGH',
-        fatigueRisk: 'Insufficient rest increases fatigue accumulation',
-        recommendation: 'Provide minimum required rest period'
-      });
-    }
+    addRestChecks(result, rest, restRequirement, t, reducedRest, ftlLimits, ruleSelection);
 
     // Add relevant regulations
     result.regulations = [
@@ -319,6 +550,13 @@ function checkDayCompliance(duty, previousDuty, t) {
         title: 'Standby',
         description: 'Standby duty regulations and limitations'
       },
+      {
+        reference: standbyType === 'airport' ? 'CS FTL.1.225(a)' : 'CS FTL.1.225(b)',
+        title: standbyType === 'airport' ? 'Airport Standby' : 'Standby Other Than Airport Standby',
+        description: standbyType === 'airport'
+          ? 'Max FDP reduced by standby beyond 4 hours; standby and FDP limited to 16 hours'
+          : 'Standby limited to 16 hours; max FDP reduced by standby beyond 6 hours; 25% counts as duty'
+      },
       {
         reference: 'ORO.FTL.235',
         title: 'Rest Period',
@@ -332,6 +570,22 @@ function checkDayCompliance(duty, previousDuty, t) {
         title: 'Flight Duty Period (FDP)',
         description: 'Maximum FDP limits when called from standby'
       });
+      
+      if (result.calculations.commandersDiscretion) {
+        result.regulations.push({
+          reference: 'ORO.FTL.205(f)',
+          title: "Commander's Discretion",
+          description: 'FDP increased by up to 2 hours (3 with augmented crew) in unforeseen circumstances; report required'
+        });
+      }
+      
+      if (acclimatisation) {
+        result.regulations.push({
+          reference: 'ORO.FTL.105',
+          title: 'Acclimatisation',
+          description: 'State of acclimatisation determines the reference time for FDP limits'
+        });
+      }
     }
 
     return result;
@@ -340,93 +594,163 @@ function checkDayCompliance(duty, previousDuty, t) {
   if (duty.type === 'FLIGHT') {
     // Calculate FDP
     const fdp = calculateFDP(duty);
-    const sectors = duty.flights ? duty.flights.length : 0;
-    const maxFDP = getMaxFDP(duty.reportTime, sectors);
+    const sectors = getSectorCount(duty.flights);
+    const crewCategory = getCrewCategory(duty, options);
+    
+    // Cabin crew reporting before the flight crew use the flight crew's reporting
+    // time for the max FDP, extended by the difference (ORO.FTL.205(c))
+    const cabinReporting = crewCategory === 'cabin' ? getCabinCrewReporting(duty, ftlLimits) : null;
+    const referenceTime = cabinReporting
+      ? toReferenceTime(cabinReporting.flightCrewReport, duty, acclimatisation)
+      : acclimatisation ? acclimatisation.referenceTime : getDutyStartTime(duty);
+    const augmentedCrew = duty.augmentedCrew || null;
+    const maxFDPLookupOptions = {
+      ...maxFDPOptions,
+      augmentedCrew,
+      crewCategory,
+      longestSector: getLongestSector(duty)
+    };
+    
+    // A delayed reporting time sets the max FDP from the original or the more
+    // limiting reporting time (CS FTL.1.205(d))
+    const delayedReporting = classifyDelayedReporting(duty, acclimatisation, ftlLimits);
+    const maxFDPLookup = delayedReporting
+      ? getDelayedReportingMaxFDP(delayedReporting, referenceTime, sectors, maxFDPLookupOptions)
+      : getMaxFDP(referenceTime, sectors, maxFDPLookupOptions);
+    
+    // Split duty increases the max FDP; neither split duty nor in-flight rest can be
+    // combined with an extension, and split duty cannot be combined with in-flight rest
+    const splitDutyInfo = duty.splitDuty ? calculateSplitDutyExtension(duty, acclimatisation, ftlLimits) : null;
+    if (splitDutyInfo && augmentedCrew && splitDutyInfo.eligible) {
+      splitDutyInfo.eligible = false;
+      splitDutyInfo.extension = 0;
+      splitDutyInfo.reason = 'Split duty cannot be combined with in-flight rest';
+    }
+    const splitDutyExtension = splitDutyInfo && splitDutyInfo.eligible ? splitDutyInfo.extension : 0;
+    
+    // An FDP following a reduced rest is reduced by the same amount (CS FTL.1.235(c))
+    const fdpReduction = reducedRest ? reducedRest.fdpReduction : 0;
+    const reportingExtension = cabinReporting ? cabinReporting.extension : 0;
+    const maxFDP = maxFDPLookup.hours + splitDutyExtension + reportingExtension - fdpReduction;
+    const maxExtension = splitDutyExtension > 0 || augmentedCrew ? 0 : ftlLimits.extensions.maxExtension;
     
     // Calculate flight time
-    const flightTime = calculateFlightTime(duty.flights);
+    const flightTime = calculateFlightTime(duty);
     
     // Calculate rest from previous duty
-    const rest = previousDuty ? calculateRest(previousDuty, duty) : null;
-    const minRest = getMinRest(previousDuty, duty);
+    const rest = previousDuty ? calculateRest(previousDuty, duty, ftlLimits) : null;
+    const restRequirement = getRestRequirement(previousDuty, duty, homeBase, restIncrease, ftlLimits);
+    const minRest = restRequirement ? restRequirement.minRest : null;
     
     // Calculate maximum duty end time
-    const maxDutyEndTime = calculateMaxDutyEndTime(duty.reportTime, maxFDP);
+    const maxDutyEndTime = calculateMaxDutyEndTime(getDutyStartInstant(duty), maxFDP, getDutyTimezone(duty));
     
     // Check extension allowance
-    const extensionInfo = checkExtensionAllowance(fdp, maxFDP, t);
+    const extensionInfo = checkExtensionAllowance(fdp, maxFDP, t, maxExtension, ftlLimits);
+    const discretion = getCommandersDiscretion(duty, fdp, maxFDP, ftlLimits);
     
     result.calculations = {
       fdp: formatDuration(fdp),
       maxFDP: formatDuration(maxFDP),
+      maxFDPTable: { table: maxFDPLookup.table, row: maxFDPLookup.row, column: maxFDPLookup.column },
+      unknownAcclimatisationTableApplied: maxFDPLookup.unknownAcclimatisation,
       rest: rest ? formatDuration(rest) : 'N/A',
       minRest: minRest ? formatDuration(minRest) : 'N/A',
+      restLocation: formatRestLocation(restRequirement),
       flightTime: formatDuration(flightTime),
       sectors: sectors,
       maxDutyEndTime: maxDutyEndTime,
       extensionAllowed: extensionInfo.status,
-      extensionDetails: extensionInfo.details
+      extensionDetails: extensionInfo.details,
+      acclimatisation: formatAcclimatisation(acclimatisation),
+      crewCategory
     };
     
-    // Check FDP compliance
-    if (fdp > maxFDP + EASA_LIMITS.extensions.maxExtension) {
-      result.status = t.ILLEGAL;
-      result.issues.push({
-        type: 'FDP_EXCEEDED',
-        message: `${t.extensionExceeded}: ${formatDuration(fdp)} > ${formatDuration(maxFDP + EASA_LIMITS.extensions.maxExtension)}`,
-        regulation: 'ORO.FTL.205(d)',
-        severity: 'HIGH',
-        fatigueRisk: 'High risk of pilot fatigue due to excessive duty period beyond extension limits',
-        recommendation: 'Reduce FDP or provide adequate in-flight rest'
-      });
-    } else if (fdp > maxFDP) {
-      result.status = t.WARNING;
-      result.issues.push({
-        type: 'FDP_EXTENSION_REQUIRED',
-        message: `${t.extensionUsed}: ${formatDuration(fdp)} > ${formatDuration(maxFDP)} (${t.extensionAllowed.toLowerCase()})`,
-        regulation: 'ORO.FTL.205(d)',
-        severity: 'MEDIUM',
-        fatigueRisk: 'Extension required - increased fatigue risk',
-        recommendation: 'Ensure proper notification and crew agreement for extension'
-      });
-    } else if (fdp > maxFDP - 0.5) {
-      result.status = t.WARNING;
-      result.issues.push({
-        type: 'FDP_CLOSE_TO_LIMIT',
-        message: `${t.closeToLimit}: ${formatDuration(fdp)} (max: ${formatDuration(maxFDP)})`,
-        regulation: 'ORO.FTL.205',
-        severity: 'MEDIUM',
-        fatigueRisk: 'Increased fatigue risk when approaching FDP limits',
-        recommendation: 'Monitor crew alertness and consider fatigue mitigation'
-      });
+    if (cabinReporting) {
+      result.calculations.cabinCrewReporting = {
+        flightCrewReportTime: cabinReporting.flightCrewReportTime,
+        difference: formatDuration(cabinReporting.difference),
+        extension: formatDuration(cabinReporting.extension)
+      };
     }
     
-    // Check rest compliance
-    if (rest !== null && minRest !== null && rest < minRest) {
-      result.status = t.ILLEGAL;
-      result.issues.push({
-        type: 'REST_INSUFFICIENT',
-        message: `${t.restInsufficient}: ${formatDuration(rest)} < ${formatDuration(minRest)}`,
-        regulation: 'ORO.FTL.235',
-        severity: 'HIGH',
-        fatigueRisk: 'Insufficient rest increases fatigue accumulation',
-        recommendation: 'Provide minimum required rest period'
-      });
+    if (reducedRest) {
+      result.calculations.reducedRest = formatReducedRest(reducedRest);
     }
     
-    // Check flight time compliance
-    if (flightTime > EASA_LIMITS.maxFlightTime.daily) {
-      result.status = t.ILLEGAL;
-      result.issues.push({
-        type: 'FLIGHT_TIME_EXCEEDED',
-        message: `${t.flightTimeExceeded}: ${formatDuration(flightTime)} > ${EASA_LIMITS.maxFlightTime.daily}h`,
-        regulation: 'ORO.FTL.210',
-        severity: 'HIGH',
-        fatigueRisk: 'Excessive flight time increases workload and fatigue',
-        recommendation: 'Reduce flight time or split into multiple duty periods'
-      });
+    if (discretion) {
+      result.calculations.commandersDiscretion = formatCommandersDiscretion(discretion, ftlLimits);
+    }
+    
+    if (delayedReporting) {
+      result.calculations.delayedReporting = formatDelayedReporting(delayedReporting);
+    }
+    
+    const positioningFlights = duty.flights ? duty.flights.length - sectors : 0;
+    if (positioningFlights > 0) {
+      result.calculations.positioning = {
+        flights: positioningFlights,
+        dutyPeriod: formatDuration(calculateDutyPeriod(duty))
+      };
+    }
+    
+    let minInFlightRest = null;
+    if (augmentedCrew) {
+      // Cabin crew need more in-flight rest the longer the FDP (CS FTL.1.205(c))
+      minInFlightRest = crewCategory === 'cabin'
+        ? getCabinCrewInFlightRest(fdp, augmentedCrew.restFacilityClass, ftlLimits)
+        : ftlLimits.augmentedCrew.minInFlightRest;
+      
+      result.calculations.augmentedCrew = {
+        pilots: augmentedCrew.pilots,
+        restFacilityClass: augmentedCrew.restFacilityClass,
+        inFlightRest: augmentedCrew.inFlightRest !== undefined ? formatDuration(augmentedCrew.inFlightRest) : 'N/A',
+        minInFlightRest: minInFlightRest !== null ? formatDuration(minInFlightRest) : 'N/A',
+        longSectorIncrease: maxFDPLookup.longSectorIncrease ? formatDuration(maxFDPLookup.longSectorIncrease) : '00:00'
+      };
     }
     
+    if (splitDutyInfo) {
+      result.calculations.splitDuty = formatSplitDuty(splitDutyInfo);
+    }
+    
+    // Check cabin crew reporting, delayed reporting, in-flight rest and split duty
+    applyRules(result, 'flightDuty', {
+      cabinReporting,
+      delayedReporting,
+      augmentedCrew,
+      sectors,
+      minInFlightRest,
+      crewCategory,
+      splitDutyInfo,
+      ftlLimits
+    }, t, ruleSelection);
+    
+    // Check FDP compliance; an FDP beyond the basic limit is covered by the
+    // commander's discretion when one was recorded
+    applyRules(result, 'fdp', {
+      fdp,
+      maxFDP,
+      maxExtension,
+      discretion,
+      standbyReduction: 0,
+      standby: false,
+      maxFDPTerms: {
+        ...getMaxFDPTerms(maxFDPLookup),
+        splitDuty: splitDutyExtension,
+        cabinCrewReporting: reportingExtension,
+        reducedRest: -fdpReduction
+      },
+      lookup: describeMaxFDPLookup(maxFDPLookup),
+      ftlLimits
+    }, t, ruleSelection);
+    
+    // Check rest compliance
+    addRestChecks(result, rest, restRequirement, t, reducedRest, ftlLimits, ruleSelection);
+    
+    // Check flight time compliance
+    applyRules(result, 'flightTime', { flightTime, augmentedCrew, ftlLimits }, t, ruleSelection);
+    
     // Add relevant regulations
     result.regulations = [
       {
@@ -445,43 +769,179 @@ function checkDayCompliance(duty, previousDuty, t) {
         description: 'Maximum flight time per day, week, month, and year'
       }
     ];
+    
+    if (augmentedCrew) {
+      result.regulations.push({
+        reference: 'CS FTL.1.205(c)',
+        title: 'In-flight Rest',
+        description: crewCategory === 'cabin'
+          ? 'Max extended FDP for cabin crew and minimum in-flight rest by class of rest facility'
+          : 'Max FDP for augmented flight crew by class of in-flight rest facility'
+      });
+    }
+    
+    if (cabinReporting) {
+      result.regulations.push({
+        reference: 'ORO.FTL.205(c)',
+        title: 'Different Reporting Time for Cabin Crew',
+        description: 'Cabin crew FDP extended by up to 1 hour of earlier reporting; max FDP based on the flight crew reporting time'
+      });
+    }
+    
+    if (splitDutyInfo) {
+      result.regulations.push({
+        reference: 'ORO.FTL.220',
+        title: 'Split Duty',
+        description: 'Max FDP increased by 50% of a break on the ground of at least 3 hours'
+      });
+    }
+    
+    if (delayedReporting) {
+      result.regulations.push({
+        reference: 'CS FTL.1.205(d)',
+        title: 'Delayed Reporting',
+        description: 'Max FDP from the original reporting time, or the more limiting one for delays of 4 hours or more'
+      });
+    }
+    
+    if (discretion) {
+      result.regulations.push({
+        reference: 'ORO.FTL.205(f)',
+        title: "Commander's Discretion",
+        description: 'FDP increased by up to 2 hours (3 with augmented crew) in unforeseen circumstances; report required'
+      });
+    }
+    
+    if (acclimatisation) {
+      result.regulations.push({
+        reference: 'ORO.FTL.105',
+        title: 'Acclimatisation',
+        description: 'State of acclimatisation determines the reference time for FDP limits'
+      });
+    }
   }
   
   return result;
 }
 
 /**
- * Calculate Flight Duty Period (FDP) in hours
- * @param {Object} duty - Duty period object
- * @returns {number} - FDP in hours
+ * Check compliance for a reserve day (ORO.FTL.230)
+ * Reserve time itself is neither duty nor standby. An FDP assigned from reserve is
+ * checked like a flight duty and must be notified at least 10 hours in advance,
+ * outside the protected 8-hour sleep opportunity.
+ * @param {Object} duty - Reserve duty period
+ * @param {Object} previousDuty - Previous duty period
+ * @param {Object} t - Translations object
+ * @param {Object} context - Roster-derived context for the duty
+ * @returns {Object} - Compliance result for the day
  */
-function calculateFDP(duty) {
-  if (duty.type === 'STANDBY' && duty.callTime) {
-    // For standby called to duty, FDP starts from call time
-    if (!duty.callTime || !duty.offDutyTime) return 0;
+function checkReserveCompliance(duty, previousDuty, t, context) {
+  const ftlLimits = context.ftlLimits || EASA_LIMITS;
+  const assigned = isReserveAssignment(duty);
+  const reserve = getReservePeriod(duty);
+  const reservePeriod = reserve ? reserve.end.diff(reserve.start, 'hours', true) : 0;
+  
+  // The assignment produces an FDP followed by rest, checked as a flight duty
+  const result = assigned
+    ? checkDayCompliance({ ...duty, type: 'FLIGHT' }, previousDuty, t, context)
+    : {
+      date: duty.date,
+      status: t.LEGAL,
+      issues: [],
+      calculations: {
+        fdp: '00:00',
+        maxFDP: 'N/A',
+        rest: 'N/A',
+        minRest: 'N/A',
+        flightTime: '00:00',
+        extensionAllowed: 'N/A'
+      },
+      regulations: []
+    };
+  
+  result.type = duty.type;
+  result.calculations.reservePeriod = duty.reserveStartTime && duty.reserveEndTime
+    ? `${duty.reserveStartTime}-${duty.reserveEndTime}`
+    : 'N/A';
+  result.calculations.reserveDuration = formatDuration(reservePeriod);
+  result.calculations.reserveAssigned = assigned;
+  
+  const protectedSleep = getProtectedSleepWindow(duty, ftlLimits);
+  result.calculations.protectedSleep = `${protectedSleep.start}-${protectedSleep.end}`;
+  
+  if (assigned) {
+    const report = getReportAt(duty);
+    const notification = duty.notificationTime
+      ? getNotificationInstant(duty, duty.notificationTime, duty.notificationDate)
+      : null;
+    const leadTime = notification ? report.diff(notification, 'hours', true) : null;
     
-    const callMoment = moment(duty.callTime, 'HH:mm');
-    const offDutyMoment = moment(duty.offDutyTime, 'HH:mm');
+    result.calculations.notificationLeadTime = leadTime !== null ? formatDuration(Math.max(0, leadTime)) : 'N/A';
     
-    // Handle overnight duties
-    if (offDutyMoment.isBefore(callMoment)) {
-      offDutyMoment.add(1, 'day');
-    }
+    // Contacts are judged as instants, so a call the evening before falls in the
+    // night leading into the reserve day
+    const contacts = [
+      { label: 'Notification', at: notification },
+      { label: 'Report', at: report }
+    ].filter(contact => contact.at);
     
-    return offDutyMoment.diff(callMoment, 'hours', true);
+    applyRules(result, 'reserve', {
+      duty,
+      leadTime,
+      contacts,
+      protectedSleep,
+      reservePeriod,
+      reportAfterReserveStart: reserve ? report.diff(reserve.start, 'hours', true) : null,
+      ftlLimits
+    }, t, context.ruleSelection || DEFAULT_RULE_SELECTION);
   }
   
-  if (!duty.reportTime || !duty.offDutyTime) return 0;
-  
-  const reportMoment = moment(duty.reportTime, 'HH:mm');
-  const offDutyMoment = moment(duty.offDutyTime, 'HH:mm');
-  
-  // Handle overnight duties
-  if (offDutyMoment.isBefore(reportMoment)) {
-    offDutyMoment.add(1, 'day');
-  }
+  result.regulations.unshift({
+    reference: 'ORO.FTL.230',
+    title: 'Reserve',
+    description: 'Reserve time does not count as duty; assignments need 10 hours notice and a protected 8-hour sleep opportunity'
+  });
   
-  return offDutyMoment.diff(reportMoment, 'hours', true);
+  return result;
+}
+
+/**
+ * Check if a reserve day has an assigned FDP
+ * @param {Object} duty - Duty period object
+ * @returns {boolean} - True if the reserve has an assignment with flights
+ */
+function isReserveAssignment(duty) {
+  return duty.type === 'RESERVE' && Boolean(duty.reportTime) && Array.isArray(duty.flights) && duty.flights.length > 0;
+}
+
+/**
+ * Get the protected 8-hour sleep opportunity of a reserve day
+ * The window recurs every night; the periods are the nights that overlap the reserve
+ * day in the local time of the duty, as instants.
+ * @param {Object} duty - Reserve duty period
+ * @param {Object} ftlLimits - Limits of the rule set
+ * @returns {Object} - Window start and end in HH:mm format, timezone and periods as { start, end } UTC moments
+ */
+function getProtectedSleepWindow(duty, ftlLimits = EASA_LIMITS) {
+  const { start, duration } = ftlLimits.reserve.protectedSleep;
+  const windowStart = duty.protectedSleepStart || start;
+  const timezone = getDutyTimezone(duty);
+  const dayStart = toInstant(duty.date, '00:00', timezone).utc();
+  const dayEnd = dayStart.clone().add(1, 'day');
+  
+  // The window starting the evening before may reach into the reserve day
+  const periods = [-1, 0].map(offset => {
+    const date = dayStart.clone().tz(timezone).add(offset, 'day').format('YYYY-MM-DD');
+    const periodStart = toInstant(date, windowStart, timezone).utc();
+    return { start: periodStart, end: periodStart.clone().add(duration, 'hours') };
+  }).filter(period => period.end.isAfter(dayStart) && period.start.isBefore(dayEnd));
+  
+  return {
+    start: windowStart,
+    end: moment(windowStart, 'HH:mm').add(duration, 'hours').format('HH:mm'),
+    timezone,
+    periods
+  };
 }
 
 /**
@@ -490,209 +950,1033 @@ function calculateFDP(duty) {
  * @returns {number} - Standby period in hours
  */
 function calculateStandbyPeriod(duty) {
-  if (!duty.standbyStartTime) return 0;
+  const start = getStandbyStartInstant(duty);
+  const end = getStandbyEndInstant(duty);
+  if (!start || !end) return 0;
   
-  const startMoment = moment(duty.standbyStartTime, 'HH:mm');
-  let endMoment;
-  
-  if (duty.callTime) {
-    // Standby ends when called
-    endMoment = moment(duty.callTime, 'HH:mm');
-  } else if (duty.offDutyTime) {
-    // Standby ends at off duty time (not called)
-    endMoment = moment(duty.offDutyTime, 'HH:mm');
-  } else {
-    // No end time specified
-    return 0;
-  }
-  
-  // Handle overnight standby
-  if (endMoment.isBefore(startMoment)) {
-    endMoment.add(1, 'day');
-  }
-  
-  return endMoment.diff(startMoment, 'hours', true);
+  return end.diff(start, 'hours', true);
+}
+
+/**
+ * Get the standby type of a duty
+ * @param {Object} duty - Standby duty period object
+ * @returns {string} - 'airport' or 'home' (standby other than airport standby)
+ */
+function getStandbyType(duty) {
+  return duty.standbyType === 'airport' ? 'airport' : 'home';
 }
 
 /**
- * Calculate total flight time in hours
- * @param {Array} flights - Array of flights
- * @returns {number} - Total flight time in hours
+ * Calculate the max FDP reduction for an FDP assigned during standby (CS FTL.1.225)
+ * Airport standby reduces the max FDP by standby time beyond 4 hours. Other standby
+ * reduces it by standby time beyond 6 hours (8 hours with in-flight rest or split
+ * duty), not counting 23:00-07:00 when the standby starts in that window.
+ * @param {Object} duty - Standby duty period object
+ * @param {string} standbyType - 'airport' or 'home'
+ * @param {number} standbyPeriod - Standby period in hours
+ * @param {Object} ftlLimits - Limits of the rule set
+ * @returns {Object} - Counted standby time, threshold and reduction in hours
  */
-function calculateFlightTime(flights) {
-  if (!flights || flights.length === 0) return 0;
+function calculateStandbyFDPReduction(duty, standbyType, standbyPeriod, ftlLimits = EASA_LIMITS) {
+  const limits = ftlLimits.standby[standbyType];
+  
+  if (standbyType === 'airport') {
+    return {
+      countedStandby: standbyPeriod,
+      threshold: limits.reductionThreshold,
+      reduction: Math.max(0, standbyPeriod - limits.reductionThreshold)
+    };
+  }
   
-  let totalMinutes = 0;
+  const threshold = duty.augmentedCrew || duty.splitDuty
+    ? limits.reductionThresholdExtendedFDP
+    : limits.reductionThreshold;
   
-  flights.forEach(flight => {
-    const depMoment = moment(flight.departureTime, 'HH:mm');
-    const arrMoment = moment(flight.arrivalTime, 'HH:mm');
+  let countedStandby = standbyPeriod;
+  const standbyStart = getStandbyStartInstant(duty);
+  if (standbyStart) {
+    const timezone = getDutyTimezone(duty);
+    const { start, end } = limits.nightExclusion;
     
-    // Handle overnight flights
-    if (arrMoment.isBefore(depMoment)) {
-      arrMoment.add(1, 'day');
+    if (isWithinBand(toMinutesOfDay(standbyStart.clone().tz(timezone).format('HH:mm')), start, end)) {
+      const standbyEnd = standbyStart.clone().add(standbyPeriod, 'hours');
+      countedStandby -= getWindowOverlap(standbyStart, standbyEnd, start, end, timezone);
     }
-    
-    totalMinutes += arrMoment.diff(depMoment, 'minutes');
-  });
+  }
   
-  return totalMinutes / 60;
+  return {
+    countedStandby,
+    threshold,
+    reduction: Math.max(0, countedStandby - threshold)
+  };
 }
 
 /**
  * Calculate rest period between duties in hours
  * @param {Object} previousDuty - Previous duty period
  * @param {Object} currentDuty - Current duty period
+ * @param {Object} ftlLimits - Limits of the rule set
  * @returns {number} - Rest period in hours
  */
-function calculateRest(previousDuty, currentDuty) {
-  if (!previousDuty.offDutyTime) return null;
-  
-  let currentStartTime;
-  if (currentDuty.type === 'STANDBY' && currentDuty.standbyStartTime) {
-    currentStartTime = currentDuty.standbyStartTime;
-  } else if (currentDuty.reportTime) {
-    currentStartTime = currentDuty.reportTime;
-  } else {
-    return null;
-  }
-  
-  const prevOffDuty = moment(`${previousDuty.date} ${previousDuty.offDutyTime}`);
-  const currentStart = moment(`${currentDuty.date} ${currentStartTime}`);
+function calculateRest(previousDuty, currentDuty, ftlLimits = EASA_LIMITS) {
+  const prevOffDuty = getOffDutyInstant(previousDuty);
+  if (!prevOffDuty) return null;
   
-  // Handle case where current duty is next day
-  if (currentStart.isBefore(prevOffDuty)) {
-    currentStart.add(1, 'day');
-  }
+  const currentStart = getRestEndInstant(currentDuty, ftlLimits);
+  if (!currentStart) return null;
   
   return currentStart.diff(prevOffDuty, 'hours', true);
 }
 
 /**
- * Calculate maximum duty end time based on report time and max FDP
- * @param {string} reportTime - Report time in HH:mm format
- * @param {number} maxFDP - Maximum FDP in hours
- * @returns {string} - Maximum duty end time in HH:mm format
+ * Get the instant at which the rest before a duty ends
+ * A delayed reporting ends the rest at the original reporting time unless the delay
+ * counts as rest (CS FTL.1.205(d)).
+ * @param {Object} duty - Duty period
+ * @param {Object} ftlLimits - Limits of the rule set
+ * @returns {moment|null} - UTC moment or null without a start time
  */
-function calculateMaxDutyEndTime(reportTime, maxFDP) {
-  if (!reportTime || !maxFDP) return 'N/A';
-  
-  const reportMoment = moment(reportTime, 'HH:mm');
-  const maxEndMoment = reportMoment.clone().add(maxFDP, 'hours');
+function getRestEndInstant(duty, ftlLimits = EASA_LIMITS) {
+  if (duty.type === 'STANDBY' && duty.standbyStartTime) return getStandbyStartInstant(duty);
+  if (!duty.reportTime) return null;
+  
+  const delayedReporting = classifyDelayedReporting(duty, null, ftlLimits);
+  return delayedReporting && !delayedReporting.countsAsRest
+    ? delayedReporting.originalReport
+    : getReportAt(duty);
+}
+
+/**
+ * Classify a delayed reporting (CS FTL.1.205(d))
+ * A delay of less than 4 hours keeps the max FDP of the original reporting time; a
+ * delay of 4 hours or more uses the more limiting of both. A delay of 10 hours or
+ * more counts as rest. All of this requires the crew member to be notified before
+ * the original reporting time, otherwise the FDP starts at the original reporting time.
+ * @param {Object} duty - Duty period
+ * @param {Object} acclimatisation - Acclimatisation state or null if unknown
+ * @param {Object} ftlLimits - Limits of the rule set
+ * @returns {Object|null} - Delayed reporting details or null if reporting was not delayed
+ */
+function classifyDelayedReporting(duty, acclimatisation, ftlLimits = EASA_LIMITS) {
+  const delayedReporting = getDelayedReporting(duty);
+  if (!delayedReporting) return null;
+  
+  const limits = ftlLimits.delayedReporting;
+  const { delay, notifiedInTime } = delayedReporting;
+  
+  return {
+    ...delayedReporting,
+    originalReferenceTime: toReferenceTime(delayedReporting.originalReport, duty, acclimatisation),
+    moreLimiting: notifiedInTime && delay >= limits.moreLimitingFrom,
+    countsAsRest: notifiedInTime && delay >= limits.restFrom
+  };
+}
+
+/**
+ * Look up the max FDP for a delayed reporting (CS FTL.1.205(d)(1)(iii), (iv))
+ * @param {Object} delayedReporting - Delayed reporting from classifyDelayedReporting
+ * @param {string} referenceTime - Delayed reporting time at reference time
+ * @param {number} sectors - Number of sectors
+ * @param {Object} options - Options passed to getMaxFDP
+ * @returns {Object} - Max FDP lookup of the limiting reporting time
+ */
+function getDelayedReportingMaxFDP(delayedReporting, referenceTime, sectors, options) {
+  const original = getMaxFDP(delayedReporting.originalReferenceTime, sectors, options);
+  if (!delayedReporting.moreLimiting) return original;
   
-  return maxEndMoment.format('HH:mm');
+  const delayed = getMaxFDP(referenceTime, sectors, options);
+  return delayed.hours < original.hours ? delayed : original;
 }
 
 /**
- * Get maximum allowed FDP based on start time and sectors
- * @param {string} startTime - Start time in HH:mm format
- * @param {number} sectors - Number of flight sectors
- * @returns {number} - Maximum FDP in hours
- */
-function getMaxFDP(startTime, sectors) {
-  const hour = parseInt(startTime.split(':')[0]);
-  const sectorKey = Math.min(sectors, 6); // Cap at 6 for lookup
-  
-  let timeRange;
-  if (hour >= 6 && hour <= 17) {
-    timeRange = '06:00-17:59';
-  } else if (hour >= 18 && hour <= 21) {
-    timeRange = '18:00-21:59';
-  } else if (hour >= 22 || hour <= 4) {
-    timeRange = '22:00-04:59';
-  } else {
-    timeRange = '05:00-05:59';
-  }
+ * Format delayed reporting details for the calculations object
+ * @param {Object} delayedReporting - Delayed reporting from classifyDelayedReporting
+ * @returns {Object} - Formatted delayed reporting details
+ */
+function formatDelayedReporting(delayedReporting) {
+  return {
+    originalReportTime: delayedReporting.originalReportTime,
+    delayedReportTime: delayedReporting.delayedReportTime,
+    notification: delayedReporting.notification ? formatDateTime(delayedReporting.notification) : 'N/A',
+    notifiedInTime: delayedReporting.notifiedInTime,
+    delay: formatDuration(delayedReporting.delay),
+    maxFDPBasis: delayedReporting.moreLimiting ? 'moreLimiting' : 'original',
+    countsAsRest: delayedReporting.countsAsRest
+  };
+}
+
+/**
+ * Calculate maximum duty end time based on the start of the FDP and max FDP
+ * @param {moment|null} start - Start of the FDP
+ * @param {number} maxFDP - Maximum FDP in hours
+ * @param {string} timezone - Timezone of the duty's clock
+ * @returns {string} - Maximum duty end time in HH:mm format on the duty's clock
+ */
+function calculateMaxDutyEndTime(start, maxFDP, timezone = 'UTC') {
+  if (!start || !maxFDP) return 'N/A';
   
-  return EASA_LIMITS.maxFDP[sectorKey][timeRange];
+  return start.clone().add(maxFDP, 'hours').tz(timezone).format('HH:mm');
 }
 
 /**
- * Get minimum required rest period
- * @param {Object} previousDuty - Previous duty period
- * @param {Object} currentDuty - Current duty period
- * @returns {number} - Minimum rest in hours
+ * Get maximum allowed FDP based on start time and sectors
+ * @param {string} startTime - Start time at reference time in HH:mm format
+ * @param {number} sectors - Number of flight sectors
+ * @param {Object} options - Lookup options
+ * @param {string} options.acclimatisationState - ORO.FTL.105 state ('B', 'D' or 'X')
+ * @param {boolean} options.frmApproved - Whether the operator has an approved FRM
+ * @param {Object} options.augmentedCrew - Augmented crew ({ pilots, restFacilityClass }) for in-flight rest
+ * @param {string} options.crewCategory - 'flight' or 'cabin' crew
+ * @param {number} options.longestSector - Longest continuous flight time of the FDP in hours
+ * @param {Object} options.ftlLimits - Limits of the rule set (defaults to EASA)
+ * @returns {Object} - Maximum FDP in hours with the table row and column used
  */
-function getMinRest(previousDuty, currentDuty) {
-  if (!previousDuty) return null;
+function getMaxFDP(startTime, sectors, options = {}) {
+  const ftlLimits = options.ftlLimits || EASA_LIMITS;
+  
+  if (options.augmentedCrew && options.crewCategory === 'cabin') {
+    return getCabinCrewAugmentedMaxFDP(options.augmentedCrew, sectors, options.longestSector || 0, ftlLimits);
+  }
   
-  // Standard minimum rest is 10 hours (ORO.FTL.235)
-  let minRest = EASA_LIMITS.minRest.standard;
+  if (options.augmentedCrew) {
+    return getAugmentedMaxFDP(options.augmentedCrew, sectors, options.longestSector || 0, ftlLimits);
+  }
   
-  // Extended rest required after extended FDP
-  if (previousDuty.type === 'FLIGHT') {
-    const prevFDP = calculateFDP(previousDuty);
-    const prevSectors = previousDuty.flights ? previousDuty.flights.length : 0;
-    const maxPrevFDP = getMaxFDP(previousDuty.reportTime, prevSectors);
+  if (options.acclimatisationState === 'X') {
+    // Crew in an unknown state of acclimatisation: the start time does not matter
+    const table = options.frmApproved
+      ? ftlLimits.maxFDPUnknownAcclimatisationFRM
+      : ftlLimits.maxFDPUnknownAcclimatisation;
+    const columnIndex = getSectorColumnIndex(table, sectors);
     
-    if (prevFDP > maxPrevFDP - 1) { // If previous FDP was extended
-      minRest = EASA_LIMITS.minRest.extended;
-    }
+    return {
+      hours: table.limits[columnIndex],
+      table: table.table,
+      row: 'N/A',
+      column: table.sectorColumns[columnIndex],
+      unknownAcclimatisation: true
+    };
   }
   
-  return minRest;
+  const table = ftlLimits.maxFDP;
+  const startMinutes = toMinutesOfDay(startTime);
+  
+  const band = table.bands.find(b => isWithinBand(startMinutes, b.from, b.to));
+  if (!band) {
+    throw new Error(`${table.table} has no band for the reference time ${startTime}`);
+  }
+  
+  const columnIndex = getSectorColumnIndex(table, sectors);
+  
+  return {
+    hours: band.limits[columnIndex],
+    table: table.table,
+    row: `${band.from}-${band.to}`,
+    column: table.sectorColumns[columnIndex],
+    unknownAcclimatisation: false,
+    referenceTime: startTime
+  };
 }
 
 /**
- * Filter flight data by date scope
- * @param {Array} flightData - Flight data array
- * @param {string} dateScope - Date scope (today, 3days, week, all)
- * @returns {Array} - Filtered flight data
+ * Get the column of a max FDP table that covers a number of sectors
+ * The first column covers up to firstColumnSectors (1-2 in Table 2), the last
+ * column covers its sector count and beyond.
+ * @param {Object} table - Max FDP table with sectorColumns and firstColumnSectors
+ * @param {number} sectors - Number of flight sectors
+ * @returns {number} - Index of the sector column
  */
-function filterByDateScope(flightData, dateScope) {
-  if (dateScope === 'all') return flightData;
+function getSectorColumnIndex(table, sectors) {
+  const firstColumnSectors = table.firstColumnSectors;
+  const lastColumnSectors = firstColumnSectors + table.sectorColumns.length - 1;
   
-  const today = moment().startOf('day');
-  let startDate, endDate;
-  
-  switch (dateScope) {
-    case 'today':
-      startDate = today.clone();
-      endDate = today.clone();
-      break;
-    case '3days':
-      startDate = today.clone().subtract(1, 'day');
-      endDate = today.clone().add(1, 'day');
-      break;
-    case 'week':
-      startDate = today.clone().subtract(3, 'days');
-      endDate = today.clone().add(3, 'days');
-      break;
-    default:
-      return flightData;
-  }
-  
-  return flightData.filter(duty => {
-    const dutyDate = moment(duty.date);
-    return dutyDate.isBetween(startDate, endDate, 'day', '[]');
-  });
+  return Math.min(Math.max(sectors, firstColumnSectors), lastColumnSectors) - firstColumnSectors;
 }
 
 /**
- * Format duration in hours to HH:MM format
- * @param {number} hours - Duration in hours
- * @returns {string} - Formatted duration
+ * Describe a max FDP lookup for issue traces
+ * @param {Object} maxFDPLookup - Lookup from getMaxFDP
+ * @returns {Object} - Table, row, column and value of the cell looked up
  */
-function formatDuration(hours) {
-  if (hours === null || hours === undefined) return 'N/A';
-  
-  const h = Math.floor(hours);
-  const m = Math.round((hours - h) * 60);
-  
-  return `${h.toString().padStart(2, '0')}:${m.toString().padStart(2, '0')}`;
+function describeMaxFDPLookup(maxFDPLookup) {
+  const longSectorIncrease = maxFDPLookup.longSectorIncrease || 0;
+  
+  return {
+    table: maxFDPLookup.table,
+    row: maxFDPLookup.row,
+    column: maxFDPLookup.column,
+    value: maxFDPLookup.hours - longSectorIncrease,
+    referenceTime: maxFDPLookup.referenceTime || null,
+    unknownAcclimatisation: maxFDPLookup.unknownAcclimatisation,
+    longSectorIncrease
+  };
 }
 
 /**
- * Check if FDP extension is allowed based on EASA regulations
- * @param {number} actualFDP - Actual FDP in hours
- * @param {number} maxFDP - Maximum allowed FDP in hours
- * @param {Object} t - Translations object
- * @returns {Object} - Extension allowance information
+ * Split a max FDP lookup into the table value and the long sector increase
+ * @param {Object} maxFDPLookup - Lookup from getMaxFDP
+ * @returns {Object} - Max FDP terms in hours
  */
-function checkExtensionAllowance(actualFDP, maxFDP, t) {
-  const maxExtension = EASA_LIMITS.extensions.maxExtension;
+function getMaxFDPTerms(maxFDPLookup) {
+  const longSectorIncrease = maxFDPLookup.longSectorIncrease || 0;
+  
+  return { table: maxFDPLookup.hours - longSectorIncrease, longSectorIncrease };
+}
+
+/**
+ * Get maximum FDP with in-flight rest for an augmented flight crew (CS FTL.1.205(c))
+ * @param {Object} augmentedCrew - Augmented crew ({ pilots, restFacilityClass })
+ * @param {number} sectors - Number of flight sectors
+ * @param {number} longestSector - Longest continuous flight time in hours
+ * @param {Object} ftlLimits - Limits of the rule set
+ * @returns {Object} - Maximum FDP in hours with the table row and column used
+ */
+function getAugmentedMaxFDP(augmentedCrew, sectors, longestSector, ftlLimits = EASA_LIMITS) {
+  const table = ftlLimits.augmentedCrew;
+  const { pilots, restFacilityClass } = augmentedCrew;
+  
+  // One long sector within an FDP of up to 2 sectors allows an additional hour
+  const longSectorIncrease = longestSector > table.longSectorFlightTime && sectors <= table.longSectorMaxSectors
+    ? table.longSectorIncrease
+    : 0;
+  
+  return {
+    hours: table.limits[restFacilityClass][pilots] + longSectorIncrease,
+    table: table.table,
+    row: `Class ${restFacilityClass}`,
+    column: `${pilots} pilots`,
+    unknownAcclimatisation: false,
+    longSectorIncrease
+  };
+}
+
+/**
+ * Get the maximum extended FDP for cabin crew on an augmented operation (CS FTL.1.205(c))
+ * Cabin crew operate the extended FDP of the augmented flight crew. Their in-flight
+ * rest table then limits it to the longest FDP the rest they get covers in the rest
+ * facility class; without a recorded rest, to the end of the table.
+ * @param {Object} augmentedCrew - Augmented crew ({ pilots, restFacilityClass, inFlightRest })
+ * @param {number} sectors - Number of flight sectors
+ * @param {number} longestSector - Longest continuous flight time in hours
+ * @param {Object} ftlLimits - Limits of the rule set
+ * @returns {Object} - Maximum FDP in hours with the table row and column used
+ */
+function getCabinCrewAugmentedMaxFDP(augmentedCrew, sectors, longestSector, ftlLimits = EASA_LIMITS) {
+  const flightCrewLimit = getAugmentedMaxFDP(augmentedCrew, sectors, longestSector, ftlLimits);
+  const table = ftlLimits.cabinCrew.inFlightRest;
+  const { restFacilityClass, inFlightRest } = augmentedCrew;
+  
+  // Rows are ordered by FDP and rest; rest below the first row is left to the rest check
+  const coveredRows = table.rows.filter(row => inFlightRest === undefined || row.minRest[restFacilityClass] <= inFlightRest);
+  const restRow = coveredRows.length > 0 ? coveredRows[coveredRows.length - 1] : table.rows[0];
+  if (flightCrewLimit.hours <= restRow.maxFDP) return flightCrewLimit;
+  
+  return {
+    hours: restRow.maxFDP,
+    table: table.table,
+    row: `Up to ${formatDuration(restRow.maxFDP)}`,
+    column: `Class ${restFacilityClass}`,
+    unknownAcclimatisation: false,
+    longSectorIncrease: 0
+  };
+}
+
+/**
+ * Get the minimum in-flight rest for each cabin crew member (CS FTL.1.205(c))
+ * @param {number} fdp - Extended FDP in hours
+ * @param {number} restFacilityClass - Class of the in-flight rest facility (1-3)
+ * @param {Object} ftlLimits - Limits of the rule set
+ * @returns {number|null} - Minimum in-flight rest in hours, or null beyond the table
+ */
+function getCabinCrewInFlightRest(fdp, restFacilityClass, ftlLimits = EASA_LIMITS) {
+  const row = ftlLimits.cabinCrew.inFlightRest.rows.find(r => fdp <= r.maxFDP);
+  return row ? row.minRest[restFacilityClass] : null;
+}
+
+/**
+ * Get the crew category of a duty
+ * @param {Object} duty - Duty period
+ * @param {Object} options - Operator options passed to checkEASACompliance
+ * @returns {string} - 'flight' or 'cabin'
+ */
+function getCrewCategory(duty, options = {}) {
+  return duty.crewCategory || options.crewCategory || 'flight';
+}
+
+/**
+ * Get how much earlier cabin crew report than the flight crew (ORO.FTL.205(c))
+ * The flight crew report is the next instant after the cabin crew's; validateDutyPeriod
+ * rejects one that falls after the first departure.
+ * @param {Object} duty - Cabin crew flight duty with flightCrewReportTime
+ * @param {Object} ftlLimits - Limits of the rule set
+ * @returns {Object|null} - Flight crew reporting time and instant, difference and FDP
+ *   extension in hours, or null when the flight crew reporting time is unknown or the same
+ */
+function getCabinCrewReporting(duty, ftlLimits = EASA_LIMITS) {
+  const flightCrewReport = getFlightCrewReportInstant(duty);
+  if (!flightCrewReport) return null;
+  
+  const difference = flightCrewReport.diff(getDutyStartInstant(duty), 'hours', true);
+  if (difference === 0) return null;
+  
+  return {
+    flightCrewReportTime: duty.flightCrewReportTime,
+    flightCrewReport,
+    difference,
+    extension: Math.min(difference, ftlLimits.cabinCrew.maxReportingDifference)
+  };
+}
+
+/**
+ * Get the longest single sector flight time
+ * @param {Object} duty - Duty period
+ * @returns {number} - Longest flight time in hours
+ */
+function getLongestSector(duty) {
+  const blocks = getFlightInstants(duty)
+    .filter(({ flight }) => !flight.positioning)
+    .map(({ departure, arrival }) => arrival.diff(departure, 'hours', true));
+  return blocks.length > 0 ? Math.max(...blocks) : 0;
+}
+
+/**
+ * Calculate the max FDP increase for a split duty (CS FTL.1.220)
+ * The break excludes post/pre-flight duties and travelling. Breaks of 6 hours or
+ * more, or breaks encroaching the WOCL, only count when accommodation is provided.
+ * @param {Object} duty - Flight duty with a splitDuty break
+ * @param {Object} acclimatisation - Acclimatisation details or null
+ * @param {Object} ftlLimits - Limits of the rule set
+ * @returns {Object} - Split duty break details and FDP extension in hours
+ */
+function calculateSplitDutyExtension(duty, acclimatisation, ftlLimits = EASA_LIMITS) {
+  const limits = ftlLimits.splitDuty;
+  const { breakStart, breakEnd } = duty.splitDuty;
+  const accommodation = Boolean(duty.splitDuty.accommodation);
+  
+  const splitBreak = getSplitDutyBreak(duty);
+  const breakDuration = splitBreak.end.diff(splitBreak.start, 'hours', true);
+  const netBreak = Math.max(0, breakDuration - limits.postPreFlightAllowance);
+  
+  // The WOCL is assessed in the time zone the crew member is acclimatised to
+  const timezone = getReferenceTimezone(duty, acclimatisation);
+  const encroachesWOCL = getWOCLEncroachment(splitBreak.start, splitBreak.end, timezone, ftlLimits) > 0;
+  const accommodationRequired = netBreak >= limits.accommodationThreshold || encroachesWOCL;
+  
+  const info = {
+    breakStart,
+    breakEnd,
+    breakDuration,
+    postPreFlightAllowance: limits.postPreFlightAllowance,
+    netBreak,
+    accommodation,
+    accommodationRequired,
+    encroachesWOCL,
+    eligible: false,
+    extension: 0,
+    reason: null
+  };
+  
+  if (netBreak < limits.minimumBreak) {
+    info.reason = `Break ${formatDuration(netBreak)} < ${formatDuration(limits.minimumBreak)} minimum`;
+  } else if (accommodationRequired && !accommodation) {
+    info.reason = encroachesWOCL
+      ? 'Break encroaches the WOCL without accommodation'
+      : `Break of ${formatDuration(netBreak)} requires accommodation`;
+  } else {
+    info.eligible = true;
+    info.extension = netBreak * limits.extensionFactor;
+  }
+  
+  return info;
+}
+
+/**
+ * Format split duty details for the result calculations
+ * @param {Object} splitDutyInfo - Split duty details from calculateSplitDutyExtension
+ * @returns {Object} - Formatted split duty details
+ */
+function formatSplitDuty(splitDutyInfo) {
+  return {
+    break: `${splitDutyInfo.breakStart}-${splitDutyInfo.breakEnd}`,
+    breakDuration: formatDuration(splitDutyInfo.breakDuration),
+    postPreFlightAllowance: formatDuration(splitDutyInfo.postPreFlightAllowance),
+    netBreak: formatDuration(splitDutyInfo.netBreak),
+    accommodation: splitDutyInfo.accommodation,
+    encroachesWOCL: splitDutyInfo.encroachesWOCL,
+    extension: formatDuration(splitDutyInfo.extension),
+    applied: splitDutyInfo.eligible
+  };
+}
+
+/**
+ * Get the time zone in which a duty's times of day are assessed
+ * @param {Object} duty - Duty period object
+ * @param {Object} acclimatisation - Acclimatisation details or null
+ * @returns {string} - Reference time zone, or the duty's clock without one
+ */
+function getReferenceTimezone(duty, acclimatisation) {
+  return (acclimatisation && acclimatisation.referenceTimezone) || getDutyTimezone(duty);
+}
+
+/**
+ * Express an instant of a duty in the reference time of the crew member
+ * @param {moment} instant - Instant during the duty
+ * @param {Object} duty - Duty period object
+ * @param {Object} acclimatisation - Acclimatisation details or null
+ * @returns {string} - Time at reference time in HH:mm format
+ */
+function toReferenceTime(instant, duty, acclimatisation) {
+  return instant.clone().tz(getReferenceTimezone(duty, acclimatisation)).format('HH:mm');
+}
+
+/**
+ * Get how many hours of a period fall within the WOCL
+ * @param {moment} start - Start of the period
+ * @param {moment} end - End of the period
+ * @param {string} timezone - Reference time zone of the crew member
+ * @param {Object} ftlLimits - Limits of the rule set
+ * @returns {number} - Hours of the period inside the WOCL
+ */
+function getWOCLEncroachment(start, end, timezone, ftlLimits = EASA_LIMITS) {
+  return getWindowOverlap(start, end, ftlLimits.wocl.start, ftlLimits.wocl.end, timezone);
+}
+
+/**
+ * Get how many hours of a period fall within a daily local time window
+ * @param {moment} start - Start of the period
+ * @param {moment} end - End of the period
+ * @param {string} from - Window start in HH:mm format
+ * @param {string} to - Window end in HH:mm format (inclusive minute, may wrap past midnight)
+ * @param {string} timezone - Time zone of the window
+ * @returns {number} - Hours of the period inside the window
+ */
+function getWindowOverlap(start, end, from, to, timezone = 'UTC') {
+  let overlap = 0;
+  
+  // Check the window of every day the period touches, including one that started the day before
+  for (let day = start.clone().tz(timezone).subtract(1, 'day').startOf('day'); day.isBefore(end); day.add(1, 'day')) {
+    const date = day.format('YYYY-MM-DD');
+    const windowStart = moment.tz(`${date} ${from}`, 'YYYY-MM-DD HH:mm', timezone);
+    const windowEnd = moment.tz(`${date} ${to}`, 'YYYY-MM-DD HH:mm', timezone).add(1, 'minute');
+    if (!windowEnd.isAfter(windowStart)) {
+      windowEnd.add(1, 'day');
+    }
+    
+    overlap += Math.max(0, moment.min(end, windowEnd).diff(moment.max(start, windowStart), 'hours', true));
+  }
+  
+  return overlap;
+}
+
+/**
+ * Check an FDP extension against the roster (ORO.FTL.205(d), CS FTL.1.205(b))
+ * Extensions are limited to 2 in any 168 hours, are not allowed for some start
+ * times, limit the sectors when the FDP encroaches the WOCL and need increased rest.
+ * @param {Object} result - Day result object to modify
+ * @param {Object} duty - Current duty
+ * @param {Array} allData - All duty data sorted by date
+ * @param {number} index - Index of the duty in allData
+ * @param {Object} t - Translations object
+ * @param {Object} context - Roster-derived context
+ * @param {Object} context.acclimatisation - Acclimatisation state or null if unknown
+ * @param {string} context.homeBase - Crew member's home base (IATA code)
+ * @param {Array} context.extensionLog - Start moments of extended FDPs so far (updated)
+ * @param {Object} context.ftlLimits - Limits of the rule set
+ * @param {Object} context.ruleSelection - Rule selection from resolveRuleSelection
+ */
+function addExtensionChecks(result, duty, allData, index, t, context) {
+  const startTime = getDutyStartTime(duty);
+  if (duty.type === 'DAYOFF' || !startTime) return;
+  
+  const ftlLimits = context.ftlLimits || EASA_LIMITS;
+  const { extensionLog, homeBase } = context;
+  const details = result.calculations.extensionDetails;
+  const discretion = result.calculations.commandersDiscretion;
+  // FDPs increased at the commander's discretion are not planned extensions
+  const extended = Boolean(details && details.needed && details.allowed) && !(discretion && discretion.used);
+  const dutyStart = getDutyStartInstant(duty);
+  
+  if (extended) {
+    extensionLog.push(dutyStart);
+  }
+  
+  const windowStart = dutyStart.clone().subtract(ftlLimits.extensions.window, 'hours');
+  const extensionCount = extensionLog.filter(start => start.isAfter(windowStart) && start.isSameOrBefore(dutyStart)).length;
+  result.calculations.extensionsInLast168h = extensionCount;
+  
+  // The count depends on the roster, so it joins the conditions of an available extension here
+  if (details && details.conditions) {
+    const { maxPerWeek, window } = ftlLimits.extensions;
+    details.extensionCount = extensionCount;
+    details.maxExtensions = maxPerWeek;
+    details.conditions.splice(2, 0, `Maximum ${maxPerWeek} extensions in any rolling ${window} hours; ${extensionCount} in the ${window} hours to this FDP`);
+  }
+  
+  if (!extended) return;
+  
+  // Pre- and post-flight rest increased by 2 hours, or post-flight rest by 4 hours
+  const previousDuty = index > 0 ? allData[index - 1] : null;
+  const nextDuty = index < allData.length - 1 ? allData[index + 1] : null;
+  const restBefore = previousDuty ? calculateRest(previousDuty, duty, ftlLimits) : null;
+  const restAfter = nextDuty ? calculateRest(duty, nextDuty, ftlLimits) : null;
+  const referenceTime = context.acclimatisation ? context.acclimatisation.referenceTime : startTime;
+  const fdpEnd = dutyStart.clone().add(calculateFDP(duty), 'hours');
+  
+  applyRules(result, 'extension', {
+    extensionCount,
+    referenceTime,
+    sectors: getSectorCount(duty.flights),
+    woclEncroachment: getWOCLEncroachment(dutyStart, fdpEnd, getReferenceTimezone(duty, context.acclimatisation), ftlLimits),
+    restBefore,
+    minRestBefore: restBefore !== null ? getMinRest(previousDuty, duty, homeBase, 0, ftlLimits) : null,
+    restAfter,
+    minRestAfter: restAfter !== null ? getMinRest(duty, nextDuty, homeBase, 0, ftlLimits) : null,
+    ftlLimits
+  }, t, context.ruleSelection || DEFAULT_RULE_SELECTION);
+}
+
+/**
+ * Get minimum required rest period
+ * @param {Object} previousDuty - Previous duty period
+ * @param {Object} currentDuty - Current duty period
+ * @param {string} homeBase - Crew member's home base (IATA code)
+ * @param {number} restIncrease - Increase owed after a reduced rest in hours
+ * @param {Object} ftlLimits - Limits of the rule set
+ * @returns {number} - Minimum rest in hours
+ */
+function getMinRest(previousDuty, currentDuty, homeBase = null, restIncrease = 0, ftlLimits = EASA_LIMITS) {
+  const requirement = getRestRequirement(previousDuty, currentDuty, homeBase, restIncrease, ftlLimits);
+  return requirement ? requirement.minRest : null;
+}
+
+/**
+ * Get the rest requirement before a duty (ORO.FTL.235(a), (b))
+ * Rest at home base is at least as long as the preceding duty period or 12 hours;
+ * away from base at least as long as the preceding duty period or 10 hours, with
+ * an 8-hour sleep opportunity besides travelling and physiological needs.
+ * @param {Object} previousDuty - Previous duty period
+ * @param {Object} currentDuty - Current duty period
+ * @param {string} homeBase - Crew member's home base (IATA code)
+ * @param {number} restIncrease - Increase owed after a reduced rest in hours
+ * @param {Object} ftlLimits - Limits of the rule set
+ * @returns {Object|null} - Rest location, preceding duty period and minimum rest in hours
+ */
+function getRestRequirement(previousDuty, currentDuty, homeBase = null, restIncrease = 0, ftlLimits = EASA_LIMITS) {
+  if (!previousDuty) return null;
+  
+  // Rest is taken where the previous duty ended, unless the roster says otherwise
+  const restAirport = previousDuty.restAirport || getArrivalAirport(previousDuty) || getDepartureAirport(currentDuty);
+  const atHomeBase = !homeBase || !restAirport || restAirport === homeBase;
+  const precedingDutyPeriod = previousDuty.type === 'RESERVE' && !isReserveAssignment(previousDuty)
+    ? 0
+    : calculateDutyPeriod(previousDuty);
+  const baseMinimum = atHomeBase ? ftlLimits.minRest.homeBase : ftlLimits.minRest.awayFromBase;
+  const minRest = Math.max(precedingDutyPeriod, baseMinimum) + restIncrease;
+  
+  // The commander may reduce the rest following the FDP, but never below 10 hours (ORO.FTL.205(f)(1)(iii))
+  const discretionRestReduction = previousDuty.commandersDiscretion
+    ? previousDuty.commandersDiscretion.restReduction || 0
+    : 0;
+  
+  return {
+    restAirport: restAirport || homeBase,
+    atHomeBase,
+    precedingDutyPeriod,
+    minRest,
+    restIncrease,
+    travelTime: previousDuty.travelTime || 0,
+    discretionRestReduction,
+    discretionMinRest: discretionRestReduction > 0
+      ? Math.max(minRest - discretionRestReduction, ftlLimits.commandersDiscretion.minRestAfter)
+      : null
+  };
+}
+
+/**
+ * Add rest period issues to a day result
+ * @param {Object} result - Day result object to modify
+ * @param {number|null} rest - Rest before the duty in hours
+ * @param {Object|null} restRequirement - Rest requirement from getRestRequirement
+ * @param {Object} t - Translations object
+ * @param {Object|null} reducedRest - Reduced rest state from trackReducedRest
+ * @param {Object} ftlLimits - Limits of the rule set
+ * @param {Object} ruleSelection - Rule selection from resolveRuleSelection
+ */
+function addRestChecks(result, rest, restRequirement, t, reducedRest = null, ftlLimits = EASA_LIMITS, ruleSelection = DEFAULT_RULE_SELECTION) {
+  if (rest === null || !restRequirement) return;
+  
+  if (restRequirement.discretionMinRest !== null) {
+    result.calculations.discretionMinRest = formatDuration(restRequirement.discretionMinRest);
+  }
+  
+  applyRules(result, 'rest', { rest, restRequirement, reducedRest, ftlLimits }, t, ruleSelection);
+}
+
+/**
+ * Track reduced rests across a roster (CS FTL.1.235(c))
+ * A rest shorter than the minimum rest but not shorter than the reduced rest minimum
+ * is a reduced rest. The difference reduces the following FDP and increases the
+ * following rest, which cannot itself be reduced.
+ * @param {Array} sortedData - Duty periods sorted by date
+ * @param {string} homeBase - Crew member's home base (IATA code)
+ * @param {Object} ftlLimits - Limits of the rule set
+ * @returns {Map} - Reduced rest state keyed by duty object
+ */
+function trackReducedRest(sortedData, homeBase, ftlLimits = EASA_LIMITS) {
+  const limits = ftlLimits.reducedRest;
+  const states = new Map();
+  const reducedRestEnds = [];
+  const recoveryRests = sortedData.length > 0 ? getRecoveryRests(sortedData, ftlLimits, homeBase).rests : [];
+  
+  sortedData.forEach((duty, index) => {
+    const previousDuty = index > 0 ? sortedData[index - 1] : null;
+    const previousState = previousDuty ? states.get(previousDuty) : null;
+    const restIncrease = previousState && previousState.reducedRestBefore
+      ? previousState.reducedRestBefore.reduction
+      : 0;
+    
+    const state = {
+      reducedRestBefore: null,
+      restIncrease,
+      fdpReduction: 0,
+      reducedRestsSinceRecoveryRest: 0
+    };
+    
+    const rest = previousDuty ? calculateRest(previousDuty, duty, ftlLimits) : null;
+    const requirement = getRestRequirement(previousDuty, duty, homeBase, restIncrease, ftlLimits);
+    const reducedMinRest = requirement && requirement.atHomeBase ? limits.homeBase : limits.awayFromBase;
+    
+    if (rest !== null && requirement && restIncrease === 0 && rest < requirement.minRest && rest >= reducedMinRest) {
+      const restEnd = moment.min(getDutyIntervals(duty, ftlLimits).map(interval => interval.start));
+      const lastRecoveryRest = recoveryRests.filter(recovery => recovery.end.isSameOrBefore(restEnd)).pop();
+      reducedRestEnds.push(restEnd);
+      
+      state.reducedRestBefore = {
+        rest,
+        minRest: requirement.minRest,
+        reducedMinRest,
+        reduction: requirement.minRest - rest
+      };
+      state.fdpReduction = state.reducedRestBefore.reduction;
+      state.reducedRestsSinceRecoveryRest = reducedRestEnds
+        .filter(end => !lastRecoveryRest || end.isAfter(lastRecoveryRest.end)).length;
+    }
+    
+    states.set(duty, state);
+  });
+  
+  return states;
+}
+
+/**
+ * Format reduced rest state for display
+ * @param {Object} reducedRest - Reduced rest state from trackReducedRest
+ * @returns {Object} - Formatted reduced rest details
+ */
+function formatReducedRest(reducedRest) {
+  return {
+    reducedRestBefore: reducedRest.reducedRestBefore ? formatDuration(reducedRest.reducedRestBefore.rest) : 'N/A',
+    fdpReduction: formatDuration(reducedRest.fdpReduction),
+    restIncrease: formatDuration(reducedRest.restIncrease),
+    reducedRestsSinceRecoveryRest: reducedRest.reducedRestsSinceRecoveryRest
+  };
+}
+
+/**
+ * Track rotations crossing time zones and the rest they require (CS FTL.1.235(b))
+ * A rotation starts with a duty departing from home base and ends with the duty after
+ * which the crew member rests at home base again. Time differences are measured
+ * between the home base time zone (reference time) and the local time where the crew
+ * member rests during the rotation.
+ * @param {Array} sortedData - Duty periods sorted by date
+ * @param {string} homeBase - Crew member's home base (IATA code)
+ * @param {Object} ftlLimits - Limits of the rule set
+ * @returns {Map} - Time zone rest requirement keyed by the duty that follows the rest
+ */
+function trackTimeZoneRest(sortedData, homeBase, ftlLimits = EASA_LIMITS) {
+  const limits = ftlLimits.timeZoneRest;
+  const states = new Map();
+  const referenceTimezone = getKnownTimezone(homeBase);
+  if (!referenceTimezone) return states;
+  
+  const rotations = [];
+  let rotation = null;
+  
+  sortedData.forEach((duty, index) => {
+    const departure = getDepartureAirport(duty);
+    if (!departure) return;
+    
+    const restAirport = duty.restAirport || getArrivalAirport(duty);
+    const report = getReportInstant(duty) || moment.utc(duty.date);
+    
+    if (!rotation && departure === homeBase && restAirport !== homeBase) {
+      rotation = { duties: [], firstReport: report, maxTimeDifference: 0, direction: 0 };
+    }
+    
+    // Away from base, an FDP involving a 4-hour time difference needs at least
+    // 14 hours of rest or the preceding duty period
+    const fdpTimeDifference = Math.max(...[departure, getArrivalAirport(duty)]
+      .map(airport => getKnownTimezone(airport))
+      .filter(Boolean)
+      .map(timezone => getTimeDifference(referenceTimezone, timezone, report)));
+    const nextDuty = findNextDuty(sortedData, index, ftlLimits);
+    
+    if (nextDuty && restAirport !== homeBase && fdpTimeDifference >= limits.minTimeDifference) {
+      const precedingDutyPeriod = calculateDutyPeriod(duty);
+      
+      states.set(nextDuty, {
+        type: 'awayFromBase',
+        timeDifference: fdpTimeDifference,
+        rest: calculateRest(duty, nextDuty, ftlLimits),
+        minRest: Math.max(precedingDutyPeriod, limits.awayFromBaseMinRest)
+      });
+    }
+    
+    if (!rotation) return;
+    rotation.duties.push(duty);
+    
+    if (restAirport !== homeBase) {
+      const restTimezone = getKnownTimezone(restAirport);
+      if (!restTimezone) return;
+      
+      const timeDifference = getTimeDifference(referenceTimezone, restTimezone, report);
+      if (timeDifference > rotation.maxTimeDifference) {
+        rotation.maxTimeDifference = timeDifference;
+        rotation.direction = getTimeZoneDirection(referenceTimezone, restTimezone, report);
+      }
+      return;
+    }
+    
+    // Back at home base: the rest before the next duty must include enough local nights
+    const end = report.clone().add(calculateDutyPeriod(duty), 'hours');
+    rotation.elapsed = end.diff(rotation.firstReport, 'hours', true);
+    rotation.lastDuty = duty;
+    rotation.nextDuty = nextDuty;
+    rotations.push(rotation);
+    rotation = null;
+  });
+  
+  rotations.forEach((completed, index) => {
+    if (!completed.nextDuty || completed.maxTimeDifference < limits.minTimeDifference) return;
+    
+    const next = rotations[index + 1];
+    const alternating = Boolean(next && next.duties[0] === completed.nextDuty &&
+      next.maxTimeDifference >= limits.minTimeDifference &&
+      next.direction !== 0 && next.direction !== completed.direction);
+    const localNightsLookup = getTimeZoneLocalNights(completed.maxTimeDifference, completed.elapsed, ftlLimits);
+    const tableNights = localNightsLookup.value;
+    
+    const restStart = moment.max(getDutyIntervals(completed.lastDuty, ftlLimits).map(interval => interval.end));
+    const restEnd = moment.min(getDutyIntervals(completed.nextDuty, ftlLimits).map(interval => interval.start));
+    
+    states.set(completed.nextDuty, {
+      type: 'homeBase',
+      rotationStart: completed.duties[0].date,
+      rotationEnd: completed.lastDuty.date,
+      timeDifference: completed.maxTimeDifference,
+      elapsed: completed.elapsed,
+      alternating,
+      requiredLocalNights: alternating ? Math.max(tableNights, limits.alternatingRotationLocalNights) : tableNights,
+      localNightsLookup,
+      actualLocalNights: countLocalNights(restStart, restEnd, ftlLimits, referenceTimezone)
+    });
+  });
+  
+  return states;
+}
+
+/**
+ * Look up the local nights of rest at home base after a rotation (CS FTL.1.235(b)(3)(i), Table 1)
+ * @param {number} timeDifference - Max time difference during the rotation in hours
+ * @param {number} elapsedHours - Time elapsed since reporting for the first FDP of the rotation
+ * @param {Object} ftlLimits - Limits of the rule set
+ * @returns {Object} - Minimum number of local nights with the table row and column used
+ */
+function getTimeZoneLocalNights(timeDifference, elapsedHours, ftlLimits = EASA_LIMITS) {
+  const table = ftlLimits.timeZoneRest.homeBaseLocalNights;
+  const row = table.rows.find(r => timeDifference <= r.upTo) || table.rows[table.rows.length - 1];
+  
+  let column = table.elapsedBounds.findIndex(bound => elapsedHours < bound);
+  if (column === -1) column = table.elapsedBounds.length;
+  
+  return {
+    table: 'CS FTL.1.235(b)(3)(i) Table 1',
+    row: `<=${row.upTo}`,
+    column: table.elapsedColumns[column],
+    value: row.localNights[column]
+  };
+}
+
+/**
+ * Get the direction of a time zone crossing
+ * @param {string} fromTimezone - Reference timezone identifier
+ * @param {string} toTimezone - Destination timezone identifier
+ * @param {moment} instant - Instant at which offsets are compared
+ * @returns {number} - 1 for eastward, -1 for westward, 0 without a time difference
+ */
+function getTimeZoneDirection(fromTimezone, toTimezone, instant) {
+  let difference = instant.clone().tz(toTimezone).utcOffset() - instant.clone().tz(fromTimezone).utcOffset();
+  
+  // Time differences are measured the short way round the globe
+  if (difference > 720) difference -= 1440;
+  if (difference < -720) difference += 1440;
+  
+  return Math.sign(difference);
+}
+
+/**
+ * Find the next duty after an index that has duty times (days off are part of the rest)
+ * @param {Array} sortedData - Duty periods sorted by date
+ * @param {number} index - Index of the current duty
+ * @param {Object} ftlLimits - Limits of the rule set
+ * @returns {Object|null} - Next duty or null at the end of the roster
+ */
+function findNextDuty(sortedData, index, ftlLimits = EASA_LIMITS) {
+  return sortedData.slice(index + 1)
+    .find(duty => getDutyIntervals(duty, ftlLimits).length > 0 && getRestEndInstant(duty, ftlLimits)) || null;
+}
+
+/**
+ * Add rest issues after time zone crossings (CS FTL.1.235(b))
+ * @param {Object} result - Day result object to modify
+ * @param {Object|null} timeZoneRest - Requirement from trackTimeZoneRest
+ * @param {Object} t - Translations object
+ * @param {Object} ruleSelection - Rule selection from resolveRuleSelection
+ */
+function addTimeZoneRestChecks(result, timeZoneRest, t, ruleSelection = DEFAULT_RULE_SELECTION) {
+  if (!timeZoneRest) return;
+  
+  if (timeZoneRest.type === 'awayFromBase') {
+    result.calculations.timeZoneRest = {
+      location: 'awayFromBase',
+      timeDifference: formatDuration(timeZoneRest.timeDifference),
+      rest: timeZoneRest.rest !== null ? formatDuration(timeZoneRest.rest) : 'N/A',
+      minRest: formatDuration(timeZoneRest.minRest)
+    };
+  } else {
+    result.calculations.timeZoneRest = {
+      location: 'homeBase',
+      rotation: `${timeZoneRest.rotationStart} - ${timeZoneRest.rotationEnd}`,
+      timeDifference: formatDuration(timeZoneRest.timeDifference),
+      elapsed: formatDuration(timeZoneRest.elapsed),
+      alternatingRotations: timeZoneRest.alternating,
+      requiredLocalNights: timeZoneRest.requiredLocalNights,
+      actualLocalNights: timeZoneRest.actualLocalNights
+    };
+  }
+  
+  applyRules(result, 'timeZone', { timeZoneRest }, t, ruleSelection);
+}
+
+/**
+ * Format the rest location for display
+ * @param {Object|null} restRequirement - Rest requirement from getRestRequirement
+ * @returns {Object|string} - Rest location details or 'N/A'
+ */
+function formatRestLocation(restRequirement) {
+  if (!restRequirement) return 'N/A';
+  
+  return {
+    airport: restRequirement.restAirport || 'N/A',
+    homeBase: restRequirement.atHomeBase,
+    precedingDutyPeriod: formatDuration(restRequirement.precedingDutyPeriod)
+  };
+}
+
+/**
+ * Get the crew member's home base
+ * @param {Array} sortedData - Duty periods sorted by date
+ * @param {Object} options - Operator options
+ * @returns {string|null} - IATA code of the home base or null if unknown
+ */
+function getHomeBase(sortedData, options) {
+  if (options.homeBase) return options.homeBase.toUpperCase();
+  
+  const firstFlightDuty = sortedData.find(duty => getDepartureAirport(duty));
+  return firstFlightDuty ? getDepartureAirport(firstFlightDuty) : null;
+}
+
+/**
+ * Filter flight data by date scope
+ * @param {Array} flightData - Flight data array
+ * @param {string} dateScope - Date scope (today, 3days, week, all)
+ * @returns {Array} - Filtered flight data
+ */
+function filterByDateScope(flightData, dateScope) {
+  if (dateScope === 'all') return flightData;
+  
+  const today = moment().startOf('day');
+  let startDate, endDate;
+  
+  switch (dateScope) {
+    case 'today':
+      startDate = today.clone();
+      endDate = today.clone();
+      break;
+    case '3days':
+      startDate = today.clone().subtract(1, 'day');
+      endDate = today.clone().add(1, 'day');
+      break;
+    case 'week':
+      startDate = today.clone().subtract(3, 'days');
+      endDate = today.clone().add(3, 'days');
+      break;
+    default:
+      return flightData;
+  }
+  
+  return flightData.filter(duty => {
+    const dutyDate = moment(duty.date);
+    return dutyDate.isBetween(startDate, endDate, 'day', '[]');
+  });
+}
+
+/**
+ * Format acclimatisation details for the result calculations
+ * @param {Object} acclimatisation - Acclimatisation details from trackAcclimatisation
+ * @returns {Object|string} - Formatted acclimatisation details or 'N/A'
+ */
+function formatAcclimatisation(acclimatisation) {
+  if (!acclimatisation) return 'N/A';
+  
+  return {
+    state: acclimatisation.state,
+    referenceTimezone: acclimatisation.referenceTimezone || 'N/A',
+    referenceTime: acclimatisation.referenceTime,
+    timeDifference: formatDuration(acclimatisation.timeDifference),
+    elapsedSinceReference: formatDuration(acclimatisation.elapsedHours)
+  };
+}
+
+/**
+ * Check if FDP extension is allowed based on EASA regulations
+ * @param {number} actualFDP - Actual FDP in hours
+ * @param {number} maxFDP - Maximum allowed FDP in hours
+ * @param {Object} t - Translations object
+ * @param {number} maxExtension - Extension available for this duty in hours
+ * @param {Object} ftlLimits - Limits of the rule set (defaults to EASA)
+ * @returns {Object} - Extension allowance information
+ */
+function checkExtensionAllowance(actualFDP, maxFDP, t, maxExtension = EASA_LIMITS.extensions.maxExtension, ftlLimits = EASA_LIMITS) {
   const maxFDPWithExtension = maxFDP + maxExtension;
   
+  if (maxExtension === 0) {
+    // The rule set plans no extension, or it cannot be combined with in-flight rest
+    // or split duty on this duty
+    return {
+      status: t.extensionNotAllowed,
+      details: {
+        allowed: false,
+        needed: actualFDP > maxFDP,
+        maxWithExtension: formatDuration(maxFDP),
+        regulation: 'ORO.FTL.205(d)',
+        violation: ftlLimits.extensions.maxExtension === 0
+          ? 'No planned FDP extension under this rule set'
+          : 'Extension cannot be combined with in-flight rest or split duty'
+      }
+    };
+  }
+  
   if (actualFDP <= maxFDP) {
     // Within normal limits - extension available but not needed
     return {
@@ -706,8 +1990,7 @@ function checkExtensionAllowance(actualFDP, maxFDP, t) {
         conditions: [
           'Commander agreement required',
           'Crew notification required',
-          'Maximum 2 extensions per 7 consecutive days',
-          'Extended rest period required after extension'
+          'Pre- and post-flight rest increased by 2 hours, or post-flight rest by 4 hours'
         ]
       }
     };
@@ -726,8 +2009,7 @@ function checkExtensionAllowance(actualFDP, maxFDP, t) {
         conditions: [
           'Commander agreement required',
           'Crew notification required',
-          'Maximum 2 extensions per 7 consecutive days',
-          'Extended rest period (12h) required after extension'
+          'Pre- and post-flight rest increased by 2 hours, or post-flight rest by 4 hours'
         ]
       }
     };
@@ -748,6 +2030,57 @@ function checkExtensionAllowance(actualFDP, maxFDP, t) {
   }
 }
 
+/**
+ * Get the commander's discretion recorded for an FDP (ORO.FTL.205(f))
+ * In unforeseen circumstances the commander may increase the max basic daily FDP by
+ * up to 2 hours, or 3 hours with augmented flight crew, and reduce the following rest.
+ * @param {Object} duty - Duty period
+ * @param {number} fdp - Actual FDP in hours
+ * @param {number} maxFDP - Max basic daily FDP in hours
+ * @param {Object} ftlLimits - Limits of the rule set
+ * @returns {Object|null} - Discretion details or null if none was recorded
+ */
+function getCommandersDiscretion(duty, fdp, maxFDP, ftlLimits = EASA_LIMITS) {
+  const discretion = duty.commandersDiscretion;
+  if (!discretion) return null;
+  
+  const limits = ftlLimits.commandersDiscretion;
+  const maxIncrease = duty.augmentedCrew ? limits.maxIncreaseAugmented : limits.maxIncrease;
+  const recorded = discretion.hours || 0;
+  
+  return {
+    recorded,
+    maxIncrease,
+    allowedIncrease: Math.min(recorded, maxIncrease),
+    increase: Math.max(0, fdp - maxFDP),
+    restReduction: discretion.restReduction || 0,
+    reason: discretion.reason || null,
+    commander: discretion.commander || null
+  };
+}
+
+/**
+ * Format commander's discretion details for the calculations object
+ * @param {Object} discretion - Discretion details from getCommandersDiscretion
+ * @param {Object} ftlLimits - Limits of the rule set
+ * @returns {Object} - Formatted discretion details
+ */
+function formatCommandersDiscretion(discretion, ftlLimits = EASA_LIMITS) {
+  const threshold = ftlLimits.commandersDiscretion.authorityReportThreshold;
+  
+  return {
+    used: discretion.increase > 0,
+    hours: formatDuration(discretion.recorded),
+    maxIncrease: formatDuration(discretion.maxIncrease),
+    fdpIncrease: formatDuration(discretion.increase),
+    restReduction: formatDuration(discretion.restReduction),
+    reason: discretion.reason || 'N/A',
+    commander: discretion.commander || 'N/A',
+    reportRequired: discretion.increase > 0 || discretion.restReduction > 0,
+    authorityReportRequired: discretion.increase > threshold || discretion.restReduction > threshold
+  };
+}
+
 /**
  * Add advanced compliance checks to a duty result
  * @param {Object} result - Day compliance result
@@ -755,129 +2088,123 @@ function checkExtensionAllowance(actualFDP, maxFDP, t) {
  * @param {Array} allData - All duty periods (sorted)
  * @param {number} currentIndex - Index of current duty
  * @param {Object} t - Translations object
+ * @param {Object} context - Roster-derived context
+ * @param {Map} context.disruptiveSchedule - Disruptive schedule classification keyed by duty
+ * @param {string} context.homeBase - Crew member's home base (IATA code)
+ * @param {Object} context.ftlLimits - Limits of the rule set
+ * @param {Object} context.cumulativeTime - Cumulative time indexes from buildCumulativeTime
+ * @param {Object} context.recoveryRests - Recovery rests from getRecoveryRests
+ * @param {Map} context.alertness - Predicted alertness keyed by duty from trackAlertness, or null without the model
+ * @param {Object} context.ruleSelection - Rule selection from resolveRuleSelection
  */
-function addAdvancedComplianceChecks(result, duty, allData, currentIndex, t) {
+function addAdvancedComplianceChecks(result, duty, allData, currentIndex, t, context = {}) {
+  const ftlLimits = context.ftlLimits || EASA_LIMITS;
+  const disruptiveSchedule = context.disruptiveSchedule ||
+    new Map(allData.map(other => [other, classifyDisruptiveSchedule(other, null, 'early', ftlLimits)]));
+  const cumulativeTime = context.cumulativeTime || buildCumulativeTime(allData, ftlLimits);
+  const recoveryRests = context.recoveryRests || getRecoveryRests(allData, ftlLimits, context.homeBase || null);
+  const ruleSelection = context.ruleSelection || DEFAULT_RULE_SELECTION;
+  
   // Add cumulative flight time checks
-  addCumulativeFlightTimeChecks(result, duty, allData, currentIndex, t);
+  addCumulativeFlightTimeChecks(result, duty, allData, currentIndex, t, ftlLimits, cumulativeTime, ruleSelection);
   
   // Add cumulative duty time checks
-  addCumulativeDutyTimeChecks(result, duty, allData, currentIndex, t);
+  addCumulativeDutyTimeChecks(result, duty, allData, currentIndex, t, ftlLimits, cumulativeTime, ruleSelection);
   
   // Add fatigue risk assessment
-  addFatigueRiskAssessment(result, duty, allData, currentIndex, t);
+  addFatigueRiskAssessment(result, duty, allData, currentIndex, t, disruptiveSchedule.get(duty), ftlLimits, ruleSelection,
+    context.alertness ? context.alertness.get(duty) || null : null);
+  
+  // Add recurrent extended recovery rest checks
+  addRecoveryRestChecks(result, duty, allData, t, ftlLimits, recoveryRests, ruleSelection);
   
-  // Add consecutive duty checks
-  addConsecutiveDutyChecks(result, duty, allData, currentIndex, t);
+  // Add disruptive schedule checks
+  addDisruptiveScheduleChecks(result, duty, allData, t, disruptiveSchedule, context.homeBase || null, ftlLimits,
+    recoveryRests, ruleSelection);
 }
 
 /**
- * Check cumulative flight time limits (weekly, monthly, yearly)
+ * Check cumulative flight time limits (ORO.FTL.210(b))
+ * 100 hours in any 28 consecutive days, 900 hours in any calendar year and 1000 hours
+ * in any 12 consecutive calendar months. Headroom is reported for every day; issues
+ * are raised on days with flight time.
  * @param {Object} result - Day compliance result
  * @param {Object} duty - Current duty period
  * @param {Array} allData - All duty periods
  * @param {number} currentIndex - Index of current duty
  * @param {Object} t - Translations object
+ * @param {Object} ftlLimits - Limits of the rule set
+ * @param {Object} cumulativeTime - Cumulative time indexes from buildCumulativeTime
+ * @param {Object} ruleSelection - Rule selection from resolveRuleSelection
  */
-function addCumulativeFlightTimeChecks(result, duty, allData, currentIndex, t) {
-  if (duty.type !== 'FLIGHT' && !(duty.type === 'STANDBY' && duty.callTime && duty.flights)) {
-    return;
-  }
-  
-  const currentDate = moment(duty.date);
-  const currentFlightTime = duty.flights ? calculateFlightTime(duty.flights) : 0;
-  
-  // Weekly flight time (7 consecutive days)
-  const weeklyFlightTime = calculateCumulativeFlightTime(allData, currentDate, 7, 'days');
-  if (weeklyFlightTime > EASA_LIMITS.maxFlightTime.weekly) {
-    result.status = t.ILLEGAL;
-    result.issues.push({
-      type: 'WEEKLY_FLIGHT_TIME_EXCEEDED',
-      message: `${t.weeklyFlightTimeExceeded}: ${formatDuration(weeklyFlightTime)} > ${EASA_LIMITS.maxFlightTime.weekly}h`,
-      regulation: 'ORO.FTL.210(a)',
-      severity: 'HIGH',
-      fatigueRisk: 'Excessive weekly flight time increases cumulative fatigue',
-      recommendation: 'Reduce flight time or provide additional rest periods'
-    });
-  }
-  
-  // Monthly flight time
-  const monthlyFlightTime = calculateCumulativeFlightTime(allData, currentDate, 1, 'month');
-  if (monthlyFlightTime > EASA_LIMITS.maxFlightTime.monthly) {
-    result.status = t.ILLEGAL;
-    result.issues.push({
-      type: 'MONTHLY_FLIGHT_TIME_EXCEEDED',
-      message: `${t.monthlyFlightTimeExceeded}: ${formatDuration(monthlyFlightTime)} > ${EASA_LIMITS.maxFlightTime.monthly}h`,
-      regulation: 'ORO.FTL.210(a)',
-      severity: 'HIGH',
-      fatigueRisk: 'Excessive monthly flight time violates regulatory limits',
-      recommendation: 'Redistribute flight time across the month'
-    });
-  }
-  
-  // Yearly flight time
-  const yearlyFlightTime = calculateCumulativeFlightTime(allData, currentDate, 1, 'year');
-  if (yearlyFlightTime > EASA_LIMITS.maxFlightTime.yearly) {
-    result.status = t.ILLEGAL;
-    result.issues.push({
-      type: 'YEARLY_FLIGHT_TIME_EXCEEDED',
-      message: `${t.yearlyFlightTimeExceeded}: ${formatDuration(yearlyFlightTime)} > ${EASA_LIMITS.maxFlightTime.yearly}h`,
-      regulation: 'ORO.FTL.210(a)',
-      severity: 'HIGH',
-      fatigueRisk: 'Annual flight time limit exceeded',
-      recommendation: 'Immediate action required to comply with yearly limits'
-    });
-  }
-  
-  // Add cumulative data to calculations
-  result.calculations.weeklyFlightTime = formatDuration(weeklyFlightTime);
-  result.calculations.monthlyFlightTime = formatDuration(monthlyFlightTime);
-  result.calculations.yearlyFlightTime = formatDuration(yearlyFlightTime);
+function addCumulativeFlightTimeChecks(result, duty, allData, currentIndex, t, ftlLimits = EASA_LIMITS,
+  cumulativeTime = buildCumulativeTime(allData, ftlLimits), ruleSelection = DEFAULT_RULE_SELECTION) {
+  const hasFlightTime = duty.type === 'FLIGHT' ||
+    (duty.type === 'STANDBY' && Boolean(duty.callTime && duty.flights)) ||
+    isReserveAssignment(duty);
+  
+  const windows = [
+    { key: 'flightTime28Days', amount: 28, unit: 'days', limit: ftlLimits.maxFlightTime.rolling28Days },
+    { key: 'flightTimeCalendarYear', amount: 1, unit: 'year', limit: ftlLimits.maxFlightTime.calendarYear },
+    { key: 'flightTime12Months', amount: 12, unit: 'months', limit: ftlLimits.maxFlightTime.rolling12Months }
+  ];
+  
+  const totals = addCumulativeTotals(result, windows, cumulativeTime.flightTime, duty.date);
+  applyRules(result, 'cumulative', { windows: totals, hasFlightTime }, t, ruleSelection);
 }
 
 /**
- * Check cumulative duty time limits
+ * Check cumulative duty time limits (ORO.FTL.210(a))
+ * 60 hours in any 7 consecutive days, 110 hours in any 14 consecutive days and 190
+ * hours in any 28 consecutive days. Headroom is reported for every day; issues are
+ * raised on duty days.
  * @param {Object} result - Day compliance result
  * @param {Object} duty - Current duty period
  * @param {Array} allData - All duty periods
  * @param {number} currentIndex - Index of current duty
  * @param {Object} t - Translations object
+ * @param {Object} ftlLimits - Limits of the rule set
+ * @param {Object} cumulativeTime - Cumulative time indexes from buildCumulativeTime
+ * @param {Object} ruleSelection - Rule selection from resolveRuleSelection
  */
-function addCumulativeDutyTimeChecks(result, duty, allData, currentIndex, t) {
-  if (duty.type === 'DAYOFF') return;
-  
-  const currentDate = moment(duty.date);
-  
-  // Weekly duty time (7 consecutive days)
-  const weeklyDutyTime = calculateCumulativeDutyTime(allData, currentDate, 7, 'days');
-  if (weeklyDutyTime > EASA_LIMITS.maxDutyTime.weekly) {
-    result.status = t.ILLEGAL;
-    result.issues.push({
-      type: 'WEEKLY_DUTY_TIME_EXCEEDED',
-      message: `${t.weeklyDutyTimeExceeded}: ${formatDuration(weeklyDutyTime)} > ${EASA_LIMITS.maxDutyTime.weekly}h`,
-      regulation: 'ORO.FTL.190',
-      severity: 'HIGH',
-      fatigueRisk: 'Excessive weekly duty time increases fatigue accumulation',
-      recommendation: 'Reduce duty periods or provide additional days off'
-    });
+function addCumulativeDutyTimeChecks(result, duty, allData, currentIndex, t, ftlLimits = EASA_LIMITS,
+  cumulativeTime = buildCumulativeTime(allData, ftlLimits), ruleSelection = DEFAULT_RULE_SELECTION) {
+  const windows = [
+    { key: 'dutyTime7Days', amount: 7, unit: 'days', limit: ftlLimits.maxDutyTime.weekly },
+    { key: 'dutyTime14Days', amount: 14, unit: 'days', limit: ftlLimits.maxDutyTime.fortnightly },
+    { key: 'dutyTime28Days', amount: 28, unit: 'days', limit: ftlLimits.maxDutyTime.rolling28Days }
+  ];
+  
+  const totals = addCumulativeTotals(result, windows, cumulativeTime.dutyTime, duty.date);
+  applyRules(result, 'cumulative', { windows: totals, onDuty: duty.type !== 'DAYOFF' }, t, ruleSelection);
+}
+
+/**
+ * Record the total and headroom of cumulative limit windows ending with a day
+ * @param {Object} result - Day compliance result
+ * @param {Array} windows - Window definitions with key, amount, unit and limit
+ * @param {Object} index - Cumulative time index from createCumulativeIndex
+ * @param {string} date - Last day of the windows
+ * @returns {Object} - Total and limit in hours and the boundaries of each window by key
+ */
+function addCumulativeTotals(result, windows, index, date) {
+  if (!result.calculations.cumulativeLimits) {
+    result.calculations.cumulativeLimits = {};
   }
   
-  // Fortnightly duty time (14 consecutive days)
-  const fortnightlyDutyTime = calculateCumulativeDutyTime(allData, currentDate, 14, 'days');
-  if (fortnightlyDutyTime > EASA_LIMITS.maxDutyTime.fortnightly) {
-    result.status = t.ILLEGAL;
-    result.issues.push({
-      type: 'FORTNIGHTLY_DUTY_TIME_EXCEEDED',
-      message: `${t.fortnightlyDutyTimeExceeded}: ${formatDuration(fortnightlyDutyTime)} > ${EASA_LIMITS.maxDutyTime.fortnightly}h`,
-      regulation: 'ORO.FTL.190',
-      severity: 'HIGH',
-      fatigueRisk: 'Excessive fortnightly duty time violates regulatory limits',
-      recommendation: 'Immediate schedule adjustment required'
-    });
-  }
+  const totals = {};
+  windows.forEach(window => {
+    const bounds = getCumulativeWindow(date, window.amount, window.unit);
+    const total = sumWindow(index, bounds);
+    totals[window.key] = { total, limit: window.limit, start: bounds.start, end: bounds.end };
+    result.calculations.cumulativeLimits[window.key] = {
+      total: formatDuration(total),
+      limit: formatDuration(window.limit),
+      headroom: formatDuration(Math.max(0, window.limit - total))
+    };
+  });
   
-  // Add cumulative data to calculations
-  result.calculations.weeklyDutyTime = formatDuration(weeklyDutyTime);
-  result.calculations.fortnightlyDutyTime = formatDuration(fortnightlyDutyTime);
+  return totals;
 }
 
 /**
@@ -887,227 +2214,518 @@ function addCumulativeDutyTimeChecks(result, duty, allData, currentIndex, t) {
  * @param {Array} allData - All duty periods
  * @param {number} currentIndex - Index of current duty
  * @param {Object} t - Translations object
+ * @param {Object} disruptive - Disruptive schedule classification of the duty
+ * @param {Object} ftlLimits - Limits of the rule set
+ * @param {Object} ruleSelection - Rule selection from resolveRuleSelection
+ * @param {Object} alertness - Predicted alertness from the fatigue model or null without it
  */
-function addFatigueRiskAssessment(result, duty, allData, currentIndex, t) {
+function addFatigueRiskAssessment(result, duty, allData, currentIndex, t, disruptive = null, ftlLimits = EASA_LIMITS,
+  ruleSelection = DEFAULT_RULE_SELECTION, alertness = null) {
   if (duty.type === 'DAYOFF') return;
   
   let fatigueScore = 0;
   const fatigueFactors = [];
+  const fatigueScoreTerms = {};
   
   // High sector count fatigue risk
-  if (duty.type === 'FLIGHT' && duty.flights && duty.flights.length >= EASA_LIMITS.fatigueRisk.highSectorCount) {
+  const sectors = getSectorCount(duty.flights);
+  const highSectorCount = duty.type === 'FLIGHT' && sectors >= ftlLimits.fatigueRisk.highSectorCount;
+  if (highSectorCount) {
     fatigueScore += 2;
     fatigueFactors.push('High sector count');
-    
-    if (result.status === t.LEGAL) {
-      result.status = t.WARNING;
-    }
-    
-    result.issues.push({
-      type: 'HIGH_SECTOR_FATIGUE_RISK',
-      message: `${t.highSectorFatigueRisk}: ${duty.flights.length} sectors`,
-      regulation: 'ORO.FTL.205',
-      severity: 'MEDIUM',
-      fatigueRisk: 'High sector count increases workload and fatigue',
-      recommendation: 'Monitor crew alertness and consider additional rest'
-    });
+    fatigueScoreTerms.highSectorCount = 2;
   }
   
-  // Night duty fatigue risk
-  if (duty.reportTime) {
-    const reportHour = parseInt(duty.reportTime.split(':')[0]);
-    if (reportHour >= EASA_LIMITS.fatigueRisk.nightDutyStart || reportHour <= EASA_LIMITS.fatigueRisk.nightDutyEnd) {
-      fatigueScore += 1;
-      fatigueFactors.push('Night duty');
-      
-      if (result.status === t.LEGAL) {
-        result.status = t.WARNING;
-      }
-      
-      result.issues.push({
-        type: 'NIGHT_DUTY_FATIGUE_RISK',
-        message: `${t.nightDutyFatigueRisk}: Start time ${duty.reportTime}`,
-        regulation: 'ORO.FTL.205',
-        severity: 'MEDIUM',
-        fatigueRisk: 'Night duties disrupt circadian rhythms and increase fatigue',
-        recommendation: 'Ensure adequate rest before and after night duties'
-      });
-    }
+  // Disruptive schedule fatigue risk (ORO.FTL.105 definitions)
+  if (disruptive && disruptive.nightDuty) {
+    fatigueScore += 1;
+    fatigueFactors.push('Night duty');
+    fatigueScoreTerms.nightDuty = 1;
   }
   
-  // Early start fatigue risk
-  if (duty.reportTime) {
-    const reportHour = parseInt(duty.reportTime.split(':')[0]);
-    if (reportHour < EASA_LIMITS.fatigueRisk.earlyStart) {
-      fatigueScore += 1;
-      fatigueFactors.push('Early start');
-    }
+  if (disruptive && disruptive.earlyStart) {
+    fatigueScore += 1;
+    fatigueFactors.push('Early start');
+    fatigueScoreTerms.earlyStart = 1;
   }
   
-  // Late finish fatigue risk
-  if (duty.offDutyTime) {
-    const offDutyHour = parseInt(duty.offDutyTime.split(':')[0]);
-    if (offDutyHour >= 0 && offDutyHour <= EASA_LIMITS.fatigueRisk.lateFinish) {
-      fatigueScore += 1;
-      fatigueFactors.push('Late finish');
-    }
+  if (disruptive && disruptive.lateFinish) {
+    fatigueScore += 1;
+    fatigueFactors.push('Late finish');
+    fatigueScoreTerms.lateFinish = 1;
   }
   
   // Add fatigue assessment to calculations
   result.calculations.fatigueScore = fatigueScore;
   result.calculations.fatigueFactors = fatigueFactors;
+  if (alertness) {
+    result.calculations.alertness = alertness;
+  }
   
-  if (fatigueScore >= 3) {
-    result.status = t.WARNING;
-    result.issues.push({
-      type: 'HIGH_FATIGUE_RISK',
-      message: `${t.highFatigueRisk}: Score ${fatigueScore}/5`,
-      regulation: 'ORO.FTL.120',
-      severity: 'MEDIUM',
-      fatigueRisk: 'Multiple fatigue risk factors detected',
-      recommendation: 'Consider fatigue risk management measures'
-    });
+  applyRules(result, 'fatigue', {
+    highSectorCount,
+    sectors,
+    disruptive,
+    fatigueScore,
+    fatigueScoreTerms,
+    alertness,
+    ftlLimits
+  }, t, ruleSelection);
+}
+
+/**
+ * Classify a duty as early start, late finish and/or night duty (ORO.FTL.105)
+ * Times are taken in the time zone to which the crew member is acclimatised.
+ * @param {Object} duty - Duty period object
+ * @param {Object} acclimatisation - Acclimatisation state or null if unknown
+ * @param {string} operatorType - 'early' or 'late' type operator
+ * @param {Object} ftlLimits - Limits of the rule set
+ * @returns {Object|null} - Classification or null for duties without times
+ */
+function classifyDisruptiveSchedule(duty, acclimatisation, operatorType = 'early', ftlLimits = EASA_LIMITS) {
+  const dutyStart = getDutyStartInstant(duty);
+  const dutyEnd = getOffDutyInstant(duty);
+  if (duty.type === 'DAYOFF' || !dutyStart || !dutyEnd) return null;
+  
+  const limits = ftlLimits.disruptiveSchedule;
+  const bands = operatorType === 'late' ? limits.late : limits.early;
+  const timezone = getReferenceTimezone(duty, acclimatisation);
+  const startTime = dutyStart.clone().tz(timezone).format('HH:mm');
+  const endTime = dutyEnd.clone().tz(timezone).format('HH:mm');
+  
+  return {
+    operatorType: operatorType === 'late' ? 'late' : 'early',
+    start: startTime,
+    end: endTime,
+    earlyStart: isWithinBand(toMinutesOfDay(startTime), bands.earlyStart.start, bands.earlyStart.end),
+    lateFinish: isWithinBand(toMinutesOfDay(endTime), bands.lateFinish.start, bands.lateFinish.end),
+    nightDuty: getWindowOverlap(dutyStart, dutyEnd, limits.nightDuty.start, limits.nightDuty.end, timezone) > 0
+  };
+}
+
+/**
+ * Check if a classified duty is disruptive
+ * @param {Object|null} disruptive - Disruptive schedule classification
+ * @returns {boolean} - True for early starts, late finishes and night duties
+ */
+function isDisruptive(disruptive) {
+  return Boolean(disruptive && (disruptive.earlyStart || disruptive.lateFinish || disruptive.nightDuty));
+}
+
+/**
+ * Check disruptive schedule rules (CS FTL.1.235(a), CS FTL.1.205(a))
+ * @param {Object} result - Day result object to modify
+ * @param {Object} duty - Current duty
+ * @param {Array} allData - All duty data sorted by date
+ * @param {Object} t - Translations object
+ * @param {Map} disruptiveSchedule - Disruptive schedule classification keyed by duty
+ * @param {string} homeBase - Crew member's home base (IATA code)
+ * @param {Object} ftlLimits - Limits of the rule set
+ * @param {Object} recoveryRests - Recovery rests from getRecoveryRests
+ * @param {Object} ruleSelection - Rule selection from resolveRuleSelection
+ */
+function addDisruptiveScheduleChecks(result, duty, allData, t, disruptiveSchedule, homeBase, ftlLimits = EASA_LIMITS,
+  recoveryRests = getRecoveryRests(allData, ftlLimits, homeBase), ruleSelection = DEFAULT_RULE_SELECTION) {
+  const disruptive = disruptiveSchedule.get(duty);
+  if (!disruptive) return;
+  
+  const index = allData.indexOf(duty);
+  const previousDuty = index > 0 ? allData[index - 1] : null;
+  const previous = previousDuty ? disruptiveSchedule.get(previousDuty) : null;
+  
+  result.disruptiveSchedule = {
+    operatorType: disruptive.operatorType,
+    earlyStart: disruptive.earlyStart,
+    lateFinish: disruptive.lateFinish,
+    nightDuty: disruptive.nightDuty
+  };
+  
+  // A transition from late finish or night duty to early start at home base
+  // needs a rest that includes 1 local night
+  let transitionRest = null;
+  if (disruptive.earlyStart && previous && (previous.lateFinish || previous.nightDuty)) {
+    const requirement = getRestRequirement(previousDuty, duty, homeBase, 0, ftlLimits);
+    const timezone = getRestTimezone(previousDuty, homeBase);
+    const restStart = moment.max(getDutyIntervals(previousDuty, ftlLimits).map(interval => interval.end)).clone().tz(timezone);
+    const restEnd = moment.min(getDutyIntervals(duty, ftlLimits).map(interval => interval.start)).clone().tz(timezone);
+    
+    if (requirement && requirement.atHomeBase && restEnd.isAfter(restStart)) {
+      transitionRest = {
+        start: restStart,
+        end: restEnd,
+        timezone,
+        localNights: countLocalNights(restStart, restEnd, ftlLimits, timezone)
+      };
+    }
   }
+  
+  // Consecutive night duties
+  let consecutiveNightDuties = null;
+  if (disruptive.nightDuty) {
+    consecutiveNightDuties = 1;
+    for (let i = index - 1; i >= 0 && disruptiveSchedule.get(allData[i]) && disruptiveSchedule.get(allData[i]).nightDuty; i--) {
+      consecutiveNightDuties++;
+    }
+    
+    result.calculations.consecutiveNightDuties = consecutiveNightDuties;
+  }
+  
+  // 4 or more disruptive duties between recovery rests extend the next recovery rest
+  let recoveryRest = null;
+  const { rosterStart, rests, dutyIntervals } = recoveryRests;
+  const dutyStart = moment.min(dutyIntervals.get(duty).map(interval => interval.start));
+  const lastRest = rests.filter(rest => rest.end.isSameOrBefore(dutyStart)).pop();
+  
+  if (lastRest && lastRest.end.isSame(dutyStart)) {
+    const previousRest = rests.filter(rest => rest.end.isSameOrBefore(lastRest.start)).pop();
+    const periodStart = previousRest ? previousRest.end : rosterStart;
+    const disruptiveDuties = allData.filter(other => {
+      if (!isDisruptive(disruptiveSchedule.get(other))) return false;
+      const otherStart = moment.min(dutyIntervals.get(other).map(interval => interval.start));
+      return otherStart.isSameOrAfter(periodStart) && otherStart.isBefore(lastRest.start);
+    }).length;
+    
+    recoveryRest = { disruptiveDuties, duration: lastRest.duration };
+  }
+  
+  applyRules(result, 'disruptive', { transitionRest, consecutiveNightDuties, recoveryRest, ftlLimits }, t, ruleSelection);
 }
 
 /**
- * Check for excessive consecutive duty days
- * @param {Object} result - Day compliance result
- * @param {Object} duty - Current duty period
- * @param {Array} allData - All duty periods
- * @param {number} currentIndex - Index of current duty
+ * Check the recurrent extended recovery rest (ORO.FTL.235(d))
+ * A recovery rest of at least 36 hours including 2 local nights must start no more
+ * than 168 hours after the end of the previous one, and twice every calendar month
+ * it must be extended to include 2 local days.
+ * @param {Object} result - Day result object to modify
+ * @param {Object} duty - Current duty
+ * @param {Array} allData - All duty data sorted by date
  * @param {Object} t - Translations object
+ * @param {Object} ftlLimits - Limits of the rule set
+ * @param {Object} recoveryRests - Recovery rests from getRecoveryRests
+ * @param {Object} ruleSelection - Rule selection from resolveRuleSelection
  */
-function addConsecutiveDutyChecks(result, duty, allData, currentIndex, t) {
-  if (duty.type === 'DAYOFF') return;
+function addRecoveryRestChecks(result, duty, allData, t, ftlLimits = EASA_LIMITS, recoveryRests = getRecoveryRests(allData, ftlLimits),
+  ruleSelection = DEFAULT_RULE_SELECTION) {
+  const dutyIntervals = recoveryRests.dutyIntervals.get(duty);
+  if (dutyIntervals.length === 0) return;
+  
+  const limits = ftlLimits.recoveryRest;
+  const { rosterStart, rosterEnd, timezone, rests } = recoveryRests;
+  const dutyStart = moment.min(dutyIntervals.map(interval => interval.start));
+  const dutyEnd = moment.max(dutyIntervals.map(interval => interval.end)).clone().tz(timezone);
+  
+  // Without a recovery rest in the roster, assume one ended when the roster starts
+  const lastRest = rests.filter(rest => rest.end.isSameOrBefore(dutyStart)).pop() || null;
+  const reference = lastRest ? lastRest.end : rosterStart;
+  const nextRestDue = reference.clone().add(limits.maxInterval, 'hours');
+  const sinceLastRest = dutyEnd.diff(reference, 'hours', true);
+  
+  const monthStart = moment.tz(duty.date, timezone).startOf('month');
+  const monthEnd = monthStart.clone().add(1, 'month');
+  const extendedRests = rests.filter(rest =>
+    rest.localDays >= limits.extendedLocalDays && rest.start.isBetween(monthStart, monthEnd, null, '[)')
+  ).length;
+  
+  result.calculations.recoveryRest = {
+    lastRecoveryRest: lastRest ? `${formatDateTime(lastRest.start)} - ${formatDateTime(lastRest.end)}` : 'N/A',
+    sinceLastRecoveryRest: formatDuration(sinceLastRest),
+    nextRecoveryRestDue: formatDateTime(nextRestDue),
+    extendedRecoveryRestsThisMonth: extendedRests
+  };
   
-  let consecutiveDuties = 1;
+  // The monthly requirement is checked once, on the last duty of a fully rostered month
+  const lastDutyOfMonth = recoveryRests.lastDutyDays.get(monthStart.format('YYYY-MM')) === moment(duty.date).format('YYYY-MM-DD');
+  const monthCovered = rosterStart.isSameOrBefore(monthStart) && rosterEnd.isSameOrAfter(monthEnd);
+  
+  applyRules(result, 'recovery', {
+    reference,
+    dutyEnd,
+    nextRestDue,
+    sinceLastRest,
+    monthChecked: lastDutyOfMonth && monthCovered,
+    month: monthStart.format('YYYY-MM'),
+    extendedRests,
+    timezone,
+    ftlLimits
+  }, t, ruleSelection);
+}
+
+/**
+ * Find the recovery rests in a roster
+ * Gaps between duties count from the start of the first rostered day to the end of
+ * the last one, so days off at either end of the roster can form a recovery rest.
+ * Gaps are measured between UTC instants; local nights and days are counted where the
+ * crew member rests, and the roster days and months are those of the home base.
+ * @param {Array} allData - All duty data sorted by date
+ * @param {Object} ftlLimits - Limits of the rule set
+ * @param {string} homeBase - Crew member's home base (IATA code) or null if unknown
+ * @returns {Object} - Roster start/end and time zone, recovery rests with local nights
+ *   and days, the intervals of each duty keyed by duty and the last day with duty of
+ *   each month
+ */
+function getRecoveryRests(allData, ftlLimits = EASA_LIMITS, homeBase = null) {
+  const limits = ftlLimits.recoveryRest;
+  const timezone = getKnownTimezone(homeBase) || getDutyTimezone(allData[0]);
+  const rosterStart = moment.tz(allData[0].date, timezone).startOf('day');
+  const rosterEnd = moment.tz(allData[allData.length - 1].date, timezone).add(1, 'day').startOf('day');
+  const dutyIntervals = new Map(allData.map(duty => [duty, getDutyIntervals(duty, ftlLimits)]));
+  
+  const intervals = [];
+  dutyIntervals.forEach((periods, duty) => {
+    periods.forEach(period => intervals.push({ ...period, duty }));
+  });
+  intervals.sort((a, b) => a.start.diff(b.start));
   
-  // Count consecutive duties before current day
-  for (let i = currentIndex - 1; i >= 0; i--) {
-    const prevDuty = allData[i];
-    const prevDate = moment(prevDuty.date);
-    const currentDate = moment(duty.date);
+  // Gaps between the roster boundaries and the (overlapping) duty intervals
+  const rests = [];
+  let restStart = rosterStart;
+  let restTimezone = timezone;
+  
+  [...intervals, { start: rosterEnd, end: rosterEnd }].forEach(interval => {
+    if (interval.start.isAfter(restStart)) {
+      const duration = interval.start.diff(restStart, 'hours', true);
+      const localNights = countLocalNights(restStart, interval.start, ftlLimits, restTimezone);
+      
+      if (duration >= limits.minDuration && localNights >= limits.localNights) {
+        rests.push({
+          start: restStart.clone().tz(timezone),
+          end: interval.start.clone().tz(timezone),
+          duration,
+          localNights,
+          localDays: countLocalDays(restStart, interval.start, restTimezone),
+          timezone: restTimezone
+        });
+      }
+    }
     
-    if (currentDate.diff(prevDate, 'days') === consecutiveDuties && prevDuty.type !== 'DAYOFF') {
-      consecutiveDuties++;
-    } else {
-      break;
+    if (interval.end.isAfter(restStart)) {
+      restStart = interval.end;
+      restTimezone = interval.duty ? getRestTimezone(interval.duty, homeBase) : restTimezone;
     }
-  }
+  });
   
-  // Count consecutive duties after current day
-  for (let i = currentIndex + 1; i < allData.length; i++) {
-    const nextDuty = allData[i];
-    const nextDate = moment(nextDuty.date);
-    const currentDate = moment(duty.date);
+  const lastDutyDays = new Map();
+  dutyIntervals.forEach((periods, duty) => {
+    if (periods.length === 0) return;
     
-    if (nextDate.diff(currentDate, 'days') === (i - currentIndex) && nextDuty.type !== 'DAYOFF') {
-      consecutiveDuties++;
-    } else {
-      break;
+    const day = moment(duty.date).format('YYYY-MM-DD');
+    const month = day.substring(0, 7);
+    if (!lastDutyDays.has(month) || day > lastDutyDays.get(month)) {
+      lastDutyDays.set(month, day);
     }
+  });
+  
+  return { rosterStart, rosterEnd, timezone, rests, dutyIntervals, lastDutyDays };
+}
+
+/**
+ * Get the periods during which a crew member is not free of duty
+ * Reserve is not duty, but a crew member on reserve is not free for a recovery rest.
+ * Duties without times block the whole day on the duty's clock.
+ * @param {Object} duty - Duty period object
+ * @param {Object} ftlLimits - Limits of the rule set
+ * @returns {Array} - Intervals with start and end UTC moments
+ */
+function getDutyIntervals(duty, ftlLimits = EASA_LIMITS) {
+  if (duty.type === 'DAYOFF') return [];
+  
+  const intervals = [];
+  const addInterval = (start, end) => {
+    if (!start || !end) return;
+    intervals.push({ start: start.clone().utc(), end: end.clone().utc() });
+  };
+  
+  const reserve = duty.type === 'RESERVE' ? getReservePeriod(duty) : null;
+  if (reserve) {
+    addInterval(reserve.start, reserve.end);
+  } else if (duty.type === 'STANDBY' && (duty.standbyStartTime || duty.reportTime)) {
+    addInterval(getStandbyStartInstant(duty), getOffDutyInstant(duty));
   }
   
-  result.calculations.consecutiveDuties = consecutiveDuties;
+  if (duty.type !== 'STANDBY' && duty.reportTime) {
+    addInterval(getRestEndInstant(duty, ftlLimits), getOffDutyInstant(duty));
+  }
+  
+  if (intervals.length === 0) {
+    const start = moment.tz(duty.date, getDutyTimezone(duty)).startOf('day');
+    addInterval(start, start.clone().add(1, 'day'));
+  }
   
-  if (consecutiveDuties > EASA_LIMITS.fatigueRisk.maxConsecutiveDuties) {
-    if (result.status === t.LEGAL) {
-      result.status = t.WARNING;
+  return intervals;
+}
+
+/**
+ * Count the local nights (8 hours between 22:00 and 08:00) within a rest period
+ * @param {moment} start - Start of the rest period
+ * @param {moment} end - End of the rest period
+ * @param {Object} ftlLimits - Limits of the rule set
+ * @param {string} timezone - Time zone of the place of rest
+ * @returns {number} - Number of local nights
+ */
+function countLocalNights(start, end, ftlLimits = EASA_LIMITS, timezone = 'UTC') {
+  const { start: nightStart, end: nightEnd, duration } = ftlLimits.recoveryRest.localNight;
+  let nights = 0;
+  
+  for (let day = start.clone().tz(timezone).subtract(1, 'day').startOf('day'); day.isBefore(end); day.add(1, 'day')) {
+    const date = day.format('YYYY-MM-DD');
+    const windowStart = moment.tz(`${date} ${nightStart}`, 'YYYY-MM-DD HH:mm', timezone);
+    const windowEnd = moment.tz(`${day.clone().add(1, 'day').format('YYYY-MM-DD')} ${nightEnd}`, 'YYYY-MM-DD HH:mm', timezone);
+    const overlap = moment.min(end, windowEnd).diff(moment.max(start, windowStart), 'hours', true);
+    
+    if (overlap >= duration) {
+      nights++;
     }
+  }
+  
+  return nights;
+}
+
+/**
+ * Count the complete local days (00:00-24:00) within a rest period
+ * @param {moment} start - Start of the rest period
+ * @param {moment} end - End of the rest period
+ * @param {string} timezone - Time zone of the place of rest
+ * @returns {number} - Number of local days
+ */
+function countLocalDays(start, end, timezone = 'UTC') {
+  const firstDay = start.clone().tz(timezone).startOf('day');
+  if (firstDay.isBefore(start)) {
+    firstDay.add(1, 'day');
+  }
+  
+  return Math.max(0, end.clone().tz(timezone).startOf('day').diff(firstDay, 'days'));
+}
+
+/**
+ * Get the time zone of the place where a crew member rests after a duty
+ * @param {Object} duty - Duty period object
+ * @param {string} homeBase - Crew member's home base (IATA code) or null if unknown
+ * @returns {string} - Timezone identifier
+ */
+function getRestTimezone(duty, homeBase = null) {
+  return getKnownTimezone(duty.restAirport || getArrivalAirport(duty)) ||
+    getKnownTimezone(homeBase) ||
+    getDutyTimezone(duty);
+}
+
+/**
+ * Get a cumulative limit window ending with a day (ORO.FTL.210)
+ * Windows are measured from 00:00 UTC and include the whole day. Rolling day windows
+ * cover the preceding consecutive days, month and year windows whole calendar months.
+ * @param {string|moment} date - Last day of the window
+ * @param {number} amount - Time period amount
+ * @param {string} unit - Time period unit (days, months, year)
+ * @returns {Object} - Window start and end as UTC moments
+ */
+function getCumulativeWindow(date, amount, unit) {
+  const day = moment.utc(moment(date).format('YYYY-MM-DD'), 'YYYY-MM-DD');
+  
+  return {
+    start: day.clone().subtract(amount - 1, unit).startOf(unit === 'days' ? 'day' : unit),
+    end: day.clone().add(1, 'day')
+  };
+}
+
+/**
+ * Get the periods a duty contributes to cumulative duty time (ORO.FTL.210(a))
+ * Standby is weighted by its duty credit (CS FTL.1.225); reserve counts only when an
+ * FDP is assigned (ORO.FTL.230).
+ * @param {Object} duty - Duty period
+ * @param {Object} ftlLimits - Limits of the rule set
+ * @returns {Array} - Periods as { start, end, weight } with UTC moments
+ */
+function getCumulativeDutyPeriods(duty, ftlLimits = EASA_LIMITS) {
+  const periods = [];
+  const addPeriod = (start, duration, weight) => {
+    if (!start || duration <= 0 || weight <= 0) return;
+    periods.push({ start, end: start.clone().add(duration, 'hours'), weight });
+  };
+  
+  if (duty.type === 'STANDBY') {
+    addPeriod(
+      getStandbyStartInstant(duty),
+      calculateStandbyPeriod(duty),
+      ftlLimits.standby[getStandbyType(duty)].dutyCredit
+    );
     
-    result.issues.push({
-      type: 'CONSECUTIVE_DUTIES_EXCEEDED',
-      message: `${t.consecutiveDutiesExceeded}: ${consecutiveDuties} consecutive days`,
-      regulation: 'ORO.FTL.190',
-      severity: 'MEDIUM',
-      fatigueRisk: 'Extended consecutive duty periods increase cumulative fatigue',
-      recommendation: 'Provide adequate days off to prevent fatigue accumulation'
-    });
+    if (duty.callTime && duty.flights) {
+      addPeriod(getDutyStartInstant(duty), calculateDutyPeriod(duty), 1);
+    }
+  } else if (['FLIGHT', 'TRAINING', 'ADMIN'].includes(duty.type) || isReserveAssignment(duty)) {
+    addPeriod(getDutyStartInstant(duty), calculateDutyPeriod(duty), 1);
   }
+  
+  return periods;
+}
+
+/**
+ * Get the blocks of the sectors of a duty (ORO.FTL.210(b))
+ * @param {Object} duty - Duty period
+ * @returns {Array} - Sector blocks as { start, end, weight } with UTC moments
+ */
+function getFlightTimePeriods(duty) {
+  const hasFlightTime = duty.type === 'FLIGHT' ||
+    (duty.type === 'STANDBY' && duty.callTime) ||
+    isReserveAssignment(duty);
+  if (!hasFlightTime || !duty.flights) return [];
+  
+  return getFlightInstants(duty)
+    .filter(({ flight }) => !flight.positioning)
+    .map(({ departure, arrival }) => ({ start: departure, end: arrival, weight: 1 }));
+}
+
+/**
+ * Index the cumulative duty and flight time of a roster by UTC day
+ * @param {Array} allData - All duty periods
+ * @param {Object} ftlLimits - Limits of the rule set
+ * @returns {Object} - dutyTime and flightTime indexes from createCumulativeIndex
+ */
+function buildCumulativeTime(allData, ftlLimits = EASA_LIMITS) {
+  return {
+    dutyTime: createCumulativeIndex(allData.flatMap(duty => getCumulativeDutyPeriods(duty, ftlLimits))),
+    flightTime: createCumulativeIndex(allData.flatMap(duty => getFlightTimePeriods(duty)))
+  };
 }
 
 /**
  * Calculate cumulative flight time over a period
+ * Sectors crossing a window boundary count only with the part inside the window.
  * @param {Array} allData - All duty periods
- * @param {moment} currentDate - Current date
+ * @param {string|moment} currentDate - Last day of the period
  * @param {number} amount - Time period amount
- * @param {string} unit - Time period unit (days, month, year)
+ * @param {string} unit - Time period unit (days, months, year)
  * @returns {number} - Cumulative flight time in hours
  */
 function calculateCumulativeFlightTime(allData, currentDate, amount, unit) {
-  const startDate = currentDate.clone().subtract(amount - 1, unit).startOf(unit === 'days' ? 'day' : unit);
-  const endDate = currentDate.clone().endOf('day');
-  
-  let totalFlightTime = 0;
-  
-  allData.forEach(duty => {
-    const dutyDate = moment(duty.date);
-    if (dutyDate.isBetween(startDate, endDate, 'day', '[]')) {
-      if (duty.type === 'FLIGHT' && duty.flights) {
-        totalFlightTime += calculateFlightTime(duty.flights);
-      } else if (duty.type === 'STANDBY' && duty.callTime && duty.flights) {
-        totalFlightTime += calculateFlightTime(duty.flights);
-      }
-    }
-  });
-  
-  return totalFlightTime;
+  const index = createCumulativeIndex(allData.flatMap(duty => getFlightTimePeriods(duty)));
+  return sumWindow(index, getCumulativeWindow(currentDate, amount, unit));
 }
 
 /**
  * Calculate cumulative duty time over a period
+ * Duties crossing a window boundary count only with the part inside the window.
  * @param {Array} allData - All duty periods
- * @param {moment} currentDate - Current date
+ * @param {string|moment} currentDate - Last day of the period
  * @param {number} amount - Time period amount
- * @param {string} unit - Time period unit (days, month, year)
+ * @param {string} unit - Time period unit (days, months, year)
+ * @param {Object} ftlLimits - Limits of the rule set
  * @returns {number} - Cumulative duty time in hours
  */
-function calculateCumulativeDutyTime(allData, currentDate, amount, unit) {
-  const startDate = currentDate.clone().subtract(amount - 1, unit).startOf('day');
-  const endDate = currentDate.clone().endOf('day');
-  
-  let totalDutyTime = 0;
-  
-  allData.forEach(duty => {
-    const dutyDate = moment(duty.date);
-    if (dutyDate.isBetween(startDate, endDate, 'day', '[]')) {
-      if (duty.type === 'FLIGHT') {
-        totalDutyTime += calculateFDP(duty);
-      } else if (duty.type === 'STANDBY') {
-        if (duty.callTime && duty.flights) {
-          // For called standby, count standby period + FDP
-          totalDutyTime += calculateStandbyPeriod(duty) + calculateFDP(duty);
-        } else {
-          // For uncalled standby, count standby period
-          totalDutyTime += calculateStandbyPeriod(duty);
-        }
-      } else if (duty.type === 'TRAINING' || duty.type === 'ADMIN') {
-        // For training/admin duties, calculate based on report/off duty times
-        if (duty.reportTime && duty.offDutyTime) {
-          const reportMoment = moment(duty.reportTime, 'HH:mm');
-          let offDutyMoment = moment(duty.offDutyTime, 'HH:mm');
-          
-          if (offDutyMoment.isBefore(reportMoment)) {
-            offDutyMoment.add(1, 'day');
-          }
-          
-          totalDutyTime += offDutyMoment.diff(reportMoment, 'hours', true);
-        }
-      }
-    }
-  });
-  
-  return totalDutyTime;
+function calculateCumulativeDutyTime(allData, currentDate, amount, unit, ftlLimits = EASA_LIMITS) {
+  const index = createCumulativeIndex(allData.flatMap(duty => getCumulativeDutyPeriods(duty, ftlLimits)));
+  return sumWindow(index, getCumulativeWindow(currentDate, amount, unit));
 }
 
 module.exports = {
   checkEASACompliance,
   checkDayCompliance,
   calculateFDP,
+  calculateDutyPeriod,
   calculateFlightTime,
+  getSectorCount,
   calculateRest,
   calculateStandbyPeriod,
+  calculateStandbyFDPReduction,
   getMaxFDP,
   getMinRest,
   checkExtensionAllowance,
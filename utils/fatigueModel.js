@@ -0,0 +1,392 @@
+const moment = require('moment-timezone');
+const {
+  getArrivalAirport,
+  getKnownTimezone,
+  getDutyTimezone,
+  getDutyStartInstant,
+  getOffDutyInstant,
+  getStandbyStartInstant,
+  getFlightInstants,
+  formatDateTime
+} = require('./dutyTimes');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Three-Process Model of Alertness (Åkerstedt and Folkard)
+ * Alertness is the sum of the homeostatic process S, which falls while awake and
+ * recovers during sleep, the circadian process C on the body clock and the sleep
+ * inertia W after waking. Values run from about 1 to 16; lower is sleepier.
+ *
+ * The constants are the published parameters of the model, fitted to laboratory and
+ * field sleep and alertness data: Folkard and Åkerstedt, "A three-process model of the
+ * regulation of sleep-wakefulness" (1987); Åkerstedt and Folkard, "The three-process
+ * model of alertness and its extension to performance, sleep latency, and sleep length",
+ * Chronobiology International 14(2), 1997; Åkerstedt, Folkard and Portin, "Predictions
+ * from the three-process model of alertness", Aviation, Space, and Environmental
+ * Medicine 75(3), 2004. They describe an average crew member, not an individual.
+ * The operator's FRM (ORO.FTL.120) has to justify their use for its operation, for
+ * example by comparing predictions with sleepiness reported by its own crews, and
+ * the values may only change with that justification.
+ */
+const THREE_PROCESS_MODEL = {
+  homeostatic: {
+    lowerAsymptote: 2.4,  // S approached after prolonged waking
+    upperAsymptote: 14.3, // S approached after prolonged sleep
+    wakeRate: 0.0353,     // decay per hour awake
+    sleepRate: 0.381,     // recovery per hour asleep
+    initial: 12           // S at the start of the simulation; washed out by the warm-up
+  },
+  circadian: {
+    amplitude: 2.5,
+    acrophase: 16.8       // body clock hour of peak alertness
+  },
+  sleepInertia: {
+    amplitude: -5.72,
+    rate: 1.51            // decay per hour since waking
+  }
+};
+
+/**
+ * Sleep the model assumes from the roster
+ * Crew members sleep at local night where they rest, except while preparing for or
+ * winding down after a duty. After a duty that kept them awake through the night
+ * they sleep as soon as they can.
+ */
+const SLEEP_ASSUMPTIONS = {
+  habitualSleep: { start: '23:00', end: '07:00' }, // local time at the place of rest
+  preDutyPreparation: 1, // hours awake before a duty starts
+  postDutyWindDown: 1,   // hours awake after a duty ends
+  missedNight: 2,        // hours of the habitual sleep window on duty that count as a missed night
+  recoverySleep: 6,      // hours of sleep after a missed night
+  minimumSleep: 0.5,     // shorter sleep opportunities are not taken
+  warmUp: 72             // hours simulated before the first duty
+};
+
+/**
+ * Risk bands by the lowest alertness at top of descent, or during a duty without sectors
+ * Top of descent is taken as the most demanding phase left when alertness is lowest.
+ * The thresholds are not set by the regulation or fixed by the model's authors. They
+ * follow the calibration of the model against the Karolinska Sleepiness Scale, on which
+ * alertness of about 6 and below goes with severe sleepiness and a rising risk of
+ * falling asleep (Åkerstedt, Folkard and Portin, 2004); 8 leaves a margin above it for
+ * a moderate band. The FRM team has to justify the thresholds under ORO.FTL.120 as
+ * part of its risk assessment, and change them only with that justification.
+ */
+const ALERTNESS_RISK_BANDS = [
+  { band: 'high', below: 6 },
+  { band: 'moderate', below: 8 },
+  { band: 'low', below: Infinity }
+];
+
+const TOP_OF_DESCENT = 20 / 60; // hours before on-blocks
+const CURVE_INTERVAL = 15;      // minutes between points of the alertness curve
+
+/**
+ * Get the periods a duty keeps a crew member awake
+ * Reserve without an assigned FDP leaves the crew member free to sleep (CS FTL.1.230).
+ * @param {Object} duty - Duty period object
+ * @returns {Array} - Periods with start and end UTC moments
+ */
+function getAwakePeriods(duty) {
+  let start = null;
+
+  if (duty.type === 'FLIGHT' || (duty.type === 'RESERVE' && duty.reportTime)) {
+    start = getDutyStartInstant(duty);
+  } else if (duty.type === 'STANDBY' && (duty.standbyStartTime || duty.reportTime)) {
+    start = getStandbyStartInstant(duty);
+  }
+
+  const end = start ? getOffDutyInstant(duty) : null;
+  return end && end.isAfter(start) ? [{ start, end }] : [];
+}
+
+/**
+ * Get the parts of a period within the habitual sleep window
+ * @param {moment} start - Start of the period
+ * @param {moment} end - End of the period
+ * @param {string} timezone - Timezone of the place of rest
+ * @returns {Array} - Periods with start and end UTC moments
+ */
+function getNightPeriods(start, end, timezone) {
+  const { habitualSleep } = SLEEP_ASSUMPTIONS;
+  const periods = [];
+  const day = start.clone().tz(timezone).startOf('day').subtract(1, 'day');
+
+  while (day.isBefore(end)) {
+    const date = day.format('YYYY-MM-DD');
+    const nightStart = moment.tz(`${date} ${habitualSleep.start}`, 'YYYY-MM-DD HH:mm', timezone);
+    let nightEnd = moment.tz(`${date} ${habitualSleep.end}`, 'YYYY-MM-DD HH:mm', timezone);
+    if (!nightEnd.isAfter(nightStart)) {
+      nightEnd = moment.tz(`${day.clone().add(1, 'day').format('YYYY-MM-DD')} ${habitualSleep.end}`, 'YYYY-MM-DD HH:mm', timezone);
+    }
+
+    const periodStart = moment.max(start, nightStart);
+    const periodEnd = moment.min(end, nightEnd);
+    if (periodEnd.isAfter(periodStart)) {
+      periods.push({ start: periodStart.clone().utc(), end: periodEnd.clone().utc() });
+    }
+    day.add(1, 'day');
+  }
+
+  return periods;
+}
+
+/**
+ * Get the length of a list of periods
+ * @param {Array} periods - Periods with start and end moments
+ * @returns {number} - Total hours
+ */
+function getTotalHours(periods) {
+  return periods.reduce((sum, period) => sum + (period.end.valueOf() - period.start.valueOf()) / HOUR_MS, 0);
+}
+
+/**
+ * Merge overlapping periods
+ * @param {Array} periods - Periods with start and end moments
+ * @returns {Array} - Periods sorted by start, without overlaps
+ */
+function mergePeriods(periods) {
+  const merged = [];
+
+  [...periods].sort((a, b) => a.start.valueOf() - b.start.valueOf()).forEach(period => {
+    const last = merged[merged.length - 1];
+    if (last && !period.start.isAfter(last.end)) {
+      last.end = moment.max(last.end, period.end);
+    } else {
+      merged.push({ start: period.start.clone(), end: period.end.clone() });
+    }
+  });
+
+  return merged;
+}
+
+/**
+ * Simulate the sleep of a crew member across a roster
+ * Rest is taken where a duty ends (its restAirport, or the arrival airport), in the
+ * local time of that place; before the first duty at home base.
+ * @param {Array} sortedData - Duty periods sorted by date
+ * @param {string} homeBase - Crew member's home base (IATA code) or null if unknown
+ * @returns {Object} - Start of the simulation and the sleep periods with UTC moments
+ */
+function buildSleepPeriods(sortedData, homeBase = null) {
+  const assumptions = SLEEP_ASSUMPTIONS;
+  const awake = sortedData
+    .flatMap(duty => getAwakePeriods(duty).map(period => ({ ...period, duty })))
+    .sort((a, b) => a.start.valueOf() - b.start.valueOf());
+  if (awake.length === 0) return { start: null, sleep: [] };
+
+  const start = awake[0].start.clone().subtract(assumptions.warmUp, 'hours');
+  const sleep = [];
+  let awakeUntil = start;
+  let restTimezone = getKnownTimezone(homeBase) || getDutyTimezone(awake[0].duty);
+  let missedNight = false;
+
+  awake.forEach((period, index) => {
+    const restStart = index === 0 ? awakeUntil : awakeUntil.clone().add(assumptions.postDutyWindDown, 'hours');
+    const restEnd = period.start.clone().subtract(assumptions.preDutyPreparation, 'hours');
+
+    if (restEnd.isAfter(restStart)) {
+      const periods = getNightPeriods(restStart, restEnd, restTimezone);
+      if (missedNight) {
+        periods.push({ start: restStart, end: moment.min(restEnd, restStart.clone().add(assumptions.recoverySleep, 'hours')) });
+      }
+      sleep.push(...mergePeriods(periods).filter(sleepPeriod => getTotalHours([sleepPeriod]) >= assumptions.minimumSleep));
+    }
+
+    if (period.end.isAfter(awakeUntil)) {
+      awakeUntil = period.end;
+      restTimezone = getKnownTimezone(period.duty.restAirport || getArrivalAirport(period.duty)) ||
+        getDutyTimezone(period.duty);
+      missedNight = getTotalHours(getNightPeriods(period.start, period.end, getDutyTimezone(period.duty))) >=
+        assumptions.missedNight;
+    }
+  });
+
+  return { start, sleep };
+}
+
+/**
+ * Create the alertness model of a simulated sleep history
+ * @param {Object} sleepHistory - Start and sleep periods from buildSleepPeriods
+ * @returns {Object} - Model with the value of S at the end of every sleep period
+ */
+function createAlertnessModel(sleepHistory) {
+  const { homeostatic } = THREE_PROCESS_MODEL;
+  const wakes = [];
+  let s = homeostatic.initial;
+  let awakeSince = sleepHistory.start ? sleepHistory.start.valueOf() : 0;
+
+  sleepHistory.sleep.forEach(period => {
+    const awakeHours = (period.start.valueOf() - awakeSince) / HOUR_MS;
+    const sleepHours = (period.end.valueOf() - period.start.valueOf()) / HOUR_MS;
+    const sleepOnset = homeostatic.lowerAsymptote +
+      (s - homeostatic.lowerAsymptote) * Math.exp(-homeostatic.wakeRate * awakeHours);
+
+    s = homeostatic.upperAsymptote - (homeostatic.upperAsymptote - sleepOnset) * Math.exp(-homeostatic.sleepRate * sleepHours);
+    awakeSince = period.end.valueOf();
+    wakes.push({ sleepStart: period.start.valueOf(), wake: awakeSince, s });
+  });
+
+  return { start: sleepHistory.start ? sleepHistory.start.valueOf() : 0, wakes };
+}
+
+/**
+ * Predict the alertness of a crew member at an instant
+ * @param {Object} model - Model from createAlertnessModel
+ * @param {moment} instant - Instant to predict
+ * @param {string} bodyClockTimezone - Time zone the body clock is set to
+ * @returns {Object|null} - Alertness with its S, C and W parts, or null while asleep
+ */
+function getAlertness(model, instant, bodyClockTimezone) {
+  const { homeostatic, circadian, sleepInertia } = THREE_PROCESS_MODEL;
+  const time = instant.valueOf();
+
+  // Last sleep starting before the instant
+  let low = 0;
+  let high = model.wakes.length - 1;
+  let last = null;
+  while (low <= high) {
+    const middle = Math.floor((low + high) / 2);
+    if (model.wakes[middle].sleepStart <= time) {
+      last = model.wakes[middle];
+      low = middle + 1;
+    } else {
+      high = middle - 1;
+    }
+  }
+  if (last && time < last.wake) return null;
+
+  const awakeHours = (time - (last ? last.wake : model.start)) / HOUR_MS;
+  const s = homeostatic.lowerAsymptote +
+    ((last ? last.s : homeostatic.initial) - homeostatic.lowerAsymptote) * Math.exp(-homeostatic.wakeRate * awakeHours);
+  const w = last ? sleepInertia.amplitude * Math.exp(-sleepInertia.rate * awakeHours) : 0;
+
+  const local = instant.clone().tz(bodyClockTimezone);
+  const bodyClockHour = local.hours() + local.minutes() / 60;
+  const c = circadian.amplitude * Math.cos(2 * Math.PI * (bodyClockHour - circadian.acrophase) / 24);
+
+  return { alertness: s + c + w, s, c, w, awakeHours };
+}
+
+/**
+ * Get the risk band of an alertness value
+ * @param {number} alertness - Predicted alertness
+ * @returns {string} - 'high', 'moderate' or 'low'
+ */
+function getAlertnessRiskBand(alertness) {
+  return ALERTNESS_RISK_BANDS.find(band => alertness < band.below).band;
+}
+
+/**
+ * Round a predicted value for the results
+ * @param {number} value - Value
+ * @returns {number} - Value with 2 decimals
+ */
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Predict the alertness of a crew member during a duty
+ * Top of descent is taken 20 minutes before on-blocks of every sector.
+ * @param {Object} duty - Duty period object
+ * @param {Object} model - Model from createAlertnessModel
+ * @param {Array} sleep - Sleep periods from buildSleepPeriods
+ * @param {string} bodyClockTimezone - Time zone the body clock is set to
+ * @returns {Object|null} - Alertness curve, minimum, top of descent per sector and risk
+ *   band, or null for duties that do not keep the crew member awake
+ */
+function assessDutyAlertness(duty, model, sleep, bodyClockTimezone) {
+  const [period] = getAwakePeriods(duty);
+  if (!period) return null;
+
+  const dutyTimezone = getDutyTimezone(duty);
+  const formatTime = instant => formatDateTime(instant.clone().tz(dutyTimezone));
+  const curve = [];
+  const instant = period.start.clone();
+
+  while (!instant.isAfter(period.end)) {
+    const prediction = getAlertness(model, instant, bodyClockTimezone);
+    if (prediction) {
+      curve.push({ time: formatTime(instant), alertness: round(prediction.alertness) });
+    }
+    instant.add(CURVE_INTERVAL, 'minutes');
+  }
+
+  const sectors = getFlightInstants(duty)
+    .filter(({ flight }) => !flight.positioning)
+    .map(({ flight, departure, arrival }) => {
+      const topOfDescent = moment.max(departure, arrival.clone().subtract(TOP_OF_DESCENT, 'hours'));
+      const prediction = getAlertness(model, topOfDescent, bodyClockTimezone);
+
+      return {
+        flightNumber: flight.flightNumber || null,
+        departure: flight.departure || null,
+        arrival: flight.arrival || null,
+        topOfDescent: formatTime(topOfDescent),
+        alertness: prediction ? round(prediction.alertness) : null
+      };
+    })
+    .filter(sector => sector.alertness !== null);
+
+  const lowest = points => points.reduce((min, point) => (!min || point.alertness < min.alertness ? point : min), null);
+  const minimum = lowest(curve);
+  const minimumTopOfDescent = lowest(sectors);
+  const basis = minimumTopOfDescent || minimum;
+  const startPrediction = getAlertness(model, period.start, bodyClockTimezone);
+  const dayBefore = { start: period.start.clone().subtract(24, 'hours'), end: period.start };
+  const sleepBefore = sleep
+    .filter(sleepPeriod => sleepPeriod.end.isAfter(dayBefore.start) && sleepPeriod.start.isBefore(dayBefore.end))
+    .map(sleepPeriod => ({ start: moment.max(sleepPeriod.start, dayBefore.start), end: moment.min(sleepPeriod.end, dayBefore.end) }));
+
+  return {
+    model: 'Three-Process Model of Alertness',
+    bodyClockTimezone,
+    sleepInPrevious24Hours: round(getTotalHours(sleepBefore)),
+    awakeAtStart: startPrediction ? round(startPrediction.awakeHours) : null,
+    curve,
+    minimum,
+    sectors,
+    minimumTopOfDescent,
+    riskBand: basis ? getAlertnessRiskBand(basis.alertness) : null
+  };
+}
+
+/**
+ * Predict the alertness of a crew member for every duty of a roster
+ * The body clock follows the time zone the crew member is acclimatised to (ORO.FTL.105),
+ * or the home base without acclimatisation details.
+ * @param {Array} sortedData - Duty periods sorted by date
+ * @param {Map} acclimatisation - Acclimatisation details from trackAcclimatisation
+ * @param {string} homeBase - Crew member's home base (IATA code) or null if unknown
+ * @returns {Map} - Alertness assessments keyed by duty object
+ */
+function trackAlertness(sortedData, acclimatisation = new Map(), homeBase = null) {
+  const sleepHistory = buildSleepPeriods(sortedData, homeBase);
+  const model = createAlertnessModel(sleepHistory);
+  const assessments = new Map();
+
+  sortedData.forEach(duty => {
+    const state = acclimatisation.get(duty);
+    const bodyClockTimezone = (state && state.acclimatisedTimezone) || getKnownTimezone(homeBase) || getDutyTimezone(duty);
+    const assessment = assessDutyAlertness(duty, model, sleepHistory.sleep, bodyClockTimezone);
+    if (assessment) {
+      assessments.set(duty, assessment);
+    }
+  });
+
+  return assessments;
+}
+
+module.exports = {
+  THREE_PROCESS_MODEL,
+  SLEEP_ASSUMPTIONS,
+  ALERTNESS_RISK_BANDS,
+  buildSleepPeriods,
+  createAlertnessModel,
+  getAlertness,
+  getAlertnessRiskBand,
+  assessDutyAlertness,
+  trackAlertness
+};
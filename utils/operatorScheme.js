@@ -0,0 +1,316 @@
+const fs = require('fs');
+const path = require('path');
+const { getRuleSet, getOperations, isRuleSetSupported, mergeLimits, DEFAULT_RULE_SET, DEFAULT_OPERATION } = require('./ruleSets');
+const { isWithinBand } = require('./dutyTimes');
+
+const MINUTES_PER_DAY = 24 * 60;
+
+// Directory holding one approved scheme per tenant as <tenant>.json
+const OPERATOR_SCHEMES_DIR = process.env.OPERATOR_SCHEMES_DIR ||
+  path.join(__dirname, '..', 'config', 'operatorSchemes');
+
+/**
+ * Validate an operator's individual flight time specification scheme
+ * Every limit must exist in the rule set and keep the type of the CS value it replaces.
+ * @param {Object} scheme - Operator scheme document
+ * @param {string} ruleSetId - Rule set the scheme deviates from; defaults to the scheme's own
+ * @param {string} operation - Operation of the rule set; defaults to commercial air transport
+ * @returns {Object} - Validation result with isValid flag and errors array
+ */
+function validateOperatorScheme(scheme, ruleSetId, operation = DEFAULT_OPERATION) {
+  if (!scheme || typeof scheme !== 'object' || Array.isArray(scheme)) {
+    return { isValid: false, errors: ['Operator scheme must be an object'] };
+  }
+
+  const errors = [];
+  const baseId = ruleSetId || scheme.ruleSet || DEFAULT_RULE_SET;
+
+  if (!scheme.name || typeof scheme.name !== 'string') {
+    errors.push('Operator scheme name is required');
+  }
+
+  if (scheme.operatorType !== undefined && !['early', 'late'].includes(scheme.operatorType)) {
+    errors.push('Operator type must be early or late');
+  }
+
+  ['reducedRest', 'frmApproved'].forEach(key => {
+    if (scheme[key] !== undefined && typeof scheme[key] !== 'boolean') {
+      errors.push(`${key} must be true or false`);
+    }
+  });
+
+  if (!isRuleSetSupported(baseId)) {
+    errors.push(`Unknown rule set: ${baseId}`);
+    return { isValid: false, errors };
+  }
+
+  const baseRuleSet = getRuleSet(baseId);
+  if (!getOperations(baseRuleSet).includes(operation || DEFAULT_OPERATION)) {
+    errors.push(`${baseRuleSet.name} does not cover ${operation} operations`);
+    return { isValid: false, errors };
+  }
+
+  const ruleSet = getRuleSet(baseId, operation);
+  if (ruleSet.checkRoster) {
+    errors.push(`Operator schemes apply to ORO.FTL rule sets, not ${baseId}`);
+  }
+
+  if (!scheme.limits || typeof scheme.limits !== 'object' || Array.isArray(scheme.limits)) {
+    errors.push('Operator scheme limits must be an object');
+  } else {
+    const limitErrors = validateLimits(scheme.limits, ruleSet.limits, 'limits');
+    errors.push(...limitErrors);
+
+    if (limitErrors.length === 0 && !ruleSet.checkRoster) {
+      errors.push(...validateTables(mergeLimits(ruleSet.limits, scheme.limits)));
+    }
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Validate overriding limits against the values they replace
+ * @param {*} value - Overriding value
+ * @param {*} base - Value in the rule set
+ * @param {string} keyPath - Path of the value for error messages
+ * @returns {Array} - Array of error messages
+ */
+function validateLimits(value, base, keyPath) {
+  if (base === undefined) {
+    return [`${keyPath}: unknown limit`];
+  }
+
+  if (Array.isArray(base)) {
+    if (!Array.isArray(value) || value.length === 0) {
+      return [`${keyPath}: must be a non-empty array`];
+    }
+    return value.flatMap((item, index) => {
+      const itemPath = `${keyPath}[${index}]`;
+      const baseItem = base[Math.min(index, base.length - 1)];
+      return [...getMissingKeys(item, baseItem, itemPath), ...validateLimits(item, baseItem, itemPath)];
+    });
+  }
+
+  if (base && typeof base === 'object') {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      return [`${keyPath}: must be an object`];
+    }
+    return Object.keys(value).flatMap(key => validateLimits(value[key], base[key], `${keyPath}.${key}`));
+  }
+
+  if (typeof base === 'number') {
+    return typeof value === 'number' && Number.isFinite(value) && value >= 0
+      ? []
+      : [`${keyPath}: must be a non-negative number of hours or a count`];
+  }
+
+  if (typeof base === 'string' && /^\d{2}:\d{2}$/.test(base)) {
+    return typeof value === 'string' && /^([01]\d|2[0-3]):[0-5]\d$/.test(value)
+      ? []
+      : [`${keyPath}: must be a time in HH:MM format`];
+  }
+
+  return typeof value === typeof base ? [] : [`${keyPath}: must be a ${typeof base}`];
+}
+
+/**
+ * List the keys of a table row that a replacing row leaves out
+ * Arrays replace the CS array as a whole, so each row must be complete.
+ * @param {*} value - Replacing row
+ * @param {*} base - Row in the rule set
+ * @param {string} keyPath - Path of the row for error messages
+ * @returns {Array} - Array of error messages
+ */
+function getMissingKeys(value, base, keyPath) {
+  if (!value || typeof value !== 'object' || Array.isArray(value) || !base || typeof base !== 'object' || Array.isArray(base)) {
+    return [];
+  }
+
+  return Object.keys(base).flatMap(key => (value[key] === undefined
+    ? [`${keyPath}.${key}: is required`]
+    : getMissingKeys(value[key], base[key], `${keyPath}.${key}`)));
+}
+
+/**
+ * Format minutes since midnight as HH:MM
+ * @param {number} minutes - Minutes since midnight
+ * @returns {string} - Time in HH:MM format
+ */
+function formatMinutes(minutes) {
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Check that the time bands of a table cover the day once
+ * Every reference time from 00:00 to 23:59 must fall in exactly one band.
+ * @param {Array} bands - Bands with inclusive from and to times in HH:MM format
+ * @param {string} keyPath - Path of the bands for error messages
+ * @returns {Array} - Array of error messages
+ */
+function validateBandCoverage(bands, keyPath) {
+  // Runs of minutes covered by no band (0), one band (1) or several bands (2)
+  const runs = [];
+  for (let minutes = 0; minutes < MINUTES_PER_DAY; minutes++) {
+    const count = Math.min(bands.filter(band => isWithinBand(minutes, band.from, band.to)).length, 2);
+    const last = runs[runs.length - 1];
+    if (last && last.count === count) {
+      last.to = minutes;
+    } else {
+      runs.push({ count, from: minutes, to: minutes });
+    }
+  }
+
+  // A run past midnight continues the first run of the day
+  if (runs.length > 1 && runs[0].count === runs[runs.length - 1].count) {
+    runs[0].from = runs.pop().from;
+  }
+
+  return runs
+    .filter(run => run.count !== 1)
+    .map(run => {
+      const range = `${formatMinutes(run.from)}-${formatMinutes(run.to)}`;
+      return run.count === 0 ? `${keyPath}: no band covers ${range}` : `${keyPath}: bands overlap at ${range}`;
+    });
+}
+
+/**
+ * Check that the limit tables with the scheme applied are complete
+ * The max FDP bands must cover the day once with a value for each sector column, the
+ * unknown-acclimatisation tables need a value for each sector column and the cabin
+ * crew in-flight rest rows must run in order of extended FDP.
+ * @param {Object} limits - Limits with the scheme applied
+ * @returns {Array} - Array of error messages
+ */
+function validateTables(limits) {
+  const errors = [];
+  const columns = limits.maxFDP.sectorColumns.length;
+
+  limits.maxFDP.bands.forEach((band, index) => {
+    if (band.limits.length !== columns) {
+      errors.push(`limits.maxFDP.bands[${index}].limits: must have ${columns} values, one per sector column`);
+    }
+  });
+  errors.push(...validateBandCoverage(limits.maxFDP.bands, 'limits.maxFDP.bands'));
+
+  ['maxFDPUnknownAcclimatisation', 'maxFDPUnknownAcclimatisationFRM'].forEach(key => {
+    if (limits[key].limits.length !== limits[key].sectorColumns.length) {
+      errors.push(`limits.${key}.limits: must have ${limits[key].sectorColumns.length} values, one per sector column`);
+    }
+  });
+
+  const { rows } = limits.cabinCrew.inFlightRest;
+  rows.forEach((row, index) => {
+    if (index > 0 && row.maxFDP <= rows[index - 1].maxFDP) {
+      errors.push(`limits.cabinCrew.inFlightRest.rows[${index}].maxFDP: rows must be in ascending order of extended FDP`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * List the limits an operator scheme changes, with the CS and operator values
+ * @param {Object} baseLimits - Limits of the rule set
+ * @param {Object} schemeLimits - Overriding limits of the scheme
+ * @param {string} prefix - Path of the parent limit
+ * @returns {Array} - Overrides as { path, cs, operator }
+ */
+function getSchemeOverrides(baseLimits, schemeLimits, prefix = '') {
+  return Object.keys(schemeLimits || {}).flatMap(key => {
+    const keyPath = prefix ? `${prefix}.${key}` : key;
+    const value = schemeLimits[key];
+    const base = baseLimits[key];
+
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      return getSchemeOverrides(base, value, keyPath);
+    }
+    if (JSON.stringify(value) === JSON.stringify(base)) return [];
+
+    return [{ path: keyPath, cs: base, operator: value }];
+  });
+}
+
+/**
+ * Resolve the rule set for a compliance check, with the operator scheme applied
+ * @param {Object} options - Operator options passed to checkEASACompliance
+ * @returns {Object} - Rule set; with a scheme, its limits carry the operator values
+ *   and operatorScheme describes the scheme and its overrides
+ */
+function resolveRuleSet(options = {}) {
+  const scheme = options.operatorScheme;
+  if (!scheme) return getRuleSet(options.ruleSet, options.operation);
+
+  const ruleSetId = options.ruleSet || scheme.ruleSet || DEFAULT_RULE_SET;
+  const validation = validateOperatorScheme(scheme, ruleSetId, options.operation);
+  if (!validation.isValid) {
+    throw new Error(`Invalid operator scheme: ${validation.errors.join('; ')}`);
+  }
+
+  const ruleSet = getRuleSet(ruleSetId, options.operation);
+  return {
+    ...ruleSet,
+    limits: mergeLimits(ruleSet.limits, scheme.limits),
+    operatorScheme: {
+      id: scheme.id || null,
+      name: scheme.name,
+      operator: scheme.operator || null,
+      approval: scheme.approval || null,
+      overrides: getSchemeOverrides(ruleSet.limits, scheme.limits)
+    }
+  };
+}
+
+/**
+ * Get the operator options an approved scheme sets; options given with the request win
+ * @param {Object} options - Operator options passed to checkEASACompliance
+ * @returns {Object} - Options with the scheme's operator type, reduced rest and FRM approval
+ */
+function applySchemeOptions(options = {}) {
+  const scheme = options.operatorScheme;
+  if (!scheme) return options;
+
+  const schemeOptions = {};
+  ['operatorType', 'reducedRest', 'frmApproved'].forEach(key => {
+    if (scheme[key] !== undefined) {
+      schemeOptions[key] = scheme[key];
+    }
+  });
+
+  return { ...schemeOptions, ...options };
+}
+
+/**
+ * Load the approved operator scheme of a tenant
+ * @param {string} tenantId - Tenant identifier (letters, digits, '-' and '_')
+ * @param {string} directory - Directory holding <tenant>.json schemes
+ * @returns {Object|null} - Operator scheme, or null if the tenant has none
+ */
+function loadTenantScheme(tenantId, directory = OPERATOR_SCHEMES_DIR) {
+  if (!/^[A-Za-z0-9_-]+$/.test(tenantId || '')) {
+    throw new Error(`Invalid tenant id: ${tenantId}`);
+  }
+
+  const file = path.join(directory, `${tenantId}.json`);
+  if (!fs.existsSync(file)) return null;
+
+  const scheme = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const validation = validateOperatorScheme(scheme);
+  if (!validation.isValid) {
+    throw new Error(`Invalid operator scheme for tenant ${tenantId}: ${validation.errors.join('; ')}`);
+  }
+
+  return scheme;
+}
+
+module.exports = {
+  OPERATOR_SCHEMES_DIR,
+  validateOperatorScheme,
+  getSchemeOverrides,
+  resolveRuleSet,
+  applySchemeOptions,
+  loadTenantScheme
+};
@@ -125,7 +125,8 @@ function isRosterBusterFormat(text) {
     /Check Out.*DEB/i, // Check out pattern
     /Layover \(\d+:\d+ hours\)/i, // Layover pattern
     /\d{2}:\d{2}-\d{2}:\d{2}\s+[A-Z]{3}\s*-\s*[A-Z]{3}/i, // Flight time pattern
-    /SBYHOME/i // Standby home pattern
+    /SBYHOME/i, // Standby home pattern
+    /Unknown - (?:RES|RSV|RESERVE)\b/i // Reserve pattern
   ];
   
   // Count how many patterns match
@@ -176,6 +177,7 @@ Expected PDF Content:
 - Roster Buster calendar format with monthly layout
 - Flight duties with Rep times (e.g., "Rep 1120Z")
 - Standby duties (e.g., "SBYHOME")
+- Reserve duties (e.g., "Unknown - RES")
 - Day off entries (e.g., "Unknown - DAYOFF")
 - Flight details with airport codes and times
 - Check out times and layover information
@@ -1,6 +1,9 @@
 const moment = require('moment-timezone');
 const { getAirportTimezone } = require('./airportTimezones');
 
+// Reserve duty codes as shown by Roster Buster (e.g. "06:00-18:00 Unknown - RES")
+const RESERVE_PATTERN = /Unknown\s*-\s*(?:RES|RSV|RESERVE)\b/;
+
 /**
  * Parse Roster Buster calendar text into structured duty periods
  * @param {string} rosterText - Raw roster text from Roster Buster calendar
@@ -56,6 +59,8 @@ function parseRosterBusterCalendar(rosterText, options = {}) {
           console.log('  ✅ Day off detected');
         } else if (duty.type === 'STANDBY') {
           console.log(`  ⏰ Standby: ${duty.reportTime} - ${duty.offDutyTime}`);
+        } else if (duty.type === 'RESERVE') {
+          console.log(`  📟 Reserve: ${duty.reserveStartTime} - ${duty.reserveEndTime}`);
         } else if (duty.type === 'FLIGHT') {
           console.log(`  ✈️  Flight duty: ${duty.reportTime} - ${duty.offDutyTime || 'TBD'}`);
           if (duty.flights && duty.flights.length > 0) {
@@ -81,8 +86,10 @@ function parseRosterBusterCalendar(rosterText, options = {}) {
       summary: {
         totalDays: dutyPeriods.length,
         totalFlights: dutyPeriods.reduce((sum, duty) => sum + (duty.flights?.length || 0), 0),
+        positioningFlights: dutyPeriods.reduce((sum, duty) => sum + (duty.flights?.filter(f => f.positioning).length || 0), 0),
         flightDays: dutyPeriods.filter(d => d.type === 'FLIGHT').length,
         standbyDays: dutyPeriods.filter(d => d.type === 'STANDBY').length,
+        reserveDays: dutyPeriods.filter(d => d.type === 'RESERVE').length,
         dayOffs: dutyPeriods.filter(d => d.type === 'DAYOFF').length,
         timezoneInfo: isUTC ? 'Times converted from UTC to local' : 'Times assumed to be local'
       }
@@ -210,10 +217,10 @@ function extractDutyBlocks(rosterText) {
     }
   }
   
-  // Add standby duties (SBYHOME)
+  // Add standby (SBYHOME) and reserve (RES/RSV) duties
   for (let i = 0; i < lines.length; i++) {
     const line = lines[i];
-    if (line.includes('SBYHOME')) {
+    if (line.includes('SBYHOME') || RESERVE_PATTERN.test(line)) {
       // Find the closest unused day number for this standby
       let closestDay = null;
       let minDistance = Infinity;
@@ -235,7 +242,7 @@ function extractDutyBlocks(rosterText) {
         });
         
         closestDay.used = true;
-        console.log(`📅 Day ${closestDay.day} -> Standby (SBYHOME)`);
+        console.log(`📅 Day ${closestDay.day} -> ${line.includes('SBYHOME') ? 'Standby (SBYHOME)' : 'Reserve'}`);
       }
     }
   }
@@ -307,6 +314,15 @@ function extractDayContent(lines, repTime, dayNum) {
         line.match(/\d{2}:\d{2}-\d{2}:\d{2}\s+[A-Z]{3}\s*-\s*[A-Z]{3}/) ||
         line.includes('SBYHOME')) {
       content += line + '\n';
+    } else if (line.includes('(DH)')) {
+      // Deadhead legs may wrap the arrival airport onto the next line
+      // (e.g., "13:00-14:10 (DH) Vienna (VIE) -" / "Berlin (BER)")
+      if (line.endsWith('-') && i + 1 < endLine) {
+        content += `${line} ${lines[i + 1]}\n`;
+        i++;
+      } else {
+        content += line + '\n';
+      }
     }
     
     // Stop if we hit another Rep time (next duty)
@@ -359,6 +375,24 @@ function parseDutyBlock(block, year, month, isUTC, defaultTimezone) {
     }
   }
   
+  // Check for reserve patterns
+  if (RESERVE_PATTERN.test(content)) {
+    const reserveMatch = content.match(/(\d{2}:\d{2})-(\d{2}:\d{2})\s+Unknown\s*-\s*(?:RES|RSV|RESERVE)\b/);
+    if (reserveMatch) {
+      const startTimeObj = convertTime(reserveMatch[1], date, 'VIE', isUTC, defaultTimezone);
+      const endTimeObj = convertTime(reserveMatch[2], date, 'VIE', isUTC, defaultTimezone);
+      
+      return {
+        id: generateId(),
+        date: date,
+        type: 'RESERVE',
+        reserveStartTime: startTimeObj.time,
+        reserveEndTime: endTimeObj.time,
+        notes: 'Reserve (RES)'
+      };
+    }
+  }
+  
   // Look for report time pattern (Rep HHMMZ)
   const reportMatch = content.match(/\(Rep\s+(\d{4})Z?\)/);
   if (!reportMatch) return null;
@@ -371,14 +405,39 @@ function parseDutyBlock(block, year, month, isUTC, defaultTimezone) {
   // First, remove layover lines to avoid false matches
   const contentWithoutLayovers = content.replace(/\d{2}:\d{2}\s+Layover\s*\([^)]+\)/g, '');
   
+  // Operated sectors ("10:25-12:10 AMS - VIE") and deadhead legs
+  // ("13:00-14:10 (DH) Vienna (VIE) - Berlin (BER)" or "13:00-14:10 (DH) VIE - BER")
+  const legs = [];
   const flightPattern = /(\d{2}:\d{2})-(\d{2}:\d{2})\s+([A-Z]{3})\s*-\s*([A-Z]{3})/g;
+  const deadheadPattern = /(\d{2}:\d{2})-(\d{2}:\d{2})\s+\(DH\)\s*(?:[^()\n]*\(([A-Z]{3})\)|([A-Z]{3}))\s*-\s*(?:[^()\n]*\(([A-Z]{3})\)|([A-Z]{3}))/g;
   let flightMatch;
   
   while ((flightMatch = flightPattern.exec(contentWithoutLayovers)) !== null) {
-    const depTime = flightMatch[1];
-    const arrTime = flightMatch[2];
-    const depAirport = flightMatch[3];
-    const arrAirport = flightMatch[4];
+    legs.push({
+      index: flightMatch.index,
+      depTime: flightMatch[1],
+      arrTime: flightMatch[2],
+      depAirport: flightMatch[3],
+      arrAirport: flightMatch[4],
+      positioning: false
+    });
+  }
+  
+  while ((flightMatch = deadheadPattern.exec(contentWithoutLayovers)) !== null) {
+    legs.push({
+      index: flightMatch.index,
+      depTime: flightMatch[1],
+      arrTime: flightMatch[2],
+      depAirport: flightMatch[3] || flightMatch[4],
+      arrAirport: flightMatch[5] || flightMatch[6],
+      positioning: true
+    });
+  }
+  
+  legs.sort((a, b) => a.index - b.index);
+  
+  for (const leg of legs) {
+    const { depTime, arrTime, depAirport, arrAirport } = leg;
     
     // Skip invalid flights (same departure and arrival with very short duration)
     if (depAirport === arrAirport) {
@@ -426,28 +485,49 @@ function parseDutyBlock(block, year, month, isUTC, defaultTimezone) {
       }
     }
     
-    flights.push({
-      flightNumber: `FL${flights.length + 1}`,
+    const flight = {
+      flightNumber: leg.positioning ? `DH${flights.length + 1}` : `FL${flights.length + 1}`,
       departure: depAirport,
       arrival: arrAirport,
       departureTime: depTimeObj.time,
       arrivalTime: arrTimeObj.time,
+      departureAt: depTimeObj.instant,
+      arrivalAt: arrTimeObj.instant,
+      departureZone: getAirportTimezone(depAirport) || defaultTimezone,
+      arrivalZone: getAirportTimezone(arrAirport) || defaultTimezone,
       aircraftType: 'Unknown'
-    });
+    };
+    
+    if (leg.positioning) {
+      flight.positioning = true;
+    }
+    
+    flights.push(flight);
   }
   
   // Extract check-out time
   let offDutyTime = '';
+  let offDutyAt = null;
   const checkOutMatch = content.match(/(\d{2}:\d{2})\s+Check\s+Out\s*[-:]\s*([A-Z]{3})/);
   if (checkOutMatch) {
     const checkOutTimeStr = checkOutMatch[1];
     const checkOutAirport = checkOutMatch[2];
     const checkOutTimeObj = convertTime(checkOutTimeStr, date, checkOutAirport, isUTC, defaultTimezone);
     offDutyTime = checkOutTimeObj.time;
+    offDutyAt = checkOutTimeObj.instant;
   }
   
   // Create duty period (ignoring layover information completely)
-  const reportTimeObj = convertTime(reportTime, date, flights[0]?.departure || 'VIE', isUTC, defaultTimezone);
+  const reportAirport = flights[0]?.departure || 'VIE';
+  const reportTimeObj = convertTime(reportTime, date, reportAirport, isUTC, defaultTimezone);
+  
+  // Events after midnight belong to the next day
+  let previousAt = reportTimeObj.instant;
+  flights.forEach(flight => {
+    flight.departureAt = rollInstantAfter(flight.departureAt, previousAt);
+    flight.arrivalAt = rollInstantAfter(flight.arrivalAt, flight.departureAt);
+    previousAt = flight.arrivalAt;
+  });
   
   const duty = {
     id: generateId(),
@@ -455,10 +535,21 @@ function parseDutyBlock(block, year, month, isUTC, defaultTimezone) {
     type: 'FLIGHT',
     reportTime: reportTimeObj.time,
     offDutyTime: offDutyTime,
+    reportAt: reportTimeObj.instant,
+    reportZone: getAirportTimezone(reportAirport) || defaultTimezone,
     flights: flights,
     notes: `Parsed from Roster Buster${isUTC ? ' (UTC→Local)' : ''}`
   };
   
+  if (offDutyAt) {
+    duty.offDutyAt = rollInstantAfter(offDutyAt, previousAt);
+  }
+  
+  // The following rest is taken where the last leg arrives
+  if (flights.length > 0) {
+    duty.restAirport = flights[flights.length - 1].arrival;
+  }
+  
   return duty;
 }
 
@@ -488,15 +579,16 @@ function getDayName(date) {
 
 /**
  * Convert time from UTC to local timezone or format local time
+ * Local times are read in the timezone of the airport where the event takes place.
  * @param {string} timeStr - Time in format "13:14" or "1314"
  * @param {string} date - Date in format "YYYY-MM-DD"
  * @param {string} airportCode - IATA airport code
  * @param {boolean} isUTC - Whether the input time is in UTC
  * @param {string} defaultTimezone - Default timezone if airport not found
- * @returns {Object} - Object with time and date information
+ * @returns {Object} - Object with time and date information and the UTC instant
  */
 function convertTime(timeStr, date, airportCode, isUTC, defaultTimezone) {
-  if (!timeStr) return { time: '', date: date, moment: null };
+  if (!timeStr) return { time: '', date: date, moment: null, instant: null };
   
   // Ensure time is in HH:MM format
   let formattedTime = timeStr;
@@ -504,21 +596,23 @@ function convertTime(timeStr, date, airportCode, isUTC, defaultTimezone) {
     formattedTime = `${timeStr.substring(0, 2)}:${timeStr.substring(2, 4)}`;
   }
   
+  // Get timezone for the airport
+  const timezone = getAirportTimezone(airportCode) || defaultTimezone;
+  
   if (!isUTC) {
     const localMoment = moment(`${date} ${formattedTime}`, 'YYYY-MM-DD HH:mm');
     return { 
       time: formattedTime, 
       date: date, 
-      moment: localMoment 
+      moment: localMoment,
+      instant: formatInstant(moment.tz(`${date} ${formattedTime}`, 'YYYY-MM-DD HH:mm', timezone))
     };
   }
   
   try {
-    // Get timezone for the airport
-    const timezone = getAirportTimezone(airportCode) || defaultTimezone;
-    
     // Create UTC moment
     const utcMoment = moment.utc(`${date} ${formattedTime}`, 'YYYY-MM-DD HH:mm');
+    const instant = formatInstant(utcMoment);
     
     // Convert to local timezone
     const localMoment = utcMoment.tz(timezone);
@@ -526,7 +620,8 @@ function convertTime(timeStr, date, airportCode, isUTC, defaultTimezone) {
     return { 
       time: localMoment.format('HH:mm'), 
       date: localMoment.format('YYYY-MM-DD'), 
-      moment: localMoment 
+      moment: localMoment,
+      instant
     };
   } catch (error) {
     console.warn(`Time conversion error for ${timeStr} at ${airportCode}:`, error.message);
@@ -534,11 +629,32 @@ function convertTime(timeStr, date, airportCode, isUTC, defaultTimezone) {
     return { 
       time: formattedTime, 
       date: date, 
-      moment: localMoment 
+      moment: localMoment,
+      instant: null
     };
   }
 }
 
+/**
+ * Format a moment as an ISO 8601 UTC timestamp
+ * @param {moment} value - Moment to format
+ * @returns {string} - Timestamp such as 2025-06-01T08:00:00Z
+ */
+function formatInstant(value) {
+  return value.clone().utc().format('YYYY-MM-DDTHH:mm:ss[Z]');
+}
+
+/**
+ * Move an instant to the next day if it falls before the previous event of a duty
+ * @param {string|null} instant - ISO 8601 UTC timestamp
+ * @param {string|null} after - ISO 8601 UTC timestamp of the previous event
+ * @returns {string|null} - ISO 8601 UTC timestamp or null without an instant
+ */
+function rollInstantAfter(instant, after) {
+  if (!instant || !after || !moment.utc(instant).isBefore(moment.utc(after))) return instant;
+  return formatInstant(moment.utc(instant).add(1, 'day'));
+}
+
 /**
  * Generate unique ID for duty periods
  * @returns {string} - Unique ID
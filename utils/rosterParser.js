@@ -26,6 +26,7 @@ function parseRosterText(rosterText, options = {}) {
     const lines = rosterText.trim().split('\n').map(line => line.trim()).filter(line => line.length > 0);
     let currentDuty = null;
     let currentDate = null;
+    let reserveAirport = null;
     
     for (let i = 0; i < lines.length; i++) {
       const line = lines[i];
@@ -43,6 +44,26 @@ function parseRosterText(rosterText, options = {}) {
         const dayNumber = parseInt(dateMatch[2]);
         currentDate = parseDate(dayName, dayNumber);
         
+        // Reserve day (e.g., "Mon09 RES VIE 0600 1800"); a later C/I is the assignment
+        const reserveMatch = line.match(/\bRES\s+([A-Z]{3})\s+(\d{4})\s+(\d{4})/);
+        if (reserveMatch) {
+          const airport = reserveMatch[1];
+          reserveAirport = airport;
+          
+          currentDuty = {
+            id: generateId(),
+            date: currentDate,
+            type: 'RESERVE',
+            reserveStartTime: convertTime(reserveMatch[2], currentDate, airport, isUTC, defaultTimezone),
+            reserveEndTime: convertTime(reserveMatch[3], currentDate, airport, isUTC, defaultTimezone),
+            reportTime: '',
+            offDutyTime: '',
+            flights: [],
+            notes: `Reserve: ${airport}${isUTC ? ' (UTC→Local)' : ''}`
+          };
+          continue;
+        }
+        
         // Parse C/I (Check-In) time - look for it in the same line or expect it in next lines
         const checkInMatch = line.match(/C\/I\s+([A-Z]{3})\s+(\d{4})/);
         if (checkInMatch) {
@@ -56,6 +77,8 @@ function parseRosterText(rosterText, options = {}) {
             type: 'FLIGHT',
             reportTime: localTime,
             offDutyTime: '', // Will be set when C/O is found
+            reportAt: toRosterInstant(utcTime, currentDate, airport, isUTC, defaultTimezone),
+            reportZone: getAirportTimezone(airport) || defaultTimezone,
             flights: [],
             notes: `Base: ${airport}${isUTC ? ' (UTC→Local)' : ''}`
           };
@@ -81,23 +104,37 @@ function parseRosterText(rosterText, options = {}) {
         const utcTime = standaloneCheckInMatch[2];
         const localTime = convertTime(utcTime, currentDate, airport, isUTC, defaultTimezone);
         currentDuty.reportTime = localTime;
-        currentDuty.notes = `Base: ${airport}${isUTC ? ' (UTC→Local)' : ''}`;
+        currentDuty.reportAt = toRosterInstant(utcTime, currentDate, airport, isUTC, defaultTimezone);
+        currentDuty.reportZone = getAirportTimezone(airport) || defaultTimezone;
+        currentDuty.notes = currentDuty.type === 'RESERVE'
+          ? `${currentDuty.notes} | Assigned: ${airport}`
+          : `Base: ${airport}${isUTC ? ' (UTC→Local)' : ''}`;
+        continue;
+      }
+      
+      // Check for reserve notification line (e.g., "NTF 1830")
+      const notificationMatch = line.match(/^NTF\s+(\d{4})$/);
+      if (notificationMatch && currentDuty && currentDuty.type === 'RESERVE') {
+        currentDuty.notificationTime = convertTime(notificationMatch[1], currentDate, reserveAirport, isUTC, defaultTimezone);
         continue;
       }
       // Check if line is a flight (e.g., "OS 655 VIE 1314 1454 RMO A220")
-      const flightMatch = line.match(/^([A-Z]{2})\s+(\d{3,4})\s+([A-Z]{3})\s+(\d{4})\s+(\d{4})\s+([A-Z]{3})\s+([A-Z0-9]+)$/);
+      // or a positioning flight (e.g., "DH OS 655 VIE 1314 1454 RMO A220")
+      const flightMatch = line.match(/^(DH\s+)?([A-Z]{2})\s+(\d{3,4})\s+([A-Z]{3})\s+(\d{4})\s+(\d{4})\s+([A-Z]{3})\s+([A-Z0-9]+)$/);
       if (flightMatch && currentDuty) {
-        const airline = flightMatch[1];
-        const flightNum = flightMatch[2];
-        const departure = flightMatch[3];
-        const utcDepTime = flightMatch[4];
-        const utcArrTime = flightMatch[5];
-        const arrival = flightMatch[6];
-        const aircraft = flightMatch[7];
+        const positioning = Boolean(flightMatch[1]);
+        const airline = flightMatch[2];
+        const flightNum = flightMatch[3];
+        const departure = flightMatch[4];
+        const utcDepTime = flightMatch[5];
+        const utcArrTime = flightMatch[6];
+        const arrival = flightMatch[7];
+        const aircraft = flightMatch[8];
         
         // Convert times to local times based on departure/arrival airports
         const localDepTime = convertTime(utcDepTime, currentDate, departure, isUTC, defaultTimezone);
         const localArrTime = convertTime(utcArrTime, currentDate, arrival, isUTC, defaultTimezone);
+        const departureAt = toRosterInstant(utcDepTime, currentDate, departure, isUTC, defaultTimezone, getLastInstant(currentDuty));
         
         const flight = {
           flightNumber: `${airline}${flightNum}`,
@@ -105,9 +142,17 @@ function parseRosterText(rosterText, options = {}) {
           arrival: arrival,
           departureTime: localDepTime,
           arrivalTime: localArrTime,
+          departureAt,
+          arrivalAt: toRosterInstant(utcArrTime, currentDate, arrival, isUTC, defaultTimezone, departureAt),
+          departureZone: getAirportTimezone(departure) || defaultTimezone,
+          arrivalZone: getAirportTimezone(arrival) || defaultTimezone,
           aircraftType: aircraft
         };
         
+        if (positioning) {
+          flight.positioning = true;
+        }
+        
         currentDuty.flights.push(flight);
         continue;
       }
@@ -121,6 +166,8 @@ function parseRosterText(rosterText, options = {}) {
         const localTime = convertTime(utcTime, currentDate, airport, isUTC, defaultTimezone);
         
         currentDuty.offDutyTime = localTime;
+        currentDuty.offDutyAt = toRosterInstant(utcTime, currentDate, airport, isUTC, defaultTimezone, getLastInstant(currentDuty));
+        currentDuty.restAirport = airport;
         currentDuty.notes += ` | End: ${airport} | FT: ${flightTime}`;
         continue;
       }
@@ -236,6 +283,11 @@ function validateParsedData(dutyPeriods) {
       errors.push(`Duty ${index + 1}: Missing date`);
     }
     
+    // Unassigned reserve has no report time or flights
+    if (duty.type === 'RESERVE' && !duty.reportTime) {
+      return;
+    }
+    
     if (!duty.reportTime) {
       errors.push(`Duty ${index + 1}: Missing report time`);
     }
@@ -304,6 +356,41 @@ function convertTime(timeStr, date, airportCode, isUTC, defaultTimezone) {
   }
 }
 
+/**
+ * Convert a roster time to a UTC instant
+ * Local times are read in the timezone of the airport where the event takes place.
+ * @param {string} timeStr - Time in format "1314" or "0915"
+ * @param {string} date - Date in format "YYYY-MM-DD"
+ * @param {string} airportCode - IATA airport code
+ * @param {boolean} isUTC - Whether the input time is in UTC
+ * @param {string} defaultTimezone - Default timezone if airport not found
+ * @param {string|null} after - Instant of the previous event of the duty; earlier times fall on the next day
+ * @returns {string} - ISO 8601 UTC timestamp
+ */
+function toRosterInstant(timeStr, date, airportCode, isUTC, defaultTimezone, after = null) {
+  const dateTime = `${date} ${formatTime(timeStr)}`;
+  const instant = isUTC
+    ? moment.utc(dateTime, 'YYYY-MM-DD HH:mm')
+    : moment.tz(dateTime, 'YYYY-MM-DD HH:mm', getAirportTimezone(airportCode) || defaultTimezone).utc();
+  
+  // Handle events after midnight
+  if (after && instant.isBefore(after)) {
+    instant.add(1, 'day');
+  }
+  
+  return instant.format('YYYY-MM-DDTHH:mm:ss[Z]');
+}
+
+/**
+ * Get the instant of the latest event parsed so far for a duty
+ * @param {Object} duty - Duty period being parsed
+ * @returns {string|null} - ISO 8601 UTC timestamp or null before check-in
+ */
+function getLastInstant(duty) {
+  const lastFlight = duty.flights[duty.flights.length - 1];
+  return lastFlight ? lastFlight.arrivalAt : duty.reportAt || null;
+}
+
 /**
  * Example of expected roster format for documentation
  */
@@ -0,0 +1,249 @@
+// EASA FTL limits (ORO.FTL, CS FTL.1)
+const EASA_LIMITS = {
+  // Maximum daily FDP for acclimatised crew members (ORO.FTL.205(b)(1), Table 2)
+  // Rows are FDP start bands at reference time, columns are sector counts
+  maxFDP: {
+    table: 'ORO.FTL.205(b)(1) Table 2',
+    sectorColumns: ['1-2', '3', '4', '5', '6', '7', '8', '9', '10'],
+    firstColumnSectors: 2, // sectors covered by the first column
+    bands: [
+      { from: '06:00', to: '13:29', limits: [13.00, 12.50, 12.00, 11.50, 11.00, 10.50, 10.00, 9.50, 9.00] },
+      { from: '13:30', to: '13:59', limits: [12.75, 12.25, 11.75, 11.25, 10.75, 10.25, 9.75, 9.25, 9.00] },
+      { from: '14:00', to: '14:29', limits: [12.50, 12.00, 11.50, 11.00, 10.50, 10.00, 9.50, 9.00, 9.00] },
+      { from: '14:30', to: '14:59', limits: [12.25, 11.75, 11.25, 10.75, 10.25, 9.75, 9.25, 9.00, 9.00] },
+      { from: '15:00', to: '15:29', limits: [12.00, 11.50, 11.00, 10.50, 10.00, 9.50, 9.00, 9.00, 9.00] },
+      { from: '15:30', to: '15:59', limits: [11.75, 11.25, 10.75, 10.25, 9.75, 9.25, 9.00, 9.00, 9.00] },
+      { from: '16:00', to: '16:29', limits: [11.50, 11.00, 10.50, 10.00, 9.50, 9.00, 9.00, 9.00, 9.00] },
+      { from: '16:30', to: '16:59', limits: [11.25, 10.75, 10.25, 9.75, 9.25, 9.00, 9.00, 9.00, 9.00] },
+      { from: '17:00', to: '04:59', limits: [11.00, 10.50, 10.00, 9.50, 9.00, 9.00, 9.00, 9.00, 9.00] },
+      { from: '05:00', to: '05:14', limits: [12.00, 11.50, 11.00, 10.50, 10.00, 9.50, 9.00, 9.00, 9.00] },
+      { from: '05:15', to: '05:29', limits: [12.25, 11.75, 11.25, 10.75, 10.25, 9.75, 9.25, 9.00, 9.00] },
+      { from: '05:30', to: '05:44', limits: [12.50, 12.00, 11.50, 11.00, 10.50, 10.00, 9.50, 9.00, 9.00] },
+      { from: '05:45', to: '05:59', limits: [12.75, 12.25, 11.75, 11.25, 10.75, 10.25, 9.75, 9.25, 9.00] }
+    ]
+  },
+
+  // Maximum daily FDP for crew members in an unknown state of acclimatisation
+  // (ORO.FTL.205(b)(2), Table 3), by sector count
+  maxFDPUnknownAcclimatisation: {
+    table: 'ORO.FTL.205(b)(2) Table 3',
+    sectorColumns: ['1-2', '3', '4', '5', '6', '7', '8'],
+    firstColumnSectors: 2,
+    limits: [11.00, 10.50, 10.00, 9.50, 9.00, 9.00, 9.00]
+  },
+
+  // Same as above when the operator has an approved FRM (ORO.FTL.205(b)(3), Table 4)
+  maxFDPUnknownAcclimatisationFRM: {
+    table: 'ORO.FTL.205(b)(3) Table 4',
+    sectorColumns: ['1-2', '3', '4', '5', '6', '7', '8'],
+    firstColumnSectors: 2,
+    limits: [12.00, 11.50, 11.00, 10.50, 10.00, 9.50, 9.00]
+  },
+
+  // Maximum daily FDP with in-flight rest for augmented flight crew (CS FTL.1.205(c))
+  // by class of in-flight rest facility and number of pilots
+  augmentedCrew: {
+    table: 'CS FTL.1.205(c)',
+    limits: {
+      1: { 3: 16, 4: 17 },
+      2: { 3: 15, 4: 16 },
+      3: { 3: 14, 4: 15 }
+    },
+    maxSectors: 3,             // augmented FDPs are limited to 3 sectors
+    longSectorIncrease: 1,     // hours added for one sector of more than 9h continuous flight time
+    longSectorFlightTime: 9,   // hours of continuous flight time for the increase
+    longSectorMaxSectors: 2,   // the increase only applies to FDPs of up to 2 sectors
+    minInFlightRest: 1.5       // hours of consecutive in-flight rest for each crew member
+  },
+
+  // Standby (ORO.FTL.225, CS FTL.1.225)
+  standby: {
+    airport: {
+      reductionThreshold: 4,     // max FDP reduced by standby time in excess of 4 hours
+      maxCombinedWithFDP: 16,    // airport standby + assigned FDP
+      dutyCredit: 1              // counts in full as duty (ORO.FTL.210)
+    },
+    home: {
+      maxDuration: 16,           // standby other than airport standby
+      reductionThreshold: 6,     // max FDP reduced by standby time in excess of 6 hours
+      reductionThresholdExtendedFDP: 8, // threshold with in-flight rest or split duty
+      maxAwakeTime: 18,          // standby + FDP should not lead to more than 18h awake
+      dutyCredit: 0.25,          // 25% counts as duty (ORO.FTL.210)
+      nightExclusion: { start: '23:00', end: '06:59' } // not counted until contacted
+    }
+  },
+
+  // Reserve (ORO.FTL.230, CS FTL.1.230)
+  reserve: {
+    minNotification: 10,       // hours between notification and reporting for an assigned FDP
+    protectedSleep: {          // 8-hour sleep opportunity protected from contact
+      start: '22:00',
+      duration: 8
+    },
+    dutyCredit: 0              // reserve time does not count as duty (ORO.FTL.210)
+  },
+
+  // Window of circadian low in the time zone to which the crew member is acclimatised
+  wocl: {
+    start: '02:00',
+    end: '05:59'
+  },
+
+  // Split duty (ORO.FTL.220, CS FTL.1.220)
+  splitDuty: {
+    minimumBreak: 3,             // hours of consecutive break on the ground
+    postPreFlightAllowance: 0.5, // hours of post/pre-flight duties and travelling excluded from the break
+    extensionFactor: 0.5,        // max FDP may be increased by up to 50% of the break
+    accommodationThreshold: 6    // breaks of 6h or more require accommodation
+  },
+
+  // Minimum rest periods (ORO.FTL.235)
+  // At least as long as the preceding duty period (ORO.FTL.235(a), (b))
+  minRest: {
+    homeBase: 12,          // hours before an FDP starting at home base
+    awayFromBase: 10,      // hours before an FDP starting away from base
+    sleepOpportunity: 8,   // hours of sleep opportunity away from base
+    physiologicalNeeds: 1  // hours allowed for physiological needs away from base
+  },
+
+  // Reduced rest under an approved scheme (CS FTL.1.235(c)); the reduction is added
+  // to the following rest and deducted from the following FDP
+  reducedRest: {
+    homeBase: 10,                // minimum reduced rest at home base
+    awayFromBase: 8,             // minimum reduced rest away from base
+    maxBetweenRecoveryRests: 2   // reduced rests between two recovery rests
+  },
+
+  // Additional rest to compensate for time zone differences (CS FTL.1.235(b))
+  timeZoneRest: {
+    minTimeDifference: 4,          // hours of time difference from which additional rest applies
+    homeBaseLocalNights: {         // Table 1: local nights at home base after a rotation
+      elapsedColumns: ['<48', '48-71:59', '72-95:59', '>=96'],
+      elapsedBounds: [48, 72, 96], // hours since reporting for the first FDP of the rotation
+      rows: [
+        { upTo: 6, localNights: [2, 2, 3, 3] },
+        { upTo: 9, localNights: [2, 3, 3, 4] },
+        { upTo: 12, localNights: [2, 3, 4, 5] }
+      ]
+    },
+    awayFromBaseMinRest: 14,       // hours of rest away from base after such an FDP
+    alternatingRotationLocalNights: 3 // local nights between eastward and westward rotations
+  },
+
+  // Recurrent extended recovery rest (ORO.FTL.235(d))
+  recoveryRest: {
+    minDuration: 36,        // hours
+    localNights: 2,         // local nights included in the rest
+    maxInterval: 168,       // hours between recovery rests
+    localNight: {           // 8 hours between 22:00 and 08:00 local time
+      start: '22:00',
+      end: '08:00',
+      duration: 8
+    },
+    extendedLocalDays: 2,   // local days in an extended recovery rest
+    extendedPerMonth: 2     // extended recovery rests per calendar month
+  },
+
+  // Maximum flight time of sectors (ORO.FTL.210(b)); windows are measured from 00:00 UTC
+  maxFlightTime: {
+    daily: 8,               // hours per day
+    rolling28Days: 100,     // hours per 28 consecutive days
+    calendarYear: 900,      // hours per calendar year
+    rolling12Months: 1000   // hours per 12 consecutive calendar months
+  },
+
+  // Maximum total duty periods (ORO.FTL.210(a)); windows are measured from 00:00 UTC
+  maxDutyTime: {
+    weekly: 60,             // hours per 7 consecutive days
+    fortnightly: 110,       // hours per 14 consecutive days
+    rolling28Days: 190      // hours per 28 consecutive days
+  },
+
+  // Fatigue risk factors
+  fatigueRisk: {
+    highSectorCount: 6,     // 6+ sectors considered high fatigue risk
+  },
+
+  // Disruptive schedules (ORO.FTL.105, CS FTL.1.235(a)) in the time zone to which
+  // the crew member is acclimatised; early and late type operators differ
+  disruptiveSchedule: {
+    early: {
+      earlyStart: { start: '05:00', end: '05:59' },
+      lateFinish: { start: '23:00', end: '01:59' }
+    },
+    late: {
+      earlyStart: { start: '05:00', end: '06:59' },
+      lateFinish: { start: '00:00', end: '01:59' }
+    },
+    nightDuty: { start: '02:00', end: '04:59' },
+    transitionLocalNights: 1,        // local nights in the rest from late finish/night duty to early start
+    extendedRecoveryRestAfter: 4,    // disruptive duties between recovery rests that extend the next one
+    extendedRecoveryRest: 60,        // hours
+    maxConsecutiveNightDuties: 3
+  },
+
+  // FDP extensions (ORO.FTL.205(d))
+  extensions: {
+    maxPerWeek: 2,        // Maximum 2 extensions per 7 consecutive days
+    window: 168,          // hours of the rolling window for maxPerWeek
+    maxExtension: 1,      // Maximum 1 hour extension
+    requiresNotification: true,
+    excludedStartTimes: { start: '19:00', end: '05:14' }, // CS FTL.1.205(b)(1) "not allowed"
+    sectorLimits: [       // ORO.FTL.205(d)(1) by WOCL encroachment
+      { maxEncroachment: 0, maxSectors: 5 },
+      { maxEncroachment: 2, maxSectors: 4 },
+      { maxEncroachment: Infinity, maxSectors: 2 }
+    ],
+    restIncrease: {       // ORO.FTL.205(d)(2)
+      preAndPost: 2,      // hours added to both the pre- and post-flight rest
+      postOnly: 4         // or hours added to the post-flight rest only
+    }
+  },
+
+  // Delayed reporting in unforeseen circumstances (CS FTL.1.205(d))
+  delayedReporting: {
+    moreLimitingFrom: 4,  // hours of delay from which the more limiting reporting time sets the max FDP
+    restFrom: 10          // hours of notified delay that count as rest
+  },
+
+  // Commander's discretion in unforeseen circumstances (ORO.FTL.205(f))
+  commandersDiscretion: {
+    maxIncrease: 2,               // hours above the max basic daily FDP
+    maxIncreaseAugmented: 3,      // hours with augmented flight crew
+    minRestAfter: 10,             // the following rest may be reduced but never below 10 hours
+    authorityReportThreshold: 1,  // increases or reductions above 1 hour are sent to the authority
+    authorityReportDays: 28       // days after the event to send the report to the authority
+  },
+
+  // Cabin crew (ORO.FTL.205(c), CS FTL.1.205(c))
+  cabinCrew: {
+    maxReportingDifference: 1,    // cabin crew may report up to 1 hour before the flight crew
+    // Minimum in-flight rest for each cabin crew member by extended FDP and class of rest facility
+    inFlightRest: {
+      table: 'CS FTL.1.205(c) cabin crew',
+      rows: [
+        { maxFDP: 14.5, minRest: { 1: 1.5, 2: 1.5, 3: 1.5 } },
+        { maxFDP: 15, minRest: { 1: 1.75, 2: 2, 3: 2 + 20 / 60 } },
+        { maxFDP: 15.5, minRest: { 1: 2, 2: 2 + 20 / 60, 3: 2 + 40 / 60 } },
+        { maxFDP: 16, minRest: { 1: 2.25, 2: 2 + 40 / 60, 3: 3 } },
+        { maxFDP: 16.5, minRest: { 1: 2 + 35 / 60, 2: 3, 3: 3 + 25 / 60 } },
+        { maxFDP: 17, minRest: { 1: 3, 2: 3 + 25 / 60, 3: 3 + 50 / 60 } },
+        { maxFDP: 17.5, minRest: { 1: 3 + 25 / 60, 2: 3 + 50 / 60, 3: 4.25 } },
+        { maxFDP: 18, minRest: { 1: 3 + 50 / 60, 2: 4.25, 3: 4 + 40 / 60 } }
+      ]
+    }
+  }
+};
+
+module.exports = {
+  id: 'easa',
+  name: 'EASA ORO.FTL',
+  authority: 'competent authority',
+  description: 'EASA flight time limitations (ORO.FTL, CS FTL.1)',
+  crewCategories: ['flight', 'cabin'],
+  limits: EASA_LIMITS,
+  references: {
+    commandersDiscretion: 'ORO.FTL.205(f)'
+  },
+  formatReference: reference => reference
+};
@@ -0,0 +1,1076 @@
+const moment = require('moment-timezone');
+const {
+  getDepartureAirport,
+  getKnownTimezone,
+  getDutyTimezone,
+  getDutyStartInstant,
+  getOffDutyInstant,
+  getStandbyStartInstant,
+  getStandbyEndInstant,
+  getReservePeriod,
+  getFlightInstants,
+  getTimeDifference,
+  calculateFDP,
+  calculateFlightTime,
+  getSectors,
+  getSectorCount,
+  toMinutesOfDay,
+  isWithinBand,
+  formatDuration,
+  formatDateTime
+} = require('../dutyTimes');
+const { compare, cumulativeLimitRule, resolveRuleSelection, applyRules } = require('../complianceRules');
+
+// FAA flight and duty limitations for flightcrew members (14 CFR Part 117)
+const FAA_PART117_LIMITS = {
+  // Maximum flight time (§117.11, Table A) by report time in the theater of acclimation
+  maxFlightTime: {
+    table: '14 CFR 117 Table A',
+    bands: [
+      { from: '00:00', to: '04:59', hours: 8 },
+      { from: '05:00', to: '19:59', hours: 9 },
+      { from: '20:00', to: '23:59', hours: 8 }
+    ],
+    augmented: { 3: 13, 4: 17 }   // §117.11(a)(2) by number of pilots
+  },
+
+  // Maximum FDP for unaugmented operations (§117.13, Table B)
+  // Rows are scheduled start bands in acclimated time, columns are flight segments
+  maxFDP: {
+    table: '14 CFR 117 Table B',
+    segmentColumns: ['1', '2', '3', '4', '5', '6', '7+'],
+    bands: [
+      { from: '00:00', to: '03:59', limits: [9, 9, 9, 9, 9, 9, 9] },
+      { from: '04:00', to: '04:59', limits: [10, 10, 10, 10, 9, 9, 9] },
+      { from: '05:00', to: '05:59', limits: [12, 12, 12, 12, 11.5, 11, 10.5] },
+      { from: '06:00', to: '06:59', limits: [13, 13, 12, 12, 11.5, 11, 10.5] },
+      { from: '07:00', to: '11:59', limits: [14, 14, 13, 13, 12.5, 12, 11.5] },
+      { from: '12:00', to: '12:59', limits: [13, 13, 13, 13, 12.5, 12, 11.5] },
+      { from: '13:00', to: '16:59', limits: [12, 12, 12, 12, 11.5, 11, 10.5] },
+      { from: '17:00', to: '21:59', limits: [12, 12, 11, 11, 10, 9, 9] },
+      { from: '22:00', to: '22:59', limits: [11, 11, 10, 10, 9, 9, 9] },
+      { from: '23:00', to: '23:59', limits: [10, 10, 10, 9, 9, 9, 9] }
+    ]
+  },
+
+  // Maximum FDP for augmented operations (§117.17, Table C)
+  // by scheduled start in acclimated time, class of rest facility and number of pilots
+  augmentedCrew: {
+    table: '14 CFR 117 Table C',
+    bands: [
+      { from: '00:00', to: '05:59', limits: { 1: { 3: 15, 4: 17 }, 2: { 3: 14, 4: 15.5 }, 3: { 3: 13, 4: 13.5 } } },
+      { from: '06:00', to: '06:59', limits: { 1: { 3: 16, 4: 18.5 }, 2: { 3: 15, 4: 16.5 }, 3: { 3: 14, 4: 14.5 } } },
+      { from: '07:00', to: '12:59', limits: { 1: { 3: 17, 4: 19 }, 2: { 3: 16.5, 4: 18 }, 3: { 3: 15, 4: 15.5 } } },
+      { from: '13:00', to: '16:59', limits: { 1: { 3: 16, 4: 18.5 }, 2: { 3: 15, 4: 16.5 }, 3: { 3: 14, 4: 14.5 } } },
+      { from: '17:00', to: '23:59', limits: { 1: { 3: 15, 4: 17 }, 2: { 3: 14, 4: 15.5 }, 3: { 3: 13, 4: 13.5 } } }
+    ]
+  },
+
+  // Acclimation (§117.3): a theater spans no more than 60 degrees of longitude,
+  // taken here as 4 hours of time difference
+  acclimation: {
+    theaterTimeDifference: 4,   // hours of time difference within one theater
+    hoursInTheater: 72,         // hours in a new theater to become acclimated
+    freeFromDuty: 36,           // or consecutive hours free from duty in the new theater
+    notAcclimatedReduction: 0.5 // hours deducted from Table B and C (§117.13(c), §117.17(b))
+  },
+
+  // FDP extension in unforeseen operational circumstances (§117.19(a))
+  commandersDiscretion: {
+    maxIncrease: 2,               // hours above Table B or C
+    maxIncreaseAugmented: 2,
+    repeatThreshold: 0.5,         // extensions above 30 minutes once between §117.25(b) rests
+    authorityReportThreshold: 0.5, // extensions above 30 minutes are reported to the FAA
+    authorityReportDays: 10       // days after the event to report to the FAA
+  },
+
+  // Short-call reserve (§117.21(c)), checked on STANDBY duties
+  reserve: {
+    maxAvailabilityPeriod: 14,    // hours of reserve availability period
+    maxCombinedAboveTableB: 4,    // reserve availability period + FDP: Table B plus 4 hours
+    maxCombined: 16               // or 16 hours, whichever is less
+  },
+
+  // Rest (§117.25)
+  minRest: {
+    beforeFDP: 10,          // consecutive hours before an FDP or reserve (§117.25(e))
+    sleepOpportunity: 8     // uninterrupted hours of sleep opportunity within that rest
+  },
+  freeFromDuty: {
+    minDuration: 30,        // consecutive hours free from all duty (§117.25(b))
+    window: 168             // within the 168 consecutive hours before an FDP or reserve
+  },
+
+  // Window of circadian low in acclimated time (§117.3) and nighttime operations (§117.27)
+  wocl: {
+    start: '02:00',
+    end: '05:59'
+  },
+  maxConsecutiveNightFDPs: 3,
+
+  // Cumulative limits (§117.23) in consecutive hours ending with each FDP
+  maxFlightTime672Hours: 100,
+  maxFlightTime365Days: 1000,
+  maxFDP168Hours: 60,
+  maxFDP672Hours: 190
+};
+
+// Categories a rule selection can name instead of single rules
+const FAA_RULE_CATEGORIES = {
+  fdp: 'Flight duty period limits (Table B and C) and extensions',
+  flightTime: 'Flight time limits (Table A)',
+  reserve: 'Short-call reserve availability period and reserve combined with an FDP',
+  rest: 'Rest before an FDP or reserve and time free from duty',
+  disruptive: 'Consecutive FDPs infringing on the WOCL',
+  cumulative: 'Cumulative flight and duty time',
+  fatigue: 'Fatigue heuristics beyond the regulatory limits'
+};
+
+// Part 117 rules in the order their issues are reported, evaluated by applyRules
+// like the ORO.FTL rules (see complianceRules.js)
+const FAA_RULES = [
+  {
+    id: 'RESERVE_AVAILABILITY_EXCEEDED',
+    category: 'reserve',
+    stage: 'reserve',
+    regulation: '14 CFR 117.21(c)(1)',
+    severity: 'HIGH',
+    messageKeys: ['standbyDurationExceeded'],
+    limits: ['reserve'],
+    fatigueRisk: 'Long reserve availability periods extend the time awake before a possible FDP',
+    recommendation: 'Limit the reserve availability period to 14 hours',
+    evaluate: ({ availability, limits }, t) => {
+      const max = limits.reserve.maxAvailabilityPeriod;
+      if (availability <= max) return null;
+
+      return {
+        message: `${t.standbyDurationExceeded}: ${formatDuration(availability)} > ${formatDuration(max)}`,
+        calculation: compare(availability, '>', max)
+      };
+    }
+  },
+  {
+    id: 'RESERVE_COMBINED_DUTY_EXCEEDED',
+    category: 'reserve',
+    stage: 'reserveFdp',
+    regulation: '14 CFR 117.21(c)(3)',
+    severity: 'HIGH',
+    messageKeys: ['reserveCombinedDutyExceeded'],
+    limits: ['reserve', 'maxFDP'],
+    fatigueRisk: 'Reserve followed by a long FDP keeps the crew member awake for too long',
+    recommendation: 'Call the crew member earlier or shorten the FDP',
+    evaluate: ({ availability, fdp, maxCombinedTerms, augmentedCrew }, t) => {
+      const combined = availability + fdp;
+      const maxCombined = Object.values(maxCombinedTerms).reduce((sum, term) => sum + term, 0);
+      if (augmentedCrew || combined <= maxCombined) return null;
+
+      return {
+        message: `${t.reserveCombinedDutyExceeded}: ${formatDuration(combined)} > ${formatDuration(maxCombined)}`,
+        calculation: compare({ availability, fdp }, '>', maxCombinedTerms)
+      };
+    }
+  },
+  {
+    id: 'REST_INSUFFICIENT',
+    category: 'rest',
+    stage: 'rest',
+    regulation: '14 CFR 117.25(e)',
+    severity: 'HIGH',
+    messageKeys: ['restInsufficient'],
+    limits: ['minRest'],
+    fatigueRisk: 'Insufficient rest increases fatigue accumulation',
+    recommendation: 'Provide 10 consecutive hours of rest including 8 hours of uninterrupted sleep opportunity',
+    evaluate: ({ rest, limits }, t) => {
+      if (rest === null || rest >= limits.minRest.beforeFDP) return null;
+
+      return {
+        message: `${t.restInsufficient}: ${formatDuration(rest)} < ${formatDuration(limits.minRest.beforeFDP)}`,
+        calculation: compare(rest, '<', limits.minRest.beforeFDP)
+      };
+    }
+  },
+  {
+    id: 'FREE_FROM_DUTY_INSUFFICIENT',
+    category: 'rest',
+    stage: 'rest',
+    regulation: '14 CFR 117.25(b)',
+    severity: 'HIGH',
+    messageKeys: ['freeFromDutyInsufficient'],
+    limits: ['freeFromDuty'],
+    fatigueRisk: 'Cumulative fatigue builds up without a weekly rest',
+    recommendation: 'Provide 30 consecutive hours free from all duty within the past 168 hours',
+    evaluate: ({ freeFromDuty, start, limits }, t) => {
+      if (freeFromDuty.longest >= limits.freeFromDuty.minDuration) return null;
+
+      const end = start.clone().utc();
+      return {
+        message: `${t.freeFromDutyInsufficient}: ${formatDuration(freeFromDuty.longest)} < ${formatDuration(limits.freeFromDuty.minDuration)}`,
+        window: {
+          start: formatDateTime(end.clone().subtract(limits.freeFromDuty.window, 'hours')),
+          end: formatDateTime(end),
+          timezone: 'UTC'
+        },
+        calculation: compare(freeFromDuty.longest, '<', limits.freeFromDuty.minDuration)
+      };
+    }
+  },
+  {
+    id: 'FDP_EXTENSION_EXCEEDED',
+    category: 'fdp',
+    stage: 'fdp',
+    regulation: '14 CFR 117.19(a)(1)',
+    severity: 'HIGH',
+    messageKeys: ['extensionExceeded'],
+    limits: ['commandersDiscretion'],
+    fatigueRisk: 'FDP extended beyond what unforeseen operational circumstances allow',
+    recommendation: 'Limit the extension to 2 hours',
+    evaluate: ({ extension }, t) => {
+      if (!extension || extension.recorded <= extension.maxIncrease) return null;
+
+      return {
+        message: `${t.extensionExceeded}: ${formatDuration(extension.recorded)} > ${formatDuration(extension.maxIncrease)}`,
+        calculation: compare(extension.recorded, '>', extension.maxIncrease)
+      };
+    }
+  },
+  {
+    id: 'FDP_EXCEEDED',
+    category: 'fdp',
+    stage: 'fdp',
+    regulation: '14 CFR 117.13',
+    severity: 'HIGH',
+    messageKeys: ['fdpExceeded'],
+    limits: ['maxFDP', 'augmentedCrew', 'acclimation', 'commandersDiscretion'],
+    fatigueRisk: 'High risk of pilot fatigue due to excessive duty period',
+    recommendation: 'Reduce the FDP or plan an augmented operation',
+    evaluate: ({ fdp, maxFDP, maxFDPTerms, allowedIncrease, augmentedCrew }, t) => {
+      if (fdp <= maxFDP + allowedIncrease) return null;
+
+      return {
+        message: `${t.fdpExceeded}: ${formatDuration(fdp)} > ${formatDuration(maxFDP + allowedIncrease)}`,
+        calculation: compare(fdp, '>', { ...maxFDPTerms, extension: allowedIncrease }),
+        regulation: augmentedCrew ? '14 CFR 117.17' : undefined
+      };
+    }
+  },
+  {
+    id: 'FDP_EXTENSION_USED',
+    category: 'fdp',
+    stage: 'fdp',
+    regulation: '14 CFR 117.19(a)(4)',
+    severity: 'MEDIUM',
+    messageKeys: ['fdpExtensionUsed'],
+    limits: ['maxFDP', 'augmentedCrew', 'acclimation', 'commandersDiscretion'],
+    fatigueRisk: 'FDP extended beyond Table B or C in unforeseen operational circumstances',
+    recommendation: 'Record the extension',
+    evaluate: ({ fdp, maxFDP, maxFDPTerms, allowedIncrease, extension, limits }, t) => {
+      if (fdp <= maxFDP || fdp > maxFDP + allowedIncrease) return null;
+
+      return {
+        message: `${t.fdpExtensionUsed}: ${formatDuration(fdp)} > ${formatDuration(maxFDP)} (+${formatDuration(extension.increase)})`,
+        calculation: compare(fdp, '>', maxFDPTerms),
+        recommendation: extension.increase > limits.commandersDiscretion.authorityReportThreshold
+          ? 'Report the extension to the FAA within 10 days'
+          : undefined
+      };
+    }
+  },
+  {
+    id: 'FDP_CLOSE_TO_LIMIT',
+    category: 'fatigue',
+    stage: 'fdp',
+    regulation: '14 CFR 117.13',
+    severity: 'MEDIUM',
+    regulatory: false,
+    messageKeys: ['closeToLimit'],
+    limits: ['maxFDP', 'augmentedCrew', 'acclimation'],
+    fatigueRisk: 'Increased fatigue risk when approaching FDP limits',
+    recommendation: 'Monitor crew alertness and consider fatigue mitigation',
+    evaluate: ({ fdp, maxFDP, maxFDPTerms, augmentedCrew }, t) => {
+      if (fdp <= maxFDP - 0.5 || fdp > maxFDP) return null;
+
+      return {
+        message: `${t.closeToLimit}: ${formatDuration(fdp)} (max: ${formatDuration(maxFDP)})`,
+        calculation: compare(fdp, '>', { ...maxFDPTerms, margin: -0.5 }),
+        regulation: augmentedCrew ? '14 CFR 117.17' : undefined
+      };
+    }
+  },
+  {
+    id: 'FLIGHT_TIME_EXCEEDED',
+    category: 'flightTime',
+    stage: 'flightTime',
+    regulation: '14 CFR 117.11',
+    severity: 'HIGH',
+    messageKeys: ['flightTimeExceeded'],
+    limits: ['maxFlightTime'],
+    fatigueRisk: 'Excessive flight time increases workload and fatigue',
+    recommendation: 'Reduce flight time or plan an augmented operation',
+    evaluate: ({ flightTime, maxFlightTime }, t) => {
+      if (flightTime <= maxFlightTime) return null;
+
+      return {
+        message: `${t.flightTimeExceeded}: ${formatDuration(flightTime)} > ${formatDuration(maxFlightTime)}`,
+        calculation: compare(flightTime, '>', maxFlightTime)
+      };
+    }
+  },
+  {
+    id: 'FDP_EXTENSION_REPEATED',
+    category: 'fdp',
+    stage: 'extension',
+    regulation: '14 CFR 117.19(a)(3)',
+    severity: 'HIGH',
+    messageKeys: ['fdpExtensionRepeated'],
+    limits: ['commandersDiscretion', 'freeFromDuty'],
+    fatigueRisk: 'Repeated long extensions without a weekly rest accumulate fatigue',
+    recommendation: 'Provide 30 consecutive hours free from duty before another extension of more than 30 minutes',
+    evaluate: ({ extension, lastLongExtension, freeFromDuty, start, limits }, t) => {
+      const threshold = limits.commandersDiscretion.repeatThreshold;
+      if (!extension || extension.increase <= threshold || !lastLongExtension ||
+          freeFromDuty.since.isAfter(lastLongExtension)) {
+        return null;
+      }
+
+      return {
+        message: `${t.fdpExtensionRepeated}: ${formatDuration(extension.increase)}`,
+        window: {
+          start: formatDateTime(lastLongExtension.clone().utc()),
+          end: formatDateTime(start.clone().utc()),
+          timezone: 'UTC'
+        },
+        calculation: compare(extension.increase, '>', threshold)
+      };
+    }
+  },
+  {
+    id: 'CONSECUTIVE_NIGHT_DUTIES_EXCEEDED',
+    category: 'disruptive',
+    stage: 'night',
+    regulation: '14 CFR 117.27',
+    severity: 'HIGH',
+    messageKeys: ['consecutiveNightDutiesExceeded'],
+    limits: ['wocl', 'maxConsecutiveNightFDPs'],
+    fatigueRisk: 'Successive nighttime operations accumulate circadian disruption',
+    recommendation: 'Limit consecutive FDPs infringing on the WOCL to 3, or 5 with a rest opportunity during each',
+    evaluate: ({ consecutive, limits }, t) => {
+      if (consecutive <= limits.maxConsecutiveNightFDPs) return null;
+
+      return {
+        message: `${t.consecutiveNightDutiesExceeded}: ${consecutive} > ${limits.maxConsecutiveNightFDPs}`,
+        calculation: compare(consecutive, '>', limits.maxConsecutiveNightFDPs, 'count')
+      };
+    }
+  },
+  cumulativeLimitRule({
+    id: 'FDP_168_HOURS_EXCEEDED',
+    key: 'fdp168Hours',
+    raisedBy: 'hasFDP',
+    messageKey: 'fdp168HoursExceeded',
+    regulation: '14 CFR 117.23(c)(1)',
+    limits: ['maxFDP168Hours'],
+    fatigueRisk: 'Cumulative flight and duty time beyond Part 117 limits',
+    recommendation: 'Reduce flight duty in the window or add days free from duty'
+  }),
+  cumulativeLimitRule({
+    id: 'FDP_672_HOURS_EXCEEDED',
+    key: 'fdp672Hours',
+    raisedBy: 'hasFDP',
+    messageKey: 'fdp672HoursExceeded',
+    regulation: '14 CFR 117.23(c)(2)',
+    limits: ['maxFDP672Hours'],
+    fatigueRisk: 'Cumulative flight and duty time beyond Part 117 limits',
+    recommendation: 'Reduce flight duty in the window or add days free from duty'
+  }),
+  cumulativeLimitRule({
+    id: 'FLIGHT_TIME_672_HOURS_EXCEEDED',
+    key: 'flightTime672Hours',
+    raisedBy: 'hasFDP',
+    messageKey: 'flightTime672HoursExceeded',
+    regulation: '14 CFR 117.23(b)(1)',
+    limits: ['maxFlightTime672Hours'],
+    fatigueRisk: 'Cumulative flight and duty time beyond Part 117 limits',
+    recommendation: 'Reduce flight duty in the window or add days free from duty'
+  }),
+  cumulativeLimitRule({
+    id: 'FLIGHT_TIME_365_DAYS_EXCEEDED',
+    key: 'flightTime365Days',
+    raisedBy: 'hasFDP',
+    messageKey: 'flightTime365DaysExceeded',
+    regulation: '14 CFR 117.23(b)(2)',
+    limits: ['maxFlightTime365Days'],
+    fatigueRisk: 'Cumulative flight and duty time beyond Part 117 limits',
+    recommendation: 'Reduce flight duty in the window or add days free from duty'
+  })
+];
+
+/**
+ * Check a roster against 14 CFR Part 117
+ * STANDBY duties are checked as short-call reserve; RESERVE duties with an assignment
+ * as long-call reserve, whose assigned FDP is checked like a flight duty.
+ * @param {Array} sortedData - Duty periods sorted by date
+ * @param {Object} t - Translations object
+ * @param {Object} context - Roster-derived context
+ * @param {Object} context.ftlLimits - Limits of the rule set
+ * @param {string} context.homeBase - Crew member's home base (IATA code) or null if unknown
+ * @param {Object} context.ruleSelection - Selection of FAA_RULES from resolveRuleSelection
+ * @returns {Array} - Compliance results in roster order
+ */
+function checkRoster(sortedData, t, context = {}) {
+  const limits = context.ftlLimits || FAA_PART117_LIMITS;
+  const ruleSelection = context.ruleSelection || resolveRuleSelection(null, { rules: FAA_RULES });
+  const acclimation = trackAcclimation(sortedData, limits);
+  const periods = new Map(sortedData.map(duty => [duty, getDutyPeriods(duty)]));
+  const rosterStart = sortedData.length > 0 ? moment.utc(sortedData[0].date) : null;
+  let lastLongExtension = null;
+
+  return sortedData.map((duty, index) => {
+    const dutyPeriods = periods.get(duty);
+    const result = {
+      date: duty.date,
+      type: duty.type,
+      status: t.LEGAL,
+      issues: [],
+      calculations: {
+        fdp: '00:00',
+        maxFDP: 'N/A',
+        rest: 'N/A',
+        minRest: 'N/A',
+        flightTime: '00:00',
+        extensionAllowed: 'N/A'
+      },
+      regulations: []
+    };
+
+    if (!dutyPeriods.duty) return result;
+
+    const previous = findPreviousDuty(sortedData, index, periods);
+    const rest = previous ? dutyPeriods.duty.start.diff(periods.get(previous).duty.end, 'hours', true) : null;
+    const freeFromDuty = getLongestFreePeriod(sortedData, periods, dutyPeriods.duty.start, rosterStart, limits);
+
+    result.calculations.rest = rest !== null ? formatDuration(rest) : 'N/A';
+
+    if (duty.type === 'STANDBY') {
+      addReserveChecks(result, duty, dutyPeriods, acclimation.get(duty), t, limits, ruleSelection);
+    }
+
+    const beginsFDPOrReserve = Boolean(dutyPeriods.fdp) || duty.type === 'STANDBY';
+    if (beginsFDPOrReserve) {
+      addRestChecks(result, rest, freeFromDuty, dutyPeriods.duty.start, t, limits, ruleSelection);
+    }
+
+    if (dutyPeriods.fdp) {
+      const extension = addFDPChecks(result, duty, dutyPeriods, acclimation.get(duty), t, limits, ruleSelection);
+
+      // An extension of more than 30 minutes may occur once between §117.25(b) rests
+      applyRules(result, 'extension', {
+        extension,
+        lastLongExtension,
+        freeFromDuty,
+        start: dutyPeriods.fdp.start,
+        limits
+      }, t, ruleSelection);
+      if (extension && extension.increase > limits.commandersDiscretion.repeatThreshold) {
+        lastLongExtension = dutyPeriods.fdp.start;
+      }
+
+      addNightOperationChecks(result, sortedData, index, periods, acclimation, t, limits, ruleSelection);
+    }
+
+    addCumulativeChecks(result, duty, dutyPeriods, sortedData, periods, t, limits, ruleSelection);
+
+    if (ruleSelection.explain) {
+      const inputs = getTraceInputs(duty, dutyPeriods, acclimation.get(duty), context.homeBase || null);
+      result.issues.forEach(issue => {
+        issue.trace.inputs = inputs;
+      });
+    }
+
+    return result;
+  });
+}
+
+/**
+ * Track the theater a flightcrew member is acclimated to (§117.3)
+ * Starting acclimated to the first departure, the crew member becomes acclimated to a
+ * new theater after 72 hours there or 36 consecutive hours free from duty there.
+ * @param {Array} sortedData - Duty periods sorted by date
+ * @param {Object} limits - Limits of the rule set
+ * @returns {Map} - Acclimation state keyed by duty
+ */
+function trackAcclimation(sortedData, limits) {
+  const states = new Map();
+  const theaterDifference = limits.acclimation.theaterTimeDifference;
+  let acclimatedTimezone = null;
+  let theater = null;
+  let lastDutyEnd = null;
+
+  sortedData.forEach(duty => {
+    const periods = getDutyPeriods(duty);
+    const departureTimezone = getKnownTimezone(getDepartureAirport(duty));
+    if (!periods.duty || !departureTimezone) return;
+
+    const report = periods.duty.start;
+    if (!acclimatedTimezone) {
+      acclimatedTimezone = departureTimezone;
+    }
+
+    if (getTimeDifference(acclimatedTimezone, departureTimezone, report) > theaterDifference) {
+      if (!theater || getTimeDifference(theater.timezone, departureTimezone, report) > theaterDifference) {
+        theater = { timezone: departureTimezone, since: lastDutyEnd || report };
+      }
+
+      const freeFromDuty = lastDutyEnd ? report.diff(lastDutyEnd, 'hours', true) : 0;
+      if (report.diff(theater.since, 'hours', true) >= limits.acclimation.hoursInTheater ||
+          freeFromDuty >= limits.acclimation.freeFromDuty) {
+        acclimatedTimezone = departureTimezone;
+        theater = null;
+      }
+    } else {
+      theater = null;
+    }
+
+    states.set(duty, { acclimated: !theater, timezone: acclimatedTimezone });
+    lastDutyEnd = periods.duty.end;
+  });
+
+  return states;
+}
+
+/**
+ * Get the duty, FDP and reserve periods of a duty as instants
+ * Local times are read on the duty's clock (see getDutyTimezone).
+ * @param {Object} duty - Duty period
+ * @returns {Object} - { duty, fdp, reserve } periods with start and end moments, or null
+ */
+function getDutyPeriods(duty) {
+  const periods = { duty: null, fdp: null, reserve: null };
+  if (duty.type === 'DAYOFF') return periods;
+
+  const timezone = getDutyTimezone(duty);
+  const hasFDP = Array.isArray(duty.flights) && getSectors(duty.flights).length > 0 &&
+    (duty.type === 'FLIGHT' || Boolean(duty.callTime) || (duty.type === 'RESERVE' && Boolean(duty.reportTime)));
+
+  if (duty.type === 'STANDBY') {
+    periods.reserve = getInstantPeriod(getStandbyStartInstant(duty), getStandbyEndInstant(duty), timezone);
+  }
+
+  const reserve = duty.type === 'RESERVE' && !hasFDP ? getReservePeriod(duty) || {} : null;
+  const dutyPeriod = reserve
+    ? getInstantPeriod(reserve.start, reserve.end, timezone)
+    : getInstantPeriod(getDutyStartInstant(duty), getOffDutyInstant(duty), timezone);
+
+  if (periods.reserve) {
+    periods.duty = {
+      start: periods.reserve.start,
+      end: moment.max(periods.reserve.end, dutyPeriod ? dutyPeriod.end : periods.reserve.end)
+    };
+  } else {
+    periods.duty = dutyPeriod;
+  }
+
+  if (hasFDP && dutyPeriod) {
+    const start = dutyPeriod.start;
+    periods.fdp = { start, end: start.clone().add(calculateFDP(duty), 'hours') };
+    periods.flights = getFlightPeriods(duty, timezone);
+  }
+
+  return periods;
+}
+
+/**
+ * Get the scheduled start of an FDP in the time of the theater the crew member is acclimated to
+ * @param {moment} start - Start of the FDP
+ * @param {Object} acclimation - Acclimation state or undefined if unknown
+ * @returns {string} - Acclimated time in HH:mm format, or local time if unknown
+ */
+function getReferenceTime(start, acclimation) {
+  return acclimation ? start.clone().tz(acclimation.timezone).format('HH:mm') : start.format('HH:mm');
+}
+
+/**
+ * Get the inputs of a day's checks for issue traces
+ * @param {Object} duty - Duty period
+ * @param {Object} dutyPeriods - Periods from getDutyPeriods
+ * @param {Object} acclimation - Acclimation state or undefined if unknown
+ * @param {string} homeBase - Crew member's home base (IATA code) or null if unknown
+ * @returns {Object} - Start, acclimated time and theater, sectors and augmented crew
+ */
+function getTraceInputs(duty, dutyPeriods, acclimation, homeBase) {
+  const start = (dutyPeriods.fdp || dutyPeriods.duty).start;
+
+  return {
+    date: duty.date,
+    type: duty.type,
+    startTime: start.format('HH:mm'),
+    timezone: start.tz(),
+    referenceTime: getReferenceTime(start, acclimation),
+    referenceTimezone: acclimation ? acclimation.timezone : null,
+    sectors: getSectorCount(duty.flights),
+    acclimation: acclimation ? { acclimated: acclimation.acclimated, timezone: acclimation.timezone } : null,
+    augmentedCrew: duty.augmentedCrew || null,
+    homeBase
+  };
+}
+
+/**
+ * Get a period between two instants in a timezone
+ * @param {moment|null} start - Start instant
+ * @param {moment|null} end - End instant
+ * @param {string} timezone - Timezone identifier
+ * @returns {Object|null} - Period with start and end moments, or null without instants
+ */
+function getInstantPeriod(start, end, timezone) {
+  if (!start || !end) return null;
+  return { start: start.clone().tz(timezone), end: end.clone().tz(timezone) };
+}
+
+/**
+ * Get the blocks of the flight segments of a duty
+ * @param {Object} duty - Duty period
+ * @param {string} timezone - Timezone identifier
+ * @returns {Array} - Segment blocks with start and end moments
+ */
+function getFlightPeriods(duty, timezone) {
+  return getFlightInstants(duty)
+    .filter(({ flight }) => !flight.positioning)
+    .map(({ departure, arrival }) => getInstantPeriod(departure, arrival, timezone));
+}
+
+/**
+ * Find the last duty before an index that has a duty period
+ * @param {Array} sortedData - Duty periods sorted by date
+ * @param {number} index - Index of the current duty
+ * @param {Map} periods - Duty periods keyed by duty
+ * @returns {Object|null} - Previous duty or null at the start of the roster
+ */
+function findPreviousDuty(sortedData, index, periods) {
+  for (let i = index - 1; i >= 0; i--) {
+    if (periods.get(sortedData[i]).duty) return sortedData[i];
+  }
+  return null;
+}
+
+/**
+ * Find the longest period free from all duty before a duty (§117.25(b))
+ * Time before the first day of the roster is unknown and counts as free from duty.
+ * @param {Array} sortedData - Duty periods sorted by date
+ * @param {Map} periods - Duty periods keyed by duty
+ * @param {moment} start - Start of the FDP or reserve
+ * @param {moment} rosterStart - Start of the first rostered day
+ * @param {Object} limits - Limits of the rule set
+ * @returns {Object} - Longest free period in hours and the end of the last qualifying one
+ */
+function getLongestFreePeriod(sortedData, periods, start, rosterStart, limits) {
+  const windowStart = start.clone().subtract(limits.freeFromDuty.window, 'hours');
+  const intervals = sortedData
+    .map(duty => periods.get(duty).duty)
+    .filter(period => period && period.start.isBefore(start))
+    .sort((a, b) => a.start.diff(b.start));
+
+  let freeStart = rosterStart
+    ? moment.min(windowStart, rosterStart.clone().subtract(limits.freeFromDuty.window, 'hours'))
+    : windowStart;
+  let longest = 0;
+  let since = null;
+
+  [...intervals, { start, end: start }].forEach(interval => {
+    const gap = interval.start.diff(freeStart, 'hours', true);
+    const gapInWindow = interval.start.diff(moment.max(freeStart, windowStart), 'hours', true);
+    if (gapInWindow > longest) {
+      longest = gapInWindow;
+    }
+    if (gap >= limits.freeFromDuty.minDuration) {
+      since = interval.start;
+    }
+    freeStart = moment.max(freeStart, interval.end);
+  });
+
+  return { longest, since: since || windowStart };
+}
+
+/**
+ * Look up the max FDP in Table B, or Table C for augmented operations
+ * @param {string} referenceTime - Scheduled start in acclimated time (HH:mm)
+ * @param {number} segments - Number of flight segments
+ * @param {Object} augmentedCrew - Augmented crew ({ pilots, restFacilityClass }) or null
+ * @param {boolean} acclimated - Whether the flightcrew member is acclimated
+ * @param {Object} limits - Limits of the rule set
+ * @returns {Object} - Maximum FDP in hours with the table row and column used
+ */
+function getMaxFDP(referenceTime, segments, augmentedCrew, acclimated, limits) {
+  const minutes = toMinutesOfDay(referenceTime);
+  const reduction = acclimated ? 0 : limits.acclimation.notAcclimatedReduction;
+
+  if (augmentedCrew) {
+    const table = limits.augmentedCrew;
+    const band = table.bands.find(b => isWithinBand(minutes, b.from, b.to));
+    const { pilots, restFacilityClass } = augmentedCrew;
+
+    return {
+      hours: band.limits[restFacilityClass][pilots] - reduction,
+      table: table.table,
+      row: `${band.from}-${band.to}`,
+      column: `Class ${restFacilityClass}, ${pilots} pilots`,
+      notAcclimatedReduction: reduction
+    };
+  }
+
+  const table = limits.maxFDP;
+  const band = table.bands.find(b => isWithinBand(minutes, b.from, b.to));
+  const columnIndex = Math.min(Math.max(segments, 1), table.segmentColumns.length) - 1;
+
+  return {
+    hours: band.limits[columnIndex] - reduction,
+    table: table.table,
+    row: `${band.from}-${band.to}`,
+    column: table.segmentColumns[columnIndex],
+    notAcclimatedReduction: reduction
+  };
+}
+
+/**
+ * Check the FDP, extension and flight time of a duty (§117.11, §117.13, §117.17, §117.19)
+ * @param {Object} result - Day result object to modify
+ * @param {Object} duty - Duty period
+ * @param {Object} dutyPeriods - Periods from getDutyPeriods
+ * @param {Object} acclimation - Acclimation state or undefined if unknown
+ * @param {Object} t - Translations object
+ * @param {Object} limits - Limits of the rule set
+ * @param {Object} ruleSelection - Rule selection from resolveRuleSelection
+ * @returns {Object|null} - Extension used on the FDP, or null
+ */
+function addFDPChecks(result, duty, dutyPeriods, acclimation, t, limits, ruleSelection) {
+  const fdp = calculateFDP(duty);
+  const segments = getSectorCount(duty.flights);
+  const augmentedCrew = duty.augmentedCrew || null;
+  const acclimated = acclimation ? acclimation.acclimated : true;
+  const referenceTime = getReferenceTime(dutyPeriods.fdp.start, acclimation);
+  const maxFDPLookup = getMaxFDP(referenceTime, segments, augmentedCrew, acclimated, limits);
+  const maxFDP = maxFDPLookup.hours;
+  const flightTime = calculateFlightTime(duty);
+  const flightTimeBand = limits.maxFlightTime.bands.find(b => isWithinBand(toMinutesOfDay(referenceTime), b.from, b.to));
+  const maxFlightTime = augmentedCrew ? limits.maxFlightTime.augmented[augmentedCrew.pilots] : flightTimeBand.hours;
+
+  Object.assign(result.calculations, {
+    fdp: formatDuration(fdp),
+    maxFDP: formatDuration(maxFDP),
+    maxFDPTable: { table: maxFDPLookup.table, row: maxFDPLookup.row, column: maxFDPLookup.column },
+    flightTime: formatDuration(flightTime),
+    maxFlightTime: formatDuration(maxFlightTime),
+    sectors: segments,
+    acclimation: acclimation
+      ? { acclimated, timezone: acclimation.timezone, referenceTime, reduction: formatDuration(maxFDPLookup.notAcclimatedReduction) }
+      : 'N/A',
+    extensionAllowed: 'N/A'
+  });
+
+  const extension = getExtension(duty, fdp, maxFDP, limits);
+  if (extension) {
+    const threshold = limits.commandersDiscretion.authorityReportThreshold;
+    result.calculations.commandersDiscretion = {
+      used: extension.increase > 0,
+      hours: formatDuration(extension.recorded),
+      maxIncrease: formatDuration(extension.maxIncrease),
+      fdpIncrease: formatDuration(extension.increase),
+      restReduction: '00:00',
+      reason: extension.reason || 'N/A',
+      commander: extension.commander || 'N/A',
+      reportRequired: extension.increase > 0,
+      authorityReportRequired: extension.increase > threshold
+    };
+  }
+
+  const allowedIncrease = extension ? Math.min(extension.recorded, extension.maxIncrease) : 0;
+  const reduction = maxFDPLookup.notAcclimatedReduction;
+  applyRules(result, 'fdp', {
+    fdp,
+    maxFDP,
+    maxFDPTerms: { table: maxFDP + reduction, notAcclimatedReduction: -reduction },
+    allowedIncrease,
+    extension,
+    augmentedCrew,
+    lookup: {
+      table: maxFDPLookup.table,
+      row: maxFDPLookup.row,
+      column: maxFDPLookup.column,
+      value: maxFDP + reduction,
+      referenceTime,
+      acclimated
+    },
+    limits
+  }, t, ruleSelection);
+
+  applyRules(result, 'flightTime', {
+    flightTime,
+    maxFlightTime,
+    lookup: augmentedCrew
+      ? { table: '14 CFR 117.11(a)(2)', row: null, column: `${augmentedCrew.pilots} pilots`, value: maxFlightTime, referenceTime }
+      : { table: limits.maxFlightTime.table, row: `${flightTimeBand.from}-${flightTimeBand.to}`, column: null, value: maxFlightTime, referenceTime }
+  }, t, ruleSelection);
+
+  result.regulations.push(
+    augmentedCrew
+      ? {
+        reference: '14 CFR 117.17',
+        title: 'Flight Duty Period: Augmented Operations',
+        description: 'Maximum FDP by start time, class of rest facility and number of pilots (Table C)'
+      }
+      : {
+        reference: '14 CFR 117.13',
+        title: 'Flight Duty Period: Unaugmented Operations',
+        description: 'Maximum FDP by start time and number of flight segments (Table B)'
+      },
+    {
+      reference: '14 CFR 117.11',
+      title: 'Flight Time Limitation',
+      description: 'Maximum flight time by report time (Table A) or number of pilots'
+    }
+  );
+
+  if (extension) {
+    result.regulations.push({
+      reference: '14 CFR 117.19',
+      title: 'Flight Duty Period Extensions',
+      description: 'FDP extended by up to 2 hours in unforeseen operational circumstances; extensions over 30 minutes reported within 10 days'
+    });
+  }
+
+  return extension;
+}
+
+/**
+ * Get the FDP extension recorded for a duty (§117.19(a))
+ * Extensions use the same commandersDiscretion record as ORO.FTL.205(f).
+ * @param {Object} duty - Duty period
+ * @param {number} fdp - Actual FDP in hours
+ * @param {number} maxFDP - Max FDP in hours
+ * @param {Object} limits - Limits of the rule set
+ * @returns {Object|null} - Extension details or null if none was recorded
+ */
+function getExtension(duty, fdp, maxFDP, limits) {
+  const extension = duty.commandersDiscretion;
+  if (!extension) return null;
+
+  const discretionLimits = limits.commandersDiscretion;
+  return {
+    recorded: extension.hours || 0,
+    maxIncrease: duty.augmentedCrew ? discretionLimits.maxIncreaseAugmented : discretionLimits.maxIncrease,
+    increase: Math.max(0, fdp - maxFDP),
+    reason: extension.reason || null,
+    commander: extension.commander || null
+  };
+}
+
+/**
+ * Check a short-call reserve availability period (§117.21(c))
+ * @param {Object} result - Day result object to modify
+ * @param {Object} duty - Standby duty period
+ * @param {Object} dutyPeriods - Periods from getDutyPeriods
+ * @param {Object} acclimation - Acclimation state or undefined if unknown
+ * @param {Object} t - Translations object
+ * @param {Object} limits - Limits of the rule set
+ * @param {Object} ruleSelection - Rule selection from resolveRuleSelection
+ */
+function addReserveChecks(result, duty, dutyPeriods, acclimation, t, limits, ruleSelection) {
+  if (!dutyPeriods.reserve) return;
+
+  const availability = dutyPeriods.reserve.end.diff(dutyPeriods.reserve.start, 'hours', true);
+  result.calculations.reserveAvailabilityPeriod = formatDuration(availability);
+
+  applyRules(result, 'reserve', { availability, limits }, t, ruleSelection);
+
+  if (!dutyPeriods.fdp) return;
+
+  const referenceTime = getReferenceTime(dutyPeriods.fdp.start, acclimation);
+  const tableB = getMaxFDP(referenceTime, getSectorCount(duty.flights), null, true, limits);
+  const fdp = calculateFDP(duty);
+
+  result.calculations.reservePlusFDP = formatDuration(availability + fdp);
+
+  // Table B plus 4 hours or 16 hours, whichever is less
+  const maxCombinedTerms = tableB.hours + limits.reserve.maxCombinedAboveTableB < limits.reserve.maxCombined
+    ? { tableB: tableB.hours, reserveAllowance: limits.reserve.maxCombinedAboveTableB }
+    : { maxCombined: limits.reserve.maxCombined };
+  applyRules(result, 'reserveFdp', {
+    availability,
+    fdp,
+    maxCombinedTerms,
+    augmentedCrew: duty.augmentedCrew || null,
+    lookup: { table: tableB.table, row: tableB.row, column: tableB.column, value: tableB.hours, referenceTime },
+    limits
+  }, t, ruleSelection);
+}
+
+/**
+ * Check the rest before an FDP or reserve (§117.25(b), (e))
+ * @param {Object} result - Day result object to modify
+ * @param {number|null} rest - Rest since the previous duty in hours
+ * @param {Object} freeFromDuty - Longest free period from getLongestFreePeriod
+ * @param {moment} start - Start of the FDP or reserve
+ * @param {Object} t - Translations object
+ * @param {Object} limits - Limits of the rule set
+ * @param {Object} ruleSelection - Rule selection from resolveRuleSelection
+ */
+function addRestChecks(result, rest, freeFromDuty, start, t, limits, ruleSelection) {
+  result.calculations.minRest = formatDuration(limits.minRest.beforeFDP);
+  result.calculations.freeFromDuty = {
+    longest: formatDuration(freeFromDuty.longest),
+    required: formatDuration(limits.freeFromDuty.minDuration),
+    window: formatDuration(limits.freeFromDuty.window)
+  };
+
+  applyRules(result, 'rest', { rest, freeFromDuty, start, limits }, t, ruleSelection);
+
+  result.regulations.push({
+    reference: '14 CFR 117.25',
+    title: 'Rest Period',
+    description: '10 hours of rest before an FDP or reserve; 30 hours free from duty in any 168 hours'
+  });
+}
+
+/**
+ * Check consecutive FDPs infringing on the WOCL (§117.27)
+ * Up to 5 are allowed with a rest opportunity during each FDP, which is not modelled.
+ * @param {Object} result - Day result object to modify
+ * @param {Array} sortedData - Duty periods sorted by date
+ * @param {number} index - Index of the current duty
+ * @param {Map} periods - Duty periods keyed by duty
+ * @param {Map} acclimation - Acclimation states keyed by duty
+ * @param {Object} t - Translations object
+ * @param {Object} limits - Limits of the rule set
+ * @param {Object} ruleSelection - Rule selection from resolveRuleSelection
+ */
+function addNightOperationChecks(result, sortedData, index, periods, acclimation, t, limits, ruleSelection) {
+  const infringes = duty => {
+    const fdp = periods.get(duty).fdp;
+    const state = acclimation.get(duty);
+    return Boolean(fdp) && infringesWOCL(fdp, state ? state.timezone : 'UTC', limits);
+  };
+
+  if (!infringes(sortedData[index])) return;
+
+  let consecutive = 1;
+  for (let i = index - 1; i >= 0 && infringes(sortedData[i]); i--) {
+    consecutive++;
+  }
+  result.calculations.consecutiveNightFDPs = consecutive;
+
+  applyRules(result, 'night', { consecutive, limits }, t, ruleSelection);
+}
+
+/**
+ * Check if a period infringes on the WOCL in acclimated time
+ * @param {Object} period - Period with start and end moments
+ * @param {string} timezone - Timezone the crew member is acclimated to
+ * @param {Object} limits - Limits of the rule set
+ * @returns {boolean} - True if the period overlaps the WOCL
+ */
+function infringesWOCL(period, timezone, limits) {
+  const [startHours, startMinutes] = limits.wocl.start.split(':').map(Number);
+  const [endHours, endMinutes] = limits.wocl.end.split(':').map(Number);
+
+  for (let day = period.start.clone().tz(timezone).startOf('day').subtract(1, 'day'); day.isBefore(period.end); day.add(1, 'day')) {
+    const windowStart = day.clone().hours(startHours).minutes(startMinutes);
+    const windowEnd = day.clone().hours(endHours).minutes(endMinutes + 1);
+    if (period.start.isBefore(windowEnd) && period.end.isAfter(windowStart)) return true;
+  }
+
+  return false;
+}
+
+/**
+ * Check cumulative limits (§117.23)
+ * FDP windows of 168 and 672 consecutive hours and the 672-hour flight time window end
+ * with the FDP; the 1000-hour flight time window covers 365 consecutive calendar days
+ * in UTC. Days without an FDP report the windows ending at midnight UTC.
+ * @param {Object} result - Day result object to modify
+ * @param {Object} duty - Current duty
+ * @param {Object} dutyPeriods - Periods from getDutyPeriods
+ * @param {Array} sortedData - Duty periods sorted by date
+ * @param {Map} periods - Duty periods keyed by duty
+ * @param {Object} t - Translations object
+ * @param {Object} limits - Limits of the rule set
+ * @param {Object} ruleSelection - Rule selection from resolveRuleSelection
+ */
+function addCumulativeChecks(result, duty, dutyPeriods, sortedData, periods, t, limits, ruleSelection) {
+  const windowEnd = dutyPeriods.fdp ? dutyPeriods.fdp.end.clone().utc() : moment.utc(duty.date).add(1, 'day');
+  const day = moment.utc(duty.date);
+  const fdpPeriods = sortedData.map(other => periods.get(other).fdp).filter(Boolean);
+  const flightPeriods = sortedData.reduce((all, other) => all.concat(periods.get(other).flights || []), []);
+
+  const windows = [
+    {
+      key: 'fdp168Hours',
+      start: windowEnd.clone().subtract(168, 'hours'),
+      end: windowEnd,
+      periods: fdpPeriods,
+      limit: limits.maxFDP168Hours
+    },
+    {
+      key: 'fdp672Hours',
+      start: windowEnd.clone().subtract(672, 'hours'),
+      end: windowEnd,
+      periods: fdpPeriods,
+      limit: limits.maxFDP672Hours
+    },
+    {
+      key: 'flightTime672Hours',
+      start: windowEnd.clone().subtract(672, 'hours'),
+      end: windowEnd,
+      periods: flightPeriods,
+      limit: limits.maxFlightTime672Hours
+    },
+    {
+      key: 'flightTime365Days',
+      start: day.clone().subtract(364, 'days'),
+      end: day.clone().add(1, 'day'),
+      periods: flightPeriods,
+      limit: limits.maxFlightTime365Days
+    }
+  ];
+
+  const totals = {};
+  result.calculations.cumulativeLimits = {};
+
+  windows.forEach(window => {
+    const total = window.periods.reduce((sum, period) => {
+      const start = moment.max(period.start, window.start);
+      const end = moment.min(period.end, window.end);
+      return sum + Math.max(0, end.diff(start, 'hours', true));
+    }, 0);
+
+    totals[window.key] = { total, limit: window.limit, start: window.start, end: window.end };
+    result.calculations.cumulativeLimits[window.key] = {
+      total: formatDuration(total),
+      limit: formatDuration(window.limit),
+      headroom: formatDuration(Math.max(0, window.limit - total))
+    };
+  });
+
+  applyRules(result, 'cumulative', { windows: totals, hasFDP: Boolean(dutyPeriods.fdp) }, t, ruleSelection);
+
+  if (dutyPeriods.fdp) {
+    result.regulations.push({
+      reference: '14 CFR 117.23',
+      title: 'Cumulative Limitations',
+      description: 'FDP 60 hours in 168 and 190 hours in 672 consecutive hours; flight time 100 hours in 672 hours and 1000 hours in 365 days'
+    });
+  }
+}
+
+module.exports = {
+  id: 'faa-part117',
+  name: 'FAA 14 CFR Part 117',
+  authority: 'FAA',
+  description: 'FAA flight and duty limitations and rest requirements for flightcrew members',
+  crewCategories: ['flight'],
+  limits: FAA_PART117_LIMITS,
+  references: {
+    commandersDiscretion: '14 CFR 117.19'
+  },
+  formatReference: reference => reference,
+  rules: FAA_RULES,
+  ruleCategories: FAA_RULE_CATEGORIES,
+  checkRoster
+};
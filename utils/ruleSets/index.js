@@ -0,0 +1,131 @@
+const easa = require('./easa');
+const ukCaa = require('./ukCaa');
+const faaPart117 = require('./faaPart117');
+
+const DEFAULT_RULE_SET = 'easa';
+
+// Commercial air transport, the operation every rule set covers; a rule set lists
+// the other operations it regulates under its operations
+const DEFAULT_OPERATION = 'cat';
+
+// Rule sets by id; a rule set may extend another and list only its deviations
+const RULE_SETS = {
+  [easa.id]: easa,
+  [ukCaa.id]: ukCaa,
+  [faaPart117.id]: faaPart117
+};
+
+/**
+ * Merge limit overrides into base limits
+ * Objects are merged key by key; arrays and values replace the base.
+ * @param {Object} base - Base limits
+ * @param {Object} overrides - Overriding limits
+ * @returns {Object} - Merged limits
+ */
+function mergeLimits(base, overrides) {
+  const merged = { ...base };
+
+  Object.keys(overrides || {}).forEach(key => {
+    const value = overrides[key];
+    const isObject = value && typeof value === 'object' && !Array.isArray(value);
+    merged[key] = isObject && base[key] && typeof base[key] === 'object'
+      ? mergeLimits(base[key], value)
+      : value;
+  });
+
+  return merged;
+}
+
+/**
+ * Check if a rule set is supported
+ * @param {string} id - Rule set id
+ * @returns {boolean} - True if the rule set exists
+ */
+function isRuleSetSupported(id) {
+  return Object.prototype.hasOwnProperty.call(RULE_SETS, id);
+}
+
+/**
+ * Get a rule set, resolving the rule set it extends and the operation it applies to
+ * @param {string} id - Rule set id (defaults to EASA)
+ * @param {string} operation - Operation id (defaults to commercial air transport)
+ * @returns {Object} - Rule set with merged limits and references
+ */
+function getRuleSet(id = DEFAULT_RULE_SET, operation = DEFAULT_OPERATION) {
+  const ruleSetId = id || DEFAULT_RULE_SET;
+  if (!isRuleSetSupported(ruleSetId)) {
+    throw new Error(`Unknown rule set: ${ruleSetId}`);
+  }
+
+  const ruleSet = RULE_SETS[ruleSetId];
+  if (!ruleSet.extends) return applyOperation(ruleSet, operation);
+
+  const base = getRuleSet(ruleSet.extends);
+  return applyOperation({
+    ...base,
+    ...ruleSet,
+    limits: mergeLimits(base.limits, ruleSet.limits),
+    references: { ...base.references, ...ruleSet.references },
+    formatReference: ruleSet.formatReference || base.formatReference
+  }, operation);
+}
+
+/**
+ * Apply the limits and references of an operation to a rule set
+ * @param {Object} ruleSet - Rule set with merged limits and references
+ * @param {string} operation - Operation id
+ * @returns {Object} - Rule set for the operation
+ */
+function applyOperation(ruleSet, operation) {
+  const operationId = operation || DEFAULT_OPERATION;
+  if (operationId === DEFAULT_OPERATION) return ruleSet;
+
+  if (!getOperations(ruleSet).includes(operationId)) {
+    throw new Error(`${ruleSet.name} does not cover ${operationId} operations`);
+  }
+
+  const { limits, references, formatReference } = ruleSet.operations[operationId];
+  return {
+    ...ruleSet,
+    operation: operationId,
+    limits: mergeLimits(ruleSet.limits, limits),
+    references: { ...ruleSet.references, ...references },
+    formatReference: formatReference || ruleSet.formatReference
+  };
+}
+
+/**
+ * Get the operations a rule set covers
+ * @param {Object} ruleSet - Rule set
+ * @returns {Array} - Operation ids, commercial air transport first
+ */
+function getOperations(ruleSet) {
+  return [DEFAULT_OPERATION, ...Object.keys(ruleSet.operations || {})];
+}
+
+/**
+ * List the supported rule sets
+ * @returns {Array} - Rule set summaries
+ */
+function listRuleSets() {
+  return Object.values(RULE_SETS).map(ruleSet => ({
+    id: ruleSet.id,
+    name: ruleSet.name,
+    authority: ruleSet.authority,
+    description: ruleSet.description,
+    extends: ruleSet.extends || null,
+    crewCategories: getRuleSet(ruleSet.id).crewCategories,
+    operations: getOperations(ruleSet),
+    default: ruleSet.id === DEFAULT_RULE_SET
+  }));
+}
+
+module.exports = {
+  DEFAULT_RULE_SET,
+  DEFAULT_OPERATION,
+  getRuleSet,
+  getOperations,
+  listRuleSets,
+  isRuleSetSupported,
+  mergeLimits
+};
@@ -0,0 +1,110 @@
+// UK CAA flight time limitations: Annex III (Part-ORO) Subpart FTL of UK Regulation
+// (EU) No 965/2012 and the UK CS FTL.1, as retained in UK law after EU exit.
+// Limits list only the deviations from the EASA rule set. The retained tables carry
+// the EASA values; they are cited by their UK references.
+const UK_CAA_LIMITS = {
+  maxFDP: { table: 'UK ORO.FTL.205(b)(1) Table 2' },
+  maxFDPUnknownAcclimatisation: { table: 'UK ORO.FTL.205(b)(2) Table 3' },
+  maxFDPUnknownAcclimatisationFRM: { table: 'UK ORO.FTL.205(b)(3) Table 4' },
+  augmentedCrew: { table: 'UK CS FTL.1.205(c)' },
+  cabinCrew: {
+    inFlightRest: { table: 'UK CS FTL.1.205(c) cabin crew' }
+  }
+};
+
+// CAP 371 Table A: max FDP of two or more pilots by local time of start and sectors
+const CAP_371_TABLE_A = {
+  table: 'CAP 371 Table A',
+  sectorColumns: ['1', '2', '3', '4', '5', '6', '7', '8'],
+  firstColumnSectors: 1,
+  bands: [
+    { from: '06:00', to: '07:59', limits: [13.00, 12.25, 11.50, 10.75, 10.00, 9.25, 9.00, 9.00] },
+    { from: '08:00', to: '12:59', limits: [14.00, 13.25, 12.50, 11.75, 11.00, 10.25, 9.50, 9.00] },
+    { from: '13:00', to: '17:59', limits: [13.00, 12.25, 11.50, 10.75, 10.00, 9.25, 9.00, 9.00] },
+    { from: '18:00', to: '21:59', limits: [12.00, 11.25, 10.50, 9.75, 9.00, 9.00, 9.00, 9.00] },
+    { from: '22:00', to: '05:59', limits: [11.00, 10.25, 9.50, 9.00, 9.00, 9.00, 9.00, 9.00] }
+  ]
+};
+
+// CAP 371 Table B: max FDP of a single pilot by local time of start and sectors
+const CAP_371_TABLE_B = {
+  table: 'CAP 371 Table B',
+  sectorColumns: ['1-4', '5', '6', '7', '8', '9', '10', '11'],
+  firstColumnSectors: 4,
+  bands: [
+    { from: '06:00', to: '07:59', limits: [10.00, 9.25, 8.50, 7.75, 7.00, 7.00, 7.00, 7.00] },
+    { from: '08:00', to: '12:59', limits: [11.00, 10.25, 9.50, 8.75, 8.00, 7.25, 7.00, 7.00] },
+    { from: '13:00', to: '17:59', limits: [10.00, 9.25, 8.50, 7.75, 7.00, 7.00, 7.00, 7.00] },
+    { from: '18:00', to: '21:59', limits: [9.00, 8.25, 7.50, 7.00, 7.00, 7.00, 7.00, 7.00] },
+    { from: '22:00', to: '05:59', limits: [8.00, 7.25, 7.00, 7.00, 7.00, 7.00, 7.00, 7.00] }
+  ]
+};
+
+/**
+ * Get the CAP 371 limits of an operation by the table of its pilots
+ * Crew who are not acclimatised get the most limiting row of the table, from 22:00.
+ * FDPs are only extended at the commander's discretion, by up to 3 hours.
+ * @param {Object} table - CAP 371 Table A or Table B
+ * @returns {Object} - Limits overriding the UK ORO.FTL limits
+ */
+function getCap371Limits(table) {
+  const unknownAcclimatisation = {
+    table: `${table.table} (22:00-05:59)`,
+    sectorColumns: table.sectorColumns,
+    firstColumnSectors: table.firstColumnSectors,
+    limits: table.bands[table.bands.length - 1].limits
+  };
+
+  return {
+    maxFDP: table,
+    maxFDPUnknownAcclimatisation: unknownAcclimatisation,
+    maxFDPUnknownAcclimatisationFRM: unknownAcclimatisation,
+    extensions: { maxExtension: 0 },
+    commandersDiscretion: { maxIncrease: 3, maxIncreaseAugmented: 3 }
+  };
+}
+
+/**
+ * Format an ORO.FTL or CS FTL.1 reference as it is cited in UK law
+ * @param {string} reference - EASA reference
+ * @returns {string} - UK reference
+ */
+function formatUkReference(reference) {
+  return /^(ORO\.FTL|CS FTL)/.test(reference) ? `UK ${reference}` : reference;
+}
+
+/**
+ * Cite the max FDP, extension and discretion references of an operation under CAP 371
+ * @param {string} reference - EASA reference
+ * @returns {string} - CAP 371 or UK reference
+ */
+function formatCap371Reference(reference) {
+  return /^(ORO\.FTL\.205|CS FTL\.1\.205)/.test(reference) ? 'CAP 371' : formatUkReference(reference);
+}
+
+module.exports = {
+  id: 'uk-caa',
+  name: 'UK CAA ORO.FTL',
+  authority: 'UK CAA',
+  description: 'UK Regulation (EU) No 965/2012 Part-ORO Subpart FTL and UK CS FTL.1 flight time limitations',
+  extends: 'easa',
+  limits: UK_CAA_LIMITS,
+  references: {
+    commandersDiscretion: 'ORO.FTL.205(f)'
+  },
+  formatReference: formatUkReference,
+  // Operations outside Subpart FTL (UK ORO.FTL.100) that the UK CAA regulates under
+  // CAP 371 instead; their FDPs follow its tables, rest and cumulative limits stay
+  operations: {
+    'air-taxi': {
+      name: 'CAP 371 air taxi',
+      limits: getCap371Limits(CAP_371_TABLE_A),
+      formatReference: formatCap371Reference
+    },
+    'single-pilot': {
+      name: 'CAP 371 single pilot',
+      limits: getCap371Limits(CAP_371_TABLE_B),
+      formatReference: formatCap371Reference
+    }
+  }
+};
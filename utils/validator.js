@@ -1,4 +1,12 @@
-const moment = require('moment');
+const moment = require('moment-timezone');
+const {
+  hasInstants,
+  normalizeDuty,
+  getReportAt,
+  getOffDutyInstant,
+  getFlightCrewReportInstant,
+  getFlightInstants
+} = require('./dutyTimes');
 
 /**
  * Validate flight data structure and content
@@ -35,11 +43,69 @@ function validateFlightData(flightData) {
 
 /**
  * Validate individual duty period
+ * Duties given as UTC instants are checked for valid instants and timezones first,
+ * then like HH:mm duties on their derived local times.
  * @param {Object} duty - Single duty period object
  * @param {number} index - Index in the array for error reporting
  * @returns {Array} - Array of error messages
  */
 function validateDutyPeriod(duty, index) {
+  const instantErrors = validateInstants(duty, index);
+  if (instantErrors.length > 0) return instantErrors;
+
+  return validateDutyFields(normalizeDuty(duty), index);
+}
+
+/**
+ * Validate the UTC instants and IANA timezones of a duty and its flights
+ * @param {Object} duty - Single duty period object
+ * @param {number} index - Index in the array for error reporting
+ * @returns {Array} - Array of error messages
+ */
+function validateInstants(duty, index) {
+  const errors = [];
+  const dutyPrefix = `Duty ${index + 1}:`;
+  const checkInstant = (value, prefix, label) => {
+    if (value !== undefined && !isValidInstant(value)) {
+      errors.push(`${prefix} Invalid ${label}. Use an ISO 8601 timestamp with Z or an offset`);
+    }
+  };
+  const checkTimezone = (value, prefix, label) => {
+    if (value !== undefined && !isValidTimezone(value)) {
+      errors.push(`${prefix} Invalid ${label}. Use an IANA timezone such as Europe/Vienna`);
+    }
+  };
+
+  checkInstant(duty.reportAt, dutyPrefix, 'report instant');
+  checkInstant(duty.offDutyAt, dutyPrefix, 'off-duty instant');
+  checkTimezone(duty.reportZone, dutyPrefix, 'report timezone');
+
+  if (errors.length === 0 && duty.reportAt && duty.offDutyAt && !moment(duty.offDutyAt).isAfter(moment(duty.reportAt))) {
+    errors.push(`${dutyPrefix} Off-duty instant must be after the report instant`);
+  }
+
+  (Array.isArray(duty.flights) ? duty.flights : []).forEach((flight, flightIndex) => {
+    const flightPrefix = `Duty ${index + 1}, Flight ${flightIndex + 1}:`;
+    checkInstant(flight.departureAt, flightPrefix, 'departure instant');
+    checkInstant(flight.arrivalAt, flightPrefix, 'arrival instant');
+    checkTimezone(flight.departureZone, flightPrefix, 'departure timezone');
+    checkTimezone(flight.arrivalZone, flightPrefix, 'arrival timezone');
+
+    if (Boolean(flight.departureAt) !== Boolean(flight.arrivalAt)) {
+      errors.push(`${flightPrefix} Departure and arrival instants must be given together`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Validate the fields of a duty period with local HH:mm times
+ * @param {Object} duty - Single duty period object
+ * @param {number} index - Index in the array for error reporting
+ * @returns {Array} - Array of error messages
+ */
+function validateDutyFields(duty, index) {
   const errors = [];
   const dutyPrefix = `Duty ${index + 1}:`;
 
@@ -52,8 +118,8 @@ function validateDutyPeriod(duty, index) {
 
   if (!duty.type) {
     errors.push(`${dutyPrefix} Duty type is required`);
-  } else if (!['FLIGHT', 'STANDBY', 'DAYOFF', 'TRAINING', 'ADMIN'].includes(duty.type)) {
-    errors.push(`${dutyPrefix} Invalid duty type. Must be FLIGHT, STANDBY, DAYOFF, TRAINING, or ADMIN`);
+  } else if (!['FLIGHT', 'STANDBY', 'RESERVE', 'DAYOFF', 'TRAINING', 'ADMIN'].includes(duty.type)) {
+    errors.push(`${dutyPrefix} Invalid duty type. Must be FLIGHT, STANDBY, RESERVE, DAYOFF, TRAINING, or ADMIN`);
   }
 
   // For flight duties, additional validation
@@ -80,12 +146,60 @@ function validateDutyPeriod(duty, index) {
         errors.push(...flightErrors);
       });
     }
+
+    if (duty.splitDuty) {
+      errors.push(...validateSplitDuty(duty.splitDuty, dutyPrefix));
+    }
+
+    if (duty.augmentedCrew) {
+      errors.push(...validateAugmentedCrew(duty.augmentedCrew, dutyPrefix));
+    }
+  }
+
+  if (duty.commandersDiscretion) {
+    errors.push(...validateCommandersDiscretion(duty.commandersDiscretion, dutyPrefix));
+  }
+
+  if (duty.delayedReporting) {
+    errors.push(...validateDelayedReporting(duty.delayedReporting, dutyPrefix));
+  }
+
+  if (duty.type === 'STANDBY' && duty.standbyType && !['airport', 'home'].includes(duty.standbyType)) {
+    errors.push(`${dutyPrefix} Invalid standby type. Must be airport or home`);
+  }
+
+  if (duty.type === 'RESERVE') {
+    errors.push(...validateReserve(duty, index, dutyPrefix));
+  }
+
+  if (duty.crewCategory !== undefined && !['flight', 'cabin'].includes(duty.crewCategory)) {
+    errors.push(`${dutyPrefix} Invalid crew category. Must be flight or cabin`);
+  }
+
+  if (duty.flightCrewReportTime && !isValidTime(duty.flightCrewReportTime)) {
+    errors.push(`${dutyPrefix} Invalid flight crew report time format. Use HH:MM`);
+  } else if (duty.flightCrewReportTime && duty.type === 'FLIGHT' && errors.length === 0) {
+    // The flight crew report is the next instant after the cabin crew's; one that
+    // falls after the first departure was meant before the cabin crew reported
+    const flightCrewReport = getFlightCrewReportInstant(duty);
+    const [firstFlight] = getFlightInstants(duty);
+    if (flightCrewReport && firstFlight && flightCrewReport.isAfter(firstFlight.departure)) {
+      errors.push(`${dutyPrefix} Flight crew must report after the cabin crew and before the first departure`);
+    }
+  }
+
+  if (duty.restAirport && (typeof duty.restAirport !== 'string' || duty.restAirport.length !== 3)) {
+    errors.push(`${dutyPrefix} Rest airport must be 3-letter IATA code`);
+  }
+
+  if (duty.travelTime !== undefined && (typeof duty.travelTime !== 'number' || duty.travelTime < 0)) {
+    errors.push(`${dutyPrefix} Travel time must be a non-negative number of hours`);
   }
 
   // Validate times are in correct order
   if (duty.reportTime && duty.offDutyTime) {
-    const reportMoment = moment(duty.reportTime, 'HH:mm');
-    const offDutyMoment = moment(duty.offDutyTime, 'HH:mm');
+    const reportMoment = hasInstants(duty) ? getReportAt(duty) : moment(duty.reportTime, 'HH:mm');
+    const offDutyMoment = hasInstants(duty) ? getOffDutyInstant(duty) : moment(duty.offDutyTime, 'HH:mm');
     
     // Handle overnight duties
     if (offDutyMoment.isBefore(reportMoment)) {
@@ -93,14 +207,195 @@ function validateDutyPeriod(duty, index) {
     }
     
     const fdpHours = offDutyMoment.diff(reportMoment, 'hours', true);
-    if (fdpHours > 14) {
-      errors.push(`${dutyPrefix} FDP exceeds 14 hours (${fdpHours.toFixed(1)}h). Please verify times.`);
+    const plausibleFDP = getPlausibleFDPLimit(duty);
+    if (fdpHours > plausibleFDP) {
+      errors.push(`${dutyPrefix} FDP exceeds ${plausibleFDP} hours (${fdpHours.toFixed(1)}h). Please verify times.`);
     }
   }
 
   return errors;
 }
 
+/**
+ * Validate a reserve day and its optional FDP assignment
+ * @param {Object} duty - Reserve duty period
+ * @param {number} index - Duty index
+ * @param {string} dutyPrefix - Prefix for error messages
+ * @returns {Array} - Array of error messages
+ */
+function validateReserve(duty, index, dutyPrefix) {
+  const errors = [];
+
+  if (!duty.reserveStartTime || !isValidTime(duty.reserveStartTime)) {
+    errors.push(`${dutyPrefix} Reserve start time is required for reserve duties. Use HH:MM`);
+  }
+
+  if (!duty.reserveEndTime || !isValidTime(duty.reserveEndTime)) {
+    errors.push(`${dutyPrefix} Reserve end time is required for reserve duties. Use HH:MM`);
+  }
+
+  if (duty.protectedSleepStart && !isValidTime(duty.protectedSleepStart)) {
+    errors.push(`${dutyPrefix} Invalid protected sleep start. Use HH:MM`);
+  }
+
+  // Without flights the reserve was not assigned
+  if (!duty.flights || duty.flights.length === 0) {
+    return errors;
+  }
+
+  if (!duty.notificationTime || !isValidTime(duty.notificationTime)) {
+    errors.push(`${dutyPrefix} Notification time is required for reserve assignments. Use HH:MM`);
+  }
+
+  if (duty.notificationDate && !isValidDate(duty.notificationDate)) {
+    errors.push(`${dutyPrefix} Invalid notification date format. Use YYYY-MM-DD`);
+  }
+
+  if (!duty.reportTime || !isValidTime(duty.reportTime)) {
+    errors.push(`${dutyPrefix} Report time is required for reserve assignments. Use HH:MM`);
+  }
+
+  if (!duty.offDutyTime || !isValidTime(duty.offDutyTime)) {
+    errors.push(`${dutyPrefix} Off-duty time is required for reserve assignments. Use HH:MM`);
+  }
+
+  if (!Array.isArray(duty.flights)) {
+    errors.push(`${dutyPrefix} Flights must be an array`);
+  } else {
+    duty.flights.forEach((flight, flightIndex) => {
+      errors.push(...validateFlight(flight, index, flightIndex));
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Validate the ground break of a split duty
+ * @param {Object} splitDuty - Split duty break ({ breakStart, breakEnd, accommodation })
+ * @param {string} dutyPrefix - Prefix for error messages
+ * @returns {Array} - Array of error messages
+ */
+function validateSplitDuty(splitDuty, dutyPrefix) {
+  const errors = [];
+
+  if (typeof splitDuty !== 'object') {
+    return [`${dutyPrefix} Split duty must be an object with breakStart and breakEnd`];
+  }
+
+  if (!splitDuty.breakStart || !isValidTime(splitDuty.breakStart)) {
+    errors.push(`${dutyPrefix} Invalid split duty break start. Use HH:MM`);
+  }
+
+  if (!splitDuty.breakEnd || !isValidTime(splitDuty.breakEnd)) {
+    errors.push(`${dutyPrefix} Invalid split duty break end. Use HH:MM`);
+  }
+
+  if (splitDuty.accommodation !== undefined && typeof splitDuty.accommodation !== 'boolean') {
+    errors.push(`${dutyPrefix} Split duty accommodation must be true or false`);
+  }
+
+  return errors;
+}
+
+/**
+ * Validate augmented crew details for in-flight rest
+ * @param {Object} augmentedCrew - Augmented crew ({ pilots, restFacilityClass, inFlightRest })
+ * @param {string} dutyPrefix - Prefix for error messages
+ * @returns {Array} - Array of error messages
+ */
+function validateAugmentedCrew(augmentedCrew, dutyPrefix) {
+  const errors = [];
+
+  if (typeof augmentedCrew !== 'object') {
+    return [`${dutyPrefix} Augmented crew must be an object with pilots and restFacilityClass`];
+  }
+
+  if (![3, 4].includes(augmentedCrew.pilots)) {
+    errors.push(`${dutyPrefix} Augmented crew must have 3 or 4 pilots`);
+  }
+
+  if (![1, 2, 3].includes(augmentedCrew.restFacilityClass)) {
+    errors.push(`${dutyPrefix} In-flight rest facility class must be 1, 2 or 3`);
+  }
+
+  if (augmentedCrew.inFlightRest !== undefined && (typeof augmentedCrew.inFlightRest !== 'number' || augmentedCrew.inFlightRest < 0)) {
+    errors.push(`${dutyPrefix} In-flight rest must be a positive number of hours`);
+  }
+
+  return errors;
+}
+
+/**
+ * Validate a commander's discretion record (ORO.FTL.205(f))
+ * @param {Object} commandersDiscretion - Discretion record ({ hours, reason, restReduction, commander })
+ * @param {string} dutyPrefix - Prefix for error messages
+ * @returns {Array} - Array of error messages
+ */
+function validateCommandersDiscretion(commandersDiscretion, dutyPrefix) {
+  const errors = [];
+
+  if (typeof commandersDiscretion !== 'object') {
+    return [`${dutyPrefix} Commander's discretion must be an object with hours and reason`];
+  }
+
+  if (typeof commandersDiscretion.hours !== 'number' || commandersDiscretion.hours <= 0) {
+    errors.push(`${dutyPrefix} Commander's discretion hours must be a positive number`);
+  }
+
+  if (!commandersDiscretion.reason || typeof commandersDiscretion.reason !== 'string' || !commandersDiscretion.reason.trim()) {
+    errors.push(`${dutyPrefix} Commander's discretion reason is required`);
+  }
+
+  if (commandersDiscretion.restReduction !== undefined && (typeof commandersDiscretion.restReduction !== 'number' || commandersDiscretion.restReduction < 0)) {
+    errors.push(`${dutyPrefix} Commander's discretion rest reduction must be a non-negative number of hours`);
+  }
+
+  return errors;
+}
+
+/**
+ * Validate a delayed reporting record (CS FTL.1.205(d))
+ * @param {Object} delayedReporting - Delayed reporting ({ originalReportTime, notificationTime, notificationDate })
+ * @param {string} dutyPrefix - Prefix for error messages
+ * @returns {Array} - Array of error messages
+ */
+function validateDelayedReporting(delayedReporting, dutyPrefix) {
+  const errors = [];
+
+  if (typeof delayedReporting !== 'object') {
+    return [`${dutyPrefix} Delayed reporting must be an object with originalReportTime and notificationTime`];
+  }
+
+  if (!delayedReporting.originalReportTime || !isValidTime(delayedReporting.originalReportTime)) {
+    errors.push(`${dutyPrefix} Invalid original report time for delayed reporting. Use HH:MM`);
+  }
+
+  if (!delayedReporting.notificationTime || !isValidTime(delayedReporting.notificationTime)) {
+    errors.push(`${dutyPrefix} Invalid delay notification time. Use HH:MM`);
+  }
+
+  if (delayedReporting.notificationDate && !isValidDate(delayedReporting.notificationDate)) {
+    errors.push(`${dutyPrefix} Invalid delay notification date format. Use YYYY-MM-DD`);
+  }
+
+  return errors;
+}
+
+/**
+ * Get the longest FDP that is plausible for a duty before times are questioned
+ * @param {Object} duty - Single duty period object
+ * @returns {number} - FDP sanity limit in hours
+ */
+function getPlausibleFDPLimit(duty) {
+  // Augmented crew may reach 17h plus 1h for a long sector;
+  // a split duty may add up to half of a long break to the 13h basic maximum
+  // Commander's discretion adds up to 2h, or 3h with augmented crew
+  const discretion = duty.commandersDiscretion ? (duty.augmentedCrew ? 3 : 2) : 0;
+  if (duty.augmentedCrew || duty.splitDuty) return 18 + discretion;
+  return 14 + discretion;
+}
+
 /**
  * Validate individual flight
  * @param {Object} flight - Single flight object
@@ -140,10 +435,14 @@ function validateFlight(flight, dutyIndex, flightIndex) {
     errors.push(`${flightPrefix} Invalid arrival time format. Use HH:MM`);
   }
 
+  if (flight.positioning !== undefined && typeof flight.positioning !== 'boolean') {
+    errors.push(`${flightPrefix} Positioning must be true or false`);
+  }
+
   // Validate flight time is reasonable
   if (flight.departureTime && flight.arrivalTime) {
-    const depMoment = moment(flight.departureTime, 'HH:mm');
-    const arrMoment = moment(flight.arrivalTime, 'HH:mm');
+    const depMoment = flight.departureAt ? moment.utc(flight.departureAt) : moment(flight.departureTime, 'HH:mm');
+    const arrMoment = flight.arrivalAt ? moment.utc(flight.arrivalAt) : moment(flight.arrivalTime, 'HH:mm');
     
     // Handle overnight flights
     if (arrMoment.isBefore(depMoment)) {
@@ -181,13 +480,33 @@ function isValidTime(timeString) {
   return time.isValid();
 }
 
+/**
+ * Check if an instant is an ISO 8601 timestamp with Z or a UTC offset
+ * @param {string} value - Timestamp, e.g. 2025-06-01T08:00:00Z
+ * @returns {boolean} - True if valid
+ */
+function isValidInstant(value) {
+  return typeof value === 'string' &&
+    /(Z|[+-]\d{2}:?\d{2})$/.test(value) &&
+    moment(value, moment.ISO_8601, true).isValid();
+}
+
+/**
+ * Check if a timezone is a known IANA timezone
+ * @param {string} value - Timezone identifier
+ * @returns {boolean} - True if valid
+ */
+function isValidTimezone(value) {
+  return typeof value === 'string' && moment.tz.zone(value) !== null;
+}
+
 /**
  * Sanitize and format flight data
  * @param {Array} flightData - Raw flight data
  * @returns {Array} - Cleaned flight data
  */
 function sanitizeFlightData(flightData) {
-  return flightData.map(duty => ({
+  return flightData.map(duty => normalizeDuty(duty)).map(duty => ({
     ...duty,
     date: moment(duty.date).format('YYYY-MM-DD'),
     type: duty.type?.toUpperCase(),
@@ -208,7 +527,14 @@ module.exports = {
   validateFlightData,
   validateDutyPeriod,
   validateFlight,
+  validateReserve,
+  validateSplitDuty,
+  validateAugmentedCrew,
+  validateCommandersDiscretion,
+  validateDelayedReporting,
   sanitizeFlightData,
   isValidDate,
-  isValidTime
+  isValidTime,
+  isValidInstant,
+  isValidTimezone
 }; 
\ No newline at end of file